@@ -77,34 +77,40 @@ function appendQso(filePath, qso) {
   fs.appendFileSync(filePath, record, 'utf-8');
 }
 
+/**
+ * Convert an imported QSO (from parseAllQsos / parseSqliteFile) into a flat
+ * object of ADIF field names → values with all 15 preserved fields.
+ */
+function importedQsoFields(qso) {
+  const fields = {
+    CALL: qso.call,
+    QSO_DATE: qso.qsoDate,
+    TIME_ON: qso.timeOn,
+    BAND: qso.band,
+    MODE: qso.mode,
+    FREQ: qso.freq,
+    DXCC: qso.dxcc,
+    COUNTRY: qso.country,
+    CONT: qso.cont,
+    QSL_RCVD: qso.qslRcvd,
+    LOTW_QSL_RCVD: qso.lotwQslRcvd,
+    GRIDSQUARE: qso.gridsquare,
+    RST_SENT: qso.rstSent,
+    RST_RCVD: qso.rstRcvd,
+    COMMENT: qso.comment,
+  };
+  for (const key of Object.keys(fields)) {
+    if (fields[key] == null || fields[key] === '') delete fields[key];
+  }
+  return fields;
+}
+
 /**
  * Append a single imported QSO record to an ADIF file.
  * Writes a clean record with all 15 preserved fields.
  */
 function appendImportedQso(filePath, qso) {
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, ADIF_HEADER, 'utf-8');
-  }
-  const fields = [
-    adifField('CALL', qso.call),
-    adifField('QSO_DATE', qso.qsoDate),
-    adifField('TIME_ON', qso.timeOn),
-    adifField('BAND', qso.band),
-    adifField('MODE', qso.mode),
-    adifField('FREQ', qso.freq),
-    adifField('DXCC', qso.dxcc),
-    adifField('COUNTRY', qso.country),
-    adifField('CONT', qso.cont),
-    adifField('QSL_RCVD', qso.qslRcvd),
-    adifField('LOTW_QSL_RCVD', qso.lotwQslRcvd),
-    adifField('GRIDSQUARE', qso.gridsquare),
-    adifField('RST_SENT', qso.rstSent),
-    adifField('RST_RCVD', qso.rstRcvd),
-    adifField('COMMENT', qso.comment),
-  ].filter(Boolean).join(' ');
-
-  const record = `\n${fields} <EOR>\n`;
-  fs.appendFileSync(filePath, record, 'utf-8');
+  appendRawQso(filePath, importedQsoFields(qso));
 }
 
 /**
@@ -172,4 +178,4 @@ function appendRawQso(filePath, fields) {
   fs.appendFileSync(filePath, record, 'utf-8');
 }
 
-module.exports = { appendQso, buildAdifRecord, adifField, appendImportedQso, appendRawQso, rewriteAdifFile, writeActivationAdif, writeActivationAdifRaw, ADIF_HEADER };
+module.exports = { appendQso, buildAdifRecord, adifField, appendImportedQso, importedQsoFields, appendRawQso, rewriteAdifFile, writeActivationAdif, writeActivationAdifRaw, ADIF_HEADER };
@@ -0,0 +1,334 @@
+// Antenna switching — picks an antenna from band + spot bearing rules and
+// drives one of several switch backends:
+//   - 4O3A Antenna Genius (lib/antenna-genius.js)
+//   - a generic relay board over TCP or UDP, one command per selection
+//   - a band decoder on a serial port, either the antenna number on the
+//     DTR/RTS lines or a text command like the relay board
+//
+// Backends emit 'status' { connected }, 'names' ({ 1: 'Yagi', ... }),
+// 'selected' (antenna number, when the switch reports a change) and 'log'.
+
+const net = require('net');
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { SerialPort } = require('serialport');
+const { AntennaGeniusClient } = require('./antenna-genius');
+
+const RECONNECT_MS = 5000;
+const MAX_ANTENNAS = 8;
+const PIN_ANTENNAS = 4; // two control lines (DTR/RTS) on a band decoder
+
+// Yaesu band data (BCD) codes, as used by most band decoders
+const BAND_BCD = {
+  '160m': 1, '80m': 2, '40m': 3, '30m': 4, '20m': 5,
+  '17m': 6, '15m': 7, '12m': 8, '10m': 9, '6m': 10,
+};
+
+// --- Rules ---
+
+/** True when `bearing` lies in the clockwise sector from `from` to `to`. */
+function inSector(bearing, from, to) {
+  const b = ((bearing % 360) + 360) % 360;
+  const f = ((from % 360) + 360) % 360;
+  const t = ((to % 360) + 360) % 360;
+  return f <= t ? (b >= f && b <= t) : (b >= f || b <= t);
+}
+
+/**
+ * Choose an antenna for a band and spot bearing. Direction rules
+ * ({ band, from, to, antenna }, band 'all' matches any band) are tried in
+ * order first; the per-band default map is the fallback.
+ * @returns {{ antenna: number, rule: object|null }|null}
+ */
+function pickAntenna({ rules, bandMap }, band, bearing) {
+  if (bearing != null && Number.isFinite(bearing)) {
+    for (const r of rules || []) {
+      if (!r || !r.antenna || (r.band !== band && r.band !== 'all')) continue;
+      if (!Number.isFinite(r.from) || !Number.isFinite(r.to)) continue;
+      if (inSector(bearing, r.from, r.to)) return { antenna: r.antenna, rule: r };
+    }
+  }
+  const a = bandMap && bandMap[band];
+  return a ? { antenna: a, rule: null } : null;
+}
+
+/** Highest antenna number a switch of this type and output can select. */
+function maxAntennas({ type, output } = {}) {
+  return type === 'decoder' && output !== 'text' ? PIN_ANTENNAS : MAX_ANTENNAS;
+}
+
+/** Drop malformed rules, and rules for antennas the switch can't select, from saved settings. */
+function normalizeRules(raw, max = MAX_ANTENNAS) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map(r => ({
+      band: String((r && r.band) || 'all'),
+      from: parseInt(r && r.from, 10),
+      to: parseInt(r && r.to, 10),
+      antenna: parseInt(r && r.antenna, 10),
+    }))
+    .filter(r => Number.isFinite(r.from) && Number.isFinite(r.to) && r.antenna >= 1 && r.antenna <= max);
+}
+
+/**
+ * Expand a command template for one selection. Placeholders: {n} antenna
+ * number, {n0} zero-based, {mask} one-hot relay mask (decimal), {hex} the
+ * same as two hex digits, {band} band name, {bcd} Yaesu band data code.
+ * Escapes: \r \n \t \\ and \xNN for raw bytes.
+ */
+function formatCommand(template, { antenna, band }) {
+  const mask = 1 << (antenna - 1);
+  const text = String(template || '')
+    .replace(/\{n\}/g, String(antenna))
+    .replace(/\{n0\}/g, String(antenna - 1))
+    .replace(/\{mask\}/g, String(mask))
+    .replace(/\{hex\}/g, mask.toString(16).toUpperCase().padStart(2, '0'))
+    .replace(/\{band\}/g, band || '')
+    .replace(/\{bcd\}/g, String(BAND_BCD[band] || 0))
+    .replace(/\\(x[0-9a-fA-F]{2}|[rnt\\])/g, (_, e) => {
+      if (e[0] === 'x') return String.fromCharCode(parseInt(e.slice(1), 16));
+      return { r: '\r', n: '\n', t: '\t', '\\': '\\' }[e];
+    });
+  return Buffer.from(text, 'latin1');
+}
+
+// --- Base ---
+
+class AntennaSwitch extends EventEmitter {
+  constructor(type) {
+    super();
+    this.type = type;
+    this.connected = false;
+    this._opts = null;
+    this._reconnectTimer = null;
+  }
+
+  connect(opts) {
+    this.disconnect();
+    this._opts = opts || {};
+    this._open();
+  }
+
+  disconnect() {
+    this._opts = null;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._close();
+    if (this.connected) this._setConnected(false);
+  }
+
+  /**
+   * Select an antenna. `band` is only used by command templates.
+   * @returns {boolean} false when the switch isn't connected
+   */
+  select(antenna, band) {
+    if (!this.connected) return false;
+    this._select(antenna, band);
+    return true;
+  }
+
+  // --- Subclass hooks ---
+  _open() {}
+  _close() {}
+  _select() {}
+
+  _setConnected(on) {
+    this.connected = on;
+    this.emit('status', { connected: on });
+  }
+
+  _lost(reason) {
+    if (reason) this.emit('log', `[Antenna] ${reason}`);
+    this._close();
+    if (this.connected) this._setConnected(false);
+    if (!this._opts || this._reconnectTimer) return;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this._opts) this._open();
+    }, RECONNECT_MS);
+  }
+}
+
+// --- 4O3A Antenna Genius ---
+// The client handles its own reconnects; this adapts its events.
+
+class AntennaGeniusSwitch extends AntennaSwitch {
+  constructor() {
+    super('ag');
+    this._client = null;
+  }
+
+  _open() {
+    const client = new AntennaGeniusClient();
+    this._client = client;
+    const radioPort = this._opts.radioPort || 1;
+    client.on('connected', () => {
+      client.subscribePortStatus();
+      client.queryPort(radioPort);
+      this._setConnected(true);
+    });
+    client.on('disconnected', () => this._setConnected(false));
+    client.on('antenna-list', (names) => this.emit('names', names));
+    client.on('port-status', (s) => {
+      if (s.port === radioPort && s.txant) this.emit('selected', s.txant);
+    });
+    client.on('error', (err) => {
+      // Suppress ECONNREFUSED noise during reconnect
+      if (err.code !== 'ECONNREFUSED') this.emit('log', `[Antenna] Antenna Genius: ${err.message}`);
+    });
+    client.connect(this._opts.host, this._opts.port);
+  }
+
+  _close() {
+    if (this._client) {
+      this._client.removeAllListeners();
+      this._client.disconnect();
+      this._client = null;
+    }
+  }
+
+  _select(antenna) {
+    this._client.selectAntenna(this._opts.radioPort || 1, antenna);
+  }
+}
+
+// --- Relay board (TCP or UDP) ---
+// Sends the expanded command template; anything the board answers is ignored.
+
+class RelayBoardSwitch extends AntennaSwitch {
+  constructor() {
+    super('relay');
+    this._sock = null;
+  }
+
+  _open() {
+    const { host = '127.0.0.1', port, protocol } = this._opts;
+    if (!port) {
+      this.emit('log', '[Antenna] Relay board: no port set');
+      return;
+    }
+    if (protocol === 'udp') {
+      const sock = dgram.createSocket('udp4');
+      this._sock = sock;
+      sock.on('error', (err) => this.emit('log', `[Antenna] Relay board: ${err.message}`));
+      sock.bind(0, () => {
+        if (this._sock === sock) this._setConnected(true);
+      });
+      return;
+    }
+    const sock = new net.Socket();
+    this._sock = sock;
+    sock.on('connect', () => this._setConnected(true));
+    sock.on('data', () => {});
+    sock.on('error', (err) => {
+      if (err.code !== 'ECONNREFUSED') this.emit('log', `[Antenna] Relay board: ${err.message}`);
+    });
+    sock.on('close', () => {
+      if (this._sock === sock) this._lost(this.connected ? 'relay board connection closed' : '');
+    });
+    sock.connect(port, host);
+  }
+
+  _close() {
+    if (this._sock) {
+      const s = this._sock;
+      this._sock = null;
+      try { s.destroy ? s.destroy() : s.close(); } catch { /* already closed */ }
+    }
+  }
+
+  _select(antenna, band) {
+    const data = formatCommand(this._opts.command, { antenna, band });
+    if (this._opts.protocol === 'udp') {
+      this._sock.send(data, this._opts.port, this._opts.host || '127.0.0.1', (err) => {
+        if (err) this.emit('log', `[Antenna] Relay board send error: ${err.message}`);
+      });
+    } else {
+      this._sock.write(data);
+    }
+  }
+}
+
+// --- Band decoder (serial) ---
+// 'pins' puts antenna - 1 on DTR (bit 0) and RTS (bit 1) for up to four
+// antennas; 'text' writes the command template to the port.
+
+class BandDecoderSwitch extends AntennaSwitch {
+  constructor() {
+    super('decoder');
+    this._port = null;
+  }
+
+  _open() {
+    const path = this._opts.serialPort;
+    if (!path) {
+      this.emit('log', '[Antenna] Band decoder: no serial port set');
+      return;
+    }
+    const port = new SerialPort({ path, baudRate: this._opts.baudRate || 9600, autoOpen: false });
+    this._port = port;
+    port.on('error', (err) => this.emit('log', `[Antenna] Band decoder: ${err.message}`));
+    port.on('close', () => {
+      if (this._port === port) this._lost('band decoder serial port closed');
+    });
+    port.open((err) => {
+      if (this._port !== port) return;
+      if (err) {
+        this._port = null;
+        this._lost(`cannot open ${path}: ${err.message}`);
+        return;
+      }
+      this._setConnected(true);
+    });
+  }
+
+  _close() {
+    if (this._port) {
+      const p = this._port;
+      this._port = null;
+      if (p.isOpen) p.close(() => {});
+    }
+  }
+
+  _select(antenna, band) {
+    if (this._opts.output === 'text') {
+      this._port.write(formatCommand(this._opts.command, { antenna, band }));
+      return;
+    }
+    if (antenna < 1 || antenna > PIN_ANTENNAS) {
+      // Switching to antenna (n - 1) & 3 instead would put TX into the wrong antenna
+      this.emit('log', `[Antenna] Band decoder: antenna ${antenna} needs more than two control lines — not switched`);
+      return;
+    }
+    const bits = antenna - 1;
+    this._port.set({ dtr: !!(bits & 1), rts: !!(bits & 2) }, (err) => {
+      if (err) this.emit('log', `[Antenna] Band decoder: ${err.message}`);
+    });
+  }
+}
+
+const SWITCH_TYPES = {
+  ag: AntennaGeniusSwitch,
+  relay: RelayBoardSwitch,
+  decoder: BandDecoderSwitch,
+};
+
+/** Create an antenna switch backend by type (ag, relay, decoder). */
+function createAntennaSwitch(type) {
+  const Cls = SWITCH_TYPES[type] || AntennaGeniusSwitch;
+  return new Cls();
+}
+
+module.exports = {
+  createAntennaSwitch,
+  AntennaGeniusSwitch,
+  RelayBoardSwitch,
+  BandDecoderSwitch,
+  pickAntenna,
+  normalizeRules,
+  maxAntennas,
+  formatCommand,
+  inSector,
+  BAND_BCD,
+  MAX_ANTENNAS,
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+/**
+ * Award tracker — worked/confirmed credits per band and mode class, computed
+ * from the QSO log by data-driven rules, plus which award credits a spot
+ * would add.
+ *
+ * A rule says what one QSO credits (`credit`: state, cqz, ituz, prefix,
+ * continent, grid4, dxcc, potaPark, wwffRef, sotaRef, iota, or `field` for
+ * any ADIF field), optionally which credits count (`values`), which DXCC
+ * entities and bands qualify, what confirms a QSO and the goal (`target`,
+ * `tiers`). `perBand` awards are endorsed band by band (5BWAS, VUCC).
+ * Rules can be added or overridden from awards.json in userData.
+ */
+
+const { resolveCallsign } = require('./cty');
+const { latLonToGrid } = require('./grid');
+const BandPlans = require('./band-plans');
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+  'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+  'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+];
+
+const CQ_ZONES = Array.from({ length: 40 }, (_, i) => String(i + 1));
+
+// Default confirmation: a paper/bureau QSL or LoTW
+const QSL_FIELDS = ['QSL_RCVD', 'LOTW_QSL_RCVD'];
+
+const BUILTIN_AWARDS = [
+  {
+    id: 'was', name: 'Worked All States', short: 'WAS', credit: 'state',
+    entities: ['United States', 'Alaska', 'Hawaii'], values: US_STATES, perBand: true,
+  },
+  { id: 'waz', name: 'Worked All Zones', short: 'WAZ', credit: 'cqz', values: CQ_ZONES, perBand: true },
+  { id: 'wpx', name: 'WPX', short: 'WPX', credit: 'prefix', target: 300, tiers: [300, 400, 500, 600, 700, 800, 900, 1000] },
+  { id: 'wac', name: 'Worked All Continents', short: 'WAC', credit: 'continent', values: ['NA', 'SA', 'EU', 'AF', 'AS', 'OC'] },
+  {
+    id: 'vucc', name: 'VHF/UHF Century Club', short: 'VUCC', credit: 'grid4', perBand: true,
+    bands: ['6m', '2m', '1.25m', '70cm', '33cm', '23cm'], target: 100,
+  },
+  {
+    id: 'pota-hunter', name: 'POTA Hunter', short: 'POTA', credit: 'potaPark', confirmedBy: [],
+    tiers: [10, 25, 50, 100, 250, 500, 750, 1000, 1500, 2000, 2500, 3000],
+  },
+  {
+    id: 'wwff-hunter', name: 'WWFF Hunter', short: 'WWFF', credit: 'wwffRef', confirmedBy: [],
+    tiers: [44, 88, 144, 244, 444, 644, 844, 1044, 1444, 1844, 2244],
+  },
+];
+
+const CREDIT_TYPES = ['state', 'cqz', 'ituz', 'prefix', 'continent', 'grid4', 'dxcc', 'potaPark', 'wwffRef', 'sotaRef', 'iota', 'field'];
+
+// Spot sources whose lat/lon is the station's real location, not a country centroid
+const LOCATED_SOURCES = new Set(['pota', 'sota', 'wwff', 'llota']);
+
+/**
+ * Mode class used for endorsements: cw, phone or digital, or '' for modes
+ * the band plans can't place. Same classes as the privilege checks.
+ */
+function modeClass(mode) {
+  const cls = BandPlans.modeClass(mode);
+  return cls === 'data' ? 'digital' : cls || '';
+}
+
+function upper(v) {
+  return (v == null ? '' : String(v)).trim().toUpperCase();
+}
+
+// --- WPX prefixes ---
+
+const PORTABLE_SUFFIXES = new Set(['P', 'M', 'MM', 'AM', 'QRP', 'A', 'LH']);
+
+/** Prefix of a plain callsign: everything up to the last digit; no digit → first two letters + 0. */
+function plainPrefix(call) {
+  const m = /^(.*\d)[A-Z]*$/.exec(call);
+  if (m) return m[1];
+  return call.slice(0, 2) + '0';
+}
+
+/**
+ * CQ WPX prefix for a callsign. W1AW → W1, W1AW/4 → W4, KH6/W1AW → KH6,
+ * PA/W1AW → PA0, RAEM → RA0.
+ */
+function wpxPrefix(call) {
+  const parts = upper(call).split('/').filter(p => p && !PORTABLE_SUFFIXES.has(p));
+  if (!parts.length) return '';
+  if (parts.length === 1) return plainPrefix(parts[0]);
+  let [a, b] = parts;
+  if (/^\d$/.test(b)) return plainPrefix(a).replace(/\d+$/, '') + b;
+  if (/^\d$/.test(a)) return plainPrefix(b).replace(/\d+$/, '') + a;
+  // The shorter part is the operating prefix (KH6/W1AW, W1AW/VE3)
+  const pfx = a.length <= b.length ? a : b;
+  return /\d/.test(pfx) ? plainPrefix(pfx) : pfx + '0';
+}
+
+// --- Credits ---
+
+function splitRefs(v) {
+  return upper(v).split(',').map(r => r.split('@')[0].trim()).filter(Boolean);
+}
+
+/** Credits one QSO (raw ADIF fields) gives a rule. */
+function qsoCredits(rule, q, entity) {
+  switch (rule.credit) {
+    case 'state': return [upper(q.STATE)];
+    case 'cqz': return [q.CQZ ? String(parseInt(q.CQZ, 10)) : (entity ? String(entity.cqZone) : '')];
+    case 'ituz': return [q.ITUZ ? String(parseInt(q.ITUZ, 10)) : (entity ? String(entity.ituZone) : '')];
+    case 'prefix': return [upper(q.PFX) || wpxPrefix(q.CALL)];
+    case 'continent': return [upper(q.CONT) || (entity ? entity.continent : '')];
+    case 'grid4': {
+      // A station on a grid line or corner credits every grid it lists
+      if (q.VUCC_GRIDS) return upper(q.VUCC_GRIDS).split(',').map(g => g.trim().slice(0, 4));
+      return [upper(q.GRIDSQUARE).slice(0, 4)];
+    }
+    case 'dxcc': return [entity ? entity.name : ''];
+    case 'potaPark': {
+      const refs = splitRefs(q.POTA_REF);
+      if (upper(q.SIG) === 'POTA') refs.push(...splitRefs(q.SIG_INFO));
+      return refs;
+    }
+    case 'wwffRef': {
+      const refs = splitRefs(q.WWFF_REF);
+      if (upper(q.SIG) === 'WWFF') refs.push(...splitRefs(q.SIG_INFO));
+      return refs;
+    }
+    case 'sotaRef': return [upper(q.SOTA_REF)];
+    case 'iota': return [upper(q.IOTA)];
+    case 'field': return [upper(q[upper(rule.field)])];
+    default: return [];
+  }
+}
+
+/** Credits a spot would give a rule if worked. */
+function spotCredits(rule, s, entity) {
+  const refs = (source) => {
+    const list = (s.refs || []).filter(r => r.source === source).map(r => upper(r.reference));
+    if (s.source === source && s.reference) list.push(upper(s.reference));
+    return list;
+  };
+  switch (rule.credit) {
+    case 'state': {
+      // POTA location codes like "US-MA" or "US-MA,US-NH"
+      return (s.locationDesc || '').split(',').map(l => /^US-([A-Z]{2})$/.exec(l.trim())).filter(Boolean).map(m => m[1]);
+    }
+    case 'cqz': return [entity ? String(entity.cqZone) : ''];
+    case 'ituz': return [entity ? String(entity.ituZone) : ''];
+    case 'prefix': return [wpxPrefix(s.callsign)];
+    case 'continent': return [s.continent || (entity ? entity.continent : '')];
+    case 'grid4': {
+      if (s.grid) return [upper(s.grid).slice(0, 4)];
+      if (LOCATED_SOURCES.has(s.source) && s.lat != null && s.lon != null) return [latLonToGrid(s.lat, s.lon).slice(0, 4).toUpperCase()];
+      return [];
+    }
+    case 'dxcc': return [entity ? entity.name : ''];
+    case 'potaPark': return refs('pota');
+    case 'wwffRef': return s.wwffReference ? [upper(s.wwffReference), ...refs('wwff')] : refs('wwff');
+    case 'sotaRef': return refs('sota');
+    default: return [];
+  }
+}
+
+// --- Rules ---
+
+/** Validate and fill in defaults for one rule definition. Throws on bad input. */
+function normalizeRule(def) {
+  if (!def || typeof def !== 'object') throw new Error('award rule must be an object');
+  const id = String(def.id || '').trim();
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id)) throw new Error(`award id "${def.id}" must be letters, digits, - or _`);
+  if (!CREDIT_TYPES.includes(def.credit)) throw new Error(`${id}: credit must be one of ${CREDIT_TYPES.join(', ')}`);
+  if (def.credit === 'field' && !def.field) throw new Error(`${id}: credit "field" needs a "field" (ADIF field name)`);
+  const list = (v) => (Array.isArray(v) && v.length ? v.map(x => String(x)) : null);
+  const values = list(def.values);
+  const tiers = Array.isArray(def.tiers) ? def.tiers.map(Number).filter(n => n > 0).sort((a, b) => a - b) : [];
+  const target = Number(def.target) > 0 ? Number(def.target) : (values ? values.length : (tiers[0] || 0));
+  return {
+    id,
+    name: String(def.name || id),
+    short: String(def.short || id.toUpperCase()).slice(0, 6),
+    credit: def.credit,
+    field: def.field ? upper(def.field) : undefined,
+    values: values ? values.map(upper) : null,
+    entities: list(def.entities),
+    bands: list(def.bands) ? list(def.bands).map(b => b.toLowerCase()) : null,
+    modes: list(def.modes) ? list(def.modes).map(m => m.toLowerCase()) : null,
+    confirmedBy: Array.isArray(def.confirmedBy) ? def.confirmedBy.map(upper) : QSL_FIELDS,
+    target,
+    tiers,
+    perBand: def.perBand === true,
+  };
+}
+
+// --- Tracker ---
+
+class AwardTracker {
+  constructor() {
+    this._rules = new Map(); // id → normalized rule, built-ins first
+    this._custom = new Set();
+    this._credits = new Map(); // id → Map(value → { worked: {band: Set}, confirmed: {band: Set} })
+    for (const def of BUILTIN_AWARDS) this._rules.set(def.id, normalizeRule(def));
+  }
+
+  /**
+   * Add or replace rules from awards.json: an array of rules or { awards: [...] }.
+   * @returns {{ loaded: string[], errors: string[] }}
+   */
+  loadRules(data) {
+    const defs = Array.isArray(data) ? data : (data && Array.isArray(data.awards) ? data.awards : null);
+    if (!defs) return { loaded: [], errors: ['expected an array of award rules or { "awards": [...] }'] };
+    const loaded = [];
+    const errors = [];
+    for (const def of defs) {
+      try {
+        const rule = normalizeRule(def);
+        this._rules.set(rule.id, rule);
+        this._custom.add(rule.id);
+        loaded.push(rule.id);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    return { loaded, errors };
+  }
+
+  listRules() {
+    return [...this._rules.values()];
+  }
+
+  /** Recompute every award from the log (raw ADIF field objects). */
+  update(qsos, ctyDb) {
+    this._credits = new Map();
+    for (const rule of this._rules.values()) this._credits.set(rule.id, new Map());
+    const rules = [...this._rules.values()];
+    for (const q of qsos) {
+      const entity = ctyDb ? resolveCallsign(upper(q.CALL), ctyDb) : null;
+      const band = (q.BAND || '').toLowerCase();
+      const mc = modeClass(q.MODE);
+      for (const rule of rules) {
+        if (!this._qualifies(rule, band, mc, entity)) continue;
+        const confirmed = !rule.confirmedBy.length || rule.confirmedBy.some(f => upper(q[f]) === 'Y' || upper(q[f]) === 'V');
+        for (const value of qsoCredits(rule, q, entity)) {
+          if (!value || (rule.values && !rule.values.includes(value))) continue;
+          this._add(rule.id, value, band, mc, confirmed);
+        }
+      }
+    }
+  }
+
+  _qualifies(rule, band, mc, entity) {
+    if (rule.bands && !rule.bands.includes(band)) return false;
+    if (rule.modes && !rule.modes.includes(mc)) return false;
+    if (rule.entities && !(entity && rule.entities.includes(entity.name))) return false;
+    return true;
+  }
+
+  _add(id, value, band, mc, confirmed) {
+    const credits = this._credits.get(id);
+    let c = credits.get(value);
+    if (!c) credits.set(value, c = { worked: {}, confirmed: {} });
+    const b = band || '?';
+    (c.worked[b] || (c.worked[b] = new Set())).add(mc);
+    if (confirmed) (c.confirmed[b] || (c.confirmed[b] = new Set())).add(mc);
+  }
+
+  /** Everything the awards view needs, JSON-friendly. */
+  summary() {
+    return this.listRules().map((rule) => {
+      const credits = {};
+      for (const [value, c] of this._credits.get(rule.id) || []) {
+        const toObj = (m) => Object.fromEntries(Object.entries(m).map(([b, s]) => [b, [...s]]));
+        credits[value] = { worked: toObj(c.worked), confirmed: toObj(c.confirmed) };
+      }
+      return {
+        id: rule.id,
+        name: rule.name,
+        short: rule.short,
+        credit: rule.credit,
+        values: rule.values,
+        bands: rule.bands,
+        target: rule.target,
+        tiers: rule.tiers,
+        perBand: rule.perBand,
+        needsConfirmation: rule.confirmedBy.length > 0,
+        custom: this._custom.has(rule.id),
+        credits,
+      };
+    });
+  }
+
+  /**
+   * Award credits a spot would add: 'new' when the credit has never been
+   * worked, 'band' when a per-band award hasn't had it on the spot's band.
+   * @returns {Array<{ id: string, short: string, value: string, scope: 'new'|'band' }>}
+   */
+  needsForSpot(spot, ctyDb) {
+    if (!spot || !spot.callsign || spot.source === 'net') return [];
+    const entity = ctyDb ? resolveCallsign(spot.callsign, ctyDb) : null;
+    const band = (spot.band || '').toLowerCase();
+    const mc = modeClass(spot.mode);
+    const needs = [];
+    for (const rule of this._rules.values()) {
+      if (!this._qualifies(rule, band, mc, entity)) continue;
+      const credits = this._credits.get(rule.id);
+      for (const value of spotCredits(rule, spot, entity)) {
+        if (!value || (rule.values && !rule.values.includes(value))) continue;
+        const c = credits && credits.get(value);
+        if (!c) needs.push({ id: rule.id, short: rule.short, value, scope: 'new' });
+        else if (rule.perBand && band && !c.worked[band]) needs.push({ id: rule.id, short: rule.short, value, scope: 'band' });
+        else continue;
+        break; // one badge per award
+      }
+    }
+    return needs;
+  }
+}
+
+module.exports = { AwardTracker, BUILTIN_AWARDS, wpxPrefix, modeClass, normalizeRule, US_STATES };
@@ -0,0 +1,311 @@
+// License band plans — which frequencies and modes each licence class may use.
+// Shared by the main process (require) and the renderer (<script>, as
+// window.BandPlans), so the spot filter and ECHOCAT's club-mode checks agree.
+//
+// A plan is { id, name, group, segments, channels }:
+//   segments: [lowerKhz, upperKhz, modes] — inclusive range
+//   channels: [centerKhz, widthKhz, modes] — channelised bands (US/Canada 60m)
+// modes: 'all' | 'cw' | 'cw_digi' (CW + data) | 'phone' (phone + CW) | 'data',
+// or an array of mode classes ['cw', 'data', 'phone'].
+//
+// Tables summarise each licence's band edges and mode sub-bands; they're a
+// spot filter, not legal advice. Power limits aren't modelled.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BandPlans = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // --- Mode classes ---
+
+  const CW_MODES = new Set(['CW', 'CWR', 'CW-R', 'CW-U', 'CW-L']);
+  const DATA_MODES = new Set([
+    'FT8', 'FT4', 'FT2', 'RTTY', 'DIGI', 'DATA', 'JS8', 'PSK31', 'PSK', 'OLIVIA', 'MFSK', 'JT65', 'JT9', 'MSK144', 'Q65', 'WSPR',
+    // More ADIF modes and submodes found in logs
+    'PSK63', 'PSK125', 'BPSK31', 'QPSK31', 'FST4', 'FST4W', 'JT4', 'FSK441', 'ISCAT', 'MT63', 'HELL', 'THOR', 'THROB',
+    'DOMINO', 'CONTESTI', 'ROS', 'FSK', 'PKT', 'PAC', 'PACTOR', 'ARDOP', 'VARA', 'WINMOR',
+    // Data modes as rigs report them (Flex/Icom, Hamlib, Yaesu)
+    'DIGU', 'DIGL', 'PKTUSB', 'PKTLSB', 'PKTFM', 'DATA-U', 'DATA-L', 'DATA-FM',
+  ]);
+  const PHONE_MODES = new Set(['SSB', 'USB', 'LSB', 'FM', 'AM', 'DV', 'FREEDV', 'DIGITALVOICE', 'DSTAR', 'C4FM']);
+
+  /** 'cw' | 'data' | 'phone', or null for modes we can't place. */
+  function modeClass(mode) {
+    const m = (mode || '').toUpperCase();
+    if (CW_MODES.has(m)) return 'cw';
+    if (DATA_MODES.has(m)) return 'data';
+    if (PHONE_MODES.has(m)) return 'phone';
+    return null;
+  }
+
+  // CW is permitted in phone segments wherever those are defined (FCC 97.305)
+  const MODE_SETS = {
+    all: ['cw', 'data', 'phone'],
+    cw: ['cw'],
+    cw_digi: ['cw', 'data'],
+    data: ['data'],
+    phone: ['cw', 'phone'],
+  };
+
+  // --- Shared segments ---
+
+  const US_60M = [
+    [5332, 2.8, 'all'], [5348, 2.8, 'all'], [5358.5, 2.8, 'all'], [5373, 2.8, 'all'], [5405, 2.8, 'all'],
+  ];
+
+  const US_VHF = [
+    [50000, 50100, 'cw'], [50100, 54000, 'all'],
+    [144000, 144100, 'cw'], [144100, 148000, 'all'],
+    [222000, 225000, 'all'],
+    [420000, 450000, 'all'],
+    [902000, 928000, 'all'],
+    [1240000, 1300000, 'all'],
+  ];
+
+  // Bands every US General-and-up licensee has in full
+  const US_COMMON_HF = [
+    [135.7, 137.8, 'all'],
+    [472, 479, 'all'],
+    [1800, 2000, 'all'],
+    [10100, 10150, 'cw_digi'],
+    [18068, 18110, 'cw_digi'], [18110, 18168, 'phone'],
+    [24890, 24930, 'cw_digi'], [24930, 24990, 'phone'],
+    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'],
+  ];
+
+  // Technician and Novice HF: CW-only slices plus the bottom of 10m
+  const US_ENTRY_HF = [
+    [3525, 3600, 'cw'],
+    [7025, 7125, 'cw'],
+    [21025, 21200, 'cw'],
+    [28000, 28300, 'cw_digi'], [28300, 28500, 'phone'],
+  ];
+
+  const HF_FULL = [
+    [1800, 2000, 'all'], [3500, 4000, 'all'], [7000, 7300, 'all'], [10100, 10150, 'all'],
+    [14000, 14350, 'all'], [18068, 18168, 'all'], [21000, 21450, 'all'],
+    [24890, 24990, 'all'], [28000, 29700, 'all'],
+  ];
+
+  const CA_VHF = [
+    [50000, 54000, 'all'], [144000, 148000, 'all'], [220000, 225000, 'all'],
+    [430000, 450000, 'all'], [902000, 928000, 'all'], [1240000, 1300000, 'all'],
+  ];
+
+  // UK 60m is a set of sub-bands rather than channels (Full licence only)
+  const UK_60M = [
+    [5258.5, 5264, 'all'], [5276, 5284, 'all'], [5288.5, 5292, 'all'], [5298, 5307, 'all'],
+    [5313, 5323, 'all'], [5333, 5338, 'all'], [5354, 5358, 'all'], [5362, 5374.5, 'all'],
+    [5378, 5382, 'all'], [5395, 5401.5, 'all'], [5403.5, 5406.5, 'all'],
+  ];
+
+  const UK_FOUNDATION = [
+    [1810, 2000, 'all'], [3500, 3800, 'all'], [7000, 7200, 'all'], [10100, 10150, 'all'],
+    [14000, 14350, 'all'], [18068, 18168, 'all'], [21000, 21450, 'all'],
+    [24890, 24990, 'all'], [28000, 29700, 'all'],
+    [50000, 52000, 'all'], [70000, 70500, 'all'], [144000, 146000, 'all'], [430000, 440000, 'all'],
+  ];
+
+  const UK_INTERMEDIATE = UK_FOUNDATION.concat([
+    [135.7, 137.8, 'all'], [472, 479, 'all'], [1240000, 1325000, 'all'],
+  ]);
+
+  const AU_STANDARD = [
+    [1800, 1875, 'all'], [3500, 3700, 'all'], [3776, 3800, 'all'], [7000, 7300, 'all'],
+    [10100, 10150, 'all'], [14000, 14350, 'all'], [18068, 18168, 'all'], [21000, 21450, 'all'],
+    [24890, 24990, 'all'], [28000, 29700, 'all'],
+    [50000, 54000, 'all'], [144000, 148000, 'all'], [430000, 450000, 'all'], [1240000, 1300000, 'all'],
+  ];
+
+  const DE_E = [
+    [1810, 2000, 'all'], [3500, 3800, 'all'], [7000, 7200, 'all'], [21000, 21450, 'all'],
+    [28000, 29700, 'all'], [144000, 146000, 'all'], [430000, 440000, 'all'],
+  ];
+
+  // Japan licenses band segments as well as bands; 80m is split around other services
+  const JA_80M = [
+    [3500, 3580, 'all'], [3599, 3612, 'all'], [3680, 3687, 'all'],
+    [3702, 3716, 'all'], [3745, 3770, 'all'], [3791, 3805, 'all'],
+  ];
+
+  const JA_4TH = JA_80M.concat([
+    [7000, 7200, 'all'], [21000, 21450, 'all'], [28000, 29700, 'all'],
+    [50000, 54000, 'all'], [144000, 146000, 'all'], [430000, 440000, 'all'], [1260000, 1300000, 'all'],
+  ]);
+
+  const JA_3RD = JA_4TH.concat([
+    [1800, 1875, 'all'], [1907.5, 1912.5, 'all'], [18068, 18168, 'all'], [24890, 24990, 'all'],
+  ]);
+
+  const JA_2ND = JA_3RD.concat([[10100, 10150, 'all'], [14000, 14350, 'all']]);
+
+  // --- Built-in plans ---
+
+  const BUILTIN = [
+    { id: 'us_extra', name: 'US Extra', group: 'United States', channels: US_60M, segments: US_COMMON_HF.concat([
+      [3500, 3600, 'cw_digi'], [3600, 4000, 'phone'],
+      [7000, 7125, 'cw_digi'], [7125, 7300, 'phone'],
+      [14000, 14150, 'cw_digi'], [14150, 14350, 'phone'],
+      [21000, 21200, 'cw_digi'], [21200, 21450, 'phone'],
+    ], US_VHF) },
+    { id: 'us_advanced', name: 'US Advanced', group: 'United States', channels: US_60M, segments: US_COMMON_HF.concat([
+      [3525, 3600, 'cw_digi'], [3700, 4000, 'phone'],
+      [7025, 7125, 'cw_digi'], [7125, 7300, 'phone'],
+      [14025, 14150, 'cw_digi'], [14175, 14350, 'phone'],
+      [21025, 21200, 'cw_digi'], [21225, 21450, 'phone'],
+    ], US_VHF) },
+    { id: 'us_general', name: 'US General', group: 'United States', channels: US_60M, segments: US_COMMON_HF.concat([
+      [3525, 3600, 'cw_digi'], [3800, 4000, 'phone'],
+      [7025, 7125, 'cw_digi'], [7175, 7300, 'phone'],
+      [14025, 14150, 'cw_digi'], [14225, 14350, 'phone'],
+      [21025, 21200, 'cw_digi'], [21275, 21450, 'phone'],
+    ], US_VHF) },
+    { id: 'us_technician', name: 'US Technician', group: 'United States', segments: US_ENTRY_HF.concat(US_VHF) },
+    { id: 'us_novice', name: 'US Novice', group: 'United States', segments: US_ENTRY_HF.concat([
+      [222100, 223910, 'all'], [1270000, 1295000, 'all'],
+    ]) },
+
+    { id: 'ca_honours', name: 'CA Advanced / Basic with Honours', group: 'Canada', channels: US_60M, segments: HF_FULL.concat(CA_VHF) },
+    { id: 'ca_basic', name: 'CA Basic', group: 'Canada', segments: CA_VHF },
+
+    { id: 'uk_full', name: 'UK Full', group: 'United Kingdom', segments: UK_INTERMEDIATE.concat(UK_60M, [
+      [2300000, 2450000, 'all'],
+    ]) },
+    { id: 'uk_intermediate', name: 'UK Intermediate', group: 'United Kingdom', segments: UK_INTERMEDIATE },
+    { id: 'uk_foundation', name: 'UK Foundation', group: 'United Kingdom', segments: UK_FOUNDATION },
+
+    { id: 'au_advanced', name: 'AU Advanced', group: 'Australia', segments: AU_STANDARD.concat([
+      [135.7, 137.8, 'all'], [472, 479, 'all'], [3700, 3776, 'all'], [5351.5, 5366.5, 'all'],
+      [420000, 430000, 'all'],
+    ]) },
+    { id: 'au_standard', name: 'AU Standard', group: 'Australia', segments: AU_STANDARD },
+    { id: 'au_foundation', name: 'AU Foundation', group: 'Australia', segments: [
+      [3500, 3700, 'all'], [7000, 7300, 'all'], [21000, 21450, 'all'], [28000, 29700, 'all'],
+      [144000, 148000, 'all'], [430000, 450000, 'all'],
+    ] },
+
+    { id: 'de_a', name: 'DE Klasse A', group: 'Germany', segments: DE_E.concat([
+      [135.7, 137.8, 'all'], [472, 479, 'all'], [5351.5, 5366.5, 'all'], [10100, 10150, 'all'],
+      [14000, 14350, 'all'], [18068, 18168, 'all'], [24890, 24990, 'all'],
+      [50030, 51000, 'all'], [1240000, 1300000, 'all'],
+    ]) },
+    { id: 'de_e', name: 'DE Klasse E', group: 'Germany', segments: DE_E },
+    { id: 'de_n', name: 'DE Klasse N', group: 'Germany', segments: [[144000, 146000, 'all'], [430000, 440000, 'all']] },
+
+    { id: 'ja_1st', name: 'JA 1st Class', group: 'Japan', segments: JA_2ND.concat([
+      [135.7, 137.8, 'all'], [472, 479, 'all'],
+    ]) },
+    { id: 'ja_2nd', name: 'JA 2nd Class', group: 'Japan', segments: JA_2ND },
+    { id: 'ja_3rd', name: 'JA 3rd Class', group: 'Japan', segments: JA_3RD },
+    { id: 'ja_4th', name: 'JA 4th Class', group: 'Japan', segments: JA_4TH },
+  ];
+
+  // --- Registry ---
+
+  const plans = new Map(); // id → compiled plan
+
+  function compileModes(modes, where) {
+    const list = Array.isArray(modes) ? modes : MODE_SETS[modes];
+    if (!list || !list.length || list.some(m => !MODE_SETS.all.includes(m))) {
+      throw new Error(`${where}: unknown modes ${JSON.stringify(modes)}`);
+    }
+    return new Set(list);
+  }
+
+  // Accept [a, b, modes] or { from, to, modes } (and { center, width, modes } for channels)
+  function compileRanges(list, keys, where) {
+    return (list || []).map((r, i) => {
+      const v = Array.isArray(r) ? r : [r[keys[0]], r[keys[1]], r.modes == null ? 'all' : r.modes];
+      const a = Number(v[0]);
+      const b = Number(v[1]);
+      if (!Number.isFinite(a) || !Number.isFinite(b)) throw new Error(`${where}[${i}]: bad ${keys.join('/')}`);
+      return [a, b, compileModes(v[2] == null ? 'all' : v[2], `${where}[${i}]`)];
+    });
+  }
+
+  /**
+   * Add or replace a plan. Custom plans may name a built-in (or earlier) plan
+   * in `extends` to start from its segments and channels.
+   */
+  function registerPlan(def, opts) {
+    if (!def || typeof def.id !== 'string' || !/^[a-z0-9_-]+$/i.test(def.id)) {
+      throw new Error('Band plan needs an id of letters, digits, - or _');
+    }
+    const custom = !!(opts && opts.custom);
+    const existing = plans.get(def.id);
+    if (custom && existing && !existing.custom) throw new Error(`"${def.id}" is a built-in band plan`);
+    const base = def.extends ? plans.get(def.extends) : null;
+    if (def.extends && !base) throw new Error(`${def.id}: unknown plan "${def.extends}" in extends`);
+    const plan = {
+      id: def.id,
+      name: def.name || def.id,
+      group: def.group || (custom ? 'Custom' : ''),
+      custom,
+      segments: (base ? base.segments : []).concat(compileRanges(def.segments, ['from', 'to'], `${def.id}.segments`)),
+      channels: (base ? base.channels : []).concat(compileRanges(def.channels, ['center', 'width'], `${def.id}.channels`)),
+    };
+    plans.set(plan.id, plan);
+    return plan;
+  }
+
+  /**
+   * Register custom plans from parsed JSON: an array of plans or { "plans": [...] }.
+   * @returns {{ loaded: string[], errors: string[] }}
+   */
+  function loadPlans(data) {
+    const result = { loaded: [], errors: [] };
+    const entries = Array.isArray(data) ? data : (data && Array.isArray(data.plans) ? data.plans : []);
+    for (const def of entries) {
+      try {
+        result.loaded.push(registerPlan(def, { custom: true }).id);
+      } catch (err) {
+        result.errors.push(err.message);
+      }
+    }
+    return result;
+  }
+
+  function getPlan(id) {
+    return plans.get(id) || null;
+  }
+
+  /** Plans for pickers, in registration order: { id, name, group, custom }. */
+  function listPlans() {
+    return [...plans.values()].map(p => ({ id: p.id, name: p.name, group: p.group, custom: p.custom }));
+  }
+
+  // --- Checks ---
+
+  // Phone spots on a channel often give the USB dial frequency, 1.5 kHz below centre
+  function inChannel(freqKhz, center, width, cls) {
+    const half = width / 2;
+    if (Math.abs(freqKhz - center) <= half) return true;
+    return cls === 'phone' && Math.abs(freqKhz + 1.5 - center) <= half;
+  }
+
+  /**
+   * Returns true if the frequency+mode is NOT allowed under the given plan.
+   * Unknown plans, 'none', and modes we can't classify are never flagged.
+   * @param {number} freqKhz - frequency in kHz
+   * @param {string} mode - spot mode (CW, SSB, FT8, etc.)
+   * @param {string} planId - license class / band plan id, e.g. us_general
+   */
+  function isOutOfPrivilege(freqKhz, mode, planId) {
+    if (!planId || planId === 'none') return false;
+    const plan = plans.get(planId);
+    if (!plan) return false;
+    const cls = modeClass(mode);
+    if (!cls) return false;
+    for (const [lower, upper, modes] of plan.segments) {
+      if (freqKhz >= lower && freqKhz <= upper && modes.has(cls)) return false;
+    }
+    for (const [center, width, modes] of plan.channels) {
+      if (modes.has(cls) && inChannel(freqKhz, center, width, cls)) return false;
+    }
+    return true;
+  }
+
+  for (const def of BUILTIN) registerPlan(def);
+
+  return { modeClass, registerPlan, loadPlans, getPlan, listPlans, isOutOfPrivilege };
+});
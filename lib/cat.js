@@ -2,6 +2,17 @@
 const net = require('net');
 const { EventEmitter } = require('events');
 const { SerialPort } = require('serialport');
+const { morseDurationMs } = require('./keyer');
+
+// Command queue timing
+const REPLY_TIMEOUT_MS = 500;       // give up waiting for a query reply
+const TCP_CMD_DELAY_MS = 20;        // gap after a set command — Flex/TCP CAT
+const SERIAL_CMD_DELAY_MS = 100;    // gap after a set command — serial radios
+const TUNE_ATTEMPTS = 3;            // tune + read-back tries before reporting failure
+const TUNE_FREQ_TOLERANCE_HZ = 10;
+const FB_TIMEOUT_LIMIT = 3;         // unanswered FB; polls in a row before VFO B readout is given up
+const KY_CHUNK = 24;                // characters per KY command
+const KY_LEAD_MS = 300;             // send the next KY chunk this long before the last one ends
 
 class CatClient extends EventEmitter {
   constructor() {
@@ -13,9 +24,15 @@ class CatClient extends EventEmitter {
     this._target = null; // { type: 'tcp', host, port } or { type: 'serial', path }
     this._buf = '';
     this._debug = false; // set to true to emit 'log' events
-    this._pendingTuneTimers = []; // setTimeout IDs for mode/split/filter after tune
+    this._queue = [];           // pending commands — see _enqueue()
+    this._inflight = null;      // command currently on the wire
+    this._tuneSeq = 0;          // id of the latest tune() — older tunes stop when superseded
+    this._subRxSupported = true; // cleared when the radio rejects FB; (no VFO B readout)
+    this._fbTimeouts = 0;       // consecutive unanswered FB; polls
     this._faDigits = 11; // FA frequency digit count (auto-detected from radio response; 11=Kenwood/Flex, 9=Yaesu)
     this._faDigitsDetected = false; // true once we've received at least one FA response from the radio
+    this._kyChunks = [];        // CW text waiting for the radio's KY buffer
+    this._kyTimer = null;
   }
 
   connect(target) {
@@ -30,6 +47,8 @@ class CatClient extends EventEmitter {
     if (!sameTarget) {
       this._faDigits = 11;
       this._faDigitsDetected = false;
+      this._subRxSupported = true;
+      this._fbTimeouts = 0;
     }
 
     if (target.type === 'tcp') {
@@ -63,6 +82,7 @@ class CatClient extends EventEmitter {
     sock.on('close', () => {
       this.connected = false;
       this._stopPolling();
+      this._flushQueue('disconnected');
       this.emit('status', { connected: false, target: this._target });
       this._scheduleReconnect();
     });
@@ -122,6 +142,7 @@ class CatClient extends EventEmitter {
     port.on('close', () => {
       this.connected = false;
       this._stopPolling();
+      this._flushQueue('disconnected');
       this.emit('status', { connected: false, target: this._target });
       this._scheduleReconnect();
     });
@@ -139,7 +160,8 @@ class CatClient extends EventEmitter {
     this._buf += chunk.toString();
     // Strip error responses ('?') that don't end with ';' — prevents buffer corruption
     this._buf = this._buf.replace(/\?/g, () => {
-      this._log('rx: ? (command error)');
+      this._log(`rx: ? (command error${this._inflight ? ' for ' + this._inflight.cmd : ''})`);
+      if (this._inflight) this._finishInflight({ ok: false, error: 'rejected' });
       return '';
     });
     // Strip stray CR/LF that some radios send
@@ -162,14 +184,14 @@ class CatClient extends EventEmitter {
         }
         const hz = parseInt(faPayload, 10);
         if (!isNaN(hz)) this.emit('frequency', hz);
+      } else if (msg.startsWith('FB')) {
+        const hz = parseInt(msg.slice(2), 10);
+        if (!isNaN(hz) && hz > 0) this.emit('receiver', { receiver: 'B', frequency: hz, mode: null });
       } else if (msg.startsWith('PC')) {
         const watts = parseInt(msg.slice(2), 10);
         if (!isNaN(watts) && watts >= 0) this.emit('power', watts);
       } else if (msg.startsWith('MD')) {
-        // Yaesu returns MD0x (with VFO selector), Kenwood returns MDx
-        const mdPayload = msg.slice(2);
-        const mdVal = parseInt(mdPayload.length > 1 ? mdPayload.slice(-1) : mdPayload, 10);
-        const modeName = MD_TO_MODE[mdVal];
+        const modeName = parseMdReply(msg);
         if (modeName) {
           this._lastParsedMode = modeName;
           this.emit('mode', modeName);
@@ -185,6 +207,9 @@ class CatClient extends EventEmitter {
       } else {
         this._log(`rx: ${msg}`);
       }
+      if (this._inflight && this._inflight.expect && msg.startsWith(this._inflight.expect)) {
+        this._finishInflight({ ok: true, reply: msg });
+      }
     }
   }
 
@@ -194,13 +219,27 @@ class CatClient extends EventEmitter {
     this._stopPolling();
     this._pollCount = 0;
     this._pollTimer = setInterval(() => {
-      this._write('FA;');
+      // Skip a cycle rather than pile polls behind a slow or unanswered command
+      if (this._inflight || this._queue.length) return;
+      this._enqueue('FA;', { expect: 'FA', poll: true });
       // Yaesu requires VFO selector: MD0; (main VFO). Kenwood/Flex uses MD;
-      this._write(this._isYaesu() ? 'MD0;' : 'MD;');
+      this._enqueue(this._isYaesu() ? 'MD0;' : 'MD;', { expect: 'MD', poll: true });
+      // VFO B (sub receiver / second slice) every other cycle
+      if (this._subRxSupported && this._pollCount % 2 === 0) {
+        // A '?' means no VFO B; a dropped reply on a busy serial link doesn't
+        this._enqueue('FB;', { expect: 'FB', poll: true }).then((r) => {
+          if (r.ok) this._fbTimeouts = 0;
+          else if (r.error === 'timeout') this._fbTimeouts++;
+          if (r.error === 'rejected' || this._fbTimeouts >= FB_TIMEOUT_LIMIT) {
+            this._log(`FB; ${r.error === 'rejected' ? 'not supported' : 'unanswered ' + this._fbTimeouts + ' times'} — VFO B readout disabled`);
+            this._subRxSupported = false;
+          }
+        });
+      }
       // Poll power and NB every 5s (not every cycle — they change rarely)
       if (this._pollCount++ % 5 === 0) {
-        this._write('PC;');
-        this._write(this._isYaesu() ? 'NB0;' : 'NB;');
+        this._enqueue('PC;', { expect: 'PC', poll: true });
+        this._enqueue(this._isYaesu() ? 'NB0;' : 'NB;', { expect: 'NB', poll: true });
       }
     }, 1000);
   }
@@ -229,89 +268,200 @@ class CatClient extends EventEmitter {
     this._log(`_write(${data.replace(/\n/g, '\\n')}) buffered=${!ok}`);
   }
 
+  // --- Command queue ---
+  // Every command goes through here so writes never interleave. Queries
+  // (expect = reply prefix) hold the line until their reply arrives or
+  // REPLY_TIMEOUT_MS passes; set commands hold it for the radio's
+  // inter-command delay. A '?' while a command is in flight fails it.
+
+  /**
+   * @param {string} cmd — full command including ';'
+   * @param {object} [opts]
+   * @param {string} [opts.expect] — reply prefix to wait for (queries)
+   * @param {boolean} [opts.poll] — background poll; dropped when superseded by a tune
+   * @param {boolean} [opts.priority] — jump the queue (PTT)
+   * @param {number} [opts.delay] — settle time after a set command (ms)
+   * @param {number} [opts.tuneId] — owning tune() call
+   * @returns {Promise<{ok: boolean, reply?: string, error?: string}>}
+   */
+  _enqueue(cmd, opts = {}) {
+    return new Promise((resolve) => {
+      if (!this.connected) {
+        this._log(`_enqueue DROPPED (not connected): ${cmd}`);
+        resolve({ ok: false, error: 'disconnected' });
+        return;
+      }
+      const item = { cmd, ...opts, resolve };
+      if (opts.priority) this._queue.unshift(item);
+      else this._queue.push(item);
+      this._pump();
+    });
+  }
+
+  _pump() {
+    if (this._inflight || this._queue.length === 0 || !this.connected) return;
+    const item = this._queue.shift();
+    this._inflight = item;
+    const wait = item.expect ? REPLY_TIMEOUT_MS : (item.delay != null ? item.delay : this._cmdDelay());
+    item.timer = setTimeout(() => {
+      if (item.expect) this._log(`no reply to ${item.cmd} within ${REPLY_TIMEOUT_MS}ms`);
+      this._finishInflight(item.expect ? { ok: false, error: 'timeout' } : { ok: true });
+    }, wait);
+    this._write(item.cmd);
+  }
+
+  _finishInflight(result) {
+    const item = this._inflight;
+    if (!item) return;
+    clearTimeout(item.timer);
+    this._inflight = null;
+    item.resolve(result);
+    this._pump();
+  }
+
+  /** Resolve queued commands without sending them (optionally only those matching). */
+  _dropQueued(error, match = () => true) {
+    const keep = [];
+    for (const item of this._queue) {
+      if (match(item)) item.resolve({ ok: false, error });
+      else keep.push(item);
+    }
+    this._queue = keep;
+  }
+
+  _flushQueue(error) {
+    this._dropQueued(error);
+    this._finishInflight({ ok: false, error });
+  }
+
+  /**
+   * Gap between set commands. Serial radios need more time to digest a command
+   * than Flex/TCP; override per rig with target.cmdDelayMs.
+   */
+  _cmdDelay() {
+    const t = this._target;
+    if (t && t.cmdDelayMs != null) return t.cmdDelayMs;
+    return t && t.type === 'serial' ? SERIAL_CMD_DELAY_MS : TCP_CMD_DELAY_MS;
+  }
+
+  /**
+   * Tune the radio. Returns immediately (false if not connected); the outcome
+   * arrives as a 'tune-result' event once FA/MD have been read back:
+   *   { ok, frequency, mode, actualFrequency, actualMode, attempts, error }
+   * A newer tune() cancels an older one still in progress (no event for the old one).
+   */
   tune(frequencyHz, mode, { split, filterWidth } = {}) {
     this._log(`tune() called: freq=${frequencyHz} mode=${mode} split=${!!split} filter=${filterWidth || 0} connected=${this.connected}`);
     if (!this.connected) return false;
-    // Cancel any pending mode/split/filter commands from a previous rapid tune call
-    for (const t of this._pendingTuneTimers) clearTimeout(t);
-    this._pendingTuneTimers = [];
-    // Pause polling so tune commands aren't interleaved with FA; queries
+    const tuneId = ++this._tuneSeq;
+    // Pause polling so tune commands aren't interleaved with FA; queries,
+    // and discard anything still queued from a previous tune or poll cycle
     this._stopPolling();
+    this._dropQueued('superseded', (item) => item.poll || item.tuneId != null);
+    this._runTune(tuneId, frequencyHz, mode, { split, filterWidth }).catch((err) => {
+      this._log(`tune error: ${err.message}`);
+      if (this.connected && tuneId === this._tuneSeq) this._startPolling();
+    });
+    return true;
+  }
 
+  async _runTune(tuneId, frequencyHz, mode, { split, filterWidth }) {
+    const superseded = () => tuneId !== this._tuneSeq;
+    const send = (cmd, opts) => this._enqueue(cmd, { ...opts, tuneId });
     const isSerial = this._target && this._target.type === 'serial';
     const mapped = mode ? mapMode(mode, frequencyHz, isSerial) : null;
-    let delay = 0;
-
-    // If we haven't received an FA response yet, we don't know the radio's digit
-    // count.  Send an FA; probe first and give the radio time to reply so _faDigits
-    // is calibrated before the frequency command goes out.
-    if (!this._faDigitsDetected) {
-      this._write('FA;');
-      delay = 500;
-    }
-
-    // Send mode BEFORE frequency — Kenwood radios apply CW pitch offset based on
-    // current mode, so the radio must be in the correct mode before FA is sent.
-    // Skip if radio is already in the target mode to avoid resetting filter bandwidth
-    // (sending MD resets filter to radio default on Elecraft K3 and similar rigs).
     const targetModeName = mapped ? MD_TO_MODE[mapped.md] : null;
-    const modeChanged = mapped && targetModeName !== this._lastParsedMode;
-    if (mapped && modeChanged) {
-      // Yaesu requires VFO selector: MD0x; (main VFO). Kenwood/Flex uses MDx;
-      const mdCmd = this._isYaesu() ? `MD0${mapped.md};` : `MD${mapped.md};`;
-      this._write(mdCmd);
-      delay = Math.max(delay, 100);
-    }
-    // Kenwood DATA mode toggle (DA command) for FT8/FT4/FT2 on serial radios —
-    // always send DA when specified, even if MD didn't change (USB→FT8 is same MD)
-    if (mapped && mapped.da != null) {
-      this._pendingTuneTimers.push(setTimeout(() => {
-        if (this.connected) this._write(`DA${mapped.da};`);
-      }, delay || 100));
-      if (!modeChanged) delay = Math.max(delay, 100);
-      delay += 100;
+    let attempts = 0;
+    let result = null;
+
+    while (attempts < TUNE_ATTEMPTS) {
+      attempts++;
+      // Set commands aren't judged — DA isn't on Yaesu/Elecraft serial, FW and FT
+      // vary by rig — only the read-back below decides whether the tune worked
+      const check = (r, what) => { if (!r.ok && r.error !== 'superseded') this._log(`tune: ${what} ${r.error}`); };
+      // A late '?' for a set command fails whatever is in flight next — ask again once
+      const query = async (cmd, expect) => {
+        const r = await send(cmd, { expect });
+        return r.ok || r.error !== 'rejected' ? r : send(cmd, { expect });
+      };
+
+      // If we haven't received an FA response yet, we don't know the radio's digit
+      // count.  Send an FA; probe first so _faDigits is calibrated before the
+      // frequency command goes out.
+      if (!this._faDigitsDetected) await send('FA;', { expect: 'FA' });
+      if (superseded()) return;
+
+      // Send mode BEFORE frequency — Kenwood radios apply CW pitch offset based on
+      // current mode, so the radio must be in the correct mode before FA is sent.
+      // Skip if radio is already in the target mode to avoid resetting filter bandwidth
+      // (sending MD resets filter to radio default on Elecraft K3 and similar rigs).
+      if (mapped && targetModeName !== this._lastParsedMode) {
+        // Yaesu requires VFO selector: MD0x; (main VFO). Kenwood/Flex uses MDx;
+        check(await send(this._isYaesu() ? `MD0${mapped.md};` : `MD${mapped.md};`), 'MD');
+      }
+      // Kenwood DATA mode toggle (DA command) for FT8/FT4/FT2 on serial radios —
+      // always send DA when specified, even if MD didn't change (USB→FT8 is same MD)
+      if (mapped && mapped.da != null) check(await send(`DA${mapped.da};`), 'DA');
+      if (superseded()) return;
+
+      check(await send(`FA${String(frequencyHz).padStart(this._faDigits, '0')};`), 'FA');
+      // Filter width after frequency (Kenwood/Flex only — Yaesu doesn't support FW)
+      if (mapped && filterWidth > 0 && !this._isYaesu()) {
+        check(await send(`FW${String(filterWidth).padStart(4, '0')};`), 'FW');
+      }
+      // Explicitly set split state — FT1 enables (VFO B = TX), FT0 disables
+      check(await send(split ? 'FT1;' : 'FT0;'), 'FT');
+      if (superseded()) return;
+
+      // Read back what the radio actually did (also drives the click sound)
+      const fa = await query('FA;', 'FA');
+      const md = mapped ? await query(this._isYaesu() ? 'MD0;' : 'MD;', 'MD') : null;
+      if (superseded()) return;
+
+      const errors = [];
+      const actualFrequency = fa.ok ? parseInt(fa.reply.slice(2), 10) : null;
+      const actualMode = md && md.ok ? parseMdReply(md.reply) : null;
+      if (!fa.ok) errors.push(`FA readback ${fa.error}`);
+      else if (!(Math.abs(actualFrequency - frequencyHz) <= TUNE_FREQ_TOLERANCE_HZ)) {
+        errors.push(`frequency is ${actualFrequency} Hz`);
+      }
+      if (md && !md.ok) errors.push(`MD readback ${md.error}`);
+      // Only a known, different mode is a mismatch — some radios report codes outside MD_TO_MODE
+      else if (targetModeName && actualMode && actualMode !== targetModeName) errors.push(`mode is ${actualMode}`);
+
+      result = { ok: errors.length === 0, frequency: frequencyHz, mode: mode || null, actualFrequency, actualMode, attempts };
+      if (result.ok) break;
+      result.error = errors.join(', ');
+      this._log(`tune attempt ${attempts}/${TUNE_ATTEMPTS} failed: ${result.error}`);
+      if (!this.connected) break;
     }
 
-    // Send frequency command after mode is set
-    this._pendingTuneTimers.push(setTimeout(() => {
-      if (this.connected) this._write(`FA${String(frequencyHz).padStart(this._faDigits, '0')};`);
-    }, delay));
-    delay += 100;
-
-    // Send filter width after frequency (Kenwood/Flex only — Yaesu doesn't support FW)
-    if (mapped && filterWidth > 0 && !this._isYaesu()) {
-      this._pendingTuneTimers.push(setTimeout(() => {
-        if (this.connected) this._write(`FW${String(filterWidth).padStart(4, '0')};`);
-      }, delay));
-      delay += 100;
-    }
+    this._log(`tune-result: ${result.ok ? 'ok' : 'FAILED (' + result.error + ')'} after ${attempts} attempt(s)`);
+    this.emit('tune-result', result);
+    if (this.connected && !superseded()) this._startPolling();
+  }
 
-    // Explicitly set split state — FT1 enables (VFO B = TX), FT0 disables
-    this._pendingTuneTimers.push(setTimeout(() => {
-      if (this.connected) this._write(split ? 'FT1;' : 'FT0;');
-    }, delay));
-    delay += 100;
-    // Query frequency shortly after tune to confirm change quickly (drives the click sound)
-    this._pendingTuneTimers.push(setTimeout(() => {
-      if (this.connected) this._write('FA;');
-    }, delay + 50));
-    // Resume polling after the radio has time to process
-    if (this._tuneResumeTimer) clearTimeout(this._tuneResumeTimer);
-    this._tuneResumeTimer = setTimeout(() => {
-      this._tuneResumeTimer = null;
-      this._pendingTuneTimers = [];
-      if (this.connected) this._startPolling();
-    }, delay + 1000);
+  /**
+   * Tune the second receiver (VFO B / sub) without touching the main one.
+   * Kenwood/Yaesu MD applies to the selected VFO only, so mode is left as is.
+   */
+  tuneReceiver(receiver, frequencyHz, mode, opts) {
+    if (receiver !== 'B') return this.tune(frequencyHz, mode, opts);
+    if (!this.connected) return false;
+    this._log(`tuneReceiver B: freq=${frequencyHz}${mode ? ' (mode ' + mode + ' not settable on VFO B)' : ''}`);
+    this._enqueue(`FB${String(frequencyHz).padStart(this._faDigits, '0')};`);
+    this._enqueue('FB;', { expect: 'FB' });
     return true;
   }
 
   setTransmit(state) {
     if (!this.connected) return;
     // Yaesu uses TX1;/TX0; (with VFO selector), Kenwood/Flex uses TX;/RX;
+    // PTT jumps the queue — a late RX is worse than a late poll
     if (this._isYaesu()) {
-      this._write(state ? 'TX1;' : 'TX0;');
+      this._enqueue(state ? 'TX1;' : 'TX0;', { priority: true });
     } else {
-      this._write(state ? 'TX;' : 'RX;');
+      this._enqueue(state ? 'TX;' : 'RX;', { priority: true });
     }
     this._log(`PTT: ${state ? 'TX' : 'RX'}`);
   }
@@ -320,10 +470,10 @@ class CatClient extends EventEmitter {
     if (!this.connected || !hz) return;
     if (this._isYaesu()) {
       const idx = yaesuBwToIndex(hz, this._lastParsedMode || '');
-      this._write(`SH0${String(idx).padStart(2, '0')};`);
+      this._enqueue(`SH0${String(idx).padStart(2, '0')};`);
       this._log(`setFilterWidth Yaesu SH0${String(idx).padStart(2, '0')} (${hz}Hz)`);
     } else {
-      this._write(`FW${String(hz).padStart(4, '0')};`);
+      this._enqueue(`FW${String(hz).padStart(4, '0')};`);
       this._log(`setFilterWidth Kenwood FW${String(hz).padStart(4, '0')}`);
     }
   }
@@ -331,9 +481,9 @@ class CatClient extends EventEmitter {
   setNb(on) {
     if (!this.connected) return;
     if (this._isYaesu()) {
-      this._write(`NB0${on ? 1 : 0};`);
+      this._enqueue(`NB0${on ? 1 : 0};`);
     } else {
-      this._write(`NB${on ? 1 : 0};`);
+      this._enqueue(`NB${on ? 1 : 0};`);
     }
     this._log(`setNb ${on ? 'ON' : 'OFF'}`);
   }
@@ -353,17 +503,14 @@ class CatClient extends EventEmitter {
     if (this._isYaesu()) {
       // FT-891 format: P1=0(fixed), P2=0(fixed), P3=0/1/2
       // Turn tuner ON first, then start tune after brief delay
-      this._write('AC001;');  // Tuner ON (FT-891)
-      setTimeout(() => {
-        if (!this.connected) return;
-        this._write('AC002;');  // Start Tuning (FT-891 / ATAS-120A)
-      }, 300);
+      this._enqueue('AC001;', { delay: 300 });  // Tuner ON (FT-891)
+      this._enqueue('AC002;');  // Start Tuning (FT-891 / ATAS-120A)
       // FT-991A, FTDX101D format: P1=0, P2=ON, P3=TUNE
-      this._write('AC011;');
+      this._enqueue('AC011;');
       // FT-450 format: P1=ON, P2=TUNE
-      this._write('AC11;');
+      this._enqueue('AC11;');
     } else {
-      this._write('AC011;');
+      this._enqueue('AC011;');
     }
     this._log('ATU tune started');
   }
@@ -372,9 +519,9 @@ class CatClient extends EventEmitter {
     if (!this.connected) return;
     const b = (vfo || 'A').toUpperCase() === 'B' ? 1 : 0;
     if (this._isYaesu()) {
-      this._write(`VS${b};`);
+      this._enqueue(`VS${b};`);
     } else {
-      this._write(`FR${b};`);
+      this._enqueue(`FR${b};`);
     }
     this._log(`setVfo ${b === 0 ? 'A' : 'B'}`);
   }
@@ -382,7 +529,7 @@ class CatClient extends EventEmitter {
   swapVfo() {
     if (!this.connected) return;
     if (this._isYaesu()) {
-      this._write('SV;');
+      this._enqueue('SV;');
       this._log('swapVfo Yaesu SV');
     } else {
       // Kenwood has no swap command — toggle FR0/FR1
@@ -391,15 +538,75 @@ class CatClient extends EventEmitter {
     }
   }
 
+  // --- CW text (KY) ---
+  // Kenwood-protocol radios (TS-480/590/890, Elecraft, QRP Labs QMX, (tr)uSDX)
+  // key text with their own keyer: KS sets the speed and KY takes 24
+  // characters at a time. The radio doesn't say when its buffer has room, so
+  // the next chunk goes out just before the previous one should be finished.
+
+  /**
+   * True once the radio is known to take KY text. Yaesu's KY plays keyer
+   * memories instead, and until the first FA reply a Yaesu looks like a Kenwood.
+   */
+  cwTextReady() {
+    return this.connected && this._faDigitsDetected && !this._isYaesu();
+  }
+
+  /** Send CW text through the radio's keyer. Returns false until cwTextReady(). */
+  sendCwText(text, wpm) {
+    if (!this.cwTextReady() || !text) return false;
+    const speed = Math.max(5, Math.min(50, Math.round(wpm || 20)));
+    this._enqueue(`KS${String(speed).padStart(3, '0')};`);
+    for (let i = 0; i < text.length; i += KY_CHUNK) {
+      this._kyChunks.push({ text: text.slice(i, i + KY_CHUNK), wpm: speed });
+    }
+    if (!this._kyTimer) this._nextKyChunk();
+    this._log(`CW text: ${text} @ ${speed} wpm`);
+    return true;
+  }
+
+  _nextKyChunk() {
+    const chunk = this._kyChunks.shift();
+    if (!chunk || !this.connected) {
+      this._kyTimer = null;
+      this._kyChunks = [];
+      return;
+    }
+    this._enqueue(`KY ${chunk.text.padEnd(KY_CHUNK)};`);
+    const ms = morseDurationMs(chunk.text, chunk.wpm) - KY_LEAD_MS;
+    this._kyTimer = setTimeout(() => this._nextKyChunk(), Math.max(0, ms));
+  }
+
+  /** Drop unsent CW text and end the transmission (RX also clears the KY buffer). */
+  stopCwText() {
+    if (this._kyTimer) {
+      clearTimeout(this._kyTimer);
+      this._kyTimer = null;
+    }
+    this._kyChunks = [];
+    this._dropQueued('cw-stop', (item) => item.cmd.startsWith('KY'));
+    this.setTransmit(false);
+  }
+
+  /**
+   * Key CW on the CAT port's DTR or RTS line, for interfaces that wire the
+   * key to it. set() drives unspecified lines high, so both are always given.
+   */
+  setKeyLine(line, down) {
+    if (!this.connected || !this.transport || typeof this.transport.set !== 'function') return;
+    this.transport.set({ dtr: line === 'dtr' && down, rts: line === 'rts' && down }, () => {});
+  }
+
   disconnect() {
     this._target = null; // Clear target first to prevent auto-reconnect from close event
     this._stopPolling();
-    for (const t of this._pendingTuneTimers) clearTimeout(t);
-    this._pendingTuneTimers = [];
-    if (this._tuneResumeTimer) {
-      clearTimeout(this._tuneResumeTimer);
-      this._tuneResumeTimer = null;
+    this._tuneSeq++; // abandon any tune in progress
+    if (this._kyTimer) {
+      clearTimeout(this._kyTimer);
+      this._kyTimer = null;
     }
+    this._kyChunks = [];
+    this._flushQueue('disconnected');
     if (this._reconnectTimer) {
       clearTimeout(this._reconnectTimer);
       this._reconnectTimer = null;
@@ -454,6 +661,13 @@ async function listSerialPorts() {
 // Kenwood/Flex MD response → mode string
 const MD_TO_MODE = { 1: 'LSB', 2: 'USB', 3: 'CW', 4: 'FM', 5: 'AM', 6: 'RTTY', 7: 'CW', 9: 'DIGU' };
 
+// Yaesu returns MD0x (with VFO selector), Kenwood returns MDx
+function parseMdReply(msg) {
+  const mdPayload = msg.slice(2);
+  const mdVal = parseInt(mdPayload.length > 1 ? mdPayload.slice(-1) : mdPayload, 10);
+  return MD_TO_MODE[mdVal] || null;
+}
+
 // Yaesu SH0 bandwidth tables (1-based index → Hz)
 const YAESU_SSB_BW = [200,400,600,850,1100,1350,1500,1650,1800,1950,2100,2250,2400,2500,2600,2700,2800,2900,3000,3200,3600];
 const YAESU_CW_BW  = [50,100,150,200,250,300,350,400,450,500,600,800,1000,1200,1500,2400];
@@ -663,6 +877,23 @@ class RigctldClient extends EventEmitter {
     this._write(`L RFPOWER ${val.toFixed(3)}\n`);
   }
 
+  cwTextReady() {
+    return this.connected;
+  }
+
+  /** Send CW text through the rig's keyer (Hamlib send_morse). */
+  sendCwText(text, wpm) {
+    if (!this.connected || !text) return false;
+    this._write(`L KEYSPD ${Math.max(5, Math.min(50, Math.round(wpm || 20)))}\n`);
+    this._write(`b ${text}\n`);
+    return true;
+  }
+
+  stopCwText() {
+    if (!this.connected) return;
+    this._write('\\stop_morse\n');
+  }
+
   disconnect() {
     this._target = null; // Clear target first to prevent auto-reconnect from close event
     this._stopPolling();
@@ -4,15 +4,18 @@
 
 const fs = require('fs');
 const crypto = require('crypto');
+const { getPlan } = require('./band-plans');
 
 const FIXED_COLUMNS = ['firstname', 'lastname', 'callsign', 'passwd', 'license', 'admin', 'user'];
 const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Short US class names; any band plan id (uk_full, de_a, a custom plan…) also works
 const LICENSE_MAP = {
   'extra': 'us_extra',
   'advanced': 'us_advanced',
   'general': 'us_general',
   'tech': 'us_technician',
   'technician': 'us_technician',
+  'novice': 'us_novice',
 };
 
 /**
@@ -94,7 +97,8 @@ function loadClubUsers(csvPath) {
     const scheduleRaw = scheduleColIdx >= 0 ? (cols[scheduleColIdx] || '').trim() : '';
     const schedule = parseSchedule(scheduleRaw);
 
-    const licenseClass = LICENSE_MAP[license.toLowerCase()] || '';
+    const lc = license.toLowerCase();
+    const licenseClass = LICENSE_MAP[lc] || (getPlan(lc) ? lc : '');
 
     members.push({
       firstname,
@@ -0,0 +1,356 @@
+// CW decoder — turns receiver audio into text. Finds the tone pitch, follows
+// its envelope with a Goertzel filter, learns dit length from the marks it
+// sees, and emits characters, words and any callsigns among them.
+// Timing is counted in samples, so a WAV file decodes the same every time.
+//
+// Emits 'char' { char }, 'word' { word }, 'callsign' { callsign } and
+// 'stats' { wpm, pitch, snr } (about once a second while a signal is present).
+
+const { EventEmitter } = require('events');
+const { MORSE } = require('./keyer');
+
+const BLOCK_MS = 8;              // envelope resolution
+const PITCH_MIN_HZ = 300;
+const PITCH_MAX_HZ = 1200;
+const PITCH_STEP_HZ = 10;
+const PITCH_WINDOW_MS = 256;     // analysis window for the pitch search
+const PITCH_INTERVAL_MS = 1000;  // how often to look for a (new) tone
+const MIN_SNR = 10;              // tone/noise power ratio (10 dB) needed to key
+const PITCH_MIN_RATIO = 16;      // tone peak over the spectrum median to lock
+const MIN_DIT_MS = 20;           // 60 wpm
+const MAX_DIT_MS = 240;          // 5 wpm
+const MARK_HISTORY = 24;         // marks kept for the dit/dah split
+
+const DECODE = Object.fromEntries(Object.entries(MORSE).map(([c, code]) => [code, c]));
+
+// Prefix with a digit inside, ending in a letter; optional /P-style portable parts
+const CALL_RE = /^(?:[A-Z0-9]{1,4}\/)?([A-Z0-9]{1,3})[0-9][A-Z0-9]{0,3}[A-Z](?:\/[A-Z0-9]{1,4})?$/;
+
+/** True if a decoded word looks like a callsign (K1ABC, VE3/W1AW, 2E0XYZ/P). */
+function isCallsign(word) {
+  const m = CALL_RE.exec(word);
+  return !!m && /[A-Z]/.test(m[1]);
+}
+
+function goertzelPower(samples, start, len, freq, sampleRate) {
+  const k = 2 * Math.cos((2 * Math.PI * freq) / sampleRate);
+  let s1 = 0, s2 = 0;
+  for (let i = start; i < start + len; i++) {
+    const s0 = samples[i] + k * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  return (s1 * s1 + s2 * s2 - k * s1 * s2) / (len * len);
+}
+
+class CwDecoder extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.sampleRate=8000]
+   * @param {number} [opts.pitch] - fix the tone frequency instead of searching for it
+   */
+  constructor({ sampleRate = 8000, pitch = null } = {}) {
+    super();
+    this.sampleRate = sampleRate;
+    this._fixedPitch = pitch;
+    this.pitch = pitch;
+    this._blockLen = Math.max(16, Math.round((sampleRate * BLOCK_MS) / 1000));
+    this._blockMs = (this._blockLen * 1000) / sampleRate;
+    this._pending = new Float32Array(0);   // samples not yet in a full block
+    this._history = new Float32Array(Math.round((sampleRate * PITCH_WINDOW_MS) / 1000));
+    this._historyFill = 0;
+    this._sinceSearchMs = PITCH_INTERVAL_MS; // search on the first full window
+    this._noise = 0;
+    this._peak = 0;
+    this._keyDown = false;
+    this._runMs = 0;          // length of the current mark or space
+    this._marks = [];
+    this._ditMs = 60;         // 20 wpm until the first marks say otherwise
+    this._splitMs = 120;      // marks shorter than this are dits
+    this._code = '';          // elements of the character in progress
+    this._word = '';
+    this._wordGapSent = true;
+    this._statsMs = 0;
+  }
+
+  get wpm() { return Math.round(1200 / this._ditMs); }
+
+  /** Feed mono samples (-1..1) at the decoder's sample rate. */
+  process(samples) {
+    let buf = samples;
+    if (this._pending.length) {
+      buf = new Float32Array(this._pending.length + samples.length);
+      buf.set(this._pending);
+      buf.set(samples, this._pending.length);
+    }
+    let pos = 0;
+    for (; pos + this._blockLen <= buf.length; pos += this._blockLen) {
+      this._remember(buf, pos);
+      this._block(buf, pos);
+    }
+    this._pending = buf.slice(pos);
+  }
+
+  /** End of input — finish the character and word in progress. */
+  flush() {
+    if (this._keyDown) this._endMark(this._runMs);
+    this._endChar();
+    this._endWord();
+  }
+
+  reset() {
+    this.flush();
+    this._pending = new Float32Array(0);
+    this._historyFill = 0;
+    this._noise = 0;
+    this._peak = 0;
+    this._marks = [];
+    this.pitch = this._fixedPitch;
+  }
+
+  // --- Pitch ---
+
+  _remember(buf, pos) {
+    const h = this._history;
+    const n = this._blockLen;
+    if (this._historyFill + n > h.length) {
+      h.copyWithin(0, this._historyFill + n - h.length, this._historyFill);
+      this._historyFill = h.length - n;
+    }
+    h.set(buf.subarray(pos, pos + n), this._historyFill);
+    this._historyFill += n;
+  }
+
+  /** Returns true if this search locked onto a tone for the first time. */
+  _searchPitch() {
+    if (this._fixedPitch || this._historyFill < this._history.length) return false;
+    const len = this._history.length;
+    const powers = [];
+    let best = 0, bestFreq = 0;
+    for (let f = PITCH_MIN_HZ; f <= PITCH_MAX_HZ; f += PITCH_STEP_HZ) {
+      const p = goertzelPower(this._history, 0, len, f, this.sampleRate);
+      powers.push(p);
+      if (p > best) { best = p; bestFreq = f; }
+    }
+    powers.sort((a, b) => a - b);
+    const median = powers[Math.floor(powers.length / 2)] || 1e-12;
+    if (best / median < PITCH_MIN_RATIO) return false; // no clear tone in this window
+    // Stay on the current tone unless it has gone quiet
+    if (this.pitch && Math.abs(bestFreq - this.pitch) > PITCH_STEP_HZ * 3 &&
+        goertzelPower(this._history, 0, len, this.pitch, this.sampleRate) > best / 4) return false;
+    const first = !this.pitch;
+    if (bestFreq !== this.pitch) {
+      this.pitch = bestFreq;
+      this._noise = 0;
+      this._peak = 0;
+    }
+    return first;
+  }
+
+  // --- Envelope ---
+
+  _block(buf, pos) {
+    this._sinceSearchMs += this._blockMs;
+    // Look often until a tone is found, then just check now and then for a new one
+    const interval = this.pitch ? PITCH_INTERVAL_MS : PITCH_WINDOW_MS / 2;
+    if (this._sinceSearchMs >= interval && !this._keyDown) {
+      this._sinceSearchMs = 0;
+      if (this._searchPitch()) {
+        // Seed the noise floor from the median block, then run the audio
+        // that led to the lock through the envelope so the first characters
+        // aren't lost
+        const n = this._blockLen;
+        const powers = [];
+        for (let p = 0; p + n < this._historyFill; p += n) {
+          powers.push(goertzelPower(this._history, p, n, this.pitch, this.sampleRate));
+        }
+        this._noise = powers.slice().sort((x, y) => x - y)[Math.floor(powers.length / 2)];
+        for (let p = 0; p + n < this._historyFill; p += n) this._envelope(this._history, p);
+      }
+    }
+    if (this.pitch) this._envelope(buf, pos);
+  }
+
+  _envelope(buf, pos) {
+    const power = goertzelPower(buf, pos, this._blockLen, this.pitch, this.sampleRate);
+    // Peak attacks fast and decays slowly; the noise floor follows key-up blocks
+    if (!this._noise) this._noise = power;
+    this._peak = power > this._peak ? power : this._peak * 0.999;
+    const snr = this._peak / Math.max(this._noise, 1e-12);
+    const threshold = Math.sqrt(this._peak * this._noise); // midway in dB
+    const down = snr >= MIN_SNR && (this._keyDown ? power > threshold / 2 : power > threshold);
+    if (!down) this._noise += (power - this._noise) * 0.05;
+
+    if (down !== this._keyDown) {
+      if (this._keyDown) this._endMark(this._runMs);
+      this._keyDown = down;
+      this._runMs = 0;
+    }
+    this._runMs += this._blockMs;
+    if (!this._keyDown) this._checkSilence();
+
+    this._statsMs += this._blockMs;
+    if (this._statsMs >= 1000 && snr >= MIN_SNR && (this._keyDown || this._runMs < 3000)) {
+      this._statsMs = 0;
+      this.emit('stats', { wpm: this.wpm, pitch: this.pitch, snr: Math.round(10 * Math.log10(snr)) });
+    }
+  }
+
+  // --- Timing ---
+
+  _endMark(ms) {
+    if (ms < MIN_DIT_MS / 2) return; // click or noise burst
+    this._learn(ms);
+    this._code += ms < this._splitMs ? '.' : '-';
+    if (this._code.length > 8) this._code = this._code.slice(-8);
+  }
+
+  _checkSilence() {
+    const ms = this._runMs;
+    if (this._code && ms >= this._ditMs * 2) this._endChar();
+    if (!this._wordGapSent && ms >= this._ditMs * 5) this._endWord();
+  }
+
+  /** Split recent marks into dits and dahs; dit length is the short cluster. */
+  _learn(ms) {
+    this._marks.push(ms);
+    if (this._marks.length > MARK_HISTORY) this._marks.shift();
+    let lo = Math.min(...this._marks), hi = Math.max(...this._marks);
+    if (this._marks.length >= 4 && hi / lo >= 2) {
+      for (let i = 0; i < 5; i++) {
+        const split = (lo + hi) / 2;
+        const short = this._marks.filter(m => m < split);
+        const long = this._marks.filter(m => m >= split);
+        lo = short.reduce((a, b) => a + b, 0) / short.length;
+        hi = long.reduce((a, b) => a + b, 0) / long.length;
+      }
+      // A dah is two dits longer than a dit. Using the difference cancels the
+      // fixed stretch the envelope filter adds to every mark.
+      this._ditMs = (hi - lo) / 2;
+      this._splitMs = (lo + hi) / 2;
+    } else {
+      const asDit = ms < this._splitMs ? ms : ms / 3;
+      this._ditMs += (asDit - this._ditMs) * 0.3;
+      this._splitMs = this._ditMs * 2;
+    }
+    this._ditMs = Math.max(MIN_DIT_MS, Math.min(MAX_DIT_MS, this._ditMs));
+  }
+
+  _endChar() {
+    if (!this._code) return;
+    const char = DECODE[this._code] || '*';
+    this._code = '';
+    this._word += char;
+    this._wordGapSent = false;
+    this.emit('char', { char });
+  }
+
+  _endWord() {
+    if (this._wordGapSent) return;
+    this._wordGapSent = true;
+    this.emit('char', { char: ' ' });
+    const word = this._word;
+    this._word = '';
+    if (!word) return;
+    this.emit('word', { word });
+    if (isCallsign(word)) this.emit('callsign', { callsign: word });
+  }
+}
+
+// --- WAV files ---
+
+const WAV_CHUNK_MS = 1000; // audio decoded between yields to the event loop
+
+/** Find the format and the audio data of a WAV file. */
+function wavData(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let fmt = null;
+  let pos = 12;
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString('ascii', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const body = pos + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14),
+      };
+      if (fmt.format === 0xFFFE && size >= 26) fmt.format = buf.readUInt16LE(body + 24); // WAVE_FORMAT_EXTENSIBLE
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('WAV data before format chunk');
+      sampleReader(buf, fmt); // reject unsupported formats up front
+      return { fmt, start: body, end: Math.min(buf.length, body + size) };
+    }
+    pos = body + size + (size & 1);
+  }
+  throw new Error('WAV file has no audio data');
+}
+
+function sampleReader(buf, { format, channels, bits }) {
+  const read = format === 3 && bits === 32 ? (o) => buf.readFloatLE(o)
+    : format !== 1 ? null
+    : bits === 8 ? (o) => (buf.readUInt8(o) - 128) / 128
+    : bits === 16 ? (o) => buf.readInt16LE(o) / 32768
+    : bits === 24 ? (o) => buf.readIntLE(o, 3) / 8388608
+    : bits === 32 ? (o) => buf.readInt32LE(o) / 2147483648
+    : null;
+  if (!read || !channels) throw new Error(`Unsupported WAV format (${format}, ${bits}-bit)`);
+  return read;
+}
+
+/** Mix the frames between two byte offsets down to mono samples. */
+function readSamples(buf, start, end, fmt) {
+  const read = sampleReader(buf, fmt);
+  const bytes = fmt.bits / 8;
+  const frame = bytes * fmt.channels;
+  const count = Math.floor((end - start) / frame);
+  const out = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let c = 0; c < fmt.channels; c++) sum += read(start + i * frame + c * bytes);
+    out[i] = sum / fmt.channels;
+  }
+  return out;
+}
+
+/** Parse a PCM (8/16/24/32-bit) or float WAV into mono samples. */
+function parseWav(buf) {
+  const { fmt, start, end } = wavData(buf);
+  return { sampleRate: fmt.sampleRate, samples: readSamples(buf, start, end, fmt) };
+}
+
+/**
+ * Decode a whole WAV recording. Works through it a second of audio at a
+ * time and yields in between, so a long recording doesn't stall the caller's
+ * event loop.
+ * @param {Buffer} buf
+ * @param {{ pitch?: number, onChar?: Function }} [opts]
+ * @returns {Promise<{ text: string, wpm: number, pitch: number|null, callsigns: string[] }>}
+ */
+async function decodeWav(buf, opts = {}) {
+  const { fmt, start, end } = wavData(buf);
+  const decoder = new CwDecoder({ sampleRate: fmt.sampleRate, pitch: opts.pitch });
+  let text = '';
+  const callsigns = [];
+  decoder.on('char', ({ char }) => {
+    text += char;
+    if (opts.onChar) opts.onChar(char);
+  });
+  decoder.on('callsign', ({ callsign }) => {
+    if (!callsigns.includes(callsign)) callsigns.push(callsign);
+  });
+  const frame = (fmt.bits / 8) * fmt.channels;
+  const step = Math.max(1, Math.round((fmt.sampleRate * WAV_CHUNK_MS) / 1000)) * frame;
+  for (let pos = start; pos + frame <= end; pos += step) {
+    decoder.process(readSamples(buf, pos, Math.min(end, pos + step), fmt));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  decoder.flush();
+  return { text: text.trim(), wpm: decoder.wpm, pitch: decoder.pitch, callsigns };
+}
+
+module.exports = { CwDecoder, parseWav, decodeWav, isCallsign };
@@ -0,0 +1,35 @@
+// CW message macros — shared by the ECHOCAT phone keyer and the desktop
+// memory keyer. {MYCALL} {CALL} {RST} {PARK} {SERIAL}; unknown macros are dropped.
+
+/** CW reports are three digits: a two-digit phone-style "59" becomes "599". */
+function cwRst(rst) {
+  const r = String(rst || '').trim();
+  if (!r) return '599';
+  return /^\d\d$/.test(r) ? r + '9' : r;
+}
+
+/**
+ * Expand macros in a CW message.
+ * @param {string} text - message with {MACRO} placeholders
+ * @param {{ myCall?: string, call?: string, rst?: string, park?: string, serial?: number }} vars
+ * @returns {string} upper-case text ready for the keyer
+ */
+function expandCwMacros(text, vars = {}) {
+  return String(text || '').replace(/\{([A-Z]+)\}/gi, (_, name) => {
+    switch (name.toUpperCase()) {
+      case 'MYCALL': return vars.myCall || '';
+      case 'CALL': return vars.call || '';
+      case 'RST': return cwRst(vars.rst);
+      case 'PARK': return vars.park || '';
+      case 'SERIAL': return vars.serial > 0 ? String(vars.serial).padStart(3, '0') : '';
+      default: return '';
+    }
+  }).replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/** True if the message uses {SERIAL} — the contest number advances once it has gone out. */
+function usesSerial(text) {
+  return /\{SERIAL\}/i.test(String(text || ''));
+}
+
+module.exports = { expandCwMacros, cwRst, usesSerial };
@@ -0,0 +1,143 @@
+// CW message sender — plays memory and typed text through the station's CW
+// output. Outputs that only key a line (Flex `cw key`, a serial DTR/RTS line)
+// are timed here by TextKeyer; radios with their own text keyer (Kenwood KY,
+// rigctld send_morse) get the whole message and time it themselves.
+//
+// An output is a plain object resolved at send time, so it follows rig changes:
+//   { key(down), ready() }                          — keyed line, timed here
+//   { sendText(text, wpm), stopText(), ready() }    — rig-timed
+//
+// Emits 'char' { char } (keyed outputs only), 'sending' { text } and 'done' { aborted }.
+
+const { EventEmitter } = require('events');
+const { SerialPort } = require('serialport');
+const { TextKeyer, sanitizeCwText, morseDurationMs } = require('./keyer');
+
+class CwSender extends EventEmitter {
+  /** @param {() => object|null} getOutput - current output, or null if CW can't be sent */
+  constructor(getOutput) {
+    super();
+    this._getOutput = getOutput;
+    this._output = null;      // output of the message in progress
+    this._wpm = 20;
+    this._rigTimer = null;    // estimated end of rig-timed text
+    this._rigDoneAt = 0;
+    this._keyer = new TextKeyer();
+    this._keyer.on('key', ({ down }) => {
+      if (this._output && this._output.key) this._output.key(down);
+    });
+    this._keyer.on('char', (e) => this.emit('char', e));
+    this._keyer.on('done', (e) => this._finish(e.aborted));
+  }
+
+  get busy() { return this._keyer.busy || this._rigTimer !== null; }
+
+  /** True if there's an output ready to send right now. */
+  available() {
+    const out = this._getOutput();
+    return !!(out && out.ready());
+  }
+
+  setWpm(wpm) {
+    this._wpm = Math.max(5, Math.min(50, wpm || 20));
+    this._keyer.setWpm(this._wpm);
+  }
+
+  /** Farnsworth spacing applies to keyed outputs; radio keyers send at the character speed. */
+  setFarnsworth(wpm) {
+    this._keyer.setFarnsworth(wpm);
+  }
+
+  /**
+   * Queue text behind anything already sending. Returns false if there's no
+   * output or nothing sendable in the text.
+   */
+  send(text) {
+    const clean = sanitizeCwText(text).trim();
+    if (!clean) return false;
+    const out = this.busy ? this._output : this._getOutput();
+    if (!out || !out.ready()) return false;
+    if (!out.sendText) {
+      this._output = out;
+      this.emit('sending', { text: clean });
+      this._keyer.send(clean);
+      return true;
+    }
+    if (!out.sendText(clean, this._wpm)) return false;
+    this._output = out;
+    this.emit('sending', { text: clean });
+    // The radio doesn't report when it's done — estimate from PARIS timing
+    const now = Date.now();
+    const gap = this._rigTimer ? morseDurationMs(' ', this._wpm) : 0;
+    this._rigDoneAt = Math.max(now, this._rigDoneAt) + gap + morseDurationMs(clean, this._wpm);
+    clearTimeout(this._rigTimer);
+    this._rigTimer = setTimeout(() => this._finish(false), this._rigDoneAt - now);
+    return true;
+  }
+
+  /** Abort the message in progress and anything queued behind it. */
+  stop() {
+    if (this._rigTimer) {
+      if (this._output && this._output.stopText) this._output.stopText();
+      this._finish(true);
+      return;
+    }
+    this._keyer.stop(); // emits 'done' if it was sending
+  }
+
+  _finish(aborted) {
+    clearTimeout(this._rigTimer);
+    this._rigTimer = null;
+    this._rigDoneAt = 0;
+    this._output = null;
+    this.emit('done', { aborted });
+  }
+}
+
+// --- Serial key line ---
+// Keys CW on a serial port's DTR or RTS line (USB keying interfaces, or a
+// radio's second virtual COM port). Use CatClient.setKeyLine instead when the
+// line is on the port CAT already has open.
+
+class SerialKeyLine extends EventEmitter {
+  constructor(path, line) {
+    super();
+    this._path = path;
+    this._line = line === 'rts' ? 'rts' : 'dtr';
+    this._port = null;
+  }
+
+  get isOpen() { return !!(this._port && this._port.isOpen); }
+
+  open() {
+    this.close();
+    const port = new SerialPort({ path: this._path, baudRate: 9600, autoOpen: false, rtscts: false, hupcl: false });
+    this._port = port;
+    port.on('error', (err) => this.emit('error', err));
+    port.open((err) => {
+      if (this._port !== port) return;
+      if (err) {
+        this._port = null;
+        this.emit('error', err);
+        return;
+      }
+      this.key(false);
+    });
+  }
+
+  key(down) {
+    if (!this.isOpen) return;
+    // set() drives unspecified lines high — always give both
+    this._port.set({ dtr: this._line === 'dtr' && down, rts: this._line === 'rts' && down }, () => {});
+  }
+
+  close() {
+    const port = this._port;
+    this._port = null;
+    if (port && port.isOpen) {
+      try { port.set({ dtr: false, rts: false }, () => port.close()); } catch { port.close(); }
+    }
+  }
+}
+
+module.exports = { CwSender, SerialKeyLine };
@@ -1,29 +1,11 @@
 // lib/directory.js — Fetch & parse HF Nets and SWL broadcast directory from Google Sheets CSV
-const https = require('https');
+const { getText } = require('./http');
 
 const NETS_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vS_bScWO5wpOxl0VkXLkSJWQX04bduORlKV26qD0bozTtAWja7ewdDOyYdLeFRdlIKeLWx6FjjZBtQD/pub?output=csv&gid=2114262526';
 const SWL_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vS_bScWO5wpOxl0VkXLkSJWQX04bduORlKV26qD0bozTtAWja7ewdDOyYdLeFRdlIKeLWx6FjjZBtQD/pub?output=csv&gid=820214356';
 
 function fetchCsv(url) {
-  return new Promise((resolve, reject) => {
-    const get = (u, depth) => {
-      if (depth > 5) return reject(new Error('Too many redirects'));
-      https.get(u, { headers: { 'User-Agent': 'POTACAT/1.0' } }, (res) => {
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          return get(res.headers.location, depth + 1);
-        }
-        if (res.statusCode !== 200) {
-          res.resume();
-          return reject(new Error(`HTTP ${res.statusCode}`));
-        }
-        let data = '';
-        res.on('data', (c) => { data += c; });
-        res.on('end', () => resolve(data));
-        res.on('error', reject);
-      }).on('error', reject);
-    };
-    get(url, 0);
-  });
+  return getText(url, { timeout: 15000, conditional: true });
 }
 
 // Simple CSV parser handling quoted fields with commas
@@ -1,5 +1,5 @@
 // danplanet DXpedition iCal feed — fetch + parse active expeditions
-const https = require('https');
+const { getText } = require('./http');
 
 const DXCAL_URL = 'https://www.danplanet.com/dxcal.ics';
 
@@ -10,20 +10,13 @@ const CALLSIGN_RE = /\b([A-Z]{1,2}[0-9][A-Z0-9]{0,3}[A-Z])\b/g;
  * Fetch and parse the danplanet iCal feed, returning currently-active expeditions.
  * @returns {Promise<Array<{callsigns: string[], entity: string, startDate: string, endDate: string, description: string}>>}
  */
-function fetchDxCalExpeditions() {
-  return new Promise((resolve, reject) => {
-    https.get(DXCAL_URL, { headers: { 'User-Agent': 'POTACAT/1.0' } }, (res) => {
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => {
-        try {
-          resolve(parseIcal(body));
-        } catch (e) {
-          reject(new Error('Failed to parse iCal: ' + e.message));
-        }
-      });
-    }).on('error', reject);
-  });
+async function fetchDxCalExpeditions() {
+  const body = await getText(DXCAL_URL, { timeout: 15000, conditional: true });
+  try {
+    return parseIcal(body);
+  } catch (e) {
+    throw new Error('Failed to parse iCal: ' + e.message);
+  }
 }
 
 /**
@@ -180,6 +180,11 @@ class DxClusterClient extends EventEmitter {
     });
   }
 
+  /** Feed a raw telnet line through the spot parser without a socket (offline replay). */
+  injectLine(line) {
+    this._parseSpotLine(line);
+  }
+
   sendSpot({ frequency, callsign, comment }) {
     if (!this.connected || !this._loggedIn) return false;
     this._write(`DX ${parseFloat(frequency).toFixed(1)} ${callsign} ${comment || ''}\r\n`);
@@ -0,0 +1,220 @@
+// FT8/FT4 hunter assistant — watches WSJT-X decodes for CQs from stations we
+// need and answers the best one through the instance that heard it. WSJT-X's
+// own auto-sequencer runs the QSO after the first reply; this only picks
+// targets, re-answers repeated CQs and gives up when the guards say so.
+//
+// Main feeds it decode, status and qso-logged events from WsjtxClient and
+// carries out 'reply' { decode } and 'halt' { id }. 'state' reports progress.
+
+const { EventEmitter } = require('events');
+
+// Needs in priority order: one new park outranks any number of lower needs
+const NEEDS = ['newPark', 'newDxcc', 'watchlist', 'unworkedBand'];
+
+const DEFAULT_RULES = Object.freeze({
+  newPark: true,
+  newDxcc: true,
+  watchlist: true,
+  unworkedBand: false,
+  activatorsOnly: true,      // only call stations spotted as POTA/SOTA/WWFF activators
+  minSnr: -20,
+  maxAttempts: 3,            // CQs answered per target before giving up
+  targetTimeoutSec: 180,     // give up if a target goes nowhere for this long
+  continueAfterQso: false,   // keep hunting after a logged QSO instead of stopping
+});
+
+const PICK_DELAY_MS = 1000;  // let a period's decodes arrive before ranking them
+const STATUS_GRACE_MS = 5000; // WSJT-X status can lag our reply by a few seconds
+
+/** Merge saved rules over the defaults, dropping anything unknown. */
+function normalizeRules(raw) {
+  const r = { ...DEFAULT_RULES };
+  if (!raw || typeof raw !== 'object') return r;
+  for (const k of Object.keys(DEFAULT_RULES)) {
+    if (typeof DEFAULT_RULES[k] === 'boolean' && typeof raw[k] === 'boolean') r[k] = raw[k];
+    if (typeof DEFAULT_RULES[k] === 'number' && Number.isFinite(Number(raw[k])) && raw[k] !== '') r[k] = Number(raw[k]);
+  }
+  r.maxAttempts = Math.max(1, Math.min(10, Math.round(r.maxAttempts)));
+  r.targetTimeoutSec = Math.max(30, r.targetTimeoutSec);
+  return r;
+}
+
+/** Score a candidate from its needs; zero means nothing we're hunting for. */
+function scoreNeeds(needs, rules) {
+  let score = 0;
+  NEEDS.forEach((n, i) => {
+    if (rules[n] && needs.includes(n)) score += 1 << (NEEDS.length - i);
+  });
+  return score;
+}
+
+class Ft8Hunter extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {(call: string, decode: object) => { activator: boolean, needs: string[], reference?: string }} opts.assess
+   *   what we'd gain from working this station on the decode's instance
+   * @param {() => string} opts.myCall
+   */
+  constructor({ assess, myCall }) {
+    super();
+    this._assess = assess;
+    this._myCall = myCall;
+    this.rules = normalizeRules();
+    this.active = false;
+    this._target = null;     // { call, id, decode, attempts, reference, needs, startedAt, lastReplyAt }
+    this._called = new Set(); // stations already tried this session — never called again
+    this._candidates = new Map(); // call → { decode, score, needs, reference } for the current period
+    this._pickTimer = null;
+    this._targetTimer = null;
+    this._lastReason = '';
+  }
+
+  setRules(raw) {
+    this.rules = normalizeRules(raw);
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this._called.clear();
+    this._lastReason = '';
+    this._emitState();
+  }
+
+  /**
+   * Stop hunting. A target in progress has its auto-TX halted unless the
+   * operator took over (reason 'manual').
+   */
+  stop(reason) {
+    if (!this.active) return;
+    if (this._target && reason !== 'manual') this.emit('halt', { id: this._target.id });
+    this.active = false;
+    this._lastReason = reason || 'stopped';
+    this._clearTarget();
+    this._candidates.clear();
+    clearTimeout(this._pickTimer);
+    this._pickTimer = null;
+    this._emitState();
+  }
+
+  // --- Inputs ---
+
+  onDecode(decode) {
+    if (!this.active || !decode.isNew) return;
+    const myCall = (this._myCall() || '').toUpperCase();
+    const msg = (decode.message || '').trim().toUpperCase();
+    const isCq = msg.startsWith('CQ ');
+    const from = isCq ? (decode.dxCall || '').toUpperCase() : (decode.deCall || '').toUpperCase();
+    if (!from) return;
+
+    const t = this._target;
+    if (t && from === t.call && decode.id === t.id) {
+      if (!isCq) return; // working someone (maybe us) — WSJT-X carries on
+      // Still calling CQ: they didn't hear us
+      if (t.attempts >= this.rules.maxAttempts) {
+        this._giveUp('no answer');
+        return;
+      }
+      this._reply(decode);
+      return;
+    }
+    if (t || !isCq || from === myCall || this._called.has(from)) return;
+    if (decode.snr < this.rules.minSnr) return;
+
+    const info = this._assess(from, decode) || { activator: false, needs: [] };
+    if (this.rules.activatorsOnly && !info.activator) return;
+    const score = scoreNeeds(info.needs || [], this.rules);
+    if (score === 0) return;
+    const prev = this._candidates.get(from);
+    if (!prev || decode.snr > prev.decode.snr) {
+      this._candidates.set(from, { decode, score, needs: info.needs, reference: info.reference || '' });
+    }
+    if (!this._pickTimer) this._pickTimer = setTimeout(() => this._pick(), PICK_DELAY_MS);
+  }
+
+  /** Status from any instance — detects the operator taking over TX. */
+  onStatus(status) {
+    if (!this.active) return;
+    const t = this._target;
+    const dxCall = (status.dxCall || '').toUpperCase();
+    if (t && status.id === t.id) {
+      if (Date.now() - t.lastReplyAt < STATUS_GRACE_MS) return;
+      if (dxCall && dxCall !== t.call) this.stop('manual');
+      return;
+    }
+    // Transmitting to anyone we didn't pick (a finished target's 73 is fine)
+    if (status.transmitting && !this._called.has(dxCall)) this.stop('manual');
+  }
+
+  onQsoLogged(qso) {
+    const call = (qso.dxCall || '').toUpperCase();
+    const t = this._target;
+    if (!this.active || !t || call !== t.call) return;
+    this._called.add(call);
+    this._clearTarget();
+    if (this.rules.continueAfterQso) this._emitState();
+    else this.stop('worked ' + call);
+  }
+
+  // --- Sequencing ---
+
+  _pick() {
+    this._pickTimer = null;
+    if (!this.active || this._target) return;
+    let best = null;
+    for (const c of this._candidates.values()) {
+      if (!best || c.score > best.score || (c.score === best.score && c.decode.snr > best.decode.snr)) best = c;
+    }
+    this._candidates.clear();
+    if (!best) return;
+    const call = best.decode.dxCall.toUpperCase();
+    this._target = {
+      call,
+      id: best.decode.id,
+      attempts: 0,
+      needs: best.needs,
+      reference: best.reference,
+      startedAt: Date.now(),
+      lastReplyAt: 0,
+    };
+    this._called.add(call);
+    this._targetTimer = setTimeout(() => this._giveUp('timed out'), this.rules.targetTimeoutSec * 1000);
+    this._reply(best.decode);
+  }
+
+  _reply(decode) {
+    const t = this._target;
+    t.attempts++;
+    t.lastReplyAt = Date.now();
+    this.emit('reply', { decode });
+    this._emitState();
+  }
+
+  _giveUp(why) {
+    const t = this._target;
+    if (!t) return;
+    this.emit('halt', { id: t.id });
+    this._lastReason = `${t.call}: ${why}`;
+    this._clearTarget();
+    this._emitState();
+  }
+
+  _clearTarget() {
+    clearTimeout(this._targetTimer);
+    this._targetTimer = null;
+    this._target = null;
+  }
+
+  _emitState() {
+    const t = this._target;
+    this.emit('state', {
+      active: this.active,
+      target: t ? { call: t.call, id: t.id, attempts: t.attempts, needs: t.needs, reference: t.reference } : null,
+      maxAttempts: this.rules.maxAttempts,
+      called: this._called.size,
+      reason: this._lastReason,
+    });
+  }
+}
+
+module.exports = { Ft8Hunter, DEFAULT_RULES, normalizeRules, NEEDS };
@@ -0,0 +1,143 @@
+// Shared HTTPS helpers for the spot/directory API clients
+//
+// Every GET goes through one layer that:
+//  - for polled feeds (conditional: true), sends If-None-Match /
+//    If-Modified-Since and reuses the cached body on 304
+//  - backs off exponentially per URL after failures (30s, 60s, ... capped at 15 min)
+//  - records health per URL: last OK time, last error, latency, consecutive failures
+const https = require('https');
+
+const USER_AGENT = 'POTACAT/1.0';
+const BACKOFF_BASE_MS = 30000;
+const BACKOFF_MAX_MS = 15 * 60000;
+const MAX_VALIDATORS = 32; // cached bodies kept; the oldest goes first
+
+// url → { etag, lastModified, body } — validators for conditional requests
+const validators = new Map();
+// url → { lastOk, lastError, lastErrorTime, latencyMs, failures, retryAt, notModified }
+const endpoints = new Map();
+
+function endpoint(url) {
+  let e = endpoints.get(url);
+  if (!e) {
+    e = { lastOk: 0, lastError: '', lastErrorTime: 0, latencyMs: null, failures: 0, retryAt: 0, notModified: false };
+    endpoints.set(url, e);
+  }
+  return e;
+}
+
+function backoffDelay(failures) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(0, failures - 1)), BACKOFF_MAX_MS);
+}
+
+function request(url, { timeout, headers, conditional }) {
+  return new Promise((resolve, reject) => {
+    const get = (u, depth) => {
+      if (depth > 5) return reject(new Error('Too many redirects'));
+      const cached = conditional ? validators.get(u) : null;
+      const reqHeaders = { 'User-Agent': USER_AGENT, ...headers };
+      if (cached && cached.etag) reqHeaders['If-None-Match'] = cached.etag;
+      if (cached && cached.lastModified) reqHeaders['If-Modified-Since'] = cached.lastModified;
+
+      const req = https.get(u, { headers: reqHeaders, timeout }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.statusCode !== 304 && res.headers.location) {
+          res.resume();
+          return get(new URL(res.headers.location, u).toString(), depth + 1);
+        }
+        if (res.statusCode === 304 && cached) {
+          res.resume();
+          return resolve({ body: cached.body, notModified: true });
+        }
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume();
+          return reject(new Error(`HTTP ${res.statusCode}`));
+        }
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          const etag = res.headers.etag;
+          const lastModified = res.headers['last-modified'];
+          if (conditional && (etag || lastModified)) {
+            validators.delete(u); // re-insert as newest
+            validators.set(u, { etag, lastModified, body: data });
+            if (validators.size > MAX_VALIDATORS) validators.delete(validators.keys().next().value);
+          }
+          resolve({ body: data, notModified: false });
+        });
+        res.on('error', reject);
+      });
+      req.on('timeout', () => { req.destroy(new Error('Request timed out')); });
+      req.on('error', reject);
+    };
+    get(url, 0);
+  });
+}
+
+/**
+ * GET a URL and resolve with the response body as text.
+ * Follows up to 5 redirects and rejects on non-2xx status. While a URL is
+ * backing off, rejects immediately with err.backoff = true and err.retryAt.
+ * Pass conditional: true for feeds polled at a fixed URL — the body is kept
+ * for 304 replies, so one-off lookups shouldn't.
+ * @param {string} url
+ * @param {{ timeout?: number, headers?: object, conditional?: boolean }} [opts]
+ * @returns {Promise<string>}
+ */
+async function getText(url, { timeout = 10000, headers = {}, conditional = false } = {}) {
+  const ep = endpoint(url);
+  const now = Date.now();
+  if (ep.retryAt > now) {
+    const err = new Error(`Backing off after ${ep.failures} failure${ep.failures === 1 ? '' : 's'} — retry in ${Math.ceil((ep.retryAt - now) / 1000)}s`);
+    err.backoff = true;
+    err.retryAt = ep.retryAt;
+    throw err;
+  }
+
+  const start = Date.now();
+  try {
+    const { body, notModified } = await request(url, { timeout, headers, conditional });
+    ep.latencyMs = Date.now() - start;
+    ep.lastOk = Date.now();
+    ep.failures = 0;
+    ep.retryAt = 0;
+    ep.notModified = notModified;
+    return body;
+  } catch (err) {
+    ep.latencyMs = Date.now() - start;
+    ep.failures++;
+    ep.lastError = err.message;
+    ep.lastErrorTime = Date.now();
+    ep.retryAt = Date.now() + backoffDelay(ep.failures);
+    err.retryAt = ep.retryAt;
+    throw err;
+  }
+}
+
+/**
+ * GET a URL and parse the body as JSON.
+ * @param {string} url
+ * @param {string} [label] - API name used in the parse error message
+ * @param {{ timeout?: number, headers?: object, conditional?: boolean }} [opts]
+ */
+async function getJson(url, label, opts) {
+  const text = await getText(url, opts);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Failed to parse ${label || 'JSON'} response`);
+  }
+}
+
+/** Health snapshot for a URL, or null if it has never been requested. */
+function getEndpointHealth(url) {
+  const e = endpoints.get(url);
+  return e ? { ...e } : null;
+}
+
+/** Clear backoff for a URL so the next request goes out immediately (manual refresh). */
+function resetBackoff(url) {
+  const e = endpoints.get(url);
+  if (e) e.retryAt = 0;
+}
+
+module.exports = { getText, getJson, getEndpointHealth, resetBackoff, USER_AGENT };
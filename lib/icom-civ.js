@@ -0,0 +1,594 @@
+// Icom CI-V CAT client — native binary CI-V over serial (no Hamlib/rigctld needed)
+//
+// Frame: FE FE <to> <from> <cmd> [sub] [data...] FD
+//   Radio addresses are per model (IC-7300 = 0x94, IC-705 = 0xA4, ...);
+//   the controller (us) is 0xE0. Replies are either data frames echoing the
+//   command byte, FB (OK) or FA (NG). On a shared CI-V bus the radio echoes
+//   our own frames back and sends FC (jammer) on a collision.
+//
+// Same EventEmitter contract as CatClient: emits 'status', 'frequency',
+// 'mode', 'power', 'nb', 'receiver' (and 'log' when _debug is set).
+const { EventEmitter } = require('events');
+const { SerialPort } = require('serialport');
+
+const PREAMBLE = 0xFE;
+const EOM = 0xFD;
+const ACK = 0xFB;
+const NAK = 0xFA;
+const JAMMER = 0xFC;
+const CONTROLLER_ADDR = 0xE0;
+const DEFAULT_RADIO_ADDR = 0x94; // IC-7300
+
+const CMD_TRX_FREQ = 0x00;   // transceive (unsolicited) frequency
+const CMD_TRX_MODE = 0x01;   // transceive (unsolicited) mode
+const CMD_READ_FREQ = 0x03;
+const CMD_READ_MODE = 0x04;
+const CMD_SET_FREQ = 0x05;
+const CMD_SET_MODE = 0x06;
+const CMD_VFO = 0x07;
+const CMD_SPLIT = 0x0F;
+const CMD_LEVEL = 0x14;      // sub 0x02 RF gain, 0x0A RF power
+const CMD_FUNC = 0x16;       // sub 0x22 noise blanker
+const CMD_EXT = 0x1A;        // sub 0x03 IF filter width, 0x06 data mode
+const CMD_TX = 0x1C;         // sub 0x00 PTT, 0x01 antenna tuner
+const CMD_VFO_FREQ = 0x25;   // sub 0x00 selected, 0x01 unselected VFO frequency (IC-7300 and newer)
+const CMD_VFO_MODE = 0x26;   // sub 0x00 selected, 0x01 unselected VFO mode/data/filter
+
+const COMMAND_TIMEOUT_MS = 300;
+const COMMAND_RETRIES = 2;
+const MAX_QUEUE = 16;          // polls are dropped beyond this, commands never are
+const TRANSCEIVE_QUIET_MS = 10000; // skip freq/mode polling while unsolicited updates are flowing
+
+// CI-V mode byte → mode string (matches CatClient's names)
+const CIV_TO_MODE = { 0x00: 'LSB', 0x01: 'USB', 0x02: 'AM', 0x03: 'CW', 0x04: 'RTTY', 0x05: 'FM', 0x06: 'FM', 0x07: 'CW', 0x08: 'RTTY', 0x17: 'DV' };
+
+class IcomCivClient extends EventEmitter {
+  constructor() {
+    super();
+    this.transport = null; // SerialPort
+    this.connected = false;
+    this._reconnectTimer = null;
+    this._pollTimer = null;
+    this._target = null; // { type: 'icom', path, baudRate, civAddress, dtrOff, maxPower }
+    this._rx = Buffer.alloc(0);
+    this._queue = [];      // pending { frame, match, retries, poll }
+    this._inflight = null; // command awaiting a reply
+    this._replyTimer = null;
+    this._debug = false;
+    this._radioAddr = DEFAULT_RADIO_ADDR;
+    this._maxPower = 100;
+    this._modeByte = null;
+    this._dataMode = false;
+    this._lastParsedMode = null;
+    this._lastTransceive = 0;
+    this._subRxSupported = true;
+    this._subRx = { frequency: 0, mode: null }; // unselected VFO
+  }
+
+  connect(target) {
+    this.disconnect();
+    this._target = target;
+    this._radioAddr = parseCivAddress(target.civAddress);
+    this._maxPower = target.maxPower > 0 ? target.maxPower : 100;
+    this._subRxSupported = true;
+    this._subRx = { frequency: 0, mode: null };
+    this._connectSerial(target);
+  }
+
+  _log(msg) {
+    if (this._debug) this.emit('log', msg);
+  }
+
+  _connectSerial({ path, baudRate, dtrOff }) {
+    const port = new SerialPort({
+      path,
+      baudRate: baudRate || 19200,
+      dataBits: 8,
+      stopBits: 1,
+      parity: 'none',
+      autoOpen: false,
+      rtscts: false,
+      hupcl: false,
+    });
+    this.transport = port;
+
+    port.on('data', (chunk) => this._onData(chunk));
+
+    port.on('open', () => {
+      if (this.transport !== port) {
+        try { port.close(); } catch { /* ignore */ }
+        return;
+      }
+      if (dtrOff) {
+        try {
+          port.set({ dtr: false, rts: false });
+        } catch { /* some drivers don't support set() */ }
+      }
+      this._log(`CI-V connected to ${path} @ ${baudRate || 19200} baud, radio=0x${hex(this._radioAddr)}`);
+      this.connected = true;
+      this.emit('status', { connected: true, target: this._target });
+      this._startPolling();
+    });
+
+    port.on('error', () => { /* handled in close */ });
+
+    port.on('close', () => {
+      this.connected = false;
+      this._stopPolling();
+      this._clearQueue();
+      this.emit('status', { connected: false, target: this._target });
+      this._scheduleReconnect();
+    });
+
+    port.open((err) => {
+      if (err) {
+        this.connected = false;
+        this.emit('status', { connected: false, target: this._target, error: err.message });
+        this._scheduleReconnect();
+      }
+    });
+  }
+
+  // --- Framing ---
+
+  _onData(chunk) {
+    this._rx = Buffer.concat([this._rx, chunk]);
+    for (;;) {
+      const start = this._rx.indexOf(PREAMBLE);
+      if (start === -1) { this._rx = Buffer.alloc(0); return; }
+      if (start > 0) this._rx = this._rx.subarray(start);
+      const end = this._rx.indexOf(EOM);
+      if (end === -1) {
+        if (this._rx.length > 64) this._rx = Buffer.alloc(0); // garbage, resync
+        return;
+      }
+      const frame = this._rx.subarray(0, end + 1);
+      this._rx = this._rx.subarray(end + 1);
+      if (frame.includes(JAMMER)) {
+        this._onCollision();
+        continue;
+      }
+      // Skip the preamble bytes (a collision can leave more than two)
+      let i = 0;
+      while (i < frame.length && frame[i] === PREAMBLE) i++;
+      if (frame.length - i < 3) continue; // to, from, ... FD
+      this._onFrame(frame[i], frame[i + 1], frame.subarray(i + 2, frame.length - 1));
+    }
+  }
+
+  _onFrame(to, from, body) {
+    // Our own frame echoed back on a single-wire bus, or traffic between other stations
+    if (from === CONTROLLER_ADDR) return;
+    if (to !== CONTROLLER_ADDR && to !== 0x00) return;
+    if (from !== this._radioAddr) return;
+    if (body.length === 0) return;
+
+    const cmd = body[0];
+    const data = body.subarray(1);
+
+    if (cmd === ACK || cmd === NAK) {
+      if (this._inflight && this._inflight.match === 'ack') {
+        if (cmd === NAK) this._log(`rx: NG for ${frameHex(this._inflight.frame)}`);
+        this._complete();
+      } else if (cmd === NAK && this._inflight && isVfoCommand(this._inflight.frame)) {
+        // Older radios (IC-7000, IC-7100...) don't know 25/26 — stop asking
+        this._log('unselected VFO commands not supported — sub receiver readout disabled');
+        this._subRxSupported = false;
+        this._complete();
+      }
+      return;
+    }
+
+    switch (cmd) {
+      case CMD_TRX_FREQ:
+      case CMD_READ_FREQ: {
+        if (cmd === CMD_TRX_FREQ) this._lastTransceive = Date.now();
+        const hz = bcdToFreq(data);
+        if (hz > 0) this.emit('frequency', hz);
+        break;
+      }
+      case CMD_TRX_MODE:
+      case CMD_READ_MODE:
+        if (cmd === CMD_TRX_MODE) this._lastTransceive = Date.now();
+        if (data.length > 0) {
+          this._modeByte = data[0];
+          this._emitMode();
+        }
+        break;
+      case CMD_LEVEL:
+        if (data[0] === 0x0A && data.length >= 3) {
+          const level = bcdToLevel(data.subarray(1, 3));
+          this.emit('power', Math.round((level / 255) * this._maxPower));
+        }
+        break;
+      case CMD_FUNC:
+        if (data[0] === 0x22 && data.length >= 2) {
+          this.emit('nb', data[1] === 0x01);
+        }
+        break;
+      case CMD_VFO_FREQ:
+        if (data[0] === 0x01 && data.length >= 6) {
+          const hz = bcdToFreq(data.subarray(1));
+          if (hz > 0) {
+            this._subRx.frequency = hz;
+            this.emit('receiver', { receiver: 'B', ...this._subRx });
+          }
+        }
+        break;
+      case CMD_VFO_MODE:
+        if (data[0] === 0x01 && data.length >= 3) {
+          let name = CIV_TO_MODE[data[1]] || null;
+          if (data[2] && name === 'USB') name = 'DIGU';
+          if (data[2] && name === 'LSB') name = 'DIGL';
+          this._subRx.mode = name;
+          if (this._subRx.frequency) this.emit('receiver', { receiver: 'B', ...this._subRx });
+        }
+        break;
+      case CMD_EXT:
+        if (data[0] === 0x06 && data.length >= 2) {
+          const on = data[1] !== 0x00;
+          if (on !== this._dataMode) {
+            this._dataMode = on;
+            this._emitMode();
+          }
+        }
+        break;
+      default:
+        this._log(`rx: ${frameHex(body)}`);
+    }
+
+    if (this._inflight && this._inflight.match !== 'ack' && matches(this._inflight.match, body)) {
+      this._complete();
+    }
+  }
+
+  _emitMode() {
+    let name = CIV_TO_MODE[this._modeByte];
+    if (!name) return;
+    if (this._dataMode && name === 'USB') name = 'DIGU';
+    if (this._dataMode && name === 'LSB') name = 'DIGL';
+    this._lastParsedMode = name;
+    this.emit('mode', name);
+  }
+
+  // --- Command queue ---
+  // CI-V is half duplex: one command on the wire at a time, each waiting for
+  // its reply (or FB/FA) before the next goes out.
+
+  /**
+   * @param {number[]} bytes - command, sub-command and data
+   * @param {{ match?: number[]|'ack', priority?: boolean, poll?: boolean }} [opts]
+   *   match: reply prefix to wait for (reads), or 'ack' for FB/FA (sets)
+   */
+  _send(bytes, { match = 'ack', priority = false, poll = false } = {}) {
+    if (!this.connected || !this.transport) return;
+    if (poll && this._queue.length >= MAX_QUEUE) return;
+    const entry = {
+      frame: Buffer.from([PREAMBLE, PREAMBLE, this._radioAddr, CONTROLLER_ADDR, ...bytes, EOM]),
+      match,
+      retries: COMMAND_RETRIES,
+      poll,
+    };
+    if (priority) this._queue.unshift(entry);
+    else this._queue.push(entry);
+    this._pump();
+  }
+
+  _pump() {
+    if (this._inflight || this._queue.length === 0 || !this.connected) return;
+    this._inflight = this._queue.shift();
+    this._transmit();
+  }
+
+  _transmit() {
+    const entry = this._inflight;
+    if (!entry || !this.transport) return;
+    this.transport.write(entry.frame);
+    this._log(`tx: ${frameHex(entry.frame)}`);
+    if (this._replyTimer) clearTimeout(this._replyTimer);
+    this._replyTimer = setTimeout(() => this._onTimeout(), COMMAND_TIMEOUT_MS);
+  }
+
+  _onTimeout() {
+    this._replyTimer = null;
+    const entry = this._inflight;
+    if (!entry) return;
+    if (entry.retries-- > 0 && !entry.poll) {
+      this._log(`timeout, retrying ${frameHex(entry.frame)}`);
+      this._transmit();
+      return;
+    }
+    this._log(`no reply to ${frameHex(entry.frame)}`);
+    this._complete();
+  }
+
+  _onCollision() {
+    // Jammer seen: the frame in flight was garbled. Back off a random few
+    // tens of ms (so two controllers don't collide again) then resend.
+    const entry = this._inflight;
+    if (!entry) return;
+    if (this._replyTimer) { clearTimeout(this._replyTimer); this._replyTimer = null; }
+    if (entry.retries-- <= 0) {
+      this._log(`collision, giving up on ${frameHex(entry.frame)}`);
+      this._complete();
+      return;
+    }
+    const backoff = 20 + Math.floor(Math.random() * 40);
+    this._log(`collision, resending in ${backoff}ms`);
+    this._replyTimer = setTimeout(() => {
+      this._replyTimer = null;
+      if (this._inflight === entry && this.connected) this._transmit();
+    }, backoff);
+  }
+
+  _complete() {
+    if (this._replyTimer) { clearTimeout(this._replyTimer); this._replyTimer = null; }
+    this._inflight = null;
+    this._pump();
+  }
+
+  _clearQueue() {
+    if (this._replyTimer) { clearTimeout(this._replyTimer); this._replyTimer = null; }
+    this._queue = [];
+    this._inflight = null;
+  }
+
+  _dropPolls() {
+    this._queue = this._queue.filter((e) => !e.poll);
+  }
+
+  // --- Polling ---
+
+  _startPolling() {
+    this._stopPolling();
+    this._pollCount = 0;
+    this._pollTimer = setInterval(() => {
+      const slow = this._pollCount++ % 5 === 0;
+      // With CI-V Transceive on, the radio pushes freq/mode changes itself —
+      // only confirm them occasionally
+      const transceive = Date.now() - this._lastTransceive < TRANSCEIVE_QUIET_MS;
+      if (!transceive || slow) {
+        this._send([CMD_READ_FREQ], { match: [CMD_READ_FREQ], poll: true });
+        this._send([CMD_READ_MODE], { match: [CMD_READ_MODE], poll: true });
+      }
+      if (slow) {
+        this._send([CMD_EXT, 0x06], { match: [CMD_EXT, 0x06], poll: true });
+        this._send([CMD_LEVEL, 0x0A], { match: [CMD_LEVEL, 0x0A], poll: true });
+        this._send([CMD_FUNC, 0x22], { match: [CMD_FUNC, 0x22], poll: true });
+        if (this._subRxSupported) {
+          this._send([CMD_VFO_FREQ, 0x01], { match: [CMD_VFO_FREQ, 0x01], poll: true });
+          this._send([CMD_VFO_MODE, 0x01], { match: [CMD_VFO_MODE, 0x01], poll: true });
+        }
+      }
+    }, 1000);
+  }
+
+  _stopPolling() {
+    if (this._pollTimer) {
+      clearInterval(this._pollTimer);
+      this._pollTimer = null;
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this._reconnectTimer || !this._target) return;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this._target) this.connect(this._target);
+    }, 2000);
+  }
+
+  // --- Control ---
+
+  tune(frequencyHz, mode, { split, filterWidth } = {}) {
+    this._log(`tune() called: freq=${frequencyHz} mode=${mode} split=${!!split} filter=${filterWidth || 0} connected=${this.connected}`);
+    if (!this.connected) return false;
+    // Stale polls would report the old frequency after the tune
+    this._dropPolls();
+
+    // Mode before frequency — mode changes can shift the displayed VFO (CW pitch)
+    const mapped = mode ? mapModeCiv(mode, frequencyHz) : null;
+    if (mapped) {
+      const targetName = mapped.data ? (mapped.mode === 0x00 ? 'DIGL' : 'DIGU') : CIV_TO_MODE[mapped.mode];
+      // Skip if already in the target mode — resending resets the filter on most Icoms
+      if (targetName !== this._lastParsedMode) {
+        if (mapped.mode !== this._modeByte) this._send([CMD_SET_MODE, mapped.mode]);
+        if (mapped.data !== this._dataMode) this._send([CMD_EXT, 0x06, mapped.data ? 0x01 : 0x00, mapped.data ? 0x01 : 0x00]);
+      }
+    }
+
+    this._send([CMD_SET_FREQ, ...freqToBcd(frequencyHz)]);
+
+    if (mapped && filterWidth > 0) {
+      const idx = civFilterIndex(filterWidth, mapped.mode);
+      if (idx != null) this._send([CMD_EXT, 0x03, toBcdByte(idx)]);
+    }
+
+    this._send([CMD_SPLIT, split ? 0x01 : 0x00]);
+    // Confirm the change quickly (drives the click sound)
+    this._send([CMD_READ_FREQ], { match: [CMD_READ_FREQ] });
+    return true;
+  }
+
+  /** Tune the unselected VFO (sub receiver) without touching the main one. */
+  tuneReceiver(receiver, frequencyHz, mode, opts) {
+    if (receiver !== 'B') return this.tune(frequencyHz, mode, opts);
+    if (!this.connected) return false;
+    this._log(`tuneReceiver B: freq=${frequencyHz} mode=${mode || ''}`);
+    this._send([CMD_VFO_FREQ, 0x01, ...freqToBcd(frequencyHz)]);
+    const mapped = mode ? mapModeCiv(mode, frequencyHz) : null;
+    // 26 01 <mode> <data> <filter>: filter 01 = FIL1
+    if (mapped) this._send([CMD_VFO_MODE, 0x01, mapped.mode, mapped.data ? 0x01 : 0x00, 0x01]);
+    this._send([CMD_VFO_FREQ, 0x01], { match: [CMD_VFO_FREQ, 0x01] });
+    return true;
+  }
+
+  setTransmit(state) {
+    if (!this.connected) return;
+    // PTT jumps the queue — never leave the radio keyed behind a backlog of polls
+    this._send([CMD_TX, 0x00, state ? 0x01 : 0x00], { priority: true });
+    this._log(`PTT: ${state ? 'TX' : 'RX'}`);
+  }
+
+  setFilterWidth(hz) {
+    if (!this.connected || !hz) return;
+    const idx = civFilterIndex(hz, this._modeByte);
+    if (idx == null) return;
+    this._send([CMD_EXT, 0x03, toBcdByte(idx)]);
+    this._log(`setFilterWidth index ${idx} (${hz}Hz)`);
+  }
+
+  setNb(on) {
+    if (!this.connected) return;
+    this._send([CMD_FUNC, 0x22, on ? 0x01 : 0x00]);
+    this._log(`setNb ${on ? 'ON' : 'OFF'}`);
+  }
+
+  startTune() {
+    if (!this.connected) return;
+    this._send([CMD_TX, 0x01, 0x02]);
+    this._log('ATU tune started');
+  }
+
+  setVfo(vfo) {
+    if (!this.connected) return;
+    const b = (vfo || 'A').toUpperCase() === 'B';
+    this._send([CMD_VFO, b ? 0x01 : 0x00]);
+    this._log(`setVfo ${b ? 'B' : 'A'}`);
+  }
+
+  swapVfo() {
+    if (!this.connected) return;
+    this._send([CMD_VFO, 0xB0]);
+    this._log('swapVfo');
+  }
+
+  /** @param {number} val - 0..1 */
+  setRfGain(val) {
+    if (!this.connected) return;
+    this._send([CMD_LEVEL, 0x02, ...levelToBcd(Math.round(val * 255))]);
+  }
+
+  /** @param {number} val - 0..1 */
+  setTxPower(val) {
+    if (!this.connected) return;
+    this._send([CMD_LEVEL, 0x0A, ...levelToBcd(Math.round(val * 255))]);
+  }
+
+  disconnect() {
+    this._target = null; // Clear target first to prevent auto-reconnect from close event
+    this._stopPolling();
+    this._clearQueue();
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    if (this.transport) {
+      if (this.transport.isOpen) this.transport.close();
+      this.transport = null;
+    }
+    this._rx = Buffer.alloc(0);
+    this.connected = false;
+  }
+}
+
+// --- Helpers ---
+
+function hex(n) {
+  return n.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function frameHex(buf) {
+  return Array.from(buf, hex).join(' ');
+}
+
+/** Accepts 0x94, '94', '0x94' or '94h'; falls back to the IC-7300 default. */
+function parseCivAddress(addr) {
+  if (typeof addr === 'number' && addr > 0 && addr < 0xE0) return addr;
+  const n = parseInt(String(addr || '').replace(/^0x/i, '').replace(/h$/i, ''), 16);
+  return n > 0 && n < 0xE0 ? n : DEFAULT_RADIO_ADDR;
+}
+
+function isVfoCommand(frame) {
+  return frame[4] === CMD_VFO_FREQ || frame[4] === CMD_VFO_MODE;
+}
+
+function matches(prefix, body) {
+  for (let i = 0; i < prefix.length; i++) {
+    if (body[i] !== prefix[i]) return false;
+  }
+  return true;
+}
+
+function toBcdByte(n) {
+  return ((Math.floor(n / 10) % 10) << 4) | (n % 10);
+}
+
+/** Frequency in Hz → 5 BCD bytes, least significant first (10 Hz|1 Hz, 1 kHz|100 Hz, ...). */
+function freqToBcd(hz) {
+  const out = [];
+  let v = Math.max(0, Math.round(hz));
+  for (let i = 0; i < 5; i++) {
+    out.push(toBcdByte(v % 100));
+    v = Math.floor(v / 100);
+  }
+  return out;
+}
+
+function bcdToFreq(bytes) {
+  let hz = 0;
+  let mult = 1;
+  for (let i = 0; i < Math.min(bytes.length, 5); i++) {
+    const b = bytes[i];
+    hz += ((b & 0x0F) + (b >> 4) * 10) * mult;
+    mult *= 100;
+  }
+  return hz;
+}
+
+/** Level 0–255 → 2 BCD bytes, most significant first (0128 → 01 28). */
+function levelToBcd(level) {
+  const v = Math.max(0, Math.min(255, level));
+  return [toBcdByte(Math.floor(v / 100)), toBcdByte(v % 100)];
+}
+
+function bcdToLevel(bytes) {
+  const hi = (bytes[0] >> 4) * 10 + (bytes[0] & 0x0F);
+  const lo = (bytes[1] >> 4) * 10 + (bytes[1] & 0x0F);
+  return hi * 100 + lo;
+}
+
+function ssbModeByte(freqHz) {
+  // 60m is USB by convention; all other bands below 10 MHz are LSB
+  if (freqHz >= 5300000 && freqHz <= 5410000) return 0x01;
+  return freqHz >= 10000000 ? 0x01 : 0x00;
+}
+
+/** Spot mode → { mode: CI-V mode byte, data: DATA mode on } */
+function mapModeCiv(mode, freqHz) {
+  const m = (mode || '').toUpperCase();
+  if (m === 'CW') return { mode: 0x03, data: false };
+  if (m === 'USB') return { mode: 0x01, data: false };
+  if (m === 'LSB') return { mode: 0x00, data: false };
+  if (m === 'SSB') return { mode: ssbModeByte(freqHz), data: false };
+  if (m === 'AM') return { mode: 0x02, data: false };
+  if (m === 'FM') return { mode: 0x05, data: false };
+  if (m === 'RTTY') return { mode: 0x04, data: false };
+  if (m === 'DIGU' || m === 'FT8' || m === 'FT4' || m === 'FT2') return { mode: 0x01, data: true };
+  if (m === 'DIGL') return { mode: 0x00, data: true };
+  return null;
+}
+
+/**
+ * IF filter width (Hz) → 1A 03 index for the current mode.
+ * SSB/CW/RTTY: 0–9 = 50–500 Hz in 50 Hz steps, 10–40 = 600–3600 Hz in 100 Hz steps.
+ * AM: 0–49 = 200–10000 Hz in 200 Hz steps. FM widths are fixed.
+ */
+function civFilterIndex(hz, modeByte) {
+  if (modeByte === 0x05 || modeByte === 0x06) return null;
+  if (modeByte === 0x02) return Math.max(0, Math.min(49, Math.round(hz / 200) - 1));
+  if (hz <= 500) return Math.max(0, Math.round(hz / 50) - 1);
+  return Math.min(40, 10 + Math.round((hz - 600) / 100));
+}
+
+module.exports = { IcomCivClient };
@@ -1,6 +1,9 @@
 // Iambic CW Keyer — state machine for MIDI paddle input
 // Modes: iambicA, iambicB, straight
 // Emits 'key' events with { down: bool, timestamp: number (16-bit ms) }
+//
+// TextKeyer — sends typed/memory text as timed key events through the same
+// 'key' event, so text and paddle CW share one path to the radio.
 
 const { EventEmitter } = require('events');
 
@@ -224,4 +227,137 @@ class IambicKeyer extends EventEmitter {
   }
 }
 
-module.exports = { IambicKeyer };
+// --- Text keyer ---
+
+const MORSE = {
+  A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.', H: '....',
+  I: '..', J: '.---', K: '-.-', L: '.-..', M: '--', N: '-.', O: '---', P: '.--.',
+  Q: '--.-', R: '.-.', S: '...', T: '-', U: '..-', V: '...-', W: '.--', X: '-..-',
+  Y: '-.--', Z: '--..',
+  0: '-----', 1: '.----', 2: '..---', 3: '...--', 4: '....-', 5: '.....',
+  6: '-....', 7: '--...', 8: '---..', 9: '----.',
+  '/': '-..-.', '?': '..--..', '.': '.-.-.-', ',': '--..--', '=': '-...-',
+  '+': '.-.-.', '-': '-....-', '@': '.--.-.', '!': '-.-.--', "'": '.----.',
+  ':': '---...', '(': '-.--.', ')': '-.--.-', '"': '.-..-.',
+};
+
+/** Upper-case text and drop characters that have no Morse code. */
+function sanitizeCwText(text) {
+  return String(text || '').toUpperCase().replace(/\s+/g, ' ')
+    .split('').filter(c => c === ' ' || MORSE[c]).join('');
+}
+
+/**
+ * Farnsworth gap unit in ms: characters keep the `wpm` element timing while
+ * letter (3 units) and word (7 units) gaps stretch so a PARIS word averages
+ * `farnsworthWpm` overall (ARRL formula). Falls back to a dit when off.
+ */
+function gapUnitMs(wpm, farnsworthWpm) {
+  const c = Math.max(5, Math.min(50, wpm || 20));
+  const s = farnsworthWpm || 0;
+  if (!(s > 0) || s >= c) return 1200 / c;
+  const delaySec = (60 * c - 37.2 * s) / (s * c);
+  return (delaySec * 1000) / 19;
+}
+
+/** Send time in ms for text at a given speed (PARIS timing, optional Farnsworth spacing). */
+function morseDurationMs(text, wpm, farnsworthWpm) {
+  const dit = 1200 / Math.max(5, Math.min(50, wpm || 20));
+  const gap = gapUnitMs(wpm, farnsworthWpm);
+  let ms = 0;
+  for (const c of sanitizeCwText(text)) {
+    if (c === ' ') { ms += gap * 4; continue; } // 7 total with the letter gap
+    for (const el of MORSE[c]) ms += ((el === '.' ? 1 : 3) + 1) * dit;
+    ms += gap * 3 - dit;
+  }
+  return Math.round(ms);
+}
+
+class TextKeyer extends EventEmitter {
+  constructor() {
+    super();
+    this._wpm = 20;
+    this._farnsworth = 0; // overall wpm for Farnsworth spacing (0 = off)
+    this._queue = '';
+    this._steps = [];    // [{ down, ms }] for the character being sent
+    this._timer = null;
+    this._keyDown = false;
+    this._sequenceStart = 0;
+    this._elapsedMs = 0;
+  }
+
+  get ditMs() { return Math.round(1200 / this._wpm); }
+  get busy() { return this._timer !== null; }
+
+  setWpm(wpm) {
+    this._wpm = Math.max(5, Math.min(50, wpm));
+  }
+
+  /** Stretch letter and word gaps to an overall speed below the character speed (0 = off). */
+  setFarnsworth(wpm) {
+    this._farnsworth = wpm > 0 ? Math.max(5, Math.min(50, wpm)) : 0;
+  }
+
+  /** Queue text for sending. Emits 'char' as each character starts and 'done' when the queue empties. */
+  send(text) {
+    const clean = sanitizeCwText(text);
+    if (!clean.trim()) return;
+    this._queue += (this._queue || this.busy ? ' ' : '') + clean;
+    if (!this.busy) {
+      this._sequenceStart = Date.now();
+      this._elapsedMs = 0;
+      this._nextStep();
+    }
+  }
+
+  stop() {
+    const wasBusy = this.busy;
+    if (this._timer) { clearTimeout(this._timer); this._timer = null; }
+    this._queue = '';
+    this._steps = [];
+    if (this._keyDown) this._emitKey(false);
+    if (wasBusy) this.emit('done', { aborted: true });
+  }
+
+  _nextStep() {
+    if (this._steps.length === 0) {
+      if (!this._queue) {
+        this._timer = null;
+        this.emit('done', { aborted: false });
+        return;
+      }
+      const c = this._queue[0];
+      this._queue = this._queue.slice(1);
+      this._steps = this._charSteps(c);
+      this.emit('char', { char: c });
+    }
+    const step = this._steps.shift();
+    if (step.down !== this._keyDown) this._emitKey(step.down);
+    this._timer = setTimeout(() => {
+      this._elapsedMs += step.ms;
+      this._nextStep();
+    }, step.ms);
+  }
+
+  _charSteps(c) {
+    const dit = this.ditMs;
+    const gap = Math.round(gapUnitMs(this._wpm, this._farnsworth));
+    if (c === ' ') return [{ down: false, ms: gap * 4 }];
+    const steps = [];
+    for (const el of MORSE[c]) {
+      steps.push({ down: true, ms: el === '.' ? dit : dit * 3 });
+      steps.push({ down: false, ms: dit });
+    }
+    // Letter gap: 3 units total after the last element
+    steps[steps.length - 1].ms = gap * 3;
+    return steps;
+  }
+
+  _emitKey(down) {
+    this._keyDown = down;
+    const timestamp = (this._sequenceStart + this._elapsedMs) & 0xFFFF;
+    this.emit('key', { down, timestamp });
+  }
+}
+
+module.exports = { IambicKeyer, TextKeyer, sanitizeCwText, morseDurationMs, MORSE };
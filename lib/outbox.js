@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Upload outbox — a persistent queue of QSO uploads (logbook forwarding,
+ * QRZ Logbook, re-spots, SOTA chases) with retry.
+ *
+ * One job per QSO and destination, saved to a JSON file so nothing is lost
+ * across restarts. A job is tried once right away, alongside any retries
+ * already under way, so logging a QSO never waits on a backlog. If that
+ * fails, it is retried with exponential backoff until it goes through, or
+ * until it runs out of attempts or gets too old to be useful. It is then kept as
+ * 'failed' until it is resent or removed. Sent jobs are dropped.
+ *
+ * Destinations are registered with a handler that returns a promise and
+ * throws on failure. Throw an error with `permanent: true` to fail a job
+ * without retrying. A success on a destination retries its waiting jobs
+ * at once, since whatever was down is evidently back.
+ *
+ * Emits 'change' (job list) and 'log' (string).
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const RETRY_BASE_MS = 30000;
+const RETRY_MAX_MS = 60 * 60000;
+const DEFAULT_MAX_ATTEMPTS = 12; // about 12 hours of retries with the cap
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+}
+
+class Outbox extends EventEmitter {
+  /**
+   * @param {string} filePath - where the queue is persisted
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this._jobs = [];
+    this._destinations = new Map(); // name → { label, send, maxAttempts, maxAgeMs }
+    this._timer = null;
+    this._running = false;
+    this._waiters = new Map(); // job id → resolve, for the first attempt
+    this._nextId = 1;
+  }
+
+  /**
+   * Register a destination.
+   * @param {string} name
+   * @param {{ label: string, send: (payload: object) => Promise<any>, maxAttempts?: number, maxAgeMs?: number }} opts
+   */
+  register(name, opts) {
+    this._destinations.set(name, { maxAttempts: DEFAULT_MAX_ATTEMPTS, maxAgeMs: 0, ...opts });
+  }
+
+  /** Load saved jobs and retry whatever is due. */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this._jobs = Array.isArray(data.jobs) ? data.jobs : [];
+      }
+    } catch (err) {
+      this.emit('log', `[Outbox] Could not read ${this.filePath}: ${err.message}`);
+      this._jobs = [];
+    }
+    for (const j of this._jobs) {
+      if (j.status === 'sending') j.status = 'pending'; // interrupted by a quit
+    }
+    this._nextId = this._jobs.reduce((m, j) => Math.max(m, j.id), 0) + 1;
+    this._schedule();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Queue an upload and wait for its first attempt.
+   * @param {string} dest - registered destination name
+   * @param {object} payload - JSON-serializable data for the handler
+   * @param {string} summary - what the job is, for the list (e.g. "W1AW 14074 FT8")
+   * @returns {Promise<{ ok: boolean, error?: string, retrying?: boolean }>}
+   */
+  enqueue(dest, payload, summary) {
+    if (!this._destinations.has(dest)) return Promise.resolve({ ok: false, error: `unknown destination ${dest}` });
+    const job = {
+      id: this._nextId++,
+      dest,
+      summary: summary || '',
+      payload,
+      status: 'pending',
+      attempts: 0,
+      lastError: '',
+      createdAt: Date.now(),
+      nextAttempt: Date.now(),
+    };
+    this._jobs.push(job);
+    this._changed();
+    const first = new Promise((resolve) => this._waiters.set(job.id, resolve));
+    // First try goes out now, not behind a backlog the runner may be working through
+    this._attempt(job).finally(() => this._schedule());
+    return first;
+  }
+
+  /** Jobs waiting or failed, oldest first, with their destination label. */
+  list() {
+    return this._jobs.map(j => ({
+      id: j.id,
+      dest: j.dest,
+      label: (this._destinations.get(j.dest) || {}).label || j.dest,
+      summary: j.summary,
+      status: j.status,
+      attempts: j.attempts,
+      lastError: j.lastError,
+      createdAt: j.createdAt,
+      nextAttempt: j.status === 'pending' ? j.nextAttempt : null,
+    }));
+  }
+
+  /** Try a job (or every job, with no id) again now, with a fresh set of attempts. */
+  resend(id) {
+    const now = Date.now();
+    for (const j of this._jobs) {
+      if (id != null && j.id !== id) continue;
+      if (j.status === 'sending') continue;
+      j.status = 'pending';
+      j.attempts = 0;
+      j.createdAt = now; // restart the age limit for time-sensitive jobs
+      j.nextAttempt = now;
+    }
+    this._changed();
+    this._schedule();
+  }
+
+  /** Drop a job without sending it. */
+  remove(id) {
+    const before = this._jobs.length;
+    this._jobs = this._jobs.filter(j => j.id !== id || j.status === 'sending');
+    if (this._jobs.length === before) return;
+    this._changed();
+    this._schedule();
+  }
+
+  // --- Queue runner ---
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._running) return; // _run reschedules when it finishes
+    const due = this._jobs.filter(j => j.status === 'pending').map(j => j.nextAttempt);
+    if (!due.length) return;
+    const wait = Math.max(0, Math.min(...due) - Date.now());
+    this._timer = setTimeout(() => this._run(), wait);
+  }
+
+  /** Send every due job, one at a time, oldest first. */
+  async _run() {
+    this._timer = null;
+    this._running = true;
+    try {
+      let job;
+      while ((job = this._jobs.find(j => j.status === 'pending' && j.nextAttempt <= Date.now()))) {
+        await this._attempt(job);
+      }
+    } finally {
+      this._running = false;
+      this._schedule();
+    }
+  }
+
+  async _attempt(job) {
+    const dest = this._destinations.get(job.dest);
+    if (!dest) {
+      this._fail(job, `unknown destination ${job.dest}`);
+      return;
+    }
+    if (dest.maxAgeMs && Date.now() - job.createdAt > dest.maxAgeMs) {
+      this._fail(job, job.lastError ? `${job.lastError} — too old to retry` : 'too old to send');
+      return;
+    }
+    job.status = 'sending';
+    job.attempts++;
+    this._changed();
+    try {
+      await dest.send(job.payload);
+    } catch (err) {
+      const msg = (err && err.message) || String(err);
+      if ((err && err.permanent) || job.attempts >= dest.maxAttempts) {
+        this._fail(job, msg);
+      } else {
+        job.status = 'pending';
+        job.lastError = msg;
+        job.nextAttempt = Date.now() + retryDelay(job.attempts);
+        this.emit('log', `[Outbox] ${dest.label} upload failed (${job.summary}): ${msg} — retry ${job.attempts + 1} in ${Math.round(retryDelay(job.attempts) / 1000)}s`);
+        this._changed();
+      }
+      this._settle(job, { ok: false, error: msg, retrying: job.status === 'pending' });
+      return;
+    }
+    this._jobs = this._jobs.filter(j => j !== job);
+    if (job.attempts > 1) this.emit('log', `[Outbox] ${dest.label} upload sent after ${job.attempts} attempts (${job.summary})`);
+    // Whatever was down is back — don't make its other jobs wait out their backoff
+    for (const j of this._jobs) {
+      if (j.dest === job.dest && j.status === 'pending') j.nextAttempt = Math.min(j.nextAttempt, Date.now());
+    }
+    this._changed();
+    this._settle(job, { ok: true });
+  }
+
+  _fail(job, msg) {
+    job.status = 'failed';
+    job.lastError = msg;
+    const label = (this._destinations.get(job.dest) || {}).label || job.dest;
+    this.emit('log', `[Outbox] ${label} upload gave up (${job.summary}): ${msg}`);
+    this._changed();
+    this._settle(job, { ok: false, error: msg });
+  }
+
+  _settle(job, result) {
+    const resolve = this._waiters.get(job.id);
+    if (!resolve) return;
+    this._waiters.delete(job.id);
+    resolve(result);
+  }
+
+  _changed() {
+    this._save();
+    this.emit('change', this.list());
+  }
+
+  _save() {
+    try {
+      const tmp = this.filePath + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify({ jobs: this._jobs }, null, 2));
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      this.emit('log', `[Outbox] Could not save ${this.filePath}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { Outbox, retryDelay };
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * QSL confirmation sync — downloads confirmations and merges them into the
+ * local QSO log (lib/qso-db.js):
+ *   - LoTW: lotwreport.adi with qso_qsl=yes. Incremental through
+ *     qso_qslsince; the report header's APP_LoTW_LASTQSL is the next start.
+ *   - eQSL: DownloadInBox.cfm with RcvdSince. It answers with an HTML page
+ *     linking the generated .adi file.
+ *   - Club Log: getadif.php, the whole log with the QSL and LoTW matches
+ *     Club Log holds. Only what changed is written back.
+ *
+ * Confirmations are matched to logged QSOs by call, band, mode class and
+ * a time window, then merged as ADIF fields. Base URLs can be overridden,
+ * e.g. to point the fetchers at local stand-in servers.
+ */
+
+const http = require('http');
+const https = require('https');
+const { parseRecord } = require('./adif');
+const { modeClass } = require('./band-plans');
+const { USER_AGENT } = require('./http');
+
+const TIMEOUT_MS = 120000; // first LoTW downloads of a big log are slow
+const MATCH_WINDOW_MIN = 30; // LoTW's own matching tolerance
+
+const DEFAULT_URLS = {
+  lotw: 'https://lotw.arrl.org/lotwuser/lotwreport.adi',
+  eqsl: 'https://www.eqsl.cc/qslcard/DownloadInBox.cfm',
+  clublog: 'https://clublog.org/getadif.php',
+};
+
+const SERVICES = ['lotw', 'eqsl', 'clublog'];
+
+// Station details LoTW reports with each QSL; used to fill blanks in the log
+const LOTW_DETAIL_FIELDS = ['DXCC', 'COUNTRY', 'STATE', 'CNTY', 'CQZ', 'ITUZ', 'GRIDSQUARE', 'IOTA'];
+
+// --- HTTP ---
+
+/** GET (or POST a form) and resolve with the body. Follows redirects. */
+function request(url, { form = null, timeout = TIMEOUT_MS } = {}, depth = 0) {
+  return new Promise((resolve, reject) => {
+    if (depth > 5) return reject(new Error('Too many redirects'));
+    const u = new URL(url);
+    const body = form ? new URLSearchParams(form).toString() : null;
+    const headers = { 'User-Agent': USER_AGENT };
+    if (body) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+    const lib = u.protocol === 'http:' ? http : https;
+    const req = lib.request(u, { method: body ? 'POST' : 'GET', headers, timeout }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return resolve(request(new URL(res.headers.location, u).toString(), { timeout }, depth + 1));
+      }
+      let data = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const detail = stripTags(data).slice(0, 120);
+          return reject(new Error(`HTTP ${res.statusCode}${detail ? ': ' + detail : ''}`));
+        }
+        resolve(data);
+      });
+      res.on('error', reject);
+    });
+    req.on('timeout', () => { req.destroy(new Error('Request timed out')); });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/** Split ADIF text into its header fields and records (records need a CALL). */
+function parseAdifText(text) {
+  const eoh = text.toUpperCase().indexOf('<EOH>');
+  const header = eoh === -1 ? {} : parseRecord(text.slice(0, eoh));
+  const body = eoh === -1 ? text : text.slice(eoh + 5);
+  const records = body.split(/<eor>/i).map(parseRecord).filter(f => f.CALL);
+  return { header, records, hasHeader: eoh !== -1 };
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 12); // YYYYMMDDHHMM
+}
+
+// --- Fetchers ---
+// Each resolves with { records, since } — since is where the next sync starts.
+
+async function fetchLotw({ username, password }, since, url) {
+  if (!username || !password) throw new Error('LoTW username and password not set');
+  const params = {
+    login: username, password,
+    qso_query: '1', qso_qsl: 'yes', qso_qsldetail: 'yes', qso_withown: 'yes',
+  };
+  if (since) params.qso_qslsince = since;
+  const text = await request(`${url}?${new URLSearchParams(params)}`);
+  const { header, records, hasHeader } = parseAdifText(text);
+  if (!hasHeader) {
+    if (/password/i.test(text)) throw new Error('LoTW: username or password incorrect');
+    throw new Error('LoTW: unexpected reply — ' + stripTags(text).slice(0, 80));
+  }
+  return { records, since: header.APP_LOTW_LASTQSL || since || null };
+}
+
+async function fetchEqsl({ username, password, qthNickname }, since, url) {
+  if (!username || !password) throw new Error('eQSL username and password not set');
+  const started = new Date();
+  const params = { UserName: username, Password: password };
+  if (since) params.RcvdSince = since;
+  if (qthNickname) params.QTHNickname = qthNickname;
+  const page = await request(`${url}?${new URLSearchParams(params)}`);
+  const link = /href\s*=\s*"([^"]+\.adi)"/i.exec(page);
+  if (!link) {
+    if (/no\s+(log entries|eqsls?)/i.test(page) || /no records/i.test(page)) {
+      return { records: [], since: utcStamp(started) };
+    }
+    const err = /error:?\s*([^<\r\n]+)/i.exec(page);
+    throw new Error('eQSL: ' + (err ? err[1].trim() : 'no ADIF file in reply'));
+  }
+  const text = await request(new URL(link[1], url).toString());
+  return { records: parseAdifText(text).records, since: utcStamp(started) };
+}
+
+async function fetchClubLog({ email, password, callsign, apiKey }, _since, url) {
+  if (!email || !password || !callsign || !apiKey) throw new Error('Club Log email, password, callsign and API key not set');
+  const text = await request(url, { form: { email, password, call: callsign, api: apiKey } });
+  const { records, hasHeader } = parseAdifText(text);
+  if (!hasHeader && !records.length && text.trim()) {
+    throw new Error('Club Log: ' + stripTags(text).slice(0, 80));
+  }
+  return { records, since: null };
+}
+
+const FETCHERS = { lotw: fetchLotw, eqsl: fetchEqsl, clublog: fetchClubLog };
+
+// --- Merging ---
+
+/** The ADIF fields a confirmation sets, or null if it confirms nothing. */
+function confirmationFields(service, r) {
+  const yes = (v) => (v || '').toUpperCase() === 'Y';
+  const today = utcStamp(new Date()).slice(0, 8);
+  if (service === 'lotw') {
+    if (!yes(r.QSL_RCVD)) return null;
+    return { LOTW_QSL_RCVD: 'Y', LOTW_QSLRDATE: r.QSLRDATE || today };
+  }
+  if (service === 'eqsl') {
+    return { EQSL_QSL_RCVD: 'Y', EQSL_QSLRDATE: r.QSLRDATE || today };
+  }
+  if (service === 'clublog') {
+    const out = {};
+    if (yes(r.QSL_RCVD)) Object.assign(out, { QSL_RCVD: 'Y', QSLRDATE: r.QSLRDATE || today });
+    if (yes(r.LOTW_QSL_RCVD)) Object.assign(out, { LOTW_QSL_RCVD: 'Y', LOTW_QSLRDATE: r.LOTW_QSLRDATE || today });
+    return Object.keys(out).length ? out : null;
+  }
+  return null;
+}
+
+/** QSO start in minutes since the epoch, or null without a usable date. */
+function qsoMinutes(f) {
+  const d = (f.QSO_DATE || '').replace(/-/g, '');
+  const t = (f.TIME_ON || '').replace(/:/g, '').padEnd(4, '0');
+  if (!/^\d{8}$/.test(d)) return null;
+  return Date.UTC(+d.slice(0, 4), +d.slice(4, 6) - 1, +d.slice(6, 8), +t.slice(0, 2) || 0, +t.slice(2, 4) || 0) / 60000;
+}
+
+/**
+ * The logged QSO a confirmation belongs to: same call and band (the caller
+ * filters on those), same mode class, closest start time within the window.
+ * @param {object} conf - confirmation record (ADIF fields)
+ * @param {Array<{ id: number, fields: object }>} candidates
+ */
+function matchQso(conf, candidates) {
+  const when = qsoMinutes(conf);
+  if (when == null) return null;
+  const mc = modeClass(conf.SUBMODE || conf.MODE);
+  let best = null;
+  let bestDiff = Infinity;
+  for (const c of candidates) {
+    const t = qsoMinutes(c.fields);
+    if (t == null) continue;
+    const diff = Math.abs(t - when);
+    if (diff > MATCH_WINDOW_MIN || diff >= bestDiff) continue;
+    const cmc = modeClass(c.fields.SUBMODE || c.fields.MODE);
+    if (mc && cmc && mc !== cmc) continue;
+    best = c;
+    bestDiff = diff;
+  }
+  return best;
+}
+
+/**
+ * Merge downloaded confirmations into the log. Fields already set are left
+ * alone, so running the same report twice changes nothing.
+ * @returns {{ received: number, matched: number, updated: number }}
+ */
+function mergeConfirmations(db, service, records) {
+  const result = { received: records.length, matched: 0, updated: 0 };
+  db.transaction(() => {
+    for (const r of records) {
+      const fields = confirmationFields(service, r);
+      if (!fields) continue;
+      const match = matchQso(r, db.find({ call: r.CALL, band: r.BAND }));
+      if (!match) continue;
+      result.matched++;
+      const q = match.fields;
+      const changes = {};
+      for (const [k, v] of Object.entries(fields)) {
+        // A newer receive date alone isn't a change worth rewriting the log for
+        if (k.endsWith('RDATE') ? !q[k] : (q[k] || '').toUpperCase() !== v) changes[k] = v;
+      }
+      if (service === 'lotw') {
+        for (const k of LOTW_DETAIL_FIELDS) if (r[k] && !q[k]) changes[k] = r[k];
+      } else if (r.GRIDSQUARE && !q.GRIDSQUARE) {
+        changes.GRIDSQUARE = r.GRIDSQUARE;
+      }
+      if (!Object.keys(changes).length) continue;
+      db.update([match.id], changes);
+      result.updated++;
+    }
+  });
+  return result;
+}
+
+/**
+ * Download one service's confirmations and merge them into the log.
+ * @param {'lotw'|'eqsl'|'clublog'} service
+ * @param {object} db - QsoDatabase
+ * @param {object} creds - service credentials
+ * @param {string|null} since - where the previous sync left off
+ * @param {object} [urls] - base URL overrides by service
+ * @returns {Promise<{ received: number, matched: number, updated: number, since: string|null }>}
+ */
+async function syncConfirmations(service, db, creds, since, urls = {}) {
+  const fetcher = FETCHERS[service];
+  if (!fetcher) throw new Error(`Unknown QSL service "${service}"`);
+  const { records, since: next } = await fetcher(creds || {}, since || null, urls[service] || DEFAULT_URLS[service]);
+  return { ...mergeConfirmations(db, service, records), since: next };
+}
+
+module.exports = {
+  syncConfirmations,
+  mergeConfirmations,
+  matchQso,
+  confirmationFields,
+  parseAdifText,
+  SERVICES,
+  DEFAULT_URLS,
+};
@@ -0,0 +1,448 @@
+'use strict';
+
+/**
+ * Local QSO database — an indexed sql.js store that is the source of truth
+ * for the logbook. The ADIF log file is kept as a continuously synced export:
+ * inserts are appended to it, edits and deletes rewrite it atomically.
+ *
+ * Each row keeps the full record as JSON (every ADIF field preserved, keys
+ * uppercase) next to a handful of indexed columns used for lookups.
+ *
+ * If the ADIF file changes behind our back (another logger appending to it,
+ * the user editing it by hand) the store is re-imported from the file, so
+ * nothing written outside POTACAT is clobbered by the next rewrite. When the
+ * log path is switched, the new file is merged in instead: QSOs logged under
+ * the old path stay in the store and are written to the new file.
+ */
+
+const fs = require('fs');
+const { parseAllRawQsos } = require('./adif');
+const { appendRawQso, rewriteAdifFile } = require('./adif-writer');
+
+const SAVE_DELAY_MS = 1000;
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS qsos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  call TEXT NOT NULL,
+  qso_date TEXT NOT NULL DEFAULT '',
+  time_on TEXT NOT NULL DEFAULT '',
+  band TEXT NOT NULL DEFAULT '',
+  mode TEXT NOT NULL DEFAULT '',
+  sig TEXT NOT NULL DEFAULT '',
+  sig_info TEXT NOT NULL DEFAULT '',
+  my_sig TEXT NOT NULL DEFAULT '',
+  my_sig_info TEXT NOT NULL DEFAULT '',
+  dxcc TEXT NOT NULL DEFAULT '',
+  fields TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_qsos_call ON qsos(call);
+CREATE INDEX IF NOT EXISTS idx_qsos_band ON qsos(band);
+CREATE INDEX IF NOT EXISTS idx_qsos_mode ON qsos(mode);
+CREATE INDEX IF NOT EXISTS idx_qsos_date ON qsos(qso_date, time_on);
+CREATE INDEX IF NOT EXISTS idx_qsos_sig ON qsos(sig, sig_info);
+CREATE INDEX IF NOT EXISTS idx_qsos_my_sig ON qsos(my_sig, my_sig_info, qso_date);
+CREATE INDEX IF NOT EXISTS idx_qsos_dxcc ON qsos(dxcc);
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+`;
+
+const COLUMNS = ['call', 'qso_date', 'time_on', 'band', 'mode', 'sig', 'sig_info', 'my_sig', 'my_sig_info', 'dxcc', 'fields'];
+const INSERT_SQL = `INSERT INTO qsos (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`;
+const UPDATE_SQL = `UPDATE qsos SET ${COLUMNS.map(c => c + ' = ?').join(', ')} WHERE id = ?`;
+
+// Query filter key → indexed column
+const FILTER_COLUMNS = {
+  call: 'call', band: 'band', mode: 'mode', qsoDate: 'qso_date',
+  sig: 'sig', sigInfo: 'sig_info', mySig: 'my_sig', mySigInfo: 'my_sig_info', dxcc: 'dxcc',
+};
+
+function upper(v) {
+  return (v == null ? '' : String(v)).trim().toUpperCase();
+}
+
+/** Indexed column values (in COLUMNS order) for a raw ADIF field object. */
+function rowValues(fields) {
+  return [
+    upper(fields.CALL),
+    (fields.QSO_DATE || '').replace(/-/g, ''),
+    (fields.TIME_ON || '').replace(/:/g, ''),
+    upper(fields.BAND),
+    upper(fields.MODE),
+    upper(fields.SIG),
+    upper(fields.SIG_INFO),
+    upper(fields.MY_SIG),
+    upper(fields.MY_SIG_INFO),
+    upper(fields.DXCC),
+    JSON.stringify(fields),
+  ];
+}
+
+/** Identity of a QSO for merging logs: call, date, start minute, band, mode. */
+function qsoKey(fields) {
+  return [
+    upper(fields.CALL),
+    (fields.QSO_DATE || '').replace(/-/g, ''),
+    (fields.TIME_ON || '').replace(/:/g, '').slice(0, 4),
+    upper(fields.BAND),
+    upper(fields.MODE),
+  ].join('|');
+}
+
+/** Drop empty values so the ADIF export matches what rewriteAdifFile writes. */
+function cleanFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value == null || value === '') continue;
+    out[key.toUpperCase()] = String(value);
+  }
+  return out;
+}
+
+class QsoDatabase {
+  /**
+   * @param {string} dbPath - where the SQLite file is persisted
+   */
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.adifPath = null;
+    this._db = null;
+    this._saveTimer = null;
+    this._inTransaction = false;
+    this._txRewrite = false;
+    this._txAppend = [];
+  }
+
+  /** Load sql.js and open (or create) the database file. */
+  async open() {
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+    let buffer = null;
+    try {
+      if (fs.existsSync(this.dbPath)) buffer = fs.readFileSync(this.dbPath);
+    } catch (err) {
+      console.error('[QSO DB] Failed to read database, starting fresh:', err.message);
+    }
+    try {
+      this._db = buffer ? new SQL.Database(buffer) : new SQL.Database();
+      this._db.exec(SCHEMA);
+    } catch (err) {
+      // Corrupt file — keep it aside and rebuild from the ADIF log on attach()
+      console.error('[QSO DB] Database unreadable, rebuilding:', err.message);
+      try { fs.renameSync(this.dbPath, this.dbPath + '.corrupt'); } catch { /* ignore */ }
+      this._db = new SQL.Database();
+      this._db.exec(SCHEMA);
+    }
+    this._setMeta('schema_version', SCHEMA_VERSION);
+  }
+
+  /**
+   * Point the store at an ADIF export file (null for none — the store keeps
+   * its QSOs). Merges the file in when it is new to us, re-imports it when it
+   * was changed outside POTACAT, and recreates it from the database when it
+   * has gone missing.
+   */
+  attach(adifPath) {
+    this.adifPath = adifPath || null;
+    const known = this._getMeta('adif_path') || null;
+    if (!this.adifPath) {
+      if (known) {
+        this._rememberAdif(null);
+        this._scheduleSave();
+      }
+      return;
+    }
+
+    const stat = this._statAdif();
+    if (known !== this.adifPath) {
+      this._mergeAdif(stat);
+      return;
+    }
+    if (!stat) {
+      if (this.count() > 0) {
+        this._rewriteExport();
+        this._scheduleSave();
+      }
+      return;
+    }
+    if (String(stat.size) !== this._getMeta('adif_size') || String(stat.mtimeMs) !== this._getMeta('adif_mtime')) {
+      console.log('[QSO DB] ADIF log changed outside POTACAT — re-importing');
+      this._importAdif(stat);
+    }
+  }
+
+  /** Flush pending writes and close. */
+  close() {
+    if (!this._db) return;
+    this.flush();
+    this._db.close();
+    this._db = null;
+  }
+
+  // --- Queries ---
+
+  count() {
+    return this._scalar('SELECT COUNT(*) FROM qsos') || 0;
+  }
+
+  /** All QSOs as raw ADIF field objects, in log (insertion) order. */
+  all() {
+    return this._select('SELECT fields FROM qsos ORDER BY id').map(r => JSON.parse(r.fields));
+  }
+
+  /** Newest QSOs first, by QSO_DATE + TIME_ON. */
+  recent(limit = 10) {
+    return this._select('SELECT fields FROM qsos ORDER BY qso_date DESC, time_on DESC LIMIT ?', [limit])
+      .map(r => JSON.parse(r.fields));
+  }
+
+  /**
+   * Indexed lookup. Filter keys: call, band, mode, qsoDate, sig, sigInfo,
+   * mySig, mySigInfo, dxcc (exact, case-insensitive), dateFrom / dateTo
+   * (YYYYMMDD, inclusive). Returns [{ id, fields }] in log order.
+   */
+  find(filter = {}) {
+    const where = [];
+    const params = [];
+    for (const [key, col] of Object.entries(FILTER_COLUMNS)) {
+      if (filter[key] == null || filter[key] === '') continue;
+      where.push(`${col} = ?`);
+      params.push(key === 'qsoDate' ? String(filter[key]).replace(/-/g, '') : upper(filter[key]));
+    }
+    if (filter.dateFrom) { where.push('qso_date >= ?'); params.push(String(filter.dateFrom).replace(/-/g, '')); }
+    if (filter.dateTo) { where.push('qso_date <= ?'); params.push(String(filter.dateTo).replace(/-/g, '')); }
+    const sql = 'SELECT id, fields FROM qsos' + (where.length ? ' WHERE ' + where.join(' AND ') : '') + ' ORDER BY id';
+    return this._select(sql, params).map(r => ({ id: r.id, fields: JSON.parse(r.fields) }));
+  }
+
+  /** Worked map for spot marking: CALL → [{ date, ref, band, mode }]. */
+  workedMap() {
+    const map = new Map();
+    for (const r of this._select('SELECT call, qso_date, sig_info, band, mode FROM qsos WHERE call != \'\' ORDER BY id')) {
+      if (!map.has(r.call)) map.set(r.call, []);
+      map.get(r.call).push({ date: r.qso_date, ref: r.sig_info, band: r.band, mode: r.mode });
+    }
+    return map;
+  }
+
+  /** Row id of the QSO at a given position in log order (the idx used by the log viewers). */
+  idAt(idx) {
+    if (!Number.isInteger(idx) || idx < 0) return null;
+    return this._scalar('SELECT id FROM qsos ORDER BY id LIMIT 1 OFFSET ?', [idx]);
+  }
+
+  // --- Edits ---
+
+  /**
+   * Run fn inside a transaction. Everything fn does is rolled back if it throws.
+   * The ADIF export is rewritten once afterwards if fn edited anything.
+   */
+  transaction(fn) {
+    if (this._inTransaction) return fn();
+    this._inTransaction = true;
+    this._txRewrite = false;
+    this._txAppend = [];
+    this._db.exec('BEGIN');
+    let result;
+    try {
+      result = fn();
+      this._db.exec('COMMIT');
+    } catch (err) {
+      this._db.exec('ROLLBACK');
+      throw err;
+    } finally {
+      this._inTransaction = false;
+    }
+    if (this._txRewrite) {
+      this._rewriteExport();
+    } else if (this._txAppend.length) {
+      this._appendExport(this._txAppend);
+    }
+    this._scheduleSave();
+    return result;
+  }
+
+  /** Insert raw ADIF field objects. Returns the new row ids. */
+  insert(records) {
+    const list = Array.isArray(records) ? records : [records];
+    return this.transaction(() => {
+      const ids = [];
+      for (const rec of list) {
+        const fields = cleanFields(rec);
+        if (!fields.CALL) continue;
+        this._db.run(INSERT_SQL, rowValues(fields));
+        ids.push(this._scalar('SELECT last_insert_rowid()'));
+        this._txAppend.push(fields);
+      }
+      return ids;
+    });
+  }
+
+  /** Merge updates into the given rows. Empty values remove the field. Returns rows changed. */
+  update(ids, updates) {
+    return this.transaction(() => {
+      let changed = 0;
+      for (const id of ids) {
+        const row = this._select('SELECT fields FROM qsos WHERE id = ?', [id])[0];
+        if (!row) continue;
+        const fields = cleanFields({ ...JSON.parse(row.fields), ...updates });
+        this._db.run(UPDATE_SQL, [...rowValues(fields), id]);
+        changed++;
+      }
+      if (changed) this._txRewrite = true;
+      return changed;
+    });
+  }
+
+  /** Delete the given rows. Returns rows removed. */
+  remove(ids) {
+    return this.transaction(() => {
+      let removed = 0;
+      for (const id of ids) {
+        this._db.run('DELETE FROM qsos WHERE id = ?', [id]);
+        removed += this._db.getRowsModified();
+      }
+      if (removed) this._txRewrite = true;
+      return removed;
+    });
+  }
+
+  /** Write the database file now instead of waiting for the debounce. */
+  flush() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+    if (!this._db) return;
+    try {
+      const tmp = this.dbPath + '.tmp';
+      fs.writeFileSync(tmp, Buffer.from(this._db.export()));
+      fs.renameSync(tmp, this.dbPath);
+    } catch (err) {
+      console.error('[QSO DB] Failed to save database:', err.message);
+    }
+  }
+
+  // --- ADIF sync ---
+
+  _statAdif() {
+    if (!this.adifPath) return null;
+    try { return fs.statSync(this.adifPath); } catch { return null; }
+  }
+
+  _rememberAdif(stat) {
+    this._setMeta('adif_path', this.adifPath || '');
+    this._setMeta('adif_size', stat ? stat.size : '');
+    this._setMeta('adif_mtime', stat ? stat.mtimeMs : '');
+  }
+
+  /** Replace the whole store with the contents of the ADIF file. */
+  _importAdif(stat) {
+    const records = stat ? parseAllRawQsos(this.adifPath) : [];
+    this._db.exec('BEGIN');
+    try {
+      this._db.exec('DELETE FROM qsos');
+      for (const rec of records) {
+        this._db.run(INSERT_SQL, rowValues(cleanFields(rec)));
+      }
+      this._rememberAdif(stat);
+      this._db.exec('COMMIT');
+    } catch (err) {
+      this._db.exec('ROLLBACK');
+      throw err;
+    }
+    if (records.length) console.log(`[QSO DB] Imported ${records.length} QSOs from ${this.adifPath}`);
+    this.flush();
+  }
+
+  /**
+   * Add the ADIF file's QSOs that the store doesn't have, then rewrite the
+   * file if the store has QSOs the file lacks (logged under another path).
+   */
+  _mergeAdif(stat) {
+    const records = stat ? parseAllRawQsos(this.adifPath) : [];
+    const have = new Map(); // qsoKey → rows not yet matched to a file record
+    for (const r of this._select('SELECT fields FROM qsos')) {
+      const k = qsoKey(JSON.parse(r.fields));
+      have.set(k, (have.get(k) || 0) + 1);
+    }
+    let added = 0;
+    let matched = 0;
+    this._db.exec('BEGIN');
+    try {
+      for (const rec of records) {
+        const fields = cleanFields(rec);
+        const k = qsoKey(fields);
+        if (have.get(k)) {
+          have.set(k, have.get(k) - 1);
+          matched++;
+          continue;
+        }
+        this._db.run(INSERT_SQL, rowValues(fields));
+        added++;
+      }
+      this._rememberAdif(stat);
+      this._db.exec('COMMIT');
+    } catch (err) {
+      this._db.exec('ROLLBACK');
+      throw err;
+    }
+    if (added) console.log(`[QSO DB] Merged ${added} QSOs from ${this.adifPath}`);
+    if (this.count() > matched + added) this._rewriteExport();
+    this.flush();
+  }
+
+  _appendExport(records) {
+    if (!this.adifPath) return;
+    for (const fields of records) appendRawQso(this.adifPath, fields);
+    this._rememberAdif(this._statAdif());
+  }
+
+  _rewriteExport() {
+    if (!this.adifPath) return;
+    rewriteAdifFile(this.adifPath, this.all());
+    this._rememberAdif(this._statAdif());
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+  }
+
+  // --- sql.js helpers ---
+
+  _select(sql, params = []) {
+    const stmt = this._db.prepare(sql);
+    const rows = [];
+    try {
+      stmt.bind(params);
+      while (stmt.step()) rows.push(stmt.getAsObject());
+    } finally {
+      stmt.free();
+    }
+    return rows;
+  }
+
+  _scalar(sql, params = []) {
+    const stmt = this._db.prepare(sql);
+    try {
+      stmt.bind(params);
+      return stmt.step() ? stmt.get()[0] : null;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  _getMeta(key) {
+    return this._scalar('SELECT value FROM meta WHERE key = ?', [key]);
+  }
+
+  _setMeta(key, value) {
+    this._db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)]);
+  }
+}
+
+module.exports = { QsoDatabase };
@@ -28,15 +28,7 @@ class RbnClient extends EventEmitter {
   connect({ host, port, callsign, watchlist }) {
     this.disconnect();
     this._target = { host: host || DEFAULT_HOST, port: port || DEFAULT_PORT, callsign: callsign || '', watchlist: watchlist || '' };
-    // Build filter set from own callsign + watchlist entries
-    this._filterCallsigns = new Set();
-    if (callsign) this._filterCallsigns.add(callsign.toUpperCase());
-    if (watchlist) {
-      for (const cs of watchlist.split(',')) {
-        const trimmed = cs.trim().toUpperCase();
-        if (trimmed) this._filterCallsigns.add(trimmed);
-      }
-    }
+    this.setFilter({ callsign, watchlist });
     this._loggedIn = false;
 
     const sock = new net.Socket();
@@ -62,6 +54,23 @@ class RbnClient extends EventEmitter {
     sock.connect(this._target.port, this._target.host);
   }
 
+  // Build filter set from own callsign + watchlist entries
+  setFilter({ callsign, watchlist }) {
+    this._filterCallsigns = new Set();
+    if (callsign) this._filterCallsigns.add(callsign.toUpperCase());
+    if (watchlist) {
+      for (const cs of watchlist.split(',')) {
+        const trimmed = cs.trim().toUpperCase();
+        if (trimmed) this._filterCallsigns.add(trimmed);
+      }
+    }
+  }
+
+  /** Feed a raw telnet line through the spot parser without a socket (offline replay). */
+  injectLine(line) {
+    this._parseSpotLine(line);
+  }
+
   disconnect() {
     if (this._reconnectTimer) {
       clearTimeout(this._reconnectTimer);
@@ -122,6 +131,10 @@ class RbnClient extends EventEmitter {
     const comment = m[4].trim();
     const timeHHMM = m[5];
 
+    // Raw line for session recording, before the filter — a replay applies
+    // the filter of its own time, so it sees the same traffic the live feed did
+    this.emit('line', line);
+
     // Client-side filter: only emit spots for our callsign or watchlist
     if (!this._filterCallsigns.has(dxCall.toUpperCase())) return;
 
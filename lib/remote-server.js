@@ -13,50 +13,8 @@ const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const WebSocket = require('ws');
 const { loadClubUsers, verifyMemberPassword, getMemberRigAccess, getScheduledNow } = require('./club-users');
-
-// --- License privilege ranges (duplicated from renderer/app.js) ---
-const PRIVILEGE_RANGES = {
-  us_extra: [
-    [1800, 2000, 'all'], [3500, 3600, 'cw_digi'], [3600, 4000, 'phone'],
-    [7000, 7125, 'cw_digi'], [7125, 7300, 'phone'], [10100, 10150, 'all'],
-    [14000, 14150, 'cw_digi'], [14150, 14350, 'phone'], [18068, 18168, 'all'],
-    [21000, 21200, 'cw_digi'], [21200, 21450, 'phone'], [24890, 24990, 'all'],
-    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  us_advanced: [
-    [1800, 2000, 'all'], [3525, 3600, 'cw_digi'], [3700, 4000, 'phone'],
-    [7025, 7125, 'cw_digi'], [7125, 7300, 'phone'], [10100, 10150, 'all'],
-    [14025, 14150, 'cw_digi'], [14175, 14350, 'phone'], [18068, 18168, 'all'],
-    [21025, 21200, 'cw_digi'], [21225, 21450, 'phone'], [24890, 24990, 'all'],
-    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  us_general: [
-    [1800, 2000, 'all'], [3525, 3600, 'cw_digi'], [3800, 4000, 'phone'],
-    [7025, 7125, 'cw_digi'], [7175, 7300, 'phone'], [10100, 10150, 'all'],
-    [14025, 14150, 'cw_digi'], [14225, 14350, 'phone'], [18068, 18168, 'all'],
-    [21025, 21200, 'cw_digi'], [21275, 21450, 'phone'], [24890, 24990, 'all'],
-    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  us_technician: [
-    [3525, 3600, 'cw_digi'], [7025, 7125, 'cw_digi'], [21025, 21200, 'cw_digi'],
-    [28000, 28300, 'cw_digi'], [28300, 28500, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  ca_basic: [
-    [50000, 54000, 'all'], [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  ca_honours: [
-    [1800, 2000, 'all'], [3500, 4000, 'all'], [7000, 7300, 'all'],
-    [10100, 10150, 'all'], [14000, 14350, 'all'], [18068, 18168, 'all'],
-    [21000, 21450, 'all'], [24890, 24990, 'all'], [28000, 29700, 'all'],
-    [50000, 54000, 'all'], [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-};
-const CW_DIGI_MODES = new Set(['CW', 'FT8', 'FT4', 'FT2', 'RTTY', 'DIGI', 'JS8', 'PSK31', 'PSK']);
-const PHONE_MODES = new Set(['SSB', 'USB', 'LSB', 'FM', 'AM']);
+const { normalizeSpotFilter, filterSpots } = require('./remote-spot-filter');
+const { getPlan, isOutOfPrivilege } = require('./band-plans');
 
 // --- ASN.1 DER helpers for self-signed cert generation (no openssl needed) ---
 function derLen(len) {
@@ -264,16 +222,35 @@ const ALLOWED_FILES = new Set([
   'remote.html', 'remote.js', 'remote.css',
 ]);
 
+const MAX_CLIENTS = 8;
+const CONTROL_REQUEST_TIMEOUT_MS = 20000;
+
+// Messages observers may send. Everything else (tune, PTT, logging, rig
+// settings) needs the control token. estop is allowed from anyone.
+const OBSERVER_MESSAGES = new Set([
+  'ping', 'estop', 'search-parks', 'get-past-activations', 'get-activation-map-data',
+  'lookup-call', 'get-all-qsos', 'set-spot-filter', 'cw-stop',
+  'request-control', 'release-control', 'grant-control', 'deny-control',
+]);
+
 class RemoteServer extends EventEmitter {
   constructor() {
     super();
     this._httpServer = null;
     this._wss = null;
-    this._client = null;       // single authenticated WebSocket
+    this._clients = new Set(); // authenticated WebSockets (operator + observers)
+    this._controller = null;   // session holding the control token (tune, PTT, log)
+    this._controlRequest = null; // { ws, timer } — observer waiting for a hand-off
+    this._nextClientId = 1;
+    this._replyTo = new Map();   // reply id → WebSocket that asked — see _awaitReply()
+    this._nextReplyId = 1;
     this._port = 7300;
     this._token = null;
     this._pttSafetyTimer = null;
     this._pttSafetyTimeout = 180; // seconds
+    this._cwText = false;          // text message being keyed on the desktop
+    this._cwPaddles = new Set();   // touch paddles currently held ('dit' / 'dah')
+    this._cwSafetyTimer = null;    // same limit as voice PTT
     this._pttActive = false;
     this._lastTuneTime = 0;
     this._lastFilterTime = 0;
@@ -284,6 +261,8 @@ class RemoteServer extends EventEmitter {
     this._activatorState = null;
     this._workedParks = null;
     this._workedQsos = null;
+    this._workedQsoMap = new Map(); // callsign → entries, for per-client hide-worked
+    this._watchlist = new Set();
     this._remoteSettings = {};
     this._colorblindMode = false;
     this.running = false;
@@ -294,7 +273,6 @@ class RemoteServer extends EventEmitter {
     this._clubCsvPath = null;
     this._clubRigs = [];       // settings.rigs for rig access filtering
     this._auditLogger = null;
-    this._authenticatedMember = null; // current club member
     this._activeRigId = null;
   }
 
@@ -372,15 +350,19 @@ class RemoteServer extends EventEmitter {
       this._pttActive = false;
       this.emit('ptt', { state: false });
     }
+    this._stopCw();
     if (this._pttSafetyTimer) {
       clearTimeout(this._pttSafetyTimer);
       this._pttSafetyTimer = null;
     }
-    if (this._client) {
-      if (this._client._heartbeat) { clearInterval(this._client._heartbeat); this._client._heartbeat = null; }
-      try { this._client.close(); } catch {}
-      this._client = null;
+    this._clearControlRequest();
+    for (const ws of this._clients) {
+      if (ws._heartbeat) { clearInterval(ws._heartbeat); ws._heartbeat = null; }
+      try { ws.close(); } catch {}
     }
+    this._clients.clear();
+    this._controller = null;
+    this._replyTo.clear();
     if (this._wss) {
       this._wss.close();
       this._wss = null;
@@ -499,14 +481,6 @@ class RemoteServer extends EventEmitter {
     const addr = req.socket.remoteAddress;
     console.log(`[Echo CAT] New connection from ${addr}`);
 
-    // Kick existing client
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'kicked', reason: 'Another client connected' });
-      if (this._client._heartbeat) { clearInterval(this._client._heartbeat); this._client._heartbeat = null; }
-      try { this._client.close(); } catch {}
-      this._onClientDisconnected();
-    }
-
     ws._authenticated = false;
 
     // Tell the phone which auth mode to show
@@ -515,26 +489,7 @@ class RemoteServer extends EventEmitter {
 
     // If token is not required (and not club mode), auto-authenticate immediately
     if (!this._requireToken && !this._clubMode) {
-      ws._authenticated = true;
-      this._client = ws;
-      this._sendTo(ws, { type: 'auth-ok', colorblindMode: !!this._colorblindMode, settings: this._remoteSettings });
-      if (this._lastSpots.length > 0) {
-        this._sendTo(ws, { type: 'spots', data: this._lastSpots });
-      }
-      this._sendTo(ws, { type: 'status', ...this._radioStatus });
-      if (this._activatorState) {
-        this._sendTo(ws, { type: 'activator-state', ...this._activatorState });
-      }
-      if (this._sessionContacts.length > 0) {
-        this._sendTo(ws, { type: 'session-contacts', contacts: this._sessionContacts });
-      }
-      if (this._workedParks) {
-        this._sendTo(ws, { type: 'worked-parks', refs: this._workedParks });
-      }
-      if (this._workedQsos) {
-        this._sendTo(ws, { type: 'worked-qsos', entries: this._workedQsos });
-      }
-      this.emit('client-connected', { address: addr });
+      this._admitClient(ws, null, {});
       console.log('[Echo CAT] Client auto-authenticated (no token required)');
     }
 
@@ -571,8 +526,8 @@ class RemoteServer extends EventEmitter {
     ws.on('close', () => {
       if (authTimer) clearTimeout(authTimer);
       if (ws._heartbeat) { clearInterval(ws._heartbeat); ws._heartbeat = null; }
-      if (ws === this._client) {
-        this._onClientDisconnected();
+      if (this._clients.has(ws)) {
+        this._onClientDisconnected(ws);
       }
     });
 
@@ -601,7 +556,6 @@ class RemoteServer extends EventEmitter {
         member = members.find(m => m.callsign === callUpper);
         if (member && verifyMemberPassword(member, msg.password || '')) {
           authenticated = true;
-          this._authenticatedMember = member;
           const addr = ws._socket?.remoteAddress || 'unknown';
           if (this._auditLogger) this._auditLogger.log(member.callsign, 'login', `Connected from ${addr}`);
           console.log(`[Echo CAT] Club member authenticated: ${member.callsign} (${member.role})`);
@@ -618,59 +572,31 @@ class RemoteServer extends EventEmitter {
       }
 
       if (authenticated) {
-        ws._authenticated = true;
-        this._client = ws;
-        const authOk = { type: 'auth-ok', colorblindMode: !!this._colorblindMode, settings: this._remoteSettings };
-        if (member) {
-          authOk.member = {
-            callsign: member.callsign,
-            firstname: member.firstname,
-            lastname: member.lastname,
-            role: member.role,
-            licenseClass: member.licenseClass,
-          };
-          // Schedule advisory: check if someone else is scheduled for the active rig
-          if (this._clubCsvPath) {
-            try {
-              const { members: allMembers } = loadClubUsers(this._clubCsvPath);
-              // Find active rig name
-              const activeRig = this._clubRigs.find(r => r.id === this._activeRigId);
-              if (activeRig) {
-                const scheduled = getScheduledNow(allMembers, activeRig.name);
-                if (scheduled && scheduled.callsign !== member.callsign) {
-                  const startStr = String(scheduled.slot.startH).padStart(2,'0') + ':' + String(scheduled.slot.startM).padStart(2,'0');
-                  const endStr = String(scheduled.slot.endH).padStart(2,'0') + ':' + String(scheduled.slot.endM).padStart(2,'0');
-                  authOk.scheduleAdvisory = {
-                    scheduledCallsign: scheduled.callsign,
-                    scheduledName: scheduled.firstname,
-                    radio: activeRig.name,
-                    time: startStr + '\u2013' + endStr,
-                  };
-                }
+        const extra = {};
+        // Schedule advisory: check if someone else is scheduled for the active rig
+        if (member && this._clubCsvPath) {
+          try {
+            const { members: allMembers } = loadClubUsers(this._clubCsvPath);
+            // Find active rig name
+            const activeRig = this._clubRigs.find(r => r.id === this._activeRigId);
+            if (activeRig) {
+              const scheduled = getScheduledNow(allMembers, activeRig.name);
+              if (scheduled && scheduled.callsign !== member.callsign) {
+                const startStr = String(scheduled.slot.startH).padStart(2,'0') + ':' + String(scheduled.slot.startM).padStart(2,'0');
+                const endStr = String(scheduled.slot.endH).padStart(2,'0') + ':' + String(scheduled.slot.endM).padStart(2,'0');
+                extra.scheduleAdvisory = {
+                  scheduledCallsign: scheduled.callsign,
+                  scheduledName: scheduled.firstname,
+                  radio: activeRig.name,
+                  time: startStr + '\u2013' + endStr,
+                };
               }
-            } catch {}
-          }
-        }
-        this._sendTo(ws, authOk);
-        // Send cached state
-        if (this._lastSpots.length > 0) {
-          this._sendTo(ws, { type: 'spots', data: this._lastSpots });
-        }
-        this._sendTo(ws, { type: 'status', ...this._radioStatus });
-        if (this._activatorState) {
-          this._sendTo(ws, { type: 'activator-state', ...this._activatorState });
-        }
-        if (this._sessionContacts.length > 0) {
-          this._sendTo(ws, { type: 'session-contacts', contacts: this._sessionContacts });
-        }
-        if (this._workedParks) {
-          this._sendTo(ws, { type: 'worked-parks', refs: this._workedParks });
-        }
-        if (this._workedQsos) {
-          this._sendTo(ws, { type: 'worked-qsos', entries: this._workedQsos });
+            }
+          } catch {}
         }
-        this.emit('client-connected', { address: ws._socket?.remoteAddress, member });
-        console.log('[Echo CAT] Client authenticated');
+        ws._deviceName = String(msg.deviceName || '').slice(0, 24);
+        if (msg.spotFilter) ws._spotFilter = normalizeSpotFilter(msg.spotFilter);
+        if (this._admitClient(ws, member, extra)) console.log('[Echo CAT] Client authenticated');
       } else {
         this._sendTo(ws, { type: 'auth-fail', reason: 'Invalid token' });
       }
@@ -678,26 +604,33 @@ class RemoteServer extends EventEmitter {
     }
 
     // All other messages require auth
-    if (!ws._authenticated || ws !== this._client) return;
+    if (!ws._authenticated || !this._clients.has(ws)) return;
+
+    // Observers are read-only until they hold the control token
+    if (ws !== this._controller && !OBSERVER_MESSAGES.has(msg.type)) {
+      this._sendTo(ws, { type: 'not-in-control', action: msg.type, holder: this._controller ? this._controller._label : null });
+      return;
+    }
 
+    const member = ws._member;
     switch (msg.type) {
       case 'tune': {
         const now = Date.now();
         if (now - this._lastTuneTime < 500) break; // rate limit
         this._lastTuneTime = now;
         // Club mode: check license privilege
-        if (this._clubMode && this._authenticatedMember) {
-          const blocked = this._checkTunePrivilege(msg.freqKhz, msg.mode);
+        if (this._clubMode && member) {
+          const blocked = this._checkTunePrivilege(member, msg.freqKhz, msg.mode);
           if (blocked) {
             this._sendTo(ws, { type: 'tune-blocked', reason: blocked });
             if (this._auditLogger) {
-              this._auditLogger.log(this._authenticatedMember.callsign, 'tune-blocked',
+              this._auditLogger.log(member.callsign, 'tune-blocked',
                 `${msg.freqKhz} kHz ${msg.mode || ''}: ${blocked}`);
             }
             break;
           }
           if (this._auditLogger) {
-            this._auditLogger.log(this._authenticatedMember.callsign, 'tune',
+            this._auditLogger.log(member.callsign, 'tune',
               `${msg.freqKhz} kHz ${msg.mode || ''}`);
           }
         }
@@ -710,16 +643,102 @@ class RemoteServer extends EventEmitter {
       }
 
       case 'ptt':
-        if (this._clubMode && this._authenticatedMember && this._auditLogger) {
-          this._auditLogger.log(this._authenticatedMember.callsign,
+        if (this._clubMode && member && this._auditLogger) {
+          this._auditLogger.log(member.callsign,
             msg.state ? 'ptt-on' : 'ptt-off', '');
         }
         this._handlePtt(!!msg.state);
         break;
 
       case 'estop':
-        // Emergency stop — no rate limiting
+        // Emergency stop — no rate limiting, honoured from any session
+        if (ws !== this._controller && this._auditLogger) {
+          this._auditLogger.log(member ? member.callsign : ws._label, 'estop', 'From observer');
+        }
         this._handlePtt(false);
+        this._stopCw();
+        break;
+
+      case 'cw-text': {
+        const text = String(msg.text || '').slice(0, 200).trim();
+        if (!text) break;
+        const blocked = this._checkCwPrivilege(member);
+        if (blocked) {
+          this._sendTo(ws, { type: 'tune-blocked', reason: blocked });
+          if (this._auditLogger) this._auditLogger.log(member.callsign, 'cw-blocked', blocked);
+          break;
+        }
+        if (this._clubMode && member && this._auditLogger) {
+          this._auditLogger.log(member.callsign, 'cw-text', text);
+        }
+        this._cwText = true;
+        this._startCwSafety();
+        this._broadcast({ type: 'cw-state', sending: true, text });
+        const vars = msg.vars || {};
+        this.emit('cw-text', {
+          text,
+          vars: { call: String(vars.call || '').slice(0, 16), rst: String(vars.rst || '').slice(0, 3) },
+          wpm: parseInt(msg.wpm, 10) || null,
+        });
+        break;
+      }
+
+      case 'cw-paddle': {
+        const paddle = msg.paddle === 'dah' ? 'dah' : 'dit';
+        const pressed = !!msg.pressed;
+        if (pressed) {
+          if (!this._cwText && this._cwPaddles.size === 0) {
+            // Start of a keying burst — check privileges and audit once, like PTT on
+            const blocked = this._checkCwPrivilege(member);
+            if (blocked) {
+              this._sendTo(ws, { type: 'tune-blocked', reason: blocked });
+              if (this._auditLogger) this._auditLogger.log(member.callsign, 'cw-blocked', blocked);
+              break;
+            }
+            if (this._clubMode && member && this._auditLogger) {
+              this._auditLogger.log(member.callsign, 'cw-paddle', '');
+            }
+          }
+          this._cwPaddles.add(paddle);
+          this._startCwSafety();
+        } else {
+          if (!this._cwPaddles.delete(paddle)) break; // release of a blocked press
+          this._cwMaybeIdle();
+        }
+        this.emit('cw-paddle', { paddle, pressed });
+        break;
+      }
+
+      case 'cw-wpm': {
+        const wpm = parseInt(msg.wpm, 10);
+        if (wpm >= 5 && wpm <= 50) this.emit('cw-wpm', { wpm });
+        break;
+      }
+
+      case 'cw-stop':
+        this._stopCw();
+        break;
+
+      case 'request-control':
+        this._requestControl(ws, !!msg.force);
+        break;
+
+      case 'grant-control': {
+        if (ws !== this._controller) break;
+        const target = [...this._clients].find(c => c._clientId === msg.to);
+        if (target) this._setController(target, `handed over by ${ws._label}`);
+        break;
+      }
+
+      case 'deny-control':
+        if (ws !== this._controller || !this._controlRequest) break;
+        this._sendTo(this._controlRequest.ws, { type: 'control-denied', reason: `${ws._label} kept control` });
+        this._logControl(this._controlRequest.ws, 'control-denied', `by ${ws._label}`);
+        this._clearControlRequest();
+        break;
+
+      case 'release-control':
+        if (ws === this._controller) this._setController(null, `released by ${ws._label}`);
         break;
 
       case 'signal':
@@ -732,7 +751,7 @@ class RemoteServer extends EventEmitter {
         break;
 
       case 'log-qso':
-        this.emit('log-qso', msg.data);
+        this.emit('log-qso', msg.data, this._awaitReply(ws));
         break;
 
       case 'set-activator-park':
@@ -746,12 +765,12 @@ class RemoteServer extends EventEmitter {
 
       case 'search-parks':
         if (msg.query) {
-          this.emit('search-parks', { query: msg.query });
+          this.emit('search-parks', { query: msg.query, replyId: this._awaitReply(ws) });
         }
         break;
 
       case 'get-past-activations':
-        this.emit('get-past-activations');
+        this.emit('get-past-activations', { replyId: this._awaitReply(ws) });
         break;
 
       case 'get-activation-map-data':
@@ -759,23 +778,24 @@ class RemoteServer extends EventEmitter {
           parkRef: msg.parkRef || '',
           date: msg.date || '',
           contacts: msg.contacts || [],
+          replyId: this._awaitReply(ws),
         });
         break;
 
       case 'switch-rig':
         if (msg.rigId) {
           // Club mode: verify member has rig access
-          if (this._clubMode && this._authenticatedMember) {
-            const allowedRigs = getMemberRigAccess(this._authenticatedMember, this._clubRigs);
+          if (this._clubMode && member) {
+            const allowedRigs = getMemberRigAccess(member, this._clubRigs);
             if (!allowedRigs.some(r => r.id === msg.rigId)) {
               this._sendTo(ws, { type: 'rig-blocked', reason: 'You do not have access to this radio' });
               if (this._auditLogger) {
-                this._auditLogger.log(this._authenticatedMember.callsign, 'switch-rig-blocked', msg.rigId);
+                this._auditLogger.log(member.callsign, 'switch-rig-blocked', msg.rigId);
               }
               break;
             }
             if (this._auditLogger) {
-              this._auditLogger.log(this._authenticatedMember.callsign, 'switch-rig', msg.rigId);
+              this._auditLogger.log(member.callsign, 'switch-rig', msg.rigId);
             }
           }
           this.emit('switch-rig', { rigId: msg.rigId });
@@ -847,26 +867,34 @@ class RemoteServer extends EventEmitter {
         break;
 
       case 'lookup-call':
-        if (msg.callsign) this.emit('lookup-call', { callsign: msg.callsign });
+        if (msg.callsign) {
+          this.emit('lookup-call', { callsign: msg.callsign, replyId: this._awaitReply(ws) });
+        }
         break;
 
       case 'scan-step':
         this.emit('scan-step', msg);
         break;
 
+      case 'set-spot-filter':
+        // Per-client view filter — doesn't touch the desktop's settings
+        ws._spotFilter = normalizeSpotFilter(msg.filter);
+        this._sendSpots(ws);
+        break;
+
       case 'get-all-qsos':
-        this.emit('get-all-qsos');
+        this.emit('get-all-qsos', { replyId: this._awaitReply(ws) });
         break;
 
       case 'update-qso':
         if (msg.idx !== undefined && msg.fields) {
-          this.emit('update-qso', { idx: msg.idx, fields: msg.fields });
+          this.emit('update-qso', { idx: msg.idx, fields: msg.fields, replyId: this._awaitReply(ws) });
         }
         break;
 
       case 'delete-qso':
         if (msg.idx !== undefined) {
-          this.emit('delete-qso', { idx: msg.idx });
+          this.emit('delete-qso', { idx: msg.idx, replyId: this._awaitReply(ws) });
         }
         break;
 
@@ -888,13 +916,11 @@ class RemoteServer extends EventEmitter {
         console.log('[Echo CAT] PTT safety timeout — forcing RX');
         this._pttActive = false;
         this.emit('ptt', { state: false });
-        // Notify phone
-        if (this._client && this._client.readyState === WebSocket.OPEN) {
-          this._sendTo(this._client, {
-            type: 'ptt-timeout',
-            message: 'PTT safety timeout reached — auto-RX',
-          });
-        }
+        // Notify phones
+        this._broadcast({
+          type: 'ptt-timeout',
+          message: 'PTT safety timeout reached — auto-RX',
+        });
       }, this._pttSafetyTimeout * 1000);
     }
 
@@ -902,25 +928,234 @@ class RemoteServer extends EventEmitter {
     this.emit('ptt', { state });
   }
 
-  _onClientDisconnected() {
-    // Force RX if PTT was active
-    if (this._pttActive) {
-      this._pttActive = false;
-      if (this._pttSafetyTimer) {
-        clearTimeout(this._pttSafetyTimer);
-        this._pttSafetyTimer = null;
+  // --- Remote CW ---
+
+  _cwActive() {
+    return this._cwText || this._cwPaddles.size > 0;
+  }
+
+  /** Same limit as voice PTT: keying can't run longer than the safety timeout. */
+  _startCwSafety() {
+    if (this._cwSafetyTimer) return;
+    this._cwSafetyTimer = setTimeout(() => {
+      this._cwSafetyTimer = null;
+      console.log('[Echo CAT] CW safety timeout — stopping keyer');
+      this._stopCw();
+      this._broadcast({
+        type: 'ptt-timeout',
+        message: 'CW safety timeout reached — keying stopped',
+      });
+    }, this._pttSafetyTimeout * 1000);
+  }
+
+  _cwMaybeIdle() {
+    if (this._cwActive()) return;
+    if (this._cwSafetyTimer) {
+      clearTimeout(this._cwSafetyTimer);
+      this._cwSafetyTimer = null;
+    }
+  }
+
+  /** Abort text and paddle keying and release the key. */
+  _stopCw() {
+    const wasActive = this._cwActive();
+    this._cwText = false;
+    this._cwPaddles.clear();
+    this._cwMaybeIdle();
+    if (wasActive) {
+      this.emit('cw-stop');
+      this._broadcast({ type: 'cw-state', sending: false });
+    }
+  }
+
+  /** Club mode: CW on the current frequency must be inside the member's privileges. */
+  _checkCwPrivilege(member) {
+    if (!this._clubMode || !member) return null;
+    const freqKhz = (this._radioStatus.freq || 0) / 1000;
+    if (!freqKhz) return 'Radio frequency unknown — CW blocked';
+    return this._checkTunePrivilege(member, freqKhz, 'CW');
+  }
+
+  /** The desktop finished (or gave up on) a text message. */
+  cwTextDone() {
+    if (!this._cwText) return;
+    this._cwText = false;
+    this._cwMaybeIdle();
+    this._broadcast({ type: 'cw-state', sending: false });
+  }
+
+  /** Tell the operator why CW couldn't be sent. */
+  sendCwError(message) {
+    this._sendTo(this._controller, { type: 'cw-error', message });
+  }
+
+  _onClientDisconnected(ws) {
+    const wasController = ws === this._controller;
+    this._clients.delete(ws);
+    for (const [id, target] of this._replyTo) {
+      if (target === ws) this._replyTo.delete(id);
+    }
+    if (this._controlRequest && this._controlRequest.ws === ws) this._clearControlRequest();
+    if (wasController) {
+      // Force RX if PTT was active
+      if (this._pttActive) {
+        this._releasePtt(`${ws._label} disconnected — PTT released`);
+        console.log('[Echo CAT] Operator disconnected while TX — forcing RX');
+      }
+      this._stopCw();
+      this._controller = null;
+      this._logControl(ws, 'control-release', 'Disconnected');
+      // A waiting observer takes over straight away
+      if (this._controlRequest) {
+        const next = this._controlRequest.ws;
+        this._clearControlRequest();
+        this._setController(next, `${ws._label} disconnected`);
       }
-      this.emit('ptt', { state: false });
-      console.log('[Echo CAT] Client disconnected while TX — forcing RX');
     }
     // Club mode: log disconnect
-    if (this._clubMode && this._authenticatedMember && this._auditLogger) {
-      this._auditLogger.log(this._authenticatedMember.callsign, 'logout', '');
+    if (this._clubMode && ws._member && this._auditLogger) {
+      this._auditLogger.log(ws._member.callsign, 'logout', '');
+    }
+    this._sendControlState();
+    this.emit('client-disconnected', { wasController, remaining: this._clients.size });
+    console.log(`[Echo CAT] Client disconnected (${ws._label}), ${this._clients.size} remaining`);
+  }
+
+  // --- Sessions & control token ---
+
+  /**
+   * Add an authenticated session. The first one (or any, while nobody holds
+   * control) becomes the operator; the rest are read-only observers.
+   * Returns false if the server is full.
+   */
+  _admitClient(ws, member, extra) {
+    if (this._clients.size >= MAX_CLIENTS) {
+      this._sendTo(ws, { type: 'kicked', reason: `ECHOCAT is full (${MAX_CLIENTS} devices)` });
+      try { ws.close(); } catch {}
+      return false;
+    }
+    ws._authenticated = true;
+    ws._member = member || null;
+    ws._clientId = this._nextClientId++;
+    ws._label = member ? member.callsign : `${ws._deviceName || 'Device'} #${ws._clientId}`;
+    if (!ws._spotFilter) ws._spotFilter = normalizeSpotFilter(null);
+    this._clients.add(ws);
+
+    const authOk = { type: 'auth-ok', clientId: ws._clientId, colorblindMode: !!this._colorblindMode, settings: this._remoteSettings, ...extra };
+    if (member) {
+      authOk.member = {
+        callsign: member.callsign,
+        firstname: member.firstname,
+        lastname: member.lastname,
+        role: member.role,
+        licenseClass: member.licenseClass,
+      };
+    }
+    this._sendTo(ws, authOk);
+    // Send cached state
+    if (this._lastSpots.length > 0) {
+      this._sendSpots(ws);
+    }
+    this._sendTo(ws, { type: 'status', ...this._radioStatus });
+    if (this._activatorState) {
+      this._sendTo(ws, { type: 'activator-state', ...this._activatorState });
+    }
+    if (this._sessionContacts.length > 0) {
+      this._sendTo(ws, { type: 'session-contacts', contacts: this._sessionContacts });
+    }
+    if (this._workedParks) {
+      this._sendTo(ws, { type: 'worked-parks', refs: this._workedParks });
+    }
+    if (this._workedQsos) {
+      this._sendTo(ws, { type: 'worked-qsos', entries: this._workedQsos });
+    }
+
+    if (!this._controller) {
+      this._setController(ws, 'first to connect');
+    } else {
+      this._sendControlState();
+    }
+    this.emit('client-connected', { address: ws._socket?.remoteAddress, member, clients: this._clients.size });
+    return true;
+  }
+
+  _requestControl(ws, force) {
+    if (ws === this._controller) return;
+    if (!this._controller) {
+      this._setController(ws, 'requested');
+      return;
+    }
+    // Club admins can take control without waiting for a hand-off
+    if (force && ws._member && ws._member.role === 'admin') {
+      this._setController(ws, `taken by admin ${ws._label}`);
+      return;
+    }
+    if (this._controlRequest) {
+      const reason = this._controlRequest.ws === ws ? 'Request already pending' : `${this._controlRequest.ws._label} is already waiting`;
+      this._sendTo(ws, { type: 'control-denied', reason });
+      return;
     }
-    this._authenticatedMember = null;
-    this._client = null;
-    this.emit('client-disconnected');
-    console.log('[Echo CAT] Client disconnected');
+    const timer = setTimeout(() => {
+      if (!this._controlRequest || this._controlRequest.ws !== ws) return;
+      this._clearControlRequest();
+      this._sendTo(ws, { type: 'control-denied', reason: `No answer from ${this._controller ? this._controller._label : 'operator'}` });
+      this._sendTo(this._controller, { type: 'control-request-expired' });
+    }, CONTROL_REQUEST_TIMEOUT_MS);
+    this._controlRequest = { ws, timer };
+    this._logControl(ws, 'control-request', `from ${this._controller._label}`);
+    this._sendTo(this._controller, { type: 'control-request', from: { id: ws._clientId, label: ws._label } });
+    this._sendTo(ws, { type: 'control-pending', holder: this._controller._label });
+  }
+
+  _clearControlRequest() {
+    if (!this._controlRequest) return;
+    clearTimeout(this._controlRequest.timer);
+    this._controlRequest = null;
+  }
+
+  /** Move the control token (ws = null releases it). Never carries TX across. */
+  _setController(ws, reason) {
+    const prev = this._controller;
+    if (prev === ws) return;
+    if (this._pttActive) this._releasePtt();
+    this._stopCw();
+    if (this._controlRequest && this._controlRequest.ws !== ws) {
+      this._sendTo(this._controlRequest.ws, { type: 'control-denied', reason: 'Control changed hands' });
+    }
+    this._clearControlRequest();
+    this._controller = ws;
+    if (ws) this._logControl(ws, 'control', `${prev ? `from ${prev._label}` : 'was free'} (${reason})`);
+    else if (prev) this._logControl(prev, 'control-release', reason);
+    console.log(`[Echo CAT] Control: ${ws ? ws._label : 'nobody'} (${reason})`);
+    this._sendControlState();
+    this.emit('control-changed', {
+      holder: ws ? { id: ws._clientId, label: ws._label, member: ws._member } : null,
+      previous: prev ? { id: prev._clientId, label: prev._label } : null,
+    });
+  }
+
+  /** Tell every session who holds control and who else is connected. */
+  _sendControlState() {
+    const clients = [...this._clients].map(c => ({ id: c._clientId, label: c._label, control: c === this._controller }));
+    const holder = this._controller ? { id: this._controller._clientId, label: this._controller._label } : null;
+    for (const ws of this._clients) {
+      this._sendTo(ws, { type: 'control', holder, you: ws === this._controller, clients });
+    }
+  }
+
+  _logControl(ws, event, details) {
+    if (!this._clubMode || !this._auditLogger) return;
+    this._auditLogger.log(ws._member ? ws._member.callsign : ws._label, event, details);
+  }
+
+  _releasePtt(message = 'Control changed — PTT released') {
+    this._pttActive = false;
+    if (this._pttSafetyTimer) {
+      clearTimeout(this._pttSafetyTimer);
+      this._pttSafetyTimer = null;
+    }
+    this.emit('ptt', { state: false });
+    this._broadcast({ type: 'ptt-force-rx', message });
   }
 
   // Force PTT release from external source (e.g. CAT disconnected during TX)
@@ -930,80 +1165,77 @@ class RemoteServer extends EventEmitter {
       this._pttSafetyTimer = null;
     }
     this._pttActive = false;
-    // Notify phone to update its PTT UI state
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, {
-        type: 'ptt-force-rx',
-        message: 'Radio connection lost — PTT released',
-      });
-    }
+    // Notify phones to update their PTT UI state
+    this._broadcast({
+      type: 'ptt-force-rx',
+      message: 'Radio connection lost — PTT released',
+    });
   }
 
   // --- Broadcasting ---
 
   broadcastSpots(spots) {
     this._lastSpots = spots;
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'spots', data: spots });
-    }
+    for (const ws of this._clients) this._sendSpots(ws);
+  }
+
+  /** Send the cached spots through this client's filter profile. */
+  _sendSpots(ws) {
+    const data = filterSpots(this._lastSpots, ws._spotFilter, {
+      workedQsos: this._workedQsoMap,
+      watchlist: this._watchlist,
+    });
+    this._sendTo(ws, { type: 'spots', data, total: this._lastSpots.length });
+  }
+
+  /** Watchlist callsigns for profiles with watchlist-only set. */
+  setWatchlist(calls) {
+    this._watchlist = new Set([...calls].map(c => String(c).toUpperCase()));
   }
 
   broadcastRadioStatus(status) {
     this._radioStatus = { ...this._radioStatus, ...status };
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'status', ...this._radioStatus });
-    }
+    this._broadcast({ type: 'status', ...this._radioStatus });
   }
 
   sendSourcesToClient(sources) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'sources', data: sources });
-    }
+    this._broadcast({ type: 'sources', data: sources });
   }
 
   sendRigsToClient(rigs, activeRigId) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
+    for (const ws of this._clients) {
       let filteredRigs = rigs;
       // Club mode: filter rigs by member access
-      if (this._clubMode && this._authenticatedMember) {
-        filteredRigs = getMemberRigAccess(this._authenticatedMember, this._clubRigs);
+      if (this._clubMode && ws._member) {
+        filteredRigs = getMemberRigAccess(ws._member, this._clubRigs);
       }
-      this._sendTo(this._client, { type: 'rigs', data: filteredRigs, activeRigId });
+      this._sendTo(ws, { type: 'rigs', data: filteredRigs, activeRigId });
     }
   }
 
-  sendLogResult(result) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'log-ok', ...result });
-    }
+  sendLogResult(result, replyId) {
+    this._sendReply({ type: 'log-ok', ...result }, replyId);
   }
 
   broadcastActivatorState(state) {
     this._activatorState = state;
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'activator-state', ...state });
-    }
+    this._broadcast({ type: 'activator-state', ...state });
   }
 
   setColorblindMode(enabled) {
     this._colorblindMode = !!enabled;
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'colorblind-mode', enabled: this._colorblindMode });
-    }
+    this._broadcast({ type: 'colorblind-mode', enabled: this._colorblindMode });
   }
 
   sendWorkedParks(refs) {
     this._workedParks = refs;
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'worked-parks', refs });
-    }
+    this._broadcast({ type: 'worked-parks', refs });
   }
 
   sendWorkedQsos(entries) {
     this._workedQsos = entries;
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'worked-qsos', entries });
-    }
+    this._workedQsoMap = new Map(entries);
+    this._broadcast({ type: 'worked-qsos', entries });
   }
 
   setRemoteSettings(obj) {
@@ -1012,15 +1244,11 @@ class RemoteServer extends EventEmitter {
   }
 
   broadcastClusterState(connected) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'cluster-state', connected });
-    }
+    this._broadcast({ type: 'cluster-state', connected });
   }
 
   sendSessionContacts() {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'session-contacts', contacts: this._sessionContacts });
-    }
+    this._broadcast({ type: 'session-contacts', contacts: this._sessionContacts });
   }
 
   addSessionContact(contact) {
@@ -1035,92 +1263,110 @@ class RemoteServer extends EventEmitter {
     this._contactNr = 0;
   }
 
-  sendParkResults(results) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'park-results', results });
-    }
+  sendParkResults(results, replyId) {
+    this._sendReply({ type: 'park-results', results }, replyId);
   }
 
-  sendPastActivations(activations) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'past-activations', data: activations });
-    }
+  sendPastActivations(activations, replyId) {
+    this._sendReply({ type: 'past-activations', data: activations }, replyId);
   }
 
-  sendCallLookup(data) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'call-lookup', ...data });
-    }
+  sendCallLookup(data, replyId) {
+    this._sendReply({ type: 'call-lookup', ...data }, replyId);
   }
 
-  sendActivationMapData(data) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'activation-map-data', data });
-    }
+  sendActivationMapData(data, replyId) {
+    this._sendReply({ type: 'activation-map-data', data }, replyId);
   }
 
-  sendAllQsos(qsos) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'all-qsos', data: qsos });
-    }
+  sendAllQsos(qsos, replyId) {
+    this._sendReply({ type: 'all-qsos', data: qsos }, replyId);
   }
 
-  sendQsoUpdated(result) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'qso-updated', ...result });
-    }
+  sendQsoUpdated(result, replyId) {
+    this._sendReply({ type: 'qso-updated', ...result }, replyId);
   }
 
-  sendQsoDeleted(result) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'qso-deleted', ...result });
-    }
+  sendQsoDeleted(result, replyId) {
+    this._sendReply({ type: 'qso-deleted', ...result }, replyId);
   }
 
   relaySignalToClient(data) {
-    if (this._client && this._client.readyState === WebSocket.OPEN) {
-      this._sendTo(this._client, { type: 'signal', data });
-    }
+    // WebRTC audio belongs to the operator in control
+    this._sendTo(this._controller, { type: 'signal', data });
   }
 
+  /** True if at least one authenticated session is open. */
   hasClient() {
-    return !!(this._client && this._client.readyState === WebSocket.OPEN && this._client._authenticated);
+    for (const ws of this._clients) {
+      if (ws.readyState === WebSocket.OPEN) return true;
+    }
+    return false;
   }
 
-  /** Get the currently authenticated club member (or null). */
+  /** Number of authenticated sessions (operator + observers). */
+  clientCount() {
+    return this._clients.size;
+  }
+
+  /** Label of the session holding control, or null. */
+  getControllerLabel() {
+    return this._controller ? this._controller._label : null;
+  }
+
+  /** Get the club member holding control (or null). */
   getAuthenticatedMember() {
-    return this._authenticatedMember;
+    return this._controller ? this._controller._member : null;
   }
 
-  // --- License privilege check (mirrors renderer/app.js isOutOfPrivilege) ---
-
-  _checkTunePrivilege(freqKhz, mode) {
-    if (!this._authenticatedMember || !this._authenticatedMember.licenseClass) return null;
-    const cls = this._authenticatedMember.licenseClass;
-    if (!cls || cls === 'none') return null;
-    const ranges = PRIVILEGE_RANGES[cls];
-    if (!ranges) return null;
-    if (!mode) return null;
-    const modeUpper = mode.toUpperCase();
-    for (const [lower, upper, allowed] of ranges) {
-      if (freqKhz >= lower && freqKhz <= upper) {
-        if (allowed === 'all') return null;
-        if (allowed === 'cw_digi' && CW_DIGI_MODES.has(modeUpper)) return null;
-        if (allowed === 'phone' && PHONE_MODES.has(modeUpper)) return null;
-      }
-    }
-    const licenseName = cls.replace('us_', '').replace('ca_', '');
-    return `${freqKhz} kHz ${mode} is outside ${licenseName} privileges`;
+  // --- License privilege check (shared band plans, same as the desktop spot filter) ---
+
+  _checkTunePrivilege(member, freqKhz, mode) {
+    if (!member || !member.licenseClass) return null;
+    if (!isOutOfPrivilege(freqKhz, mode, member.licenseClass)) return null;
+    const plan = getPlan(member.licenseClass);
+    return `${freqKhz} kHz ${mode} is outside ${plan ? plan.name : member.licenseClass} privileges`;
   }
 
   // --- Helpers ---
 
   _sendTo(ws, obj) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
     try {
       ws.send(JSON.stringify(obj));
     } catch {}
   }
 
+  _broadcast(obj) {
+    const data = JSON.stringify(obj);
+    for (const ws of this._clients) {
+      if (ws.readyState !== WebSocket.OPEN) continue;
+      try { ws.send(data); } catch {}
+    }
+  }
+
+  /**
+   * Note who asked for an answer. The id goes out with the request event and
+   * comes back with the reply, so overlapping requests from two sessions
+   * can't swap answers.
+   */
+  _awaitReply(ws) {
+    const id = this._nextReplyId++;
+    this._replyTo.set(id, ws);
+    return id;
+  }
+
+  /**
+   * Send a reply to the session that asked for it. If that session has gone
+   * (or the id is unknown) the reply is dropped — nobody else asked for it.
+   */
+  _sendReply(obj, replyId) {
+    const ws = this._replyTo.get(replyId);
+    this._replyTo.delete(replyId);
+    if (!ws || !this._clients.has(ws)) return;
+    this._sendTo(ws, obj);
+  }
+
   static generateToken() {
     return crypto.randomBytes(3).toString('hex').toUpperCase();
   }
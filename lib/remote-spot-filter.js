@@ -0,0 +1,121 @@
+// ECHOCAT spot filter profiles — each phone/tablet sends its own profile and
+// RemoteServer trims the spot list per client before it goes over the
+// (often cellular) link. Net reminder spots always pass.
+
+const BANDS = new Set(['160m', '80m', '60m', '40m', '30m', '20m', '17m', '15m', '12m', '10m', '6m', '2m', '70cm']);
+const MODES = new Set(['CW', 'SSB', 'FT8', 'FT4', 'FM', 'RTTY', 'FREEDV', 'DIGI']);
+// Feeds a client can switch off. Custom programs (spot-sources.json) aren't
+// listed here and are narrowed with `programs` instead.
+const SOURCES = new Set(['pota', 'sota', 'wwff', 'llota', 'dxc', 'rbn', 'pskr']);
+
+// Clients that never send a profile get the old SSB-only behaviour
+const DEFAULT_PROFILE = Object.freeze({
+  bands: null,
+  modes: ['SSB'],
+  sources: null,
+  programs: null,
+  hideWorked: false,
+  maxDistance: null,
+  watchlistOnly: false,
+});
+
+/** Map a spot/radio mode to the filter category used by the mode dropdowns. */
+function modeCategory(mode) {
+  const m = (mode || '').toUpperCase();
+  if (!m) return '';
+  if (m === 'CW' || m === 'CW-L' || m === 'CW-U' || m === 'CW-R' || m === 'CWR') return 'CW';
+  if (m === 'SSB' || m === 'USB' || m === 'LSB' || m === 'AM') return 'SSB';
+  if (m === 'FM' || m === 'NFM' || m === 'FM-N') return 'FM';
+  if (m.startsWith('RTTY')) return 'RTTY';
+  if (m === 'FT8' || m === 'FT4' || m === 'FREEDV') return m;
+  if (m === 'PSK' || m === 'PSK31' || m === 'JS8' || m === 'DIGI' || m === 'DATA' || m === 'DIGU' || m === 'DIGL' || m === 'PKTUSB' || m === 'PKTLSB') return 'DIGI';
+  return m;
+}
+
+/** Program prefix of a reference: US-1234 → US, W7W/KG-001 → W7W, VKFF-0001 → VKFF. */
+function referencePrefix(ref) {
+  const m = /^([A-Z0-9]+)[-/]/.exec((ref || '').toUpperCase());
+  return m ? m[1] : '';
+}
+
+function pickList(value, allowed, upper) {
+  if (!Array.isArray(value)) return null;
+  const out = [];
+  for (const v of value) {
+    const s = upper ? String(v).trim().toUpperCase() : String(v).trim().toLowerCase();
+    if (s && (!allowed || allowed.has(s)) && !out.includes(s)) out.push(s);
+  }
+  return out.length ? out : null;
+}
+
+/**
+ * Validate a profile sent by a phone. Unknown keys are dropped; empty lists
+ * mean "no restriction". Returns a plain object safe to keep per client.
+ */
+function normalizeSpotFilter(raw) {
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_PROFILE };
+  const maxDistance = Number(raw.maxDistance);
+  return {
+    bands: pickList(raw.bands, BANDS, false),
+    modes: pickList(raw.modes, MODES, true),
+    sources: pickList(raw.sources, SOURCES, false),
+    programs: pickList(raw.programs, null, true),
+    hideWorked: raw.hideWorked === true,
+    maxDistance: maxDistance > 0 ? maxDistance : null,
+    watchlistOnly: raw.watchlistOnly === true,
+  };
+}
+
+function todayUtc() {
+  const now = new Date();
+  return now.getUTCFullYear().toString() +
+    String(now.getUTCMonth() + 1).padStart(2, '0') +
+    String(now.getUTCDate()).padStart(2, '0');
+}
+
+/** Worked today on the same band and mode (mirrors isWorkedSpot in the renderers). */
+function isWorkedToday(spot, workedQsos, today) {
+  const entries = workedQsos && workedQsos.get((spot.callsign || '').toUpperCase());
+  if (!entries || entries.length === 0) return false;
+  const band = (spot.band || '').toUpperCase();
+  const mode = (spot.mode || '').toUpperCase();
+  return entries.some(e => e.date === today &&
+    (!band || e.band === band) &&
+    (!mode || e.mode === mode));
+}
+
+/**
+ * Apply a client profile to the merged spot list.
+ * @param {object[]} spots - merged spot rows (already age-filtered by main)
+ * @param {object} profile - output of normalizeSpotFilter
+ * @param {{ workedQsos?: Map, watchlist?: Set }} ctx
+ */
+function filterSpots(spots, profile, ctx = {}) {
+  const p = profile || DEFAULT_PROFILE;
+  const bands = p.bands && new Set(p.bands);
+  const modes = p.modes && new Set(p.modes);
+  const sources = p.sources && new Set(p.sources);
+  const programs = p.programs && new Set(p.programs);
+  const watchlist = ctx.watchlist || new Set();
+  const today = todayUtc();
+
+  return spots.filter(s => {
+    if (s.source === 'net') return true;
+    if (bands && !bands.has(s.band)) return false;
+    if (modes && !modes.has(modeCategory(s.mode))) return false;
+    if (sources) {
+      const srcs = s.sources || [s.source];
+      if (!srcs.some(src => sources.has(src) || !SOURCES.has(src))) return false;
+    }
+    if (programs) {
+      const refs = s.refs ? s.refs.map(r => r.reference) : [s.reference];
+      if (!refs.some(ref => programs.has(referencePrefix(ref)))) return false;
+    }
+    if (p.maxDistance && s.distance != null && s.distance > p.maxDistance) return false;
+    if (p.watchlistOnly && !watchlist.has((s.callsign || '').toUpperCase())) return false;
+    if (p.hideWorked && isWorkedToday(s, ctx.workedQsos, today)) return false;
+    return true;
+  });
+}
+
+module.exports = { DEFAULT_PROFILE, normalizeSpotFilter, filterSpots, modeCategory, referencePrefix };
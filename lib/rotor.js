@@ -0,0 +1,475 @@
+// Antenna rotator control — one interface over several backends, each of
+// which reports where the antenna actually points:
+//   - Hamlib rotctld (TCP line protocol, `P`/`p`/`S`)
+//   - Yaesu GS-232A/B and compatibles on a serial port (`Mnnn`, `C`, `S`)
+//   - Prosistel controllers on a serial port (STX `AGnnn`, `A?`)
+//   - PstRotator UDP (<PST> commands; position answers come back on port+1)
+//   - a simulated rotor that turns at a steady rate, for testing without hardware
+//
+// All emit 'status' { connected, type }, 'position' { azimuth, target, moving }
+// and 'log' (string). Azimuths are degrees clockwise from true north, 0-359.
+
+const net = require('net');
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { SerialPort } = require('serialport');
+
+const POLL_MS = 1000;
+const MOVING_POLL_MS = 500;
+const RECONNECT_MS = 5000;
+const ROTCTLD_REPLY_MS = 3000; // rotctld answer deadline before the session is restarted
+const ARRIVED_DEG = 3; // within this of the target counts as there
+
+const DEFAULT_PORTS = { rotctld: 4533, pstrotator: 12040 };
+
+function normAz(az) {
+  return ((Math.round(az) % 360) + 360) % 360;
+}
+
+/** Smallest angle between two headings. */
+function azDiff(a, b) {
+  const d = Math.abs(normAz(a) - normAz(b));
+  return d > 180 ? 360 - d : d;
+}
+
+/** Opposite heading — the long path to a station. */
+function longPath(az) {
+  return normAz(az + 180);
+}
+
+// --- Base ---
+// Tracks the reported azimuth and target, polls while connected (faster while
+// turning) and works out `moving` from how close the report is to the target.
+
+class Rotor extends EventEmitter {
+  constructor(type) {
+    super();
+    this.type = type;
+    this.connected = false;
+    this.azimuth = null;   // last reported heading, null until the rotor answers
+    this.target = null;    // last commanded heading, cleared on arrival or stop
+    this._opts = null;
+    this._pollTimer = null;
+    this._reconnectTimer = null;
+  }
+
+  get moving() {
+    return this.target != null && (this.azimuth == null || azDiff(this.azimuth, this.target) > ARRIVED_DEG);
+  }
+
+  connect(opts) {
+    this.disconnect();
+    this._opts = opts || {};
+    this._open();
+  }
+
+  disconnect() {
+    this._opts = null;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._stopPolling();
+    this._close();
+    if (this.connected) this._setConnected(false);
+  }
+
+  setAzimuth(az) {
+    const a = normAz(az);
+    this.target = a;
+    if (!this.connected) return false;
+    this._sendAzimuth(a);
+    this.emit('log', `Rotor ${this.type} → ${a}°`);
+    this._emitPosition();
+    this._schedulePoll(MOVING_POLL_MS);
+    return true;
+  }
+
+  stop() {
+    this.target = null;
+    if (this.connected) this._sendStop();
+    this._emitPosition();
+  }
+
+  // --- Subclass hooks ---
+  _open() {}
+  _close() {}
+  _sendAzimuth() {}
+  _sendStop() {}
+  _poll() {}
+
+  // --- Shared plumbing ---
+
+  _setConnected(on) {
+    this.connected = on;
+    this.emit('status', { connected: on, type: this.type });
+    if (on) this._schedulePoll(0);
+    else this._stopPolling();
+  }
+
+  /** Drivers call this with each position report. */
+  _report(az) {
+    if (!Number.isFinite(az)) return;
+    this.azimuth = normAz(az);
+    if (this.target != null && azDiff(this.azimuth, this.target) <= ARRIVED_DEG) this.target = null;
+    this._emitPosition();
+  }
+
+  _emitPosition() {
+    this.emit('position', { azimuth: this.azimuth, target: this.target, moving: this.moving });
+  }
+
+  _schedulePoll(ms) {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = setTimeout(() => {
+      this._pollTimer = null;
+      if (!this.connected) return;
+      this._poll();
+      this._schedulePoll(this.moving ? MOVING_POLL_MS : POLL_MS);
+    }, ms);
+  }
+
+  _stopPolling() {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = null;
+  }
+
+  _lost(reason) {
+    if (reason) this.emit('log', `Rotor ${this.type}: ${reason}`);
+    this._close();
+    if (this.connected) this._setConnected(false);
+    if (!this._opts || this._reconnectTimer) return;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this._opts) this._open();
+    }, RECONNECT_MS);
+  }
+}
+
+// --- Hamlib rotctld ---
+// One command in flight at a time: `p` answers two lines (az, el), `P`/`S`
+// answer "RPRT n". An unanswered command restarts the session — a late answer
+// would otherwise be read as the reply to the next command.
+
+class RotctldRotor extends Rotor {
+  constructor() {
+    super('rotctld');
+    this._sock = null;
+    this._buf = '';
+    this._queue = [];   // { cmd, lines }
+    this._pending = null; // { cmd, lines, got: [], timer }
+  }
+
+  _open() {
+    const host = this._opts.host || '127.0.0.1';
+    const port = this._opts.port || DEFAULT_PORTS.rotctld;
+    const sock = new net.Socket();
+    this._sock = sock;
+    this._buf = '';
+    this._queue = [];
+    this._pending = null;
+    sock.on('connect', () => this._setConnected(true));
+    sock.on('data', (chunk) => this._onData(chunk));
+    sock.on('error', (err) => this.emit('log', `Rotor rotctld error: ${err.message}`));
+    sock.on('close', () => {
+      if (this._sock === sock) this._lost('connection closed');
+    });
+    sock.connect(port, host);
+  }
+
+  _close() {
+    if (this._pending) clearTimeout(this._pending.timer);
+    this._pending = null;
+    this._queue = [];
+    if (this._sock) {
+      const s = this._sock;
+      this._sock = null;
+      s.destroy();
+    }
+  }
+
+  _send(cmd, lines) {
+    // Skip piling up position queries behind a slow rotctld
+    if (cmd === 'p' && this._queue.some(q => q.cmd === 'p')) return;
+    this._queue.push({ cmd, lines });
+    this._next();
+  }
+
+  _next() {
+    if (this._pending || !this._queue.length || !this._sock) return;
+    const { cmd, lines } = this._queue.shift();
+    const timer = setTimeout(() => this._lost(`no answer to "${cmd}" within ${ROTCTLD_REPLY_MS / 1000}s`), ROTCTLD_REPLY_MS);
+    this._pending = { cmd, lines, got: [], timer };
+    this._sock.write(cmd + '\n');
+  }
+
+  _onData(chunk) {
+    this._buf += chunk.toString();
+    let nl;
+    while ((nl = this._buf.indexOf('\n')) !== -1) {
+      const line = this._buf.slice(0, nl).trim();
+      this._buf = this._buf.slice(nl + 1);
+      if (!this._pending) continue;
+      const p = this._pending;
+      if (line.startsWith('RPRT')) {
+        const code = parseInt(line.slice(4), 10);
+        if (code) this.emit('log', `Rotor rotctld: "${p.cmd}" failed (RPRT ${code})`);
+        clearTimeout(p.timer);
+        this._pending = null;
+      } else {
+        p.got.push(line);
+        if (p.got.length >= p.lines) {
+          if (p.cmd === 'p') this._report(parseFloat(p.got[0]));
+          clearTimeout(p.timer);
+          this._pending = null;
+        }
+      }
+      this._next();
+    }
+  }
+
+  _sendAzimuth(az) { this._send(`P ${az.toFixed(1)} 0`, 0); }
+  _sendStop() { this._send('S', 0); }
+  _poll() { this._send('p', 2); }
+}
+
+// --- Serial controllers ---
+// Line-oriented controllers on a serial port; replies end in CR. Subclasses
+// parse each line and format the commands.
+
+class SerialRotor extends Rotor {
+  constructor(type, label) {
+    super(type);
+    this._label = label;
+    this._port = null;
+    this._buf = '';
+  }
+
+  _open() {
+    const path = this._opts.serialPort;
+    if (!path) {
+      this.emit('log', `Rotor ${this._label}: no serial port set`);
+      return;
+    }
+    const port = new SerialPort({ path, baudRate: this._opts.baudRate || 9600, autoOpen: false });
+    this._port = port;
+    this._buf = '';
+    port.on('data', (chunk) => this._onData(chunk));
+    port.on('error', (err) => this.emit('log', `Rotor ${this._label} error: ${err.message}`));
+    port.on('close', () => {
+      if (this._port === port) this._lost('serial port closed');
+    });
+    port.open((err) => {
+      if (this._port !== port) return;
+      if (err) {
+        this._port = null;
+        this._lost(`cannot open ${path}: ${err.message}`);
+        return;
+      }
+      this._setConnected(true);
+    });
+  }
+
+  _close() {
+    if (this._port) {
+      const p = this._port;
+      this._port = null;
+      if (p.isOpen) p.close(() => {});
+    }
+  }
+
+  _write(cmd) {
+    if (this._port && this._port.isOpen) this._port.write(Buffer.from(cmd + '\r', 'latin1'));
+  }
+
+  _onData(chunk) {
+    this._buf += chunk.toString('latin1');
+    let cr;
+    while ((cr = this._buf.search(/[\r\n]/)) !== -1) {
+      const line = this._buf.slice(0, cr).trim();
+      this._buf = this._buf.slice(cr + 1);
+      if (line) this._onLine(line);
+    }
+    if (this._buf.length > 256) this._buf = ''; // garbage with no terminator
+  }
+
+  _onLine() {}
+}
+
+// --- Yaesu GS-232A/B ---
+// `Mnnn` turns, `S` stops every axis, `C` answers "+0nnn" (GS-232A) or
+// "AZ=nnn" (GS-232B).
+
+class Gs232Rotor extends SerialRotor {
+  constructor() {
+    super('gs232', 'GS-232');
+  }
+
+  _onLine(line) {
+    const m = /(?:AZ=|\+0?)(\d{3})/.exec(line);
+    if (m) this._report(parseInt(m[1], 10));
+  }
+
+  _sendAzimuth(az) { this._write('M' + String(az).padStart(3, '0')); }
+  _sendStop() { this._write('S'); } // all stop — `A` would leave an elevation rotor turning
+  _poll() { this._write('C'); }
+}
+
+// --- Prosistel ---
+// Commands are STX + axis + command + CR, azimuth axis 'A': `AGnnn` turns,
+// `AG997` stops, `A?` answers "A,?,nnn,R" (R = ready, B = busy).
+
+class ProsistelRotor extends SerialRotor {
+  constructor() {
+    super('prosistel', 'Prosistel');
+  }
+
+  _onLine(line) {
+    const m = /A,\?,(\d+(?:\.\d+)?)/.exec(line);
+    if (m) this._report(parseFloat(m[1]));
+  }
+
+  _sendAzimuth(az) { this._write('\x02AG' + String(az).padStart(3, '0')); }
+  _sendStop() { this._write('\x02AG997'); }
+  _poll() { this._write('\x02A?'); }
+}
+
+// --- PstRotator UDP ---
+// Commands go to host:port from their own socket; PstRotator answers "AZ:nnn"
+// to port+1 on our side. UDP has no connection, so commands go out whether
+// or not that port could be bound. Older PstRotator builds don't answer —
+// the commanded heading is all we know.
+
+class PstRotatorRotor extends Rotor {
+  constructor() {
+    super('pstrotator');
+    this._sock = null;     // sends commands
+    this._listener = null; // receives position answers on port+1
+    this._answered = false;
+  }
+
+  _open() {
+    const port = this._opts.port || DEFAULT_PORTS.pstrotator;
+    const sock = dgram.createSocket('udp4');
+    this._sock = sock;
+    this._answered = false;
+    sock.on('error', (err) => this.emit('log', `Rotor PstRotator error: ${err.message}`));
+
+    const listener = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    this._listener = listener;
+    listener.on('message', (msg) => {
+      const m = /AZ:\s*(\d+(?:\.\d+)?)/i.exec(msg.toString());
+      if (!m) return;
+      this._answered = true;
+      this._report(parseFloat(m[1]));
+    });
+    listener.on('error', (err) => {
+      this.emit('log', `Rotor PstRotator: can't listen on port ${port + 1} (${err.message}) — no position reports`);
+      if (this._listener === listener) {
+        this._listener = null;
+        try { listener.close(); } catch { /* already closed */ }
+      }
+    });
+    listener.bind(port + 1);
+    this._setConnected(true);
+  }
+
+  _close() {
+    for (const s of [this._sock, this._listener]) {
+      if (!s) continue;
+      try { s.close(); } catch { /* already closed */ }
+    }
+    this._sock = null;
+    this._listener = null;
+  }
+
+  _write(body) {
+    if (!this._sock) return;
+    const host = this._opts.host || '127.0.0.1';
+    const port = this._opts.port || DEFAULT_PORTS.pstrotator;
+    this._sock.send(Buffer.from(`<PST>${body}</PST>`), port, host, (err) => {
+      if (err) this.emit('log', `Rotor PstRotator send error: ${err.message}`);
+    });
+  }
+
+  _sendAzimuth(az) {
+    this._write(`<AZIMUTH>${az}</AZIMUTH>`);
+    // No position reports from this PstRotator: assume it gets there
+    if (!this._answered) this._report(az);
+  }
+
+  _sendStop() { this._write('<STOP>1</STOP>'); }
+  _poll() {
+    // Nobody to hear the answer without the listener
+    if (this._listener) this._write('AZ?');
+  }
+}
+
+// --- Simulated ---
+
+class SimRotor extends Rotor {
+  constructor() {
+    super('sim');
+    this._pos = 0;
+    this._timer = null;
+  }
+
+  _open() {
+    this._speed = this._opts.speed || 6; // degrees per second, typical for HF rotators
+    this._pos = this._opts.startAzimuth || 0;
+    this._setConnected(true);
+  }
+
+  _close() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Never crosses its north stop, like a real 0-360° rotor
+  _sendAzimuth(az) {
+    clearInterval(this._timer);
+    const step = this._speed / 10;
+    this._timer = setInterval(() => {
+      const d = az - this._pos;
+      if (Math.abs(d) <= step) {
+        this._pos = az;
+        clearInterval(this._timer);
+        this._timer = null;
+      } else {
+        this._pos += Math.sign(d) * step;
+      }
+    }, 100);
+  }
+
+  _sendStop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  _poll() { this._report(this._pos); }
+}
+
+const ROTOR_TYPES = {
+  rotctld: RotctldRotor,
+  gs232: Gs232Rotor,
+  prosistel: ProsistelRotor,
+  pstrotator: PstRotatorRotor,
+  sim: SimRotor,
+};
+
+/** Create a rotor driver by type (rotctld, gs232, prosistel, pstrotator, sim). */
+function createRotor(type) {
+  const Cls = ROTOR_TYPES[type] || PstRotatorRotor;
+  return new Cls();
+}
+
+module.exports = {
+  createRotor,
+  RotctldRotor,
+  Gs232Rotor,
+  ProsistelRotor,
+  PstRotatorRotor,
+  SimRotor,
+  DEFAULT_PORTS,
+  normAz,
+  azDiff,
+  longPath,
+};
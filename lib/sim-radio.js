@@ -0,0 +1,698 @@
+// Simulated radio — a virtual rig for exercising CAT, PTT and tune flows
+// without hardware. One shared radio state is served over:
+//   - Kenwood or Yaesu CAT (";"-terminated ASCII) on a local TCP port
+//   - a rigctld-compatible line protocol (alternative to CAT on the same port)
+//   - optional minimal SmartSDR API (TCP 4992) for panadapter spots/slice control
+//   - optional minimal TCI (WebSocket) for spots, VFO, mode and PTT
+// Fault injection (dropped commands, "?" errors, slow replies, forced
+// disconnects) exercises the clients' retry and reconnect paths.
+const net = require('net');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+// Kenwood/Flex MD codes — same table CatClient parses
+const MD_TO_MODE = { 1: 'LSB', 2: 'USB', 3: 'CW', 4: 'FM', 5: 'AM', 6: 'RTTY', 7: 'CW', 9: 'DIGU' };
+const MODE_TO_MD = { LSB: 1, USB: 2, CW: 3, FM: 4, AM: 5, RTTY: 6, DIGU: 9, DIGL: 6 };
+
+// rigctld mode tokens ↔ internal mode names
+const RIGCTLD_TO_MODE = { USB: 'USB', LSB: 'LSB', CW: 'CW', CWR: 'CW', FM: 'FM', AM: 'AM', RTTY: 'RTTY', PKTUSB: 'DIGU', PKTLSB: 'DIGL' };
+const MODE_TO_RIGCTLD = { USB: 'USB', LSB: 'LSB', CW: 'CW', FM: 'FM', AM: 'AM', RTTY: 'RTTY', DIGU: 'PKTUSB', DIGL: 'PKTLSB' };
+
+// Radio default filter per mode (Hz), used when a mode change resets the passband
+const DEFAULT_FILTER = { USB: 2700, LSB: 2700, CW: 500, FM: 12000, AM: 6000, RTTY: 500, DIGU: 3000, DIGL: 3000 };
+
+const SMARTSDR_PORT = 4992; // SmartSdrClient always connects here
+const ATU_TUNE_MS = 1500;
+
+function tciModulation(mode) {
+  if (mode === 'FM') return 'nfm';
+  if (mode === 'RTTY') return 'digu';
+  return mode.toLowerCase();
+}
+
+class SimRadio extends EventEmitter {
+  constructor() {
+    super();
+    this._debug = false; // set to true to emit 'log' events
+    this._catServer = null;
+    this._flexServer = null;
+    this._tciServer = null;
+    this._catSockets = new Set();
+    this._flexSockets = new Set();
+    this._options = null;
+    this._faults = { dropRate: 0, errorRate: 0, latencyMs: 0, disconnectRate: 0 };
+    this._atuTimer = null;
+    this.state = {
+      vfoA: 14074000,
+      vfoB: 14074000,
+      rxVfo: 'A',
+      txVfo: 'A',
+      mode: 'USB',
+      dataMode: false,
+      filterWidth: 2700,
+      filterIndex: 0,   // Yaesu SH0 index (0 = not set)
+      ptt: false,
+      power: 100,       // watts
+      rfGain: 1,
+      nb: false,
+      atu: 'idle',      // idle | tuning
+      spots: new Map(), // callsign → { frequency, mode, source } (SmartSDR/TCI)
+    };
+  }
+
+  get running() {
+    return !!(this._catServer || this._flexServer || this._tciServer);
+  }
+
+  /**
+   * Start the enabled endpoints. Resolves once every server is listening.
+   * @param {object} opts
+   * @param {'kenwood'|'yaesu'|'rigctld'|'tci'} opts.dialect — protocol on the CAT port
+   * @param {number} opts.port — local TCP port for CAT/rigctld (for 'tci', pass the same port as tciPort)
+   * @param {boolean} [opts.smartSdr] — also serve the SmartSDR API on 4992
+   * @param {number} [opts.tciPort] — also serve TCI on this port
+   * @param {object} [opts.faults] — see setFaults()
+   */
+  async start(opts) {
+    await this.stop();
+    this._options = { dialect: 'kenwood', ...opts };
+    this.setFaults(opts.faults);
+    if (this._options.dialect !== 'tci') {
+      this._catServer = await this._listen(net.createServer((sock) => this._onCatClient(sock)), this._options.port);
+    }
+    if (this._options.smartSdr) {
+      this._flexServer = await this._listen(net.createServer((sock) => this._onFlexClient(sock)), SMARTSDR_PORT);
+    }
+    if (this._options.tciPort) {
+      this._tciServer = await new Promise((resolve, reject) => {
+        const wss = new WebSocket.Server({ host: '127.0.0.1', port: this._options.tciPort });
+        wss.once('listening', () => resolve(wss));
+        wss.once('error', reject);
+      });
+      this._tciServer.on('connection', (ws) => this._onTciClient(ws));
+    }
+    this._log(`started: ${this._options.dialect} on ${this._options.port}` +
+      (this._flexServer ? `, SmartSDR on ${SMARTSDR_PORT}` : '') +
+      (this._tciServer ? `, TCI on ${this._options.tciPort}` : ''));
+  }
+
+  _listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        resolve(server);
+      });
+    });
+  }
+
+  async stop() {
+    if (this._atuTimer) {
+      clearTimeout(this._atuTimer);
+      this._atuTimer = null;
+    }
+    for (const sock of [...this._catSockets, ...this._flexSockets]) sock.destroy();
+    this._catSockets.clear();
+    this._flexSockets.clear();
+    const closing = [];
+    for (const server of [this._catServer, this._flexServer, this._tciServer]) {
+      if (!server) continue;
+      if (server.clients) for (const ws of server.clients) ws.terminate();
+      closing.push(new Promise((resolve) => server.close(() => resolve())));
+    }
+    this._catServer = null;
+    this._flexServer = null;
+    this._tciServer = null;
+    await Promise.all(closing);
+  }
+
+  /**
+   * Fault injection, applied per received command:
+   *   dropRate       — 0..1 chance the command is ignored (no state change, no reply)
+   *   errorRate      — 0..1 chance the command is rejected ("?;", RPRT -1, SmartSDR error)
+   *   latencyMs      — delay before any reply is written
+   *   disconnectRate — 0..1 chance the connection is closed instead of handling the command
+   */
+  setFaults(faults = {}) {
+    const rate = (v) => Math.min(1, Math.max(0, parseFloat(v) || 0));
+    this._faults = {
+      dropRate: rate(faults.dropRate),
+      errorRate: rate(faults.errorRate),
+      latencyMs: Math.max(0, parseInt(faults.latencyMs, 10) || 0),
+      disconnectRate: rate(faults.disconnectRate),
+    };
+  }
+
+  getState() {
+    const { spots, ...rest } = this.state;
+    return { ...rest, frequency: this._rxFreq(), spotCount: spots.size, faults: { ...this._faults } };
+  }
+
+  _log(msg) {
+    if (this._debug) this.emit('log', msg);
+  }
+
+  _changed(what) {
+    this.emit('state', { what, ...this.getState() });
+    this._tciBroadcastState(what);
+    if (what === 'frequency' || what === 'mode' || what === 'vfo') this._flexBroadcastSlices();
+  }
+
+  _rxFreq() {
+    return this.state.rxVfo === 'B' ? this.state.vfoB : this.state.vfoA;
+  }
+
+  _setRxFreq(hz) {
+    if (!(hz > 0)) return;
+    if (this.state.rxVfo === 'B') this.state.vfoB = hz;
+    else this.state.vfoA = hz;
+    this._changed('frequency');
+  }
+
+  _setMode(mode) {
+    if (!mode || mode === this.state.mode) return;
+    this.state.mode = mode;
+    this.state.filterWidth = DEFAULT_FILTER[mode] || this.state.filterWidth;
+    this._changed('mode');
+  }
+
+  _setPtt(on) {
+    if (this.state.ptt === on) return;
+    this.state.ptt = on;
+    this._changed('ptt');
+  }
+
+  _startAtu() {
+    this.state.atu = 'tuning';
+    this._changed('atu');
+    if (this._atuTimer) clearTimeout(this._atuTimer);
+    this._atuTimer = setTimeout(() => {
+      this._atuTimer = null;
+      this.state.atu = 'idle';
+      this._changed('atu');
+    }, ATU_TUNE_MS);
+  }
+
+  /** Roll the dice for one command: null, 'drop', 'error' or 'disconnect'. */
+  _pickFault() {
+    const f = this._faults;
+    if (f.disconnectRate && Math.random() < f.disconnectRate) return 'disconnect';
+    if (f.dropRate && Math.random() < f.dropRate) return 'drop';
+    if (f.errorRate && Math.random() < f.errorRate) return 'error';
+    return null;
+  }
+
+  _reply(sock, data) {
+    if (!data) return;
+    const write = () => { if (!sock.destroyed) sock.write(data); };
+    if (this._faults.latencyMs > 0) setTimeout(write, this._faults.latencyMs);
+    else write();
+  }
+
+  // --- CAT / rigctld port ---
+
+  _onCatClient(sock) {
+    sock.setNoDelay(true);
+    this._catSockets.add(sock);
+    this._log(`CAT client connected from ${sock.remoteAddress}`);
+    let buf = '';
+    const rigctld = this._options.dialect === 'rigctld';
+    sock.on('data', (chunk) => {
+      buf += chunk.toString();
+      const sep = rigctld ? '\n' : ';';
+      let i;
+      while ((i = buf.indexOf(sep)) !== -1) {
+        const cmd = buf.slice(0, i).replace(/[\r\n]/g, '').trim();
+        buf = buf.slice(i + 1);
+        if (!cmd) continue;
+        const fault = this._pickFault();
+        if (fault) this._log(`fault ${fault}: ${cmd}`);
+        if (fault === 'disconnect') { sock.destroy(); return; }
+        if (fault === 'drop') continue;
+        if (fault === 'error') { this._reply(sock, rigctld ? 'RPRT -1\n' : '?;'); continue; }
+        this.emit('command', { protocol: rigctld ? 'rigctld' : 'cat', command: cmd });
+        this._reply(sock, rigctld ? this._handleRigctld(cmd, sock) : this._handleCat(cmd));
+      }
+    });
+    sock.on('error', () => { /* handled in close */ });
+    sock.on('close', () => {
+      this._catSockets.delete(sock);
+      this._log('CAT client disconnected');
+    });
+  }
+
+  _isYaesu() {
+    return this._options.dialect === 'yaesu';
+  }
+
+  /** Handle one Kenwood/Yaesu command (without ";"). Returns the reply or ''. */
+  _handleCat(cmd) {
+    const yaesu = this._isYaesu();
+    const digits = yaesu ? 9 : 11;
+    const op = cmd.slice(0, 2).toUpperCase();
+    const arg = cmd.slice(2);
+    const s = this.state;
+
+    switch (op) {
+      case 'FA':
+      case 'FB': {
+        const key = op === 'FA' ? 'vfoA' : 'vfoB';
+        if (!arg) return `${op}${String(s[key]).padStart(digits, '0')};`;
+        const hz = parseInt(arg, 10);
+        if (isNaN(hz) || hz <= 0) return '?;';
+        s[key] = hz;
+        this._changed('frequency');
+        return '';
+      }
+      case 'MD': {
+        // Yaesu carries a VFO selector digit: MD0; / MD0x;
+        const val = yaesu ? arg.slice(1) : arg;
+        if (!val) return `MD${yaesu ? '0' : ''}${MODE_TO_MD[s.mode] || 2};`;
+        const mode = MD_TO_MODE[parseInt(val, 10)];
+        if (!mode) return '?;';
+        this._setMode(mode);
+        return '';
+      }
+      case 'DA':
+        if (!arg) return `DA${s.dataMode ? 1 : 0};`;
+        s.dataMode = arg === '1';
+        this._changed('mode');
+        return '';
+      case 'PC': {
+        if (!arg) return `PC${String(s.power).padStart(3, '0')};`;
+        const w = parseInt(arg, 10);
+        if (isNaN(w)) return '?;';
+        s.power = Math.min(200, Math.max(0, w));
+        this._changed('power');
+        return '';
+      }
+      case 'NB': {
+        const val = yaesu ? arg.slice(1) : arg;
+        if (!val) return `NB${yaesu ? '0' : ''}${s.nb ? 1 : 0};`;
+        s.nb = val === '1';
+        this._changed('nb');
+        return '';
+      }
+      case 'TX':
+        // Yaesu: TX1 = transmit, TX0 = receive. Kenwood: TX/TX0/TX1 all transmit.
+        if (yaesu && arg === '') return `TX${s.ptt ? 1 : 0};`;
+        this._setPtt(yaesu ? arg === '1' : true);
+        return '';
+      case 'RX':
+        this._setPtt(false);
+        return '';
+      case 'FW': {
+        if (!arg) return `FW${String(s.filterWidth).padStart(4, '0')};`;
+        const hz = parseInt(arg, 10);
+        if (isNaN(hz)) return '?;';
+        s.filterWidth = hz;
+        this._changed('filter');
+        return '';
+      }
+      case 'SH': {
+        const val = arg.slice(1);
+        if (!val) return `SH0${String(s.filterIndex).padStart(2, '0')};`;
+        s.filterIndex = parseInt(val, 10) || 0;
+        this._changed('filter');
+        return '';
+      }
+      case 'FR':
+      case 'VS':
+        if (!arg) return `${op}${s.rxVfo === 'B' ? 1 : 0};`;
+        s.rxVfo = arg === '1' ? 'B' : 'A';
+        if (op === 'VS') s.txVfo = s.rxVfo;
+        this._changed('vfo');
+        return '';
+      case 'FT':
+        if (!arg) return `FT${s.txVfo === 'B' ? 1 : 0};`;
+        s.txVfo = arg === '1' ? 'B' : 'A';
+        this._changed('split');
+        return '';
+      case 'SV': {
+        const a = s.vfoA;
+        s.vfoA = s.vfoB;
+        s.vfoB = a;
+        this._changed('frequency');
+        return '';
+      }
+      case 'AC':
+        // Any tuner-start form (AC002, AC011, AC11) begins a tune cycle
+        if (!arg) return 'AC000;';
+        if (arg.endsWith('1') || arg.endsWith('2')) this._startAtu();
+        return '';
+      case 'ID':
+        return yaesu ? 'ID0670;' : 'ID019;';
+      default:
+        return '?;';
+    }
+  }
+
+  /** Handle one rigctld command line. Returns the reply or ''. */
+  _handleRigctld(line, sock) {
+    const [cmd, ...args] = line.split(/\s+/);
+    const s = this.state;
+    const ok = 'RPRT 0\n';
+    switch (cmd) {
+      case 'f':
+        return `${this._rxFreq()}\n`;
+      case 'F': {
+        const hz = parseInt(args[0], 10);
+        if (isNaN(hz) || hz <= 0) return 'RPRT -1\n';
+        this._setRxFreq(hz);
+        return ok;
+      }
+      case 'm':
+        return `${MODE_TO_RIGCTLD[s.mode] || 'USB'}\n${s.filterWidth}\n`;
+      case 'M': {
+        const mode = RIGCTLD_TO_MODE[(args[0] || '').toUpperCase()];
+        if (!mode) return 'RPRT -1\n';
+        this._setMode(mode);
+        const pb = parseInt(args[1], 10);
+        if (pb > 0) {
+          s.filterWidth = pb;
+          this._changed('filter');
+        }
+        return ok;
+      }
+      case 't':
+        return `${s.ptt ? 1 : 0}\n`;
+      case 'T':
+        this._setPtt(args[0] === '1');
+        return ok;
+      case 's':
+        return `${s.txVfo !== s.rxVfo ? 1 : 0}\nVFO${s.txVfo}\n`;
+      case 'S':
+        s.txVfo = args[0] === '1' ? (args[1] === 'VFOA' ? 'A' : 'B') : s.rxVfo;
+        this._changed('split');
+        return ok;
+      case 'v':
+        return `VFO${s.rxVfo}\n`;
+      case 'V':
+        if (!/^VFO[AB]$/i.test(args[0] || '')) return 'RPRT -1\n';
+        s.rxVfo = args[0].slice(-1).toUpperCase();
+        this._changed('vfo');
+        return ok;
+      case 'u':
+        if ((args[0] || '').toUpperCase() === 'NB') return `${s.nb ? 1 : 0}\n`;
+        return 'RPRT -11\n';
+      case 'U': {
+        const func = (args[0] || '').toUpperCase();
+        if (func === 'NB') {
+          s.nb = args[1] === '1';
+          this._changed('nb');
+          return ok;
+        }
+        if (func === 'TUNER') {
+          if (args[1] === '1') this._startAtu();
+          return ok;
+        }
+        return 'RPRT -11\n';
+      }
+      case 'l': {
+        const level = (args[0] || '').toUpperCase();
+        if (level === 'RFPOWER') return `${(s.power / 100).toFixed(3)}\n`;
+        if (level === 'RFGAIN') return `${s.rfGain.toFixed(3)}\n`;
+        return 'RPRT -11\n';
+      }
+      case 'L': {
+        const level = (args[0] || '').toUpperCase();
+        const val = parseFloat(args[1]);
+        if (isNaN(val)) return 'RPRT -1\n';
+        if (level === 'RFPOWER') {
+          s.power = Math.round(Math.min(1, Math.max(0, val)) * 100);
+          this._changed('power');
+          return ok;
+        }
+        if (level === 'RFGAIN') {
+          s.rfGain = Math.min(1, Math.max(0, val));
+          this._changed('rfgain');
+          return ok;
+        }
+        return 'RPRT -11\n';
+      }
+      case 'q':
+      case 'Q':
+        sock.end();
+        return '';
+      default:
+        return 'RPRT -11\n';
+    }
+  }
+
+  // --- SmartSDR API (minimal) ---
+
+  _onFlexClient(sock) {
+    sock.setNoDelay(true);
+    this._flexSockets.add(sock);
+    const handle = (0x10000000 + Math.floor(Math.random() * 0x0fffffff)).toString(16).toUpperCase();
+    this._log(`SmartSDR client connected (handle ${handle})`);
+    sock.write(`V1.4.0.0\nH${handle}\n`);
+    sock.flexHandle = handle;
+    let buf = '';
+    sock.on('data', (chunk) => {
+      buf += chunk.toString();
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl).replace(/\r$/, '');
+        buf = buf.slice(nl + 1);
+        const m = line.match(/^C(?:D)?(\d+)\|(.*)$/);
+        if (!m) continue;
+        const [, seq, cmd] = m;
+        const fault = this._pickFault();
+        if (fault) this._log(`fault ${fault}: ${cmd}`);
+        if (fault === 'disconnect') { sock.destroy(); return; }
+        if (fault === 'drop') continue;
+        if (fault === 'error') { this._reply(sock, `R${seq}|50000015|\n`); continue; }
+        this.emit('command', { protocol: 'smartsdr', command: cmd });
+        this._reply(sock, `R${seq}|${this._handleFlex(cmd, sock)}|\n`);
+      }
+    });
+    sock.on('error', () => { /* handled in close */ });
+    sock.on('close', () => {
+      this._flexSockets.delete(sock);
+      this._log('SmartSDR client disconnected');
+    });
+  }
+
+  /** Parse "key=value" pairs (value may be quoted) from a SmartSDR command. */
+  _flexParams(str) {
+    const params = {};
+    const re = /(\w+)=("[^"]*"|\S+)/g;
+    let m;
+    while ((m = re.exec(str))) params[m[1]] = m[2].replace(/^"|"$/g, '');
+    return params;
+  }
+
+  /** Slice 0 is VFO A, slice 1 is VFO B; both share the radio's mode. */
+  _sliceStatus(idx) {
+    const s = this.state;
+    const hz = idx === 1 ? s.vfoB : s.vfoA;
+    const active = (idx === 1) === (s.rxVfo === 'B');
+    return `slice ${idx} in_use=1 RF_frequency=${(hz / 1e6).toFixed(6)} mode=${s.mode} active=${active ? 1 : 0}`;
+  }
+
+  /** Push slice status to SmartSDR clients that ran `sub slice all`. */
+  _flexBroadcastSlices() {
+    for (const sock of this._flexSockets) {
+      if (!sock.sliceSub || sock.destroyed) continue;
+      sock.write(`S${sock.flexHandle}|${this._sliceStatus(0)}\nS${sock.flexHandle}|${this._sliceStatus(1)}\n`);
+    }
+  }
+
+  /** Handle one SmartSDR command; returns the hex status code ('0' = ok). */
+  _handleFlex(cmd, sock) {
+    const s = this.state;
+    const words = cmd.trim().split(/\s+/);
+    const [w0, w1, w2, w3] = words;
+    const sliceVfo = (idx) => (idx === '1' ? 'vfoB' : 'vfoA');
+
+    if (w0 === 'sub' && w1 === 'slice') {
+      sock.sliceSub = true;
+      setTimeout(() => this._flexBroadcastSlices(), 0);
+      return '0';
+    }
+
+    if (w0 === 'slice' && w1 === 'tune') {
+      const hz = Math.round(parseFloat(w3) * 1e6);
+      if (!(hz > 0)) return '50000016';
+      s[sliceVfo(w2)] = hz;
+      this._changed('frequency');
+      return '0';
+    }
+    if (w0 === 'slice' && w1 === 'set') {
+      const p = this._flexParams(cmd);
+      if (p.mode) this._setMode(p.mode.toUpperCase());
+      if (p.filter_lo != null && p.filter_hi != null) {
+        s.filterWidth = Math.abs(parseInt(p.filter_hi, 10) - parseInt(p.filter_lo, 10)) || s.filterWidth;
+        this._changed('filter');
+      }
+      if (p.nb != null) {
+        s.nb = p.nb === '1';
+        this._changed('nb');
+      }
+      if (p.rfgain != null) {
+        s.rfGain = Math.min(1, Math.max(0, parseFloat(p.rfgain) / 100));
+        this._changed('rfgain');
+      }
+      if (p.active === '1') {
+        s.rxVfo = w2 === '1' ? 'B' : 'A';
+        this._changed('vfo');
+      }
+      return '0';
+    }
+    if (w0 === 'xmit') {
+      this._setPtt(w1 === '1');
+      return '0';
+    }
+    if (w0 === 'transmit' && w1 === 'set') {
+      const p = this._flexParams(cmd);
+      if (p.rfpower != null) {
+        s.power = parseInt(p.rfpower, 10) || 0;
+        this._changed('power');
+      }
+      return '0';
+    }
+    if (w0 === 'atu' && w1 === 'start') {
+      this._startAtu();
+      return '0';
+    }
+    if (w0 === 'spot') {
+      const p = this._flexParams(cmd);
+      if (w1 === 'add' && p.callsign) {
+        s.spots.set(p.callsign, { frequency: parseFloat(p.rx_freq) * 1000, mode: p.mode || '', source: p.source || '' });
+      } else if (w1 === 'remove' && p.callsign) {
+        s.spots.delete(p.callsign);
+      } else if (w1 === 'clear') {
+        s.spots.clear();
+      }
+      this._changed('spots');
+      return '0';
+    }
+    // sub, client bind, cw, atu bypass... — accepted without side effects
+    return '0';
+  }
+
+  // --- TCI (minimal) ---
+
+  _onTciClient(ws) {
+    this._log('TCI client connected');
+    const s = this.state;
+    ws.send('protocol:ExpertSDR3,1.8;device:SimRadio;receive_only:false;trx_count:1;channels_count:2;' +
+      `vfo:0,0,${s.vfoA};vfo:0,1,${s.vfoB};modulation:0,${tciModulation(s.mode)};trx:0,${s.ptt};` +
+      `drive:0,${s.power};${this._tciFilterBand()}rx_nb_enable:0,${s.nb};ready;`);
+    ws.on('message', (data) => {
+      for (const part of data.toString().split(';')) {
+        const cmd = part.trim();
+        if (!cmd) continue;
+        const fault = this._pickFault();
+        if (fault) this._log(`fault ${fault}: ${cmd}`);
+        if (fault === 'disconnect') { ws.terminate(); return; }
+        if (fault === 'drop' || fault === 'error') continue; // TCI has no error reply
+        this.emit('command', { protocol: 'tci', command: cmd });
+        const reply = this._handleTci(cmd);
+        if (reply) {
+          const send = () => { if (ws.readyState === WebSocket.OPEN) ws.send(reply); };
+          if (this._faults.latencyMs > 0) setTimeout(send, this._faults.latencyMs);
+          else send();
+        }
+      }
+    });
+    ws.on('error', () => {});
+  }
+
+  /** Handle one TCI command (without ";"). Returns a reply for queries or ''. */
+  _handleTci(cmd) {
+    const s = this.state;
+    const colon = cmd.indexOf(':');
+    const name = (colon === -1 ? cmd : cmd.slice(0, colon)).toLowerCase();
+    const args = colon === -1 ? [] : cmd.slice(colon + 1).split(',');
+    switch (name) {
+      case 'vfo': {
+        const key = args[1] === '1' ? 'vfoB' : 'vfoA';
+        if (args.length < 3) return `vfo:0,${args[1] || 0},${s[key]};`;
+        const hz = parseInt(args[2], 10);
+        if (hz > 0) {
+          s[key] = hz;
+          this._changed('frequency');
+        }
+        return '';
+      }
+      case 'modulation': {
+        if (args.length < 2) return `modulation:0,${tciModulation(s.mode)};`;
+        const mod = args[1].toUpperCase();
+        this._setMode(mod === 'NFM' || mod === 'WFM' ? 'FM' : mod);
+        return '';
+      }
+      case 'trx':
+        if (args.length < 2) return `trx:0,${s.ptt};`;
+        this._setPtt(args[1] === 'true');
+        return '';
+      case 'drive':
+        if (args.length < 2) return `drive:0,${s.power};`;
+        s.power = parseInt(args[1], 10) || 0;
+        this._changed('power');
+        return '';
+      case 'rx_filter_band': {
+        if (args.length < 3) return this._tciFilterBand();
+        const width = Math.abs(parseInt(args[2], 10) - parseInt(args[1], 10));
+        if (width > 0) {
+          s.filterWidth = width;
+          this._changed('filter');
+        }
+        return '';
+      }
+      case 'rx_nb_enable':
+        if (args.length < 2) return `rx_nb_enable:0,${s.nb};`;
+        s.nb = args[1] === 'true';
+        this._changed('nb');
+        return '';
+      case 'split_enable':
+        if (args.length < 2) return `split_enable:0,${s.txVfo === 'B'};`;
+        s.txVfo = args[1] === 'true' ? 'B' : 'A';
+        this._changed('split');
+        return '';
+      case 'spot':
+        if (args[0]) s.spots.set(args[0], { frequency: parseInt(args[2], 10) / 1000, mode: args[1] || '', source: 'tci' });
+        this._changed('spots');
+        return '';
+      case 'spot_delete':
+        s.spots.delete(args[0]);
+        this._changed('spots');
+        return '';
+      case 'spot_clear':
+        s.spots.clear();
+        this._changed('spots');
+        return '';
+      default:
+        return '';
+    }
+  }
+
+  /** rx_filter_band notification — passband edges relative to the carrier. */
+  _tciFilterBand() {
+    const { mode, filterWidth: w } = this.state;
+    if (mode === 'USB' || mode === 'DIGU') return `rx_filter_band:0,100,${100 + w};`;
+    if (mode === 'LSB' || mode === 'DIGL') return `rx_filter_band:0,${-(100 + w)},-100;`;
+    const low = -Math.round(w / 2);
+    return `rx_filter_band:0,${low},${low + w};`;
+  }
+
+  /** TCI is push-based — tell connected clients about radio state changes. */
+  _tciBroadcastState(what) {
+    if (!this._tciServer) return;
+    const s = this.state;
+    let msg = '';
+    if (what === 'frequency') msg = `vfo:0,0,${s.vfoA};vfo:0,1,${s.vfoB};`;
+    else if (what === 'mode') msg = `modulation:0,${tciModulation(s.mode)};${this._tciFilterBand()}`;
+    else if (what === 'ptt') msg = `trx:0,${s.ptt};`;
+    else if (what === 'power') msg = `drive:0,${s.power};`;
+    else if (what === 'filter') msg = this._tciFilterBand();
+    else if (what === 'nb') msg = `rx_nb_enable:0,${s.nb};`;
+    if (!msg) return;
+    for (const ws of this._tciServer.clients) {
+      if (ws.readyState === WebSocket.OPEN) ws.send(msg);
+    }
+  }
+}
+
+module.exports = { SimRadio, SMARTSDR_PORT };
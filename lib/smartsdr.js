@@ -48,6 +48,7 @@ class SmartSdrClient extends EventEmitter {
     this._cwBound = false;           // true if client bind succeeded
     this._bindSeq = null;            // seq of client bind command
     this._discoveredGuiClients = []; // UUIDs of discovered GUI clients from status messages
+    this.slices = new Map();         // slice index → { frequency (Hz), mode, active }
     this._guiClientHandle = null;    // hex handle of GUI client (e.g. '4E1DDC50') for cw key
     this._cwKeyIndex = 0;            // incrementing index for cw key dedup
     this._cwPttActive = false;       // true when cw ptt is active
@@ -95,6 +96,9 @@ class SmartSdrClient extends EventEmitter {
       this._send('sub client all');
       // Subscribe to ATU so atu set commands work
       this._send('sub atu all');
+      // Subscribe to slices so every receiver's frequency/mode is tracked
+      this.slices.clear();
+      this._send('sub slice all');
 
       // If CW keyer or rig controls need binding, bind to existing GUI client
       if (this._needsCw || this._needsBind) {
@@ -160,7 +164,8 @@ class SmartSdrClient extends EventEmitter {
 
     // Parse status messages: S<handle>|<status content>
     if (line.startsWith('S')) {
-      this._parseStatusMessage(line);
+      if (/^S[0-9A-Fa-f]+\|slice\s/.test(line)) this._parseSliceStatus(line);
+      else this._parseStatusMessage(line);
       return;
     }
 
@@ -213,6 +218,29 @@ class SmartSdrClient extends EventEmitter {
     }
   }
 
+  _parseSliceStatus(line) {
+    // S<handle>|slice 1 in_use=1 RF_frequency=7.030000 mode=CW active=0 ...
+    // Updates only carry the fields that changed; emits 'slice' with the merged state.
+    const m = line.match(/\|slice\s+(\d+)\s*(.*)$/);
+    if (!m) return;
+    const index = parseInt(m[1], 10);
+    const fields = {};
+    for (const kv of m[2].split(/\s+/)) {
+      const eq = kv.indexOf('=');
+      if (eq > 0) fields[kv.slice(0, eq)] = kv.slice(eq + 1);
+    }
+    if (fields.in_use === '0') {
+      if (this.slices.delete(index)) this.emit('slice', { index, removed: true });
+      return;
+    }
+    const slice = this.slices.get(index) || { frequency: 0, mode: '', active: false };
+    if (fields.RF_frequency) slice.frequency = Math.round(parseFloat(fields.RF_frequency) * 1e6);
+    if (fields.mode) slice.mode = fields.mode;
+    if (fields.active) slice.active = fields.active === '1';
+    this.slices.set(index, slice);
+    this.emit('slice', { index, ...slice });
+  }
+
   _scheduleReconnect() {
     if (this._reconnectTimer) return;
     this._reconnectTimer = setTimeout(() => {
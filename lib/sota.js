@@ -1,26 +1,15 @@
 // SOTA API client — fetches activator spots and summit info
 const https = require('https');
+const { getJson } = require('./http');
 
 const SPOT_URL = 'https://api2.sota.org.uk/api/spots/200/all';
 
 function httpsGetJson(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'flex-lookup/1.0' } }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error('Failed to parse SOTA response'));
-        }
-      });
-    }).on('error', reject);
-  });
+  return getJson(url, 'SOTA');
 }
 
 function fetchSpots() {
-  return httpsGetJson(SPOT_URL);
+  return getJson(SPOT_URL, 'SOTA', { conditional: true });
 }
 
 // In-memory cache: "W4C/CM-094" → { lat, lon } or null
@@ -282,4 +271,4 @@ class SotaUploader extends EventEmitter {
   }
 }
 
-module.exports = { fetchSpots, fetchSummitCoords, fetchSummitCoordsBatch, summitCache, loadAssociations, getAssociationName, SotaUploader };
+module.exports = { fetchSpots, SPOT_URL, fetchSummitCoords, fetchSummitCoordsBatch, summitCache, loadAssociations, getAssociationName, SotaUploader };
@@ -0,0 +1,153 @@
+// Spot history — rolling per-activator timeline kept across spot polls
+//
+// Every poll replaces the spot lists wholesale; this remembers what each
+// activator was doing before (frequency, mode, reference, spotter, comments,
+// source) so rows can show a timeline and flag QSYs and mode changes.
+const { baseCallsign, spotTimeMs } = require('./spot-identity');
+const { freqToBand } = require('./bands');
+
+const RETENTION_MS = 3 * 3600000;  // forget activators not spotted for 3 hours
+const MAX_ENTRIES = 50;            // per activator
+const TIMELINE_LIMIT = 30;         // entries attached to each row
+const SAME_FREQ_KHZ = 3;           // closer than this is the same frequency
+const QSY_WINDOW_MS = 60 * 60000;  // only flag moves made within the last hour
+
+function normMode(mode) {
+  const m = (mode || '').toUpperCase();
+  return m === 'USB' || m === 'LSB' ? 'SSB' : m;
+}
+
+class SpotHistory {
+  constructor() {
+    this._activators = new Map(); // base call → { entries: [...oldest→newest], keys: Set, lastSeen }
+  }
+
+  /**
+   * Record spots from the current merged list. Spots already recorded (same
+   * source, time, frequency and spotter) are ignored, so calling this on
+   * every publish is cheap and never duplicates entries. A spot without a
+   * time is known by its source, frequency, spotter and comment instead, and
+   * dated when it was first seen.
+   */
+  observe(spots, now = Date.now()) {
+    for (const s of spots) {
+      if (!s || s.source === 'net' || !s.callsign) continue;
+      const freq = parseFloat(s.frequency);
+      if (isNaN(freq)) continue;
+      const spotted = spotTimeMs(s.spotTime);
+      const t = spotted || now;
+      const key = spotted
+        ? `${s.source}|${t}|${freq.toFixed(1)}|${s.spotter || ''}`
+        : `${s.source}|untimed|${freq.toFixed(1)}|${s.spotter || ''}|${s.comments || ''}`;
+      const call = baseCallsign(s.callsign);
+      let a = this._activators.get(call);
+      if (!a) {
+        a = { entries: [], keys: new Set(), lastSeen: 0 };
+        this._activators.set(call, a);
+      }
+      a.lastSeen = now;
+      if (a.keys.has(key)) continue;
+      a.keys.add(key);
+      a.entries.push({
+        t,
+        key,
+        source: s.source,
+        frequency: freq,
+        band: s.band || freqToBand(freq / 1000) || '',
+        mode: s.mode || '',
+        reference: s.reference || '',
+        spotter: s.spotter || '',
+        comments: s.comments || '',
+      });
+      if (a.entries.length > 1 && a.entries[a.entries.length - 2].t > t) {
+        a.entries.sort((x, y) => x.t - y.t);
+      }
+      if (a.entries.length > MAX_ENTRIES) {
+        for (const old of a.entries.splice(0, a.entries.length - MAX_ENTRIES)) a.keys.delete(old.key);
+      }
+    }
+    this.prune(now);
+  }
+
+  /** Drop activators that have not appeared in any spot list for RETENTION_MS. */
+  prune(now = Date.now()) {
+    for (const [call, a] of this._activators) {
+      if (now - a.lastSeen > RETENTION_MS) this._activators.delete(call);
+    }
+  }
+
+  clear() {
+    this._activators.clear();
+  }
+
+  /**
+   * Attach timeline and change flags to a merged row (returns a new object):
+   *   timeline   — newest-first [{ spotTime, source, frequency, band, mode, reference, spotter, comments }]
+   *   qsy        — { frequency, band, mode, spotTime } the activator moved here from, or absent
+   *   modeChange — { from, spotTime } when the mode changed on this frequency, or absent
+   *   lastSpotTime — newest spot for this activator on this frequency (re-spot age)
+   */
+  annotate(row, now = Date.now()) {
+    if (!row || row.source === 'net' || !row.callsign) return row;
+    const a = this._activators.get(baseCallsign(row.callsign));
+    if (!a || a.entries.length === 0) return row;
+
+    const freq = parseFloat(row.frequency);
+    const isHere = (e) => Math.abs(e.frequency - freq) <= SAME_FREQ_KHZ;
+    const entries = a.entries;
+    const out = { ...row };
+
+    out.timeline = entries.slice(-TIMELINE_LIMIT).reverse().map((e) => ({
+      spotTime: new Date(e.t).toISOString(),
+      source: e.source,
+      frequency: e.frequency,
+      band: e.band,
+      mode: e.mode,
+      reference: e.reference,
+      spotter: e.spotter,
+      comments: e.comments,
+    }));
+
+    // Walk newest → oldest: the first entry here is the latest re-spot; the
+    // first entry elsewhere, if older than that, is where they moved from.
+    let lastHere = null;
+    let prevElsewhere = null;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const e = entries[i];
+      if (isHere(e)) {
+        if (!lastHere) lastHere = e;
+      } else {
+        prevElsewhere = e;
+        break;
+      }
+    }
+    if (lastHere) out.lastSpotTime = new Date(lastHere.t).toISOString();
+    if (lastHere && prevElsewhere && now - prevElsewhere.t <= QSY_WINDOW_MS) {
+      out.qsy = {
+        frequency: prevElsewhere.frequency,
+        band: prevElsewhere.band,
+        mode: prevElsewhere.mode,
+        spotTime: new Date(prevElsewhere.t).toISOString(),
+      };
+    }
+
+    // Mode change on this frequency: newest entry here uses the row's mode and
+    // an older entry here used a different one
+    const curMode = normMode(row.mode);
+    if (curMode && lastHere && normMode(lastHere.mode) === curMode) {
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const e = entries[i];
+        if (!isHere(e)) break;
+        const m = normMode(e.mode);
+        if (m && m !== curMode) {
+          if (now - e.t <= QSY_WINDOW_MS) out.modeChange = { from: m, spotTime: new Date(e.t).toISOString() };
+          break;
+        }
+      }
+    }
+
+    return out;
+  }
+}
+
+module.exports = { SpotHistory };
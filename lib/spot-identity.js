@@ -0,0 +1,185 @@
+// Spot identity — clusters spots of the same signal across every source
+// (POTA, SOTA, WWFF, LLOTA, custom programs, DX cluster, RBN, PSKReporter)
+// into one row carrying all references, all sources and a merged history.
+
+// Lower rank wins as the row's primary spot: program spots carry references
+// and human-entered frequencies, then cluster, then skimmer/reporter hits.
+const SOURCE_RANK = { pota: 0, wwff: 1, sota: 2, llota: 3, dxc: 20, rbn: 30, pskr: 40 };
+const CUSTOM_RANK = 10;
+const PROGRAM_SOURCES_EXCLUDE = new Set(['dxc', 'rbn', 'pskr', 'net']);
+
+// Frequency tolerance (kHz) for two spots to be the same signal
+const TOLERANCE_KHZ = { cw: 1, data: 1, phone: 3, other: 2 };
+const PHONE_MODES = new Set(['SSB', 'USB', 'LSB', 'AM', 'FM', 'DV', 'FREEDV']);
+const CW_MODES = new Set(['CW', 'CW-L', 'CW-U', 'CW-R']);
+const DATA_MODES = new Set(['FT8', 'FT4', 'RTTY', 'PSK', 'PSK31', 'JS8', 'DIGI', 'DATA']);
+
+const HISTORY_LIMIT = 20;
+
+function rankOf(source) {
+  if (source in SOURCE_RANK) return SOURCE_RANK[source];
+  return CUSTOM_RANK;
+}
+
+function isProgramSource(source) {
+  return !!source && !PROGRAM_SOURCES_EXCLUDE.has(source);
+}
+
+function toleranceFor(mode) {
+  const m = (mode || '').toUpperCase();
+  if (CW_MODES.has(m)) return TOLERANCE_KHZ.cw;
+  if (DATA_MODES.has(m)) return TOLERANCE_KHZ.data;
+  if (PHONE_MODES.has(m)) return TOLERANCE_KHZ.phone;
+  return TOLERANCE_KHZ.other;
+}
+
+/**
+ * Identity key for a callsign: upper-cased with operating suffixes removed,
+ * so W1AW, W1AW/P and W1AW/QRP match. Prefixes (VE3/W1AW) are kept — a
+ * different country is a different signal location.
+ */
+function baseCallsign(call) {
+  return (call || '').toUpperCase().trim().replace(/(\/(P|M|MM|AM|QRP|\d))+$/, '');
+}
+
+function spotTimeMs(spotTime) {
+  if (!spotTime) return 0;
+  const t = Date.parse(/[zZ]$|[+-]\d\d:?\d\d$/.test(spotTime) ? spotTime : spotTime + 'Z');
+  return isNaN(t) ? 0 : t;
+}
+
+function historyEntry(s) {
+  return {
+    source: s.source,
+    spotter: s.spotter || '',
+    frequency: s.frequency,
+    mode: s.mode || '',
+    reference: s.reference || '',
+    spotTime: s.spotTime || '',
+    // Cluster/RBN/PSKReporter spots carry their comment in parkName
+    comments: s.comments || (isProgramSource(s.source) ? '' : s.parkName || ''),
+    snr: s.snr != null ? s.snr : null,
+  };
+}
+
+function pickPrimary(members) {
+  let best = members[0];
+  for (const s of members) {
+    const r = rankOf(s.source);
+    const br = rankOf(best.source);
+    if (r < br || (r === br && spotTimeMs(s.spotTime) > spotTimeMs(best.spotTime))) best = s;
+  }
+  return best;
+}
+
+function buildRow(members) {
+  if (members.length === 1) return members[0];
+
+  const primary = pickPrimary(members);
+  const row = { ...primary };
+
+  // Every program reference (dual/triple-park and cross-program activations)
+  const refs = [];
+  const seenRefs = new Set();
+  for (const s of members) {
+    if (!isProgramSource(s.source) || !s.reference) continue;
+    const key = s.source + ':' + s.reference;
+    if (seenRefs.has(key)) continue;
+    seenRefs.add(key);
+    refs.push({ source: s.source, reference: s.reference, name: s.parkName || '' });
+  }
+  // Keep primary ref first
+  const primaryIdx = refs.findIndex((r) => r.source === primary.source && r.reference === primary.reference);
+  if (primaryIdx > 0) refs.unshift(refs.splice(primaryIdx, 1)[0]);
+
+  row.sources = [...new Set(members.map((s) => s.source))];
+  row.refs = refs;
+  row.mergedCount = members.length;
+
+  // Back-compat with the POTA↔WWFF dual-park fields used by logging/respot
+  if (primary.source === 'pota') {
+    const wwff = refs.find((r) => r.source === 'wwff');
+    if (wwff) {
+      row.wwffReference = wwff.reference;
+      row.wwffParkName = wwff.name;
+    }
+  }
+
+  // Fill gaps from other members (mode from RBN, coordinates from a program spot)
+  if (!row.mode) {
+    const withMode = members.find((s) => s.mode);
+    if (withMode) row.mode = withMode.mode;
+  }
+  if (row.lat == null || row.lon == null) {
+    const located = members.filter((s) => s.lat != null && s.lon != null)
+      .sort((a, b) => rankOf(a.source) - rankOf(b.source))[0];
+    if (located) {
+      row.lat = located.lat;
+      row.lon = located.lon;
+      row.distance = located.distance;
+      row.bearing = located.bearing;
+    }
+  }
+
+  // Row age follows the most recent activity from any source
+  const latest = members.reduce((a, b) => (spotTimeMs(b.spotTime) > spotTimeMs(a.spotTime) ? b : a));
+  if (latest.spotTime) row.spotTime = latest.spotTime;
+
+  row.history = members
+    .map(historyEntry)
+    .sort((a, b) => spotTimeMs(b.spotTime) - spotTimeMs(a.spotTime))
+    .slice(0, HISTORY_LIMIT);
+
+  return row;
+}
+
+/**
+ * Merge duplicate spots of the same signal into single rows.
+ * Spots match when their base callsigns are equal and their frequencies are
+ * within a mode-dependent tolerance. Net reminder spots pass through untouched.
+ * Order of the input is preserved by first appearance of each cluster.
+ * @param {object[]} spots
+ * @returns {object[]}
+ */
+function mergeSpotIdentities(spots) {
+  const out = [];
+  const clusters = new Map(); // base call → [{ members }]
+
+  for (const s of spots) {
+    if (!s || s.source === 'net' || !s.callsign) {
+      out.push(s);
+      continue;
+    }
+    const key = baseCallsign(s.callsign);
+    const freq = parseFloat(s.frequency);
+    let list = clusters.get(key);
+    if (!list) {
+      list = [];
+      clusters.set(key, list);
+    }
+
+    let match = null;
+    if (!isNaN(freq)) {
+      for (const c of list) {
+        const tol = Math.max(toleranceFor(s.mode), toleranceFor(c.members[0].mode));
+        if (c.members.some((m) => Math.abs(parseFloat(m.frequency) - freq) <= tol)) {
+          match = c;
+          break;
+        }
+      }
+    }
+
+    if (match) {
+      match.members.push(s);
+    } else {
+      // The cluster object holds its output slot; rows are built once all members are in
+      const c = { members: [s] };
+      list.push(c);
+      out.push(c);
+    }
+  }
+
+  return out.map((entry) => (entry && entry.members ? buildRow(entry.members) : entry));
+}
+
+module.exports = { mergeSpotIdentities, baseCallsign, spotTimeMs };
@@ -0,0 +1,176 @@
+// Spot session recorder / replayer — offline demos and regression testing
+//
+// A session file is JSON Lines, one record per line: { t, type, data }
+//   t    — wall-clock ms when the record was captured
+//   type — 'header' | 'api' | 'cluster' | 'rbn' | 'merged'
+//   data — api:     { source, raw }     raw spot-source payload (before normalize)
+//          cluster: { nodeId, line }    raw DX cluster telnet line
+//          rbn:     { line }            raw RBN telnet spot line (unfiltered)
+//          merged:  [spot, ...]         merged list as sent to the renderer
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const FORMAT_VERSION = 1;
+const MAX_GAP_MS = 60000; // idle gaps longer than this are squeezed on replay
+
+function timestampName(d) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}${p(d.getSeconds())}`;
+}
+
+class SpotRecorder {
+  constructor() {
+    this._stream = null;
+    this.filePath = '';
+    this.count = 0;
+    this.startedAt = 0;
+  }
+
+  get recording() {
+    return !!this._stream;
+  }
+
+  /**
+   * Open a new timestamped session file in dir.
+   * @returns {string} path of the session file
+   */
+  start(dir, meta = {}) {
+    this.stop();
+    fs.mkdirSync(dir, { recursive: true });
+    this.startedAt = Date.now();
+    this.filePath = path.join(dir, `spots-${timestampName(new Date(this.startedAt))}.jsonl`);
+    this._stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this._stream.on('error', (err) => {
+      console.error('[Recorder] Write failed:', err.message);
+      this._stream = null;
+    });
+    this.count = 0;
+    this.record('header', { version: FORMAT_VERSION, ...meta });
+    return this.filePath;
+  }
+
+  record(type, data) {
+    if (!this._stream) return;
+    this._stream.write(JSON.stringify({ t: Date.now(), type, data }) + '\n');
+    this.count++;
+  }
+
+  stop() {
+    if (this._stream) {
+      this._stream.end();
+      this._stream = null;
+    }
+  }
+}
+
+/**
+ * Read a session file into an array of records. Malformed lines are skipped
+ * (a session cut short by a crash still replays up to the last full line).
+ */
+function loadSession(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec && typeof rec.t === 'number' && rec.type) records.push(rec);
+    } catch { /* skip partial line */ }
+  }
+  return records;
+}
+
+/** List recorded sessions in dir, newest first. */
+function listSessions(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter((f) => f.endsWith('.jsonl'))
+      .map((f) => {
+        const full = path.join(dir, f);
+        const st = fs.statSync(full);
+        return { name: f, path: full, size: st.size, mtime: st.mtimeMs };
+      })
+      .sort((a, b) => b.mtime - a.mtime);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Plays a session back, emitting 'record' for each entry at its original
+ * pacing divided by speed. Emits 'progress' (see status()) and 'end'.
+ */
+class SpotReplayer extends EventEmitter {
+  constructor() {
+    super();
+    this._records = [];
+    this._index = 0;
+    this._timer = null;
+    this._running = false;
+    this.speed = 1;
+    this.filePath = '';
+  }
+
+  get playing() {
+    return this._running;
+  }
+
+  load(filePath) {
+    this.stop();
+    this._records = loadSession(filePath).filter((r) => r.type !== 'header');
+    this._index = 0;
+    this.filePath = filePath;
+    if (this._records.length === 0) throw new Error('Session file has no spot records');
+    return this._records.length;
+  }
+
+  start({ speed = 1 } = {}) {
+    this.speed = Math.max(0.1, Number(speed) || 1);
+    this._index = 0;
+    this._running = true;
+    this._next();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._index = this._records.length;
+    this._running = false;
+  }
+
+  status() {
+    const total = this._records.length;
+    const cur = this._records[Math.min(this._index, total - 1)];
+    return {
+      filePath: this.filePath,
+      index: this._index,
+      total,
+      speed: this.speed,
+      recordedAt: cur ? cur.t : 0,
+    };
+  }
+
+  _next() {
+    this._timer = null;
+    if (!this._running || this._index >= this._records.length) return;
+    const rec = this._records[this._index++];
+    try {
+      this.emit('record', rec);
+    } catch (err) {
+      console.error('[Replay] Record handler failed:', err.message);
+    }
+    this.emit('progress', this.status());
+    if (this._index >= this._records.length) {
+      this._running = false;
+      this.emit('end');
+      return;
+    }
+    const gap = Math.min(Math.max(0, this._records[this._index].t - rec.t), MAX_GAP_MS);
+    this._timer = setTimeout(() => this._next(), gap / this.speed);
+  }
+}
+
+module.exports = { SpotRecorder, SpotReplayer, loadSession, listSessions };
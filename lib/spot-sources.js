@@ -0,0 +1,356 @@
+// Spot source registry — pluggable activator programs (POTA, SOTA, WWFF, LLOTA, GMA, ...)
+//
+// A source is { id, label, color, pollInterval, isEnabled(settings), fetch(), normalize(raw, ctx) }.
+// Built-ins are registered by main.js; extra programs can be declared in a JSON
+// config file (see loadSourcesConfig) without touching main.js.
+const fs = require('fs');
+const { getJson, resetBackoff } = require('./http');
+const { freqToBand } = require('./bands');
+const { gridToLatLon, haversineDistanceMiles, bearing } = require('./grid');
+const { resolveCallsign } = require('./cty');
+
+const ID_RE = /^[a-z][a-z0-9_-]{1,15}$/;
+// Source ids used by the streaming feeds and net reminders — not available to plugins
+const RESERVED_IDS = new Set(['dxc', 'rbn', 'pskr', 'net']);
+
+const sources = new Map(); // id → source entry
+
+function newHealth() {
+  return { lastFetch: 0, lastOk: 0, lastError: '', lastErrorTime: 0, latencyMs: null, failures: 0, retryAt: 0, spotCount: 0 };
+}
+
+/**
+ * Register (or replace) a spot source.
+ * @param {object} def
+ * @param {string} def.id - short lowercase id, used as spot.source
+ * @param {string} [def.label] - display name (defaults to id upper-cased)
+ * @param {string} [def.color] - table/map color
+ * @param {string} [def.url] - API URL, used to clear HTTP backoff on a forced refresh
+ * @param {number} [def.pollInterval] - minimum seconds between fetches (0 = every refresh)
+ * @param {function(object): boolean} [def.isEnabled] - reads the enable flag from settings
+ * @param {function(): Promise<any>} def.fetch - returns the raw API payload
+ * @param {function(any, object): (object[]|Promise<object[]>)} def.normalize - raw payload → POTACAT spots
+ * @param {boolean} [def.builtin]
+ */
+function registerSource(def) {
+  if (!def || !ID_RE.test(def.id || '')) throw new Error(`Invalid spot source id: ${def && def.id}`);
+  if (RESERVED_IDS.has(def.id)) throw new Error(`Spot source id "${def.id}" is reserved`);
+  if (typeof def.fetch !== 'function' || typeof def.normalize !== 'function') {
+    throw new Error(`Spot source "${def.id}" needs fetch() and normalize()`);
+  }
+  const prev = sources.get(def.id);
+  sources.set(def.id, {
+    id: def.id,
+    label: def.label || def.id.toUpperCase(),
+    color: def.color || '#9e9e9e',
+    url: def.url || '',
+    pollInterval: Math.max(0, Number(def.pollInterval) || 0),
+    isEnabled: typeof def.isEnabled === 'function' ? def.isEnabled : () => true,
+    fetch: def.fetch,
+    normalize: def.normalize,
+    builtin: !!def.builtin,
+    health: prev ? prev.health : newHealth(),
+    spots: prev ? prev.spots : [],
+  });
+}
+
+function unregisterSource(id) {
+  return sources.delete(id);
+}
+
+function getSource(id) {
+  return sources.get(id) || null;
+}
+
+function listSources() {
+  return [...sources.values()];
+}
+
+/** Serializable summary of every registered source, for the renderer. */
+function describeSources(settings) {
+  return listSources().map((s) => ({
+    id: s.id,
+    label: s.label,
+    color: s.color,
+    builtin: s.builtin,
+    enabled: !!s.isEnabled(settings),
+    pollInterval: s.pollInterval,
+    health: { ...s.health },
+  }));
+}
+
+function isDue(src, now) {
+  if (src.health.retryAt > now) return false;
+  if (!src.health.lastFetch) return true;
+  return now - src.health.lastFetch >= src.pollInterval * 1000;
+}
+
+async function pollOne(src, ctx, onRaw) {
+  const h = src.health;
+  const start = Date.now();
+  h.lastFetch = start;
+  try {
+    const raw = await src.fetch();
+    h.latencyMs = Date.now() - start;
+    if (onRaw) onRaw(src.id, raw);
+    const spots = await src.normalize(raw, ctx);
+    src.spots = Array.isArray(spots) ? spots : [];
+    h.lastOk = Date.now();
+    h.lastError = '';
+    h.failures = 0;
+    h.retryAt = 0;
+    h.spotCount = src.spots.length;
+  } catch (err) {
+    // HTTP layer is still backing off from an earlier failure — nothing new to report
+    if (err.backoff) {
+      h.retryAt = err.retryAt || 0;
+      return;
+    }
+    h.latencyMs = Date.now() - start;
+    h.failures++;
+    h.lastError = err.message || String(err);
+    h.lastErrorTime = Date.now();
+    h.retryAt = err.retryAt || 0;
+    throw err;
+  }
+}
+
+/**
+ * Fetch every enabled source whose poll interval has elapsed and return the
+ * combined spot list. Sources that aren't due reuse their last result; a
+ * failed fetch keeps the previous spots so one flaky API doesn't blank the table,
+ * and a source in HTTP backoff is skipped until its retry time (unless forced).
+ * @param {object} settings
+ * @param {object} ctx - passed to normalize(): { myPos, ctyDb }
+ * @param {{ force?: boolean, onRaw?: function(string, any) }} [opts] - force re-fetch
+ *   regardless of poll interval; onRaw(id, raw) sees each payload before normalize (recording)
+ * @returns {Promise<{ spots: object[], errors: Array<{ id: string, message: string }> }>}
+ */
+async function pollSources(settings, ctx, { force = false, onRaw = null } = {}) {
+  const now = Date.now();
+  const active = [];
+  const pending = [];
+  for (const src of sources.values()) {
+    if (!src.isEnabled(settings)) {
+      src.spots = [];
+      continue;
+    }
+    active.push(src);
+    if (force) {
+      src.health.retryAt = 0;
+      if (src.url) resetBackoff(src.url);
+    }
+    if (force || isDue(src, now)) pending.push(src);
+  }
+
+  const results = await Promise.allSettled(pending.map((src) => pollOne(src, ctx, onRaw)));
+  const errors = [];
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') errors.push({ id: pending[i].id, message: r.reason && r.reason.message || String(r.reason) });
+  });
+
+  return { spots: active.flatMap((src) => src.spots), errors };
+}
+
+/**
+ * Normalize a raw payload for one source without fetching (session replay).
+ * Replaces that source's cached spots and returns them.
+ */
+async function injectRaw(id, raw, ctx) {
+  const src = sources.get(id);
+  if (!src) return [];
+  const spots = await src.normalize(raw, ctx);
+  src.spots = Array.isArray(spots) ? spots : [];
+  src.health.spotCount = src.spots.length;
+  return src.spots;
+}
+
+/** Cached spots from every enabled source, without fetching. */
+function collectSpots(settings) {
+  return listSources().filter((src) => src.isEnabled(settings)).flatMap((src) => src.spots);
+}
+
+/** Drop every source's cached spots (e.g. before a replay session). */
+function clearSpots() {
+  for (const src of sources.values()) src.spots = [];
+}
+
+// --- Shared normalization helpers ---
+
+/**
+ * Fill in band, distance, bearing and continent on a partially-built spot.
+ * @param {object} spot - needs callsign, freqMHz, lat, lon
+ * @param {{ myPos?: {lat:number, lon:number}, ctyDb?: object }} ctx
+ */
+function finishSpot(spot, ctx) {
+  const { myPos, ctyDb } = ctx || {};
+  let { lat, lon } = spot;
+  let entity = null;
+  if (ctyDb && spot.callsign) entity = resolveCallsign(spot.callsign, ctyDb);
+  // No coordinates from the API — fall back to the DXCC entity centroid
+  if ((lat == null || lon == null) && entity && entity.lat != null && entity.lon != null) {
+    lat = entity.lat;
+    lon = entity.lon;
+  }
+  spot.lat = lat != null ? lat : null;
+  spot.lon = lon != null ? lon : null;
+  spot.continent = entity ? entity.continent || '' : '';
+  if (!spot.locationDesc && entity) spot.locationDesc = entity.name || '';
+  spot.band = freqToBand(spot.freqMHz);
+  spot.distance = null;
+  spot.bearing = null;
+  if (myPos && spot.lat != null && spot.lon != null) {
+    spot.distance = Math.round(haversineDistanceMiles(myPos.lat, myPos.lon, spot.lat, spot.lon));
+    spot.bearing = Math.round(bearing(myPos.lat, myPos.lon, spot.lat, spot.lon));
+  }
+  return spot;
+}
+
+/** Keep the latest spot per callsign+band (allows multi-band activations). */
+function dedupeByCallBand(spots) {
+  const seen = new Map();
+  for (const s of spots) { seen.set(s.callsign + '_' + s.band, s); }
+  return [...seen.values()];
+}
+
+// --- Config-file sources ---
+
+// Dotted path lookup: getPath({a:{b:[1]}}, 'a.b.0') → 1
+function getPath(obj, p) {
+  if (!p) return undefined;
+  let cur = obj;
+  for (const key of String(p).split('.')) {
+    if (cur == null) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function toKhz(value, unit) {
+  const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+  if (!n || isNaN(n)) return 0;
+  if (unit === 'hz') return n / 1000;
+  if (unit === 'mhz') return n * 1000;
+  if (unit === 'khz') return n;
+  // auto: treat small values as MHz, huge values as Hz
+  if (n < 1000) return n * 1000;
+  if (n >= 1e6) return n / 1000;
+  return n;
+}
+
+function toIsoTime(value) {
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    const n = Number(value);
+    return new Date(n < 1e12 ? n * 1000 : n).toISOString(); // seconds or ms
+  }
+  const str = String(value).trim().replace(' ', 'T');
+  return /[zZ]|[+-]\d\d:?\d\d$/.test(str) ? str : str + 'Z';
+}
+
+/**
+ * Build a source definition from a config entry. Example:
+ *   { "id": "gma", "label": "GMA", "color": "#9ccc65", "url": "https://...",
+ *     "pollInterval": 120, "listPath": "RCD", "frequencyUnit": "khz",
+ *     "fields": { "callsign": "ACTIVATOR", "frequency": "QRG", "mode": "MODE",
+ *                 "reference": "REF", "name": "NAME", "spotTime": "DATE" } }
+ */
+function buildConfigSource(cfg) {
+  if (!cfg || typeof cfg !== 'object') throw new Error('Spot source entry must be an object');
+  if (!cfg.url || !/^https:\/\//i.test(cfg.url)) throw new Error(`Spot source "${cfg.id}" needs an https url`);
+  const fields = { callsign: 'callsign', frequency: 'frequency', mode: 'mode', reference: 'reference', ...(cfg.fields || {}) };
+  const id = String(cfg.id || '').toLowerCase();
+  const label = cfg.label || id.toUpperCase();
+
+  return {
+    id,
+    label,
+    color: cfg.color,
+    url: cfg.url,
+    pollInterval: cfg.pollInterval,
+    isEnabled: (s) => {
+      const map = (s && s.enabledSources) || {};
+      return id in map ? !!map[id] : cfg.enabled !== false;
+    },
+    fetch: () => getJson(cfg.url, label, { conditional: true }),
+    normalize: (raw, ctx) => {
+      const list = cfg.listPath ? getPath(raw, cfg.listPath) : raw;
+      if (!Array.isArray(list)) throw new Error(`${label} response has no spot list`);
+      const spots = [];
+      for (const r of list) {
+        const callsign = String(getPath(r, fields.callsign) || '').toUpperCase().trim();
+        const freqKhz = toKhz(getPath(r, fields.frequency), cfg.frequencyUnit || 'auto');
+        if (!callsign || !freqKhz) continue;
+        let lat = parseFloat(getPath(r, fields.lat));
+        let lon = parseFloat(getPath(r, fields.lon));
+        if (isNaN(lat) || isNaN(lon)) {
+          const pos = fields.grid ? gridToLatLon(getPath(r, fields.grid) || '') : null;
+          lat = pos ? pos.lat : null;
+          lon = pos ? pos.lon : null;
+        }
+        spots.push(finishSpot({
+          source: id,
+          callsign,
+          frequency: String(Math.round(freqKhz * 10) / 10),
+          freqMHz: freqKhz / 1000,
+          mode: String(getPath(r, fields.mode) || '').toUpperCase(),
+          reference: String(getPath(r, fields.reference) || ''),
+          parkName: String(getPath(r, fields.name) || ''),
+          locationDesc: String(getPath(r, fields.locationDesc) || ''),
+          lat,
+          lon,
+          spotTime: toIsoTime(getPath(r, fields.spotTime)),
+          comments: String(getPath(r, fields.comments) || ''),
+          spotter: String(getPath(r, fields.spotter) || ''),
+        }, ctx));
+      }
+      return dedupeByCallBand(spots);
+    },
+  };
+}
+
+/**
+ * Load extra spot sources from a JSON file: either an array of entries or
+ * { "sources": [...] }. Missing file is not an error.
+ * @returns {{ loaded: string[], errors: string[] }}
+ */
+function loadSourcesConfig(filePath) {
+  const result = { loaded: [], errors: [] };
+  if (!filePath || !fs.existsSync(filePath)) return result;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    result.errors.push(`${filePath}: ${err.message}`);
+    return result;
+  }
+  const entries = Array.isArray(data) ? data : (data && Array.isArray(data.sources) ? data.sources : []);
+  for (const cfg of entries) {
+    try {
+      const def = buildConfigSource(cfg);
+      const existing = sources.get(def.id);
+      if (existing && existing.builtin) throw new Error(`"${def.id}" is a built-in source`);
+      registerSource(def);
+      result.loaded.push(def.id);
+    } catch (err) {
+      result.errors.push(err.message);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  registerSource,
+  unregisterSource,
+  getSource,
+  listSources,
+  describeSources,
+  pollSources,
+  injectRaw,
+  collectSpots,
+  clearSpots,
+  finishSpot,
+  dedupeByCallBand,
+  buildConfigSource,
+  loadSourcesConfig,
+};
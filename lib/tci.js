@@ -1,5 +1,7 @@
 // TCI (Transceiver Control Interface) WebSocket client
-// Pushes spot markers to Thetis/ExpertSDR3/SunSDR panadapter
+// Pushes spot markers to Thetis/ExpertSDR3/SunSDR panadapter, and doubles as a
+// full CAT client (rig type 'tci') — same tune/setTransmit/setFilterWidth/
+// setTxPower surface and 'status'/'frequency'/'mode' events as CatClient
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 
@@ -22,6 +24,12 @@ const TCI_SOURCE_COLORS_CB = {
 };
 let TCI_SOURCE_COLORS = { ...TCI_SOURCE_COLORS_NORMAL };
 
+// TCI modulation names → the mode strings CatClient emits
+const TCI_TO_MODE = {
+  usb: 'USB', lsb: 'LSB', cw: 'CW', am: 'AM', sam: 'AM', dsb: 'AM',
+  nfm: 'FM', wfm: 'FM', digu: 'DIGU', digl: 'DIGL', drm: 'DRM', spec: 'SPEC',
+};
+
 class TciClient extends EventEmitter {
   constructor() {
     super();
@@ -35,15 +43,38 @@ class TciClient extends EventEmitter {
     this._previousSpots = new Set();
     this._spotFreqs = new Map();
     this._pendingCmds = []; // buffered until ready;
+    this._debug = false; // set to true to emit 'log' events
+    this._target = null;
+    this._trx = 0; // transceiver index we control (TCI supports several)
+    // Last state the radio reported
+    this.frequency = 0;
+    this.mode = '';
+    this.transmitting = false;
+    this.filterLow = null;
+    this.filterHigh = null;
   }
 
+  /**
+   * connect(host, port) for spot markers, or connect(target) as a CAT rig
+   * where target = { type: 'tci', host, port, trx }.
+   */
   connect(host, port) {
     this.disconnect();
+    if (host && typeof host === 'object') {
+      this._target = host;
+      this._trx = parseInt(host.trx, 10) || 0;
+      port = host.port;
+      host = host.host;
+    }
     this._host = host || '127.0.0.1';
     this._port = port || 50001;
     this._doConnect();
   }
 
+  _log(msg) {
+    if (this._debug) this.emit('log', msg);
+  }
+
   _doConnect() {
     const url = `ws://${this._host}:${this._port}`;
     let ws;
@@ -59,6 +90,7 @@ class TciClient extends EventEmitter {
     ws.on('open', () => {
       this.connected = true;
       this.emit('connected');
+      this.emit('status', { connected: true, target: this._target });
     });
 
     ws.on('message', (data) => {
@@ -75,6 +107,7 @@ class TciClient extends EventEmitter {
       this._ready = false;
       this._ws = null;
       if (wasConnected) this.emit('disconnected');
+      this.emit('status', { connected: false, target: this._target });
       this._scheduleReconnect();
     });
   }
@@ -91,7 +124,75 @@ class TciClient extends EventEmitter {
           this._wsSend(cmd);
         }
         this._pendingCmds = [];
+      } else if (trimmed) {
+        this._onState(trimmed);
+      }
+    }
+  }
+
+  /**
+   * Radio state notifications — name:arg1,arg2,... The first argument is the
+   * transceiver index; notifications for other transceivers are ignored.
+   */
+  _onState(cmd) {
+    const colon = cmd.indexOf(':');
+    if (colon === -1) return;
+    const name = cmd.slice(0, colon).toLowerCase();
+    const args = cmd.slice(colon + 1).split(',').map(a => a.trim());
+    switch (name) {
+      case 'vfo': {
+        // vfo:trx,channel,hz — channel 0 is the main VFO, 1 is VFO B
+        if (parseInt(args[0], 10) !== this._trx) return;
+        const hz = parseInt(args[2], 10);
+        if (!(hz > 0)) return;
+        if (args[1] === '1') {
+          this.emit('receiver', { receiver: 'B', frequency: hz, mode: this.mode || null });
+        } else {
+          this.frequency = hz;
+          this.emit('frequency', hz);
+        }
+        break;
       }
+      case 'modulation': {
+        if (parseInt(args[0], 10) !== this._trx) return;
+        const raw = (args[1] || '').toLowerCase();
+        const mode = TCI_TO_MODE[raw] || raw.toUpperCase();
+        if (!mode) return;
+        this.mode = mode;
+        this.emit('mode', mode);
+        this._log(`rx: ${cmd} → mode=${mode}`);
+        break;
+      }
+      case 'trx': {
+        if (parseInt(args[0], 10) !== this._trx) return;
+        this.transmitting = args[1] === 'true';
+        this.emit('transmit', this.transmitting);
+        break;
+      }
+      case 'drive': {
+        // Older servers send drive:value without the transceiver index
+        const pct = parseInt(args.length > 1 ? args[1] : args[0], 10);
+        if (args.length > 1 && parseInt(args[0], 10) !== this._trx) return;
+        if (!isNaN(pct)) this.emit('drive', pct);
+        break;
+      }
+      case 'rx_filter_band': {
+        if (parseInt(args[0], 10) !== this._trx) return;
+        const low = parseInt(args[1], 10);
+        const high = parseInt(args[2], 10);
+        if (isNaN(low) || isNaN(high)) return;
+        this.filterLow = low;
+        this.filterHigh = high;
+        this.emit('filter', high - low);
+        break;
+      }
+      case 'rx_nb_enable': {
+        if (parseInt(args[0], 10) !== this._trx) return;
+        this.emit('nb', args[1] === 'true');
+        break;
+      }
+      default:
+        break;
     }
   }
 
@@ -120,6 +221,72 @@ class TciClient extends EventEmitter {
     this._wsSend(cmd);
   }
 
+  // --- CAT control ---
+
+  tune(frequencyHz, mode, { split, filterWidth } = {}) {
+    this._log(`tune() called: freq=${frequencyHz} mode=${mode} split=${!!split} filter=${filterWidth || 0} connected=${this.connected}`);
+    if (!this.connected) return false;
+    const hz = Math.round(frequencyHz);
+    const modulation = mapModeTci(mode, hz);
+    if (modulation) this._send(`modulation:${this._trx},${modulation};`);
+    this._send(`vfo:${this._trx},0,${hz};`);
+    this._send(`split_enable:${this._trx},${split ? 'true' : 'false'};`);
+    if (filterWidth > 0) this.setFilterWidth(filterWidth, modulation ? TCI_TO_MODE[modulation] : this.mode);
+    return true;
+  }
+
+  /** Tune VFO B. TCI has one modulation per transceiver, so mode is left alone. */
+  tuneReceiver(receiver, frequencyHz) {
+    if (receiver !== 'B' || !this.connected) return false;
+    this._send(`vfo:${this._trx},1,${Math.round(frequencyHz)};`);
+    return true;
+  }
+
+  setTransmit(on) {
+    if (!this.connected) return;
+    this._log(`PTT ${on ? 'ON' : 'OFF'}`);
+    this._send(`trx:${this._trx},${on ? 'true' : 'false'};`);
+  }
+
+  /**
+   * Set the RX passband width. TCI takes low/high edges relative to the
+   * carrier, so the edges depend on the sideband.
+   */
+  setFilterWidth(widthHz, mode) {
+    if (!this.connected || !(widthHz > 0)) return;
+    const m = (mode || this.mode || '').toUpperCase();
+    const w = Math.round(widthHz);
+    let low, high;
+    if (m === 'USB' || m === 'DIGU') {
+      low = 100; high = 100 + w;
+    } else if (m === 'LSB' || m === 'DIGL') {
+      low = -(100 + w); high = -100;
+    } else {
+      low = -Math.round(w / 2); high = low + w;
+    }
+    this._send(`rx_filter_band:${this._trx},${low},${high};`);
+  }
+
+  /** Drive level as a 0–1 fraction (same scale as the rigctld and CI-V clients). */
+  setTxPower(fraction) {
+    if (!this.connected) return;
+    const pct = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+    this._send(`drive:${this._trx},${pct};`);
+  }
+
+  setNb(on) {
+    if (!this.connected) return;
+    this._send(`rx_nb_enable:${this._trx},${on ? 'true' : 'false'};`);
+  }
+
+  // TCI's tune command keys a carrier rather than starting an ATU cycle, so
+  // band-change auto-tune is deliberately a no-op here
+  startTune() {
+    this._log('startTune: not supported over TCI');
+  }
+
+  // --- Spot markers ---
+
   addSpot(spot) {
     const freqKHz = parseFloat(spot.frequency);
     if (!freqKHz || isNaN(freqKHz)) return;
@@ -172,6 +339,7 @@ class TciClient extends EventEmitter {
     this._host = null;
     this._port = null;
     this._ready = false;
+    this.transmitting = false;
     this._pendingCmds = [];
     if (this._ws) {
       try { this._ws.close(); } catch { /* ignore */ }
@@ -181,6 +349,25 @@ class TciClient extends EventEmitter {
   }
 }
 
+function ssbModulation(freqHz) {
+  // 60m (5 MHz band) is USB by convention; all other bands below 10 MHz are LSB
+  if (freqHz >= 5300000 && freqHz <= 5410000) return 'usb';
+  return freqHz >= 10000000 ? 'usb' : 'lsb';
+}
+
+function mapModeTci(mode, freqHz) {
+  const m = (mode || '').toUpperCase();
+  if (m === 'CW') return 'cw';
+  if (m === 'USB') return 'usb';
+  if (m === 'LSB') return 'lsb';
+  if (m === 'SSB') return ssbModulation(freqHz);
+  if (m === 'FM') return 'nfm';
+  if (m === 'AM') return 'am';
+  if (m === 'DIGU' || m === 'FT8' || m === 'FT4' || m === 'FT2') return 'digu';
+  if (m === 'DIGL') return 'digl';
+  return null;
+}
+
 function setTciColorblindMode(enabled) {
   Object.assign(TCI_SOURCE_COLORS, enabled ? TCI_SOURCE_COLORS_CB : TCI_SOURCE_COLORS_NORMAL);
 }
@@ -291,6 +291,58 @@ function encodeHeartbeat(id, maxSchema) {
   return w.toBuffer();
 }
 
+// Configure's "leave unchanged" value for quint32 fields
+const NO_CHANGE = 0xFFFFFFFF;
+
+function encodeReplay(id) {
+  const w = new BinaryWriter();
+  buildHeader(w, MSG.REPLAY, id);
+  return w.toBuffer();
+}
+
+function encodeFreeText(id, text, send) {
+  const w = new BinaryWriter();
+  buildHeader(w, MSG.FREE_TEXT, id);
+  w.writeUtf8(text || '');
+  w.writeBool(send || false);
+  return w.toBuffer();
+}
+
+function encodeLocation(id, grid) {
+  const w = new BinaryWriter();
+  buildHeader(w, MSG.LOCATION, id);
+  w.writeUtf8(grid || '');
+  return w.toBuffer();
+}
+
+function encodeSwitchConfiguration(id, name) {
+  const w = new BinaryWriter();
+  buildHeader(w, MSG.SWITCH_CONFIGURATION, id);
+  w.writeUtf8(name || '');
+  return w.toBuffer();
+}
+
+/**
+ * Empty strings and omitted numbers leave that setting as it is in WSJT-X.
+ * @param {string} id
+ * @param {{ mode?: string, frequencyTolerance?: number, subMode?: string, fastMode?: boolean,
+ *   trPeriod?: number, rxDF?: number, dxCall?: string, dxGrid?: string, generateMessages?: boolean }} opts
+ */
+function encodeConfigure(id, opts = {}) {
+  const w = new BinaryWriter();
+  buildHeader(w, MSG.CONFIGURE, id);
+  w.writeUtf8(opts.mode || '');
+  w.writeUInt32BE(opts.frequencyTolerance != null ? opts.frequencyTolerance : NO_CHANGE);
+  w.writeUtf8(opts.subMode || '');
+  w.writeBool(opts.fastMode || false);
+  w.writeUInt32BE(opts.trPeriod != null ? opts.trPeriod : NO_CHANGE);
+  w.writeUInt32BE(opts.rxDF != null ? opts.rxDF : NO_CHANGE);
+  w.writeUtf8(opts.dxCall || '');
+  w.writeUtf8(opts.dxGrid || '');
+  w.writeBool(opts.generateMessages || false);
+  return w.toBuffer();
+}
+
 // --- Message parsers ---
 
 function parseHeartbeat(r) {
@@ -381,8 +433,9 @@ function extractCallsigns(message) {
   const parts = message.trim().split(/\s+/);
 
   if (parts[0] === 'CQ') {
-    // "CQ K1ABC FN42" or "CQ DX K1ABC FN42"
-    const callIdx = parts[1] && /^[A-Z]/.test(parts[1]) && !/^\d/.test(parts[1]) && parts[1].length <= 3 ? 2 : 1;
+    // "CQ K1ABC FN42", "CQ DX K1ABC FN42", "CQ POTA K1ABC FN42" or "CQ 145 K1ABC"
+    // — a directed-CQ token is all letters or a 3-digit QSY frequency; calls have digits
+    const callIdx = parts[1] && /^([A-Z]+|\d{3})$/.test(parts[1]) && parts.length > 2 ? 2 : 1;
     return { dxCall: parts[callIdx] || '', deCall: '' };
   }
 
@@ -391,24 +444,46 @@ function extractCallsigns(message) {
 }
 
 // --- WsjtxClient class ---
+// Several WSJT-X / JTDX / MSHV instances can report to the same port (or
+// multicast group); each is tracked by the id in its message header, and
+// replies go back to the address that instance sent from.
+
+// Message types only a WSJT-X instance sends — anything else on a shared
+// multicast group is another client talking (GridTracker, JTAlert, us)
+const SERVER_MSGS = new Set([MSG.HEARTBEAT, MSG.STATUS, MSG.DECODE, MSG.CLEAR,
+  MSG.QSO_LOGGED, MSG.CLOSE, MSG.WSPR_DECODE, MSG.LOGGED_ADIF]);
+
+const OWN_ID = 'POTACAT'; // id our own logbook bridge sends with
+
+function isMulticast(addr) {
+  const m = /^(\d+)\.\d+\.\d+\.\d+$/.exec(addr || '');
+  return !!m && +m[1] >= 224 && +m[1] <= 239;
+}
 
 class WsjtxClient extends EventEmitter {
   constructor() {
     super();
     this.socket = null;
-    this.connected = false;
-    this.wsjtxId = null;        // WSJT-X instance ID (learned from heartbeat)
-    this.wsjtxAddr = null;      // Remote address (IP)
-    this.wsjtxPort = null;      // Remote port
     this.listenPort = 2237;
-    this.heartbeatTimer = null;
-    this.heartbeatTimeout = null;
-    this._highlightedCalls = new Set(); // track what we've highlighted
+    this.multicastGroup = null;
+    this.instances = new Map(); // id → { id, address, port, connected, version, status, highlighted, timeout }
   }
 
-  connect(port) {
-    this.listenPort = port || 2237;
+  /** True while at least one instance is talking to us. */
+  get connected() {
+    for (const inst of this.instances.values()) if (inst.connected) return true;
+    return false;
+  }
+
+  /**
+   * @param {number} [port=2237]
+   * @param {{ multicastGroup?: string }} [opts] - join this group (224.0.0.0/4) to share
+   *   WSJT-X with other multicast listeners
+   */
+  connect(port, opts = {}) {
     this.disconnect();
+    this.listenPort = port || 2237;
+    this.multicastGroup = isMulticast(opts.multicastGroup) ? opts.multicastGroup : null;
 
     this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
 
@@ -425,47 +500,105 @@ class WsjtxClient extends EventEmitter {
     });
 
     this.socket.bind(this.listenPort, () => {
-      this.emit('status', { connected: false, listening: true, port: this.listenPort });
+      if (this.multicastGroup) this._joinGroup();
+      this._emitStatus();
     });
   }
 
-  disconnect() {
-    this.connected = false;
-    this.wsjtxId = null;
-    this.wsjtxAddr = null;
-    this.wsjtxPort = null;
-    this._highlightedCalls.clear();
-
-    if (this.heartbeatTimer) {
-      clearInterval(this.heartbeatTimer);
-      this.heartbeatTimer = null;
+  // WSJT-X sends multicast out of the interfaces ticked in its settings
+  // (loopback by default), so join on every IPv4 interface
+  _joinGroup() {
+    const os = require('os');
+    let joined = 0;
+    for (const addrs of Object.values(os.networkInterfaces())) {
+      for (const a of addrs || []) {
+        if (a.family !== 'IPv4' && a.family !== 4) continue;
+        try {
+          this.socket.addMembership(this.multicastGroup, a.address);
+          joined++;
+        } catch { /* interface can't join — skip it */ }
+      }
     }
-    if (this.heartbeatTimeout) {
-      clearTimeout(this.heartbeatTimeout);
-      this.heartbeatTimeout = null;
+    if (!joined) {
+      try { this.socket.addMembership(this.multicastGroup); joined++; } catch (err) { this.emit('error', err); }
     }
+    try { this.socket.setMulticastLoopback(true); } catch { /* ignore */ }
+  }
+
+  disconnect() {
+    for (const inst of this.instances.values()) clearTimeout(inst.timeout);
+    this.instances.clear();
+
     if (this.socket) {
       try { this.socket.close(); } catch { /* ignore */ }
       this.socket = null;
     }
   }
 
-  _send(buf) {
-    if (!this.socket || !this.wsjtxAddr || !this.wsjtxPort) return;
-    this.socket.send(buf, 0, buf.length, this.wsjtxPort, this.wsjtxAddr);
+  /** Snapshot of known instances for status displays. */
+  listInstances() {
+    return [...this.instances.values()].map(inst => ({
+      id: inst.id,
+      connected: inst.connected,
+      version: inst.version,
+      status: inst.status,
+    }));
   }
 
-  _resetHeartbeatTimeout() {
-    if (this.heartbeatTimeout) clearTimeout(this.heartbeatTimeout);
-    // If no heartbeat in 30s, consider WSJT-X disconnected
-    this.heartbeatTimeout = setTimeout(() => {
-      if (this.connected) {
-        this.connected = false;
-        this.wsjtxId = null;
-        this._highlightedCalls.clear();
-        this.emit('status', { connected: false, listening: true, port: this.listenPort });
-      }
-    }, 30000);
+  _emitStatus() {
+    this.emit('status', {
+      connected: this.connected,
+      listening: true,
+      port: this.listenPort,
+      multicastGroup: this.multicastGroup,
+      instances: this.listInstances(),
+    });
+  }
+
+  _send(inst, buf) {
+    if (!this.socket || !inst || !inst.address || !inst.port) return;
+    this.socket.send(buf, 0, buf.length, inst.port, inst.address);
+  }
+
+  /** Instances a command goes to: the one named, or all connected ones. */
+  _targets(id) {
+    if (id != null) {
+      const inst = this.instances.get(id);
+      return inst && inst.connected ? [inst] : [];
+    }
+    return [...this.instances.values()].filter(inst => inst.connected);
+  }
+
+  _instance(id, rinfo) {
+    let inst = this.instances.get(id);
+    if (!inst) {
+      inst = { id, address: null, port: null, connected: false, version: '', status: null, highlighted: new Set(), timeout: null };
+      this.instances.set(id, inst);
+      this._resetHeartbeatTimeout(inst);
+    }
+    // Replies go back to wherever the instance sends from (it may restart on a new port)
+    inst.address = rinfo.address;
+    inst.port = rinfo.port;
+    return inst;
+  }
+
+  _markConnected(inst) {
+    this._resetHeartbeatTimeout(inst);
+    if (inst.connected) return;
+    inst.connected = true;
+    this._emitStatus();
+  }
+
+  _markGone(inst) {
+    clearTimeout(inst.timeout);
+    this.instances.delete(inst.id);
+    if (inst.connected) this._emitStatus();
+  }
+
+  _resetHeartbeatTimeout(inst) {
+    clearTimeout(inst.timeout);
+    // If no heartbeat in 30s, consider that instance gone
+    inst.timeout = setTimeout(() => this._markGone(inst), 30000);
   }
 
   _handleMessage(buf, rinfo) {
@@ -478,35 +611,25 @@ class WsjtxClient extends EventEmitter {
     const schema = r.readUInt32BE();
     const msgType = r.readUInt32BE();
     const id = r.readUtf8();
+    if (!SERVER_MSGS.has(msgType) || !id || id === OWN_ID) return;
 
-    // Remember WSJT-X's address so we can send back to it
-    if (!this.wsjtxAddr || this.wsjtxAddr !== rinfo.address || this.wsjtxPort !== rinfo.port) {
-      this.wsjtxAddr = rinfo.address;
-      this.wsjtxPort = rinfo.port;
-    }
+    const inst = this._instance(id, rinfo);
 
     try {
       switch (msgType) {
         case MSG.HEARTBEAT: {
           const hb = parseHeartbeat(r);
-          this.wsjtxId = id;
-          if (!this.connected) {
-            this.connected = true;
-            this.emit('status', { connected: true, version: hb.version, id });
-          }
-          this._resetHeartbeatTimeout();
+          inst.version = hb.version;
+          this._markConnected(inst);
           // Reply with our own heartbeat
-          this._send(encodeHeartbeat(id, SCHEMA));
+          this._send(inst, encodeHeartbeat(id, SCHEMA));
           break;
         }
         case MSG.STATUS: {
           const status = parseStatus(r);
-          this.wsjtxId = id;
-          this._resetHeartbeatTimeout();
-          if (!this.connected) {
-            this.connected = true;
-            this.emit('status', { connected: true, id });
-          }
+          status.id = id;
+          inst.status = status;
+          this._markConnected(inst);
           this.emit('wsjtx-status', status);
           break;
         }
@@ -521,23 +644,23 @@ class WsjtxClient extends EventEmitter {
         }
         case MSG.CLEAR: {
           const clear = parseClear(r);
+          clear.id = id;
           this.emit('clear', clear);
           break;
         }
         case MSG.QSO_LOGGED: {
           const qso = parseQsoLogged(r);
+          qso.id = id;
           this.emit('qso-logged', qso);
           break;
         }
         case MSG.CLOSE: {
-          this.connected = false;
-          this.wsjtxId = null;
-          this._highlightedCalls.clear();
-          this.emit('status', { connected: false, listening: true, port: this.listenPort });
+          this._markGone(inst);
           break;
         }
         case MSG.LOGGED_ADIF: {
           const adif = parseLoggedAdif(r);
+          adif.id = id;
           this.emit('logged-adif', adif);
           break;
         }
@@ -553,22 +676,27 @@ class WsjtxClient extends EventEmitter {
   // --- Outbound commands ---
 
   /**
-   * Reply to a decode — equivalent to double-clicking it in WSJT-X.
+   * Reply to a decode — equivalent to double-clicking it in WSJT-X. Goes to
+   * the instance that produced the decode.
    * @param {object} decode - The decode object (from 'decode' event)
    * @param {number} [modifiers=0] - 0=none, 2=Shift, 4=Ctrl, 8=Alt
    */
   reply(decode, modifiers) {
-    if (!this.wsjtxId) return;
-    this._send(encodeReply(this.wsjtxId, decode, modifiers || 0));
+    const targets = this._targets(decode.id);
+    // A decode without an id can only be answered when there's one instance
+    if (targets.length !== 1) return;
+    this._send(targets[0], encodeReply(targets[0].id, decode, modifiers || 0));
   }
 
   /**
    * Halt transmission.
    * @param {boolean} [autoTxOnly=true] - If true, only disables auto-Tx
+   * @param {string} [id] - instance to halt; all instances when omitted
    */
-  haltTx(autoTxOnly) {
-    if (!this.wsjtxId) return;
-    this._send(encodeHaltTx(this.wsjtxId, autoTxOnly));
+  haltTx(autoTxOnly, id) {
+    for (const inst of this._targets(id)) {
+      this._send(inst, encodeHaltTx(inst.id, autoTxOnly));
+    }
   }
 
   /**
@@ -576,30 +704,90 @@ class WsjtxClient extends EventEmitter {
    * @param {string} callsign
    * @param {object|null} bgColor - {r, g, b} (0-255) or null to clear
    * @param {object|null} fgColor - {r, g, b} (0-255) or null to clear
+   * @param {string} [id] - instance to highlight in; all instances when omitted
    */
-  highlightCallsign(callsign, bgColor, fgColor) {
-    if (!this.wsjtxId) return;
-    this._send(encodeHighlightCallsign(this.wsjtxId, callsign, bgColor, fgColor, false));
-    if (bgColor || fgColor) {
-      this._highlightedCalls.add(callsign);
-    } else {
-      this._highlightedCalls.delete(callsign);
+  highlightCallsign(callsign, bgColor, fgColor, id) {
+    for (const inst of this._targets(id)) {
+      this._send(inst, encodeHighlightCallsign(inst.id, callsign, bgColor, fgColor, false));
+      if (bgColor || fgColor) inst.highlighted.add(callsign);
+      else inst.highlighted.delete(callsign);
     }
   }
 
+  /**
+   * Ask WSJT-X to resend the decodes in its Band Activity window (they
+   * arrive as decodes with isNew = false).
+   * @param {string} [id] - one instance; all instances when omitted
+   */
+  replay(id) {
+    for (const inst of this._targets(id)) this._send(inst, encodeReplay(inst.id));
+  }
+
+  /**
+   * Set the free text message, optionally sending it at the next TX period.
+   * @param {string} text
+   * @param {boolean} [send=false]
+   * @param {string} [id] - one instance; all instances when omitted
+   */
+  freeText(text, send, id) {
+    for (const inst of this._targets(id)) this._send(inst, encodeFreeText(inst.id, text, send));
+  }
+
+  /**
+   * Override the instance's grid for this session (4 or 6 characters).
+   * @param {string} grid
+   * @param {string} [id] - one instance; all instances when omitted
+   */
+  setLocation(grid, id) {
+    for (const inst of this._targets(id)) this._send(inst, encodeLocation(inst.id, grid));
+  }
+
+  /**
+   * Switch to a named WSJT-X configuration.
+   * @param {string} name
+   * @param {string} [id] - one instance; all instances when omitted
+   */
+  switchConfiguration(name, id) {
+    for (const inst of this._targets(id)) this._send(inst, encodeSwitchConfiguration(inst.id, name));
+  }
+
+  /**
+   * Change mode, DX call and other settings (see encodeConfigure).
+   * @param {object} opts
+   * @param {string} [id] - one instance; all instances when omitted
+   */
+  configure(opts, id) {
+    for (const inst of this._targets(id)) this._send(inst, encodeConfigure(inst.id, opts));
+  }
+
+  /** Callsigns currently highlighted in any instance. */
+  highlightedCalls() {
+    const calls = new Set();
+    for (const inst of this.instances.values()) {
+      for (const call of inst.highlighted) calls.add(call);
+    }
+    return calls;
+  }
+
   /**
    * Clear all highlights we've set.
+   * @param {string} [id] - one instance; all instances when omitted
    */
-  clearHighlights() {
-    if (!this.wsjtxId) return;
-    for (const call of this._highlightedCalls) {
-      this._send(encodeHighlightCallsign(this.wsjtxId, call, null, null, false));
+  clearHighlights(id) {
+    for (const inst of this._targets(id)) {
+      for (const call of inst.highlighted) {
+        this._send(inst, encodeHighlightCallsign(inst.id, call, null, null, false));
+      }
+      inst.highlighted.clear();
     }
-    this._highlightedCalls.clear();
   }
 }
 
-module.exports = { WsjtxClient, extractCallsigns, MSG, BinaryWriter, buildHeader, encodeHeartbeat, encodeLoggedAdif, encodeQsoLogged };
+module.exports = {
+  WsjtxClient, extractCallsigns, MSG, BinaryWriter, buildHeader,
+  encodeHeartbeat, encodeLoggedAdif, encodeQsoLogged,
+  encodeReplay, encodeFreeText, encodeLocation, encodeSwitchConfiguration, encodeConfigure,
+};
 
 /**
  * Encode a LOGGED_ADIF message (type 12) — sends an ADIF record to listeners like HamRS.
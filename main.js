@@ -6,34 +6,50 @@ const fs = require('fs');
 process.stdout?.on('error', () => {});
 process.stderr?.on('error', () => {});
 const { execFile, spawn } = require('child_process');
-const { fetchSpots: fetchPotaSpots } = require('./lib/pota');
-const { fetchSpots: fetchSotaSpots, fetchSummitCoordsBatch, summitCache, loadAssociations, getAssociationName, SotaUploader } = require('./lib/sota');
+const { fetchSpots: fetchPotaSpots, SPOT_URL: POTA_SPOT_URL } = require('./lib/pota');
+const { fetchSpots: fetchSotaSpots, SPOT_URL: SOTA_SPOT_URL, fetchSummitCoordsBatch, summitCache, loadAssociations, getAssociationName, SotaUploader } = require('./lib/sota');
 const sotaUploader = new SotaUploader();
 const { CatClient, RigctldClient, listSerialPorts } = require('./lib/cat');
+const { IcomCivClient } = require('./lib/icom-civ');
+const { SimRadio } = require('./lib/sim-radio');
 const { gridToLatLon, haversineDistanceMiles, bearing } = require('./lib/grid');
 const { freqToBand } = require('./lib/bands');
 const { loadCtyDat, resolveCallsign, getAllEntities } = require('./lib/cty');
-const { parseAdifFile, parseWorkedQsos, parseAllQsos, parseAllRawQsos, parseSqliteFile, parseSqliteConfirmed, isSqliteFile, parseRecord: parseAdifRecord } = require('./lib/adif');
+const { parseAllRawQsos, parseSqliteFile, parseSqliteConfirmed, isSqliteFile, normalizeBand, normalizeMode, parseRecord: parseAdifRecord } = require('./lib/adif');
 const { DxClusterClient } = require('./lib/dxcluster');
 const { RbnClient } = require('./lib/rbn');
-const { appendQso, buildAdifRecord, appendImportedQso, appendRawQso, rewriteAdifFile, ADIF_HEADER, adifField } = require('./lib/adif-writer');
+const { buildAdifRecord, importedQsoFields, ADIF_HEADER, adifField } = require('./lib/adif-writer');
+const { QsoDatabase } = require('./lib/qso-db');
 const { SmartSdrClient, setColorblindMode: setSmartSdrColorblind } = require('./lib/smartsdr');
 const { TciClient, setTciColorblindMode } = require('./lib/tci');
-const { AntennaGeniusClient } = require('./lib/antenna-genius');
+const { AwardTracker } = require('./lib/awards');
+const { syncConfirmations, SERVICES: QSL_SERVICES } = require('./lib/qsl-sync');
+const { Outbox } = require('./lib/outbox');
+const { createAntennaSwitch, pickAntenna, normalizeRules: normalizeAntennaRules, maxAntennas } = require('./lib/antenna-switch');
 const { IambicKeyer } = require('./lib/keyer');
+const { expandCwMacros, usesSerial } = require('./lib/cw-macros');
+const { CwSender, SerialKeyLine } = require('./lib/cw-sender');
+const { CwDecoder, decodeWav } = require('./lib/cw-decoder');
 const { parsePotaParksCSV } = require('./lib/pota-parks');
 const { WsjtxClient, encodeHeartbeat, encodeLoggedAdif, encodeQsoLogged } = require('./lib/wsjtx');
+const { Ft8Hunter } = require('./lib/ft8-hunter');
+const { loadPlans: loadBandPlans } = require('./lib/band-plans');
+const { createRotor, longPath, DEFAULT_PORTS: ROTOR_DEFAULT_PORTS } = require('./lib/rotor');
 const { PskrClient } = require('./lib/pskreporter');
 const { RemoteServer } = require('./lib/remote-server');
 const { loadClubUsers, hashPasswords, hasPlaintextPasswords } = require('./lib/club-users');
 const { createAuditLogger } = require('./lib/club-audit');
-const { fetchSpots: fetchWwffSpots } = require('./lib/wwff');
-const { fetchSpots: fetchLlotaSpots } = require('./lib/llota');
+const { fetchSpots: fetchWwffSpots, SPOT_URL: WWFF_SPOT_URL } = require('./lib/wwff');
+const { fetchSpots: fetchLlotaSpots, SPOT_URL: LLOTA_SPOT_URL } = require('./lib/llota');
 const { postWwffRespot } = require('./lib/wwff-respot');
 const { fetchNets: fetchDirectoryNets, fetchSwl: fetchDirectorySwl } = require('./lib/directory');
 const { QrzClient } = require('./lib/qrz');
 const { callsignToProgram, fetchParksForProgram, loadParksCache, saveParksCache, isCacheStale, searchParks: searchParksDb, getPark: getParkDb, buildParksMap } = require('./lib/pota-parks-db');
 const { fetchDxCalExpeditions } = require('./lib/dxcal');
+const { registerSource, describeSources, pollSources, injectRaw, collectSpots, clearSpots: clearSourceSpots, loadSourcesConfig } = require('./lib/spot-sources');
+const { SpotRecorder, SpotReplayer } = require('./lib/spot-recorder');
+const { mergeSpotIdentities } = require('./lib/spot-identity');
+const { SpotHistory } = require('./lib/spot-history');
 const { autoUpdater } = require('electron-updater');
 
 // --- QRZ.com callsign lookup ---
@@ -71,6 +87,7 @@ let actmapPopoutWin = null; // pop-out activation map window
 let spotsPopoutWin = null; // pop-out spots window (activator mode)
 let clusterPopoutWin = null; // pop-out DX cluster terminal window
 let cat = null;
+let simRadio = null; // built-in virtual rig when the active rig profile is 'sim'
 let spotTimer = null;
 let solarTimer = null;
 let rigctldProc = null;
@@ -85,13 +102,18 @@ let smartSdr = null;
 let smartSdrPushTimer = null; // throttle timer for SmartSDR spot pushes
 let tciClient = null;
 let tciPushTimer = null; // throttle timer for TCI spot pushes
-let agClient = null; // 4O3A Antenna Genius client
-let agLastBand = null; // last band we switched to (avoid redundant commands)
+let antSwitch = null; // antenna switch backend (Antenna Genius, relay board, band decoder)
+let antSelected = null; // antenna last selected or reported (avoid redundant commands)
+let antOverride = null; // antenna picked by hand — rules are ignored while set
+let antLastTune = null; // { freqKhz, bearing } of the last tune, re-applied when the override is cleared
+let antNames = {}; // antenna number → name, from the switch or settings
 let workedQsos = new Map(); // callsign → [{date, ref}] from QSO log (all QSOs, not just confirmed)
 let workedParks = new Map(); // reference → park data from POTA parks CSV
 let wsjtx = null;
 let wsjtxStatus = null; // last Status message from WSJT-X
+let wsjtxLocation = ''; // park grid pushed to WSJT-X during an activation
 let wsjtxHighlightTimer = null; // throttle timer for highlight updates
+let ft8Hunter = null; // auto-reply assistant on top of wsjtx decodes
 let donorCallsigns = new Set(); // supporter callsigns from potacat.com
 let expeditionCallsigns = new Set(); // active DX expeditions from Club Log + danplanet iCal
 let expeditionMeta = new Map(); // callsign → { entity, startDate, endDate, description }
@@ -103,11 +125,22 @@ const DIRECTORY_CACHE_PATH = path.join(app.getPath('userData'), 'directory-cache
 let pskr = null;
 let pskrSpots = [];       // streaming PSKReporter FreeDV spots (FIFO, max 500)
 let pskrFlushTimer = null; // throttle timer for PSKReporter → renderer updates
+const spotRecorder = new SpotRecorder();   // records spot sessions to userData/recordings
+const spotReplayer = new SpotReplayer();   // plays a recorded session back offline
+let spotReplayActive = false;              // live feeds paused while a replay session is loaded
+const spotHistory = new SpotHistory();     // per-activator timeline across polls (QSY tracking)
 let keyer = null;          // IambicKeyer instance for CW MIDI keying
+let remotePaddleKeyer = null; // IambicKeyer for ECHOCAT touch paddles (when the MIDI keyer is off)
+let cwSender = null;       // CwSender for desktop memories/typed CW and ECHOCAT text
+let cwKeyLine = null;      // DTR/RTS key line when CW output is a serial port
+let cwSerialSent = false;  // a {SERIAL} message went out since the last logged QSO
+let cwSentText = '';       // recent sent text for the status bar
+let cwDecoder = null;      // CwDecoder fed by the decoder pane's audio capture
 let remoteServer = null;   // RemoteServer instance for phone remote access
 let remoteAudioWin = null; // hidden BrowserWindow for WebRTC audio bridge
 let _currentFreqHz = 0;    // tracked for remote radio status
 let _currentMode = '';
+let _subRx = { frequency: 0, mode: '', label: 'B' }; // second receiver (VFO B / sub / other Flex slice)
 let _remoteTxState = false;
 let _currentNbState = false;
 let _currentAtuState = false;
@@ -144,6 +177,13 @@ function detectRigType() {
   if (!target) return 'unknown';
   if (target.type === 'rigctld' || target.type === 'rigctldnet') return 'rigctld';
   if (target.type === 'tcp') return 'flex'; // TCP CAT ports 5002-5005 are always FlexRadio
+  if (target.type === 'icom') return 'icom';
+  if (target.type === 'tci') return 'tci';
+  if (target.type === 'sim') {
+    if (target.dialect === 'rigctld') return 'rigctld';
+    if (target.dialect === 'tci') return 'tci';
+    return target.dialect === 'yaesu' ? 'yaesu' : 'kenwood';
+  }
   if (target.type === 'serial') {
     if (cat && cat._isYaesu && cat._isYaesu()) return 'yaesu';
     return 'kenwood';
@@ -153,11 +193,13 @@ function detectRigType() {
 
 function getRigCapabilities(rigType) {
   switch (rigType) {
-    case 'flex':    return { nb: true, atu: true, vfo: false, filter: true, filterType: 'arbitrary', rfgain: true, txpower: true };
-    case 'yaesu':   return { nb: true, atu: false, vfo: true, filter: true, filterType: 'indexed', rfgain: false, txpower: false };
-    case 'kenwood': return { nb: true, atu: false, vfo: true, filter: true, filterType: 'direct', rfgain: false, txpower: false };
-    case 'rigctld': return { nb: true, atu: false, vfo: true, filter: true, filterType: 'passband', rfgain: true, txpower: true };
-    default:        return { nb: false, atu: false, vfo: false, filter: false, filterType: 'none', rfgain: false, txpower: false };
+    case 'flex':    return { nb: true, atu: true, vfo: false, filter: true, filterType: 'arbitrary', rfgain: true, txpower: true, subRx: true, cw: true };
+    case 'yaesu':   return { nb: true, atu: false, vfo: true, filter: true, filterType: 'indexed', rfgain: false, txpower: false, subRx: true, cw: false };
+    case 'kenwood': return { nb: true, atu: false, vfo: true, filter: true, filterType: 'direct', rfgain: false, txpower: false, subRx: true, cw: true };
+    case 'rigctld': return { nb: true, atu: false, vfo: true, filter: true, filterType: 'passband', rfgain: true, txpower: true, subRx: false, cw: true };
+    case 'icom':    return { nb: true, atu: true, vfo: true, filter: true, filterType: 'direct', rfgain: true, txpower: true, subRx: true, cw: false };
+    case 'tci':     return { nb: true, atu: false, vfo: false, filter: true, filterType: 'arbitrary', rfgain: false, txpower: true, subRx: true, cw: false };
+    default:        return { nb: false, atu: false, vfo: false, filter: false, filterType: 'none', rfgain: false, txpower: false, subRx: false, cw: false };
   }
 }
 
@@ -386,6 +428,39 @@ function sendCatPower(watts) {
   if (win && !win.isDestroyed()) win.webContents.send('cat-power', watts);
 }
 
+function sendCatReceiver({ receiver, frequency, mode }) {
+  if (receiver !== 'B' || !(frequency > 0)) return;
+  const label = isFlexCat() ? `Slice ${String.fromCharCode(65 + flexSubSliceIndex())}` : 'VFO B';
+  if (frequency === _subRx.frequency && (!mode || mode === _subRx.mode) && label === _subRx.label) return;
+  _subRx = { frequency, mode: mode || _subRx.mode, label };
+  if (win && !win.isDestroyed()) win.webContents.send('cat-receiver', { receiver: 'B', ..._subRx });
+}
+
+function sendCatTuneResult(r) {
+  if (!r.ok) sendCatLog(`tune FAILED after ${r.attempts} attempt(s): wanted ${r.frequency}Hz ${r.mode || ''} — ${r.error}`);
+  if (win && !win.isDestroyed()) win.webContents.send('cat-tune-result', r);
+}
+
+// PTT, drive and filter as reported by push-based rigs (TCI), so ECHOCAT
+// shows what the radio is really doing even when changed at the radio
+function sendCatTransmit(on) {
+  if (on === _remoteTxState) return;
+  _remoteTxState = on;
+  if (win && !win.isDestroyed()) win.webContents.send('remote-tx-state', on);
+  broadcastRemoteRadioStatus();
+}
+
+function sendCatDrive(pct) {
+  _currentTxPower = pct;
+  broadcastRemoteRadioStatus();
+}
+
+function sendCatFilter(width) {
+  if (!(width > 0)) return;
+  _currentFilterWidth = width;
+  broadcastRemoteRadioStatus();
+}
+
 function sendCatNb(on) {
   // For Flex rigs, NB is controlled via SmartSDR API — ignore Kenwood CAT NB poll
   // responses which can fight with the API state (stale/different values)
@@ -401,19 +476,83 @@ function sendCatLog(msg) {
   if (win && !win.isDestroyed()) win.webContents.send('cat-log', line);
 }
 
-// PstRotator UDP rotor control
-const dgram = require('dgram');
-let rotorSocket = null;
+// --- Rotator ---
+// lib/rotor.js drives rotctld, GS-232, Prosistel, PstRotator or a simulated rotor and
+// reports the real heading back; the renderer draws it on the map.
+let rotor = null;
+let rotorLongPath = false; // spot clicks turn to the long path (set from the map control)
+let rotorLast = { azimuth: null, target: null, moving: false };
+
+/** Rotor state for the renderer, or null when rotor control is off. */
+function rotorState() {
+  if (!rotor) return null;
+  return {
+    type: rotor.type,
+    connected: rotor.connected,
+    ...rotorLast,
+    beamwidth: parseInt(settings.rotorBeamwidth, 10) || 60,
+    longPath: rotorLongPath,
+  };
+}
+
+function sendRotorState() {
+  if (win && !win.isDestroyed()) win.webContents.send('rotor-state', rotorState());
+}
+
+function connectRotor() {
+  disconnectRotor();
+  if (!settings.enableRotor) return;
+  const type = settings.rotorType || 'pstrotator';
+  rotor = createRotor(type);
+  rotorLast = { azimuth: null, target: null, moving: false };
+  rotor.on('log', sendCatLog);
+  rotor.on('status', ({ connected }) => {
+    sendCatLog(`Rotor ${type} ${connected ? 'connected' : 'disconnected'}`);
+    sendRotorState();
+  });
+  rotor.on('position', (p) => {
+    const changed = p.azimuth !== rotorLast.azimuth || p.target !== rotorLast.target || p.moving !== rotorLast.moving;
+    rotorLast = p;
+    if (changed) sendRotorState();
+  });
+  rotor.connect({
+    host: settings.rotorHost || '127.0.0.1',
+    port: parseInt(settings.rotorPort, 10) || ROTOR_DEFAULT_PORTS[type],
+    serialPort: settings.rotorSerialPort || '',
+    baudRate: parseInt(settings.rotorBaudRate, 10) || 9600,
+  });
+  sendRotorState();
+}
 
+function disconnectRotor() {
+  if (rotor) {
+    rotor.removeAllListeners();
+    rotor.disconnect();
+    rotor = null;
+  }
+  sendRotorState();
+}
+
+/** Turn the antenna toward a spot's short-path bearing (long path if selected). */
 function sendRotorBearing(azimuth) {
-  if (!rotorSocket) rotorSocket = dgram.createSocket('udp4');
-  const host = settings.rotorHost || '127.0.0.1';
-  const port = settings.rotorPort || 12040;
-  const msg = Buffer.from(`<PST><AZIMUTH>${azimuth}</AZIMUTH></PST>`);
-  rotorSocket.send(msg, port, host, (err) => {
-    if (err) sendCatLog(`Rotor UDP error: ${err.message}`);
-  });
-  sendCatLog(`Rotor → ${host}:${port} azimuth=${azimuth}°`);
+  if (!rotor) return;
+  rotor.setAzimuth(rotorLongPath ? longPath(azimuth) : azimuth);
+}
+
+function attachTciCatListeners(client, onStatus) {
+  client.on('log', sendCatLog);
+  client.on('error', (err) => sendCatLog(`TCI error: ${err.message}`));
+  client.on('status', (s) => {
+    sendCatLog(`TCI status: connected=${s.connected}`);
+    onStatus(s);
+  });
+  client.on('frequency', sendCatFrequency);
+  client.on('mode', sendCatMode);
+  client.on('nb', sendCatNb);
+  client.on('receiver', sendCatReceiver);
+  client.on('transmit', sendCatTransmit);
+  client.on('drive', sendCatDrive);
+  client.on('filter', sendCatFilter);
 }
 
 async function connectCat() {
@@ -422,6 +561,13 @@ async function connectCat() {
     cat.disconnect();
   }
   killRigctld();
+  _subRx = { frequency: 0, mode: '', label: 'B' };
+  if (win && !win.isDestroyed()) win.webContents.send('cat-receiver', null);
+  if (simRadio) {
+    const sim = simRadio;
+    simRadio = null;
+    await sim.stop();
+  }
   const target = settings.catTarget;
 
   if (target && target.type === 'rigctld') {
@@ -463,6 +609,74 @@ async function connectCat() {
     const port = target.port || 4532;
     sendCatLog(`Connecting to remote rigctld on ${host}:${port}`);
     cat.connect({ type: 'rigctldnet', host, port });
+  } else if (target && target.type === 'icom') {
+    // Native Icom CI-V over serial — no rigctld process
+    cat = new IcomCivClient();
+    cat._debug = true;
+    cat.on('log', sendCatLog);
+    cat.on('status', (s) => {
+      sendCatLog(`CI-V status: connected=${s.connected}${s.error ? ' error=' + s.error : ''}`);
+      sendCatStatus(s);
+    });
+    cat.on('frequency', sendCatFrequency);
+    cat.on('mode', sendCatMode);
+    cat.on('power', sendCatPower);
+    cat.on('nb', sendCatNb);
+    cat.on('receiver', sendCatReceiver);
+    sendCatLog(`Connecting to Icom CI-V on ${target.path} (address ${target.civAddress || '94'})`);
+    cat.connect(target);
+  } else if (target && target.type === 'tci') {
+    // TCI (Thetis, ExpertSDR3, SunSDR) — WebSocket; the radio pushes its state
+    cat = new TciClient();
+    cat._debug = true;
+    attachTciCatListeners(cat, sendCatStatus);
+    sendCatLog(`Connecting to TCI on ${target.host || '127.0.0.1'}:${target.port || 50001} (TRX ${(target.trx || 0) + 1})`);
+    cat.connect(target);
+  } else if (target && target.type === 'sim') {
+    // Built-in virtual rig — serve CAT/rigctld on localhost and drive it with
+    // the real client so tune, PTT and filter paths run end to end
+    const dialect = target.dialect || 'kenwood';
+    const port = target.port || 5099;
+    const sim = new SimRadio();
+    sim._debug = true;
+    sim.on('log', (msg) => sendCatLog(`[SIM] ${msg}`));
+    try {
+      await sim.start({
+        dialect,
+        port,
+        smartSdr: !!target.smartSdr,
+        tciPort: dialect === 'tci' ? port : (target.tci ? (settings.tciPort || 50001) : 0),
+        faults: target.faults,
+      });
+    } catch (err) {
+      await sim.stop();
+      sendCatLog(`[SIM] failed to start: ${err.message}`);
+      sendCatStatus({ connected: false, target, error: `Simulated radio: ${err.message}` });
+      return;
+    }
+    simRadio = sim;
+    if (dialect === 'tci') {
+      cat = new TciClient();
+      cat._debug = true;
+      attachTciCatListeners(cat, (s) => sendCatStatus({ ...s, target }));
+      sendCatLog(`Connecting to simulated TCI radio on 127.0.0.1:${port}`);
+      cat.connect({ type: 'tci', host: '127.0.0.1', port });
+      return;
+    }
+    cat = dialect === 'rigctld' ? new RigctldClient() : new CatClient();
+    cat._debug = true;
+    cat.on('log', sendCatLog);
+    cat.on('status', (s) => sendCatStatus({ ...s, target }));
+    cat.on('frequency', sendCatFrequency);
+    cat.on('mode', sendCatMode);
+    cat.on('power', sendCatPower);
+    cat.on('nb', sendCatNb);
+    cat.on('receiver', sendCatReceiver);
+    cat.on('tune-result', sendCatTuneResult);
+    sendCatLog(`Connecting to simulated ${dialect} radio on 127.0.0.1:${port}`);
+    cat.connect(dialect === 'rigctld'
+      ? { type: 'rigctldnet', host: '127.0.0.1', port }
+      : { type: 'tcp', host: '127.0.0.1', port });
   } else {
     cat = new CatClient();
     cat._debug = true;
@@ -472,6 +686,11 @@ async function connectCat() {
     cat.on('mode', sendCatMode);
     cat.on('power', sendCatPower);
     cat.on('nb', sendCatNb);
+    cat.on('receiver', (r) => {
+      // Flex: the second slice comes from the SmartSDR API when it's connected
+      if (!(isFlexCat() && smartSdr && smartSdr.connected)) sendCatReceiver(r);
+    });
+    cat.on('tune-result', sendCatTuneResult);
     if (target) {
       cat.connect(target);
     }
@@ -528,6 +747,7 @@ function buildClusterSpot(raw, myPos, myEntity) {
     mode: raw.mode,
     reference: '',
     parkName: formatClusterComment(raw.comment || ''),
+    spotter: raw.spotter,
     locationDesc: '',
     distance: null,
     lat: null,
@@ -557,6 +777,42 @@ function buildClusterSpot(raw, myPos, myEntity) {
 
 let clusterClients = new Map(); // id → { client, nodeConfig }
 
+// Shared by live cluster clients and session replay
+function handleClusterSpot(raw, myPos, myEntity) {
+  // Filter beacon stations (/B suffix) unless user opted in
+  if (!settings.showBeacons && /\/B$/i.test(raw.callsign)) return;
+
+  const spot = buildClusterSpot(raw, myPos, myEntity);
+
+  // Watchlist notification
+  const watchSet = parseWatchlist(settings.watchlist);
+  if (watchSet.has(raw.callsign.toUpperCase())) {
+    notifyWatchlistSpot({
+      callsign: raw.callsign,
+      frequency: raw.frequency,
+      mode: raw.mode,
+      source: 'dxc',
+      reference: '',
+      locationDesc: spot.locationDesc,
+    });
+  }
+
+  // Dedupe: keep only the latest spot per callsign+band (across all nodes)
+  const idx = clusterSpots.findIndex(s => s.callsign === spot.callsign && s.band === spot.band);
+  if (idx !== -1) clusterSpots.splice(idx, 1);
+  clusterSpots.push(spot);
+  if (clusterSpots.length > 500) {
+    clusterSpots = clusterSpots.slice(-500);
+  }
+
+  if (!clusterFlushTimer) {
+    clusterFlushTimer = setTimeout(() => {
+      clusterFlushTimer = null;
+      sendMergedSpots();
+    }, 2000);
+  }
+}
+
 function sendClusterStatus() {
   const nodes = [];
   for (const [id, entry] of clusterClients) {
@@ -587,6 +843,7 @@ function sendClusterNodesToPopout() {
 }
 
 function connectCluster() {
+  if (spotReplayActive) return; // the replay owns the feeds — stopSpotReplay() reconnects
   // Disconnect all existing clients
   for (const [, entry] of clusterClients) {
     entry.client.disconnect();
@@ -617,42 +874,10 @@ function connectCluster() {
   for (const node of enabledNodes) {
     const client = new DxClusterClient();
 
-    client.on('spot', (raw) => {
-      // Filter beacon stations (/B suffix) unless user opted in
-      if (!settings.showBeacons && /\/B$/i.test(raw.callsign)) return;
-
-      const spot = buildClusterSpot(raw, myPos, myEntity);
-
-      // Watchlist notification
-      const watchSet = parseWatchlist(settings.watchlist);
-      if (watchSet.has(raw.callsign.toUpperCase())) {
-        notifyWatchlistSpot({
-          callsign: raw.callsign,
-          frequency: raw.frequency,
-          mode: raw.mode,
-          source: 'dxc',
-          reference: '',
-          locationDesc: spot.locationDesc,
-        });
-      }
-
-      // Dedupe: keep only the latest spot per callsign+band (across all nodes)
-      const idx = clusterSpots.findIndex(s => s.callsign === spot.callsign && s.band === spot.band);
-      if (idx !== -1) clusterSpots.splice(idx, 1);
-      clusterSpots.push(spot);
-      if (clusterSpots.length > 500) {
-        clusterSpots = clusterSpots.slice(-500);
-      }
-
-      if (!clusterFlushTimer) {
-        clusterFlushTimer = setTimeout(() => {
-          clusterFlushTimer = null;
-          sendMergedSpots();
-        }, 2000);
-      }
-    });
+    client.on('spot', (raw) => handleClusterSpot(raw, myPos, myEntity));
 
     client.on('line', (line) => {
+      if (spotRecorder.recording) spotRecorder.record('cluster', { nodeId: node.id, line });
       if (clusterPopoutWin && !clusterPopoutWin.isDestroyed()) {
         clusterPopoutWin.webContents.send('cluster-popout-line', { nodeId: node.id, line });
       }
@@ -773,135 +998,145 @@ function sendRbnSpots() {
   if (win && !win.isDestroyed()) win.webContents.send('rbn-spots', rbnSpots);
 }
 
-function connectRbn() {
-  if (rbn) {
-    rbn.disconnect();
-    rbn.removeAllListeners();
-    rbn = null;
-  }
-  rbnSpots = [];
+// Shared by the live RBN client and session replay
+function handleRbnSpot(raw, myPos) {
+  // Strip skimmer suffix (e.g. KM3T-# → KM3T)
+  const spotter = raw.spotter.replace(/-[#\d]+$/, '');
 
-  if (!settings.enableRbn || !settings.myCallsign) {
-    sendRbnStatus({ connected: false });
-    return;
+  const spot = {
+    spotter,
+    callsign: raw.callsign,
+    frequency: raw.frequency,
+    freqMHz: raw.freqMHz,
+    mode: raw.mode,
+    band: raw.band,
+    snr: raw.snr,
+    wpm: raw.wpm,
+    type: raw.type,
+    spotTime: raw.spotTime,
+    lat: null,
+    lon: null,
+    distance: null,
+    locationDesc: '',
+  };
+
+  // Resolve spotter's location via call area lookup, then cty.dat fallback
+  if (ctyDb) {
+    const entity = resolveCallsign(spotter, ctyDb);
+    if (entity) {
+      // Try call area coordinates first (much more precise for large countries)
+      const areaCoords = getCallAreaCoords(spotter, entity.name);
+      if (areaCoords) {
+        spot.lat = areaCoords.lat;
+        spot.lon = areaCoords.lon;
+        spot.locationDesc = `${entity.name} — ${areaCoords.region}`;
+      } else if (entity.lat != null && entity.lon != null) {
+        spot.lat = entity.lat;
+        spot.lon = entity.lon;
+        spot.locationDesc = entity.name;
+      }
+      if (spot.lat != null && myPos) {
+        spot.distance = Math.round(haversineDistanceMiles(myPos.lat, myPos.lon, spot.lat, spot.lon));
+      }
+    }
   }
 
-  rbn = new RbnClient();
-  const myPos = gridToLatLon(settings.grid);
+  // Watchlist notification for RBN spots (skip self — own callsign is expected)
+  const myCall = (settings.myCallsign || '').toUpperCase();
+  const rbnWatchSet = parseWatchlist(settings.watchlist);
+  if (rbnWatchSet.has(raw.callsign.toUpperCase()) && raw.callsign.toUpperCase() !== myCall) {
+    notifyWatchlistSpot({
+      callsign: raw.callsign,
+      frequency: raw.frequency,
+      mode: raw.mode,
+      source: 'rbn',
+      reference: '',
+      locationDesc: `spotted by ${spotter}`,
+    });
+  }
 
-  rbn.on('spot', (raw) => {
-    // Strip skimmer suffix (e.g. KM3T-# → KM3T)
-    const spotter = raw.spotter.replace(/-[#\d]+$/, '');
+  rbnSpots.push(spot);
+  if (rbnSpots.length > 500) {
+    rbnSpots = rbnSpots.slice(-500);
+  }
 
-    const spot = {
-      spotter,
+  // Add watchlist callsigns (not self) to main table as merged spots
+  if (rbnWatchSet.has(raw.callsign.toUpperCase()) && raw.callsign.toUpperCase() !== myCall) {
+    // Resolve activator's location (not spotter's) for main table/map
+    let actLat = null, actLon = null, actDist = null, actBearing = null, actLoc = '', actContinent = '';
+    if (ctyDb) {
+      const actEntity = resolveCallsign(raw.callsign, ctyDb);
+      if (actEntity) {
+        actLoc = actEntity.name;
+        actContinent = actEntity.continent || '';
+        if (actEntity.lat != null && actEntity.lon != null) {
+          actLat = actEntity.lat;
+          actLon = actEntity.lon;
+          if (myPos) {
+            actDist = Math.round(haversineDistanceMiles(myPos.lat, myPos.lon, actEntity.lat, actEntity.lon));
+            actBearing = Math.round(bearing(myPos.lat, myPos.lon, actEntity.lat, actEntity.lon));
+          }
+        }
+      }
+    }
+    const mainSpot = {
+      source: 'rbn',
       callsign: raw.callsign,
       frequency: raw.frequency,
       freqMHz: raw.freqMHz,
       mode: raw.mode,
       band: raw.band,
+      reference: '',
+      parkName: `spotted by ${spotter} (${raw.snr} dB)`,
+      spotter,
       snr: raw.snr,
-      wpm: raw.wpm,
-      type: raw.type,
+      locationDesc: actLoc,
+      continent: actContinent,
+      distance: actDist,
+      bearing: actBearing,
+      lat: actLat,
+      lon: actLon,
       spotTime: raw.spotTime,
-      lat: null,
-      lon: null,
-      distance: null,
-      locationDesc: '',
     };
+    // Deduplicate: keep only the most recent spot per callsign+band
+    rbnWatchSpots = rbnWatchSpots.filter(s =>
+      !(s.callsign.toUpperCase() === raw.callsign.toUpperCase() && s.band === raw.band)
+    );
+    rbnWatchSpots.push(mainSpot);
+    if (rbnWatchSpots.length > 50) rbnWatchSpots = rbnWatchSpots.slice(-50);
+  }
+
+  // Throttle: flush to renderer at most once every 2s
+  if (!rbnFlushTimer) {
+    rbnFlushTimer = setTimeout(() => {
+      rbnFlushTimer = null;
+      sendRbnSpots();
+      sendMergedSpots();
+    }, 2000);
+  }
+}
 
-    // Resolve spotter's location via call area lookup, then cty.dat fallback
-    if (ctyDb) {
-      const entity = resolveCallsign(spotter, ctyDb);
-      if (entity) {
-        // Try call area coordinates first (much more precise for large countries)
-        const areaCoords = getCallAreaCoords(spotter, entity.name);
-        if (areaCoords) {
-          spot.lat = areaCoords.lat;
-          spot.lon = areaCoords.lon;
-          spot.locationDesc = `${entity.name} — ${areaCoords.region}`;
-        } else if (entity.lat != null && entity.lon != null) {
-          spot.lat = entity.lat;
-          spot.lon = entity.lon;
-          spot.locationDesc = entity.name;
-        }
-        if (spot.lat != null && myPos) {
-          spot.distance = Math.round(haversineDistanceMiles(myPos.lat, myPos.lon, spot.lat, spot.lon));
-        }
-      }
-    }
+function connectRbn() {
+  if (spotReplayActive) return;
+  if (rbn) {
+    rbn.disconnect();
+    rbn.removeAllListeners();
+    rbn = null;
+  }
+  rbnSpots = [];
 
-    // Watchlist notification for RBN spots (skip self — own callsign is expected)
-    const myCall = (settings.myCallsign || '').toUpperCase();
-    const rbnWatchSet = parseWatchlist(settings.watchlist);
-    if (rbnWatchSet.has(raw.callsign.toUpperCase()) && raw.callsign.toUpperCase() !== myCall) {
-      notifyWatchlistSpot({
-        callsign: raw.callsign,
-        frequency: raw.frequency,
-        mode: raw.mode,
-        source: 'rbn',
-        reference: '',
-        locationDesc: `spotted by ${spotter}`,
-      });
-    }
+  if (!settings.enableRbn || !settings.myCallsign) {
+    sendRbnStatus({ connected: false });
+    return;
+  }
 
-    rbnSpots.push(spot);
-    if (rbnSpots.length > 500) {
-      rbnSpots = rbnSpots.slice(-500);
-    }
-
-    // Add watchlist callsigns (not self) to main table as merged spots
-    if (rbnWatchSet.has(raw.callsign.toUpperCase()) && raw.callsign.toUpperCase() !== myCall) {
-      // Resolve activator's location (not spotter's) for main table/map
-      let actLat = null, actLon = null, actDist = null, actBearing = null, actLoc = '', actContinent = '';
-      if (ctyDb) {
-        const actEntity = resolveCallsign(raw.callsign, ctyDb);
-        if (actEntity) {
-          actLoc = actEntity.name;
-          actContinent = actEntity.continent || '';
-          if (actEntity.lat != null && actEntity.lon != null) {
-            actLat = actEntity.lat;
-            actLon = actEntity.lon;
-            if (myPos) {
-              actDist = Math.round(haversineDistanceMiles(myPos.lat, myPos.lon, actEntity.lat, actEntity.lon));
-              actBearing = Math.round(bearing(myPos.lat, myPos.lon, actEntity.lat, actEntity.lon));
-            }
-          }
-        }
-      }
-      const mainSpot = {
-        source: 'rbn',
-        callsign: raw.callsign,
-        frequency: raw.frequency,
-        freqMHz: raw.freqMHz,
-        mode: raw.mode,
-        band: raw.band,
-        reference: '',
-        parkName: `spotted by ${spotter} (${raw.snr} dB)`,
-        locationDesc: actLoc,
-        continent: actContinent,
-        distance: actDist,
-        bearing: actBearing,
-        lat: actLat,
-        lon: actLon,
-        spotTime: raw.spotTime,
-      };
-      // Deduplicate: keep only the most recent spot per callsign+band
-      rbnWatchSpots = rbnWatchSpots.filter(s =>
-        !(s.callsign.toUpperCase() === raw.callsign.toUpperCase() && s.band === raw.band)
-      );
-      rbnWatchSpots.push(mainSpot);
-      if (rbnWatchSpots.length > 50) rbnWatchSpots = rbnWatchSpots.slice(-50);
-    }
+  rbn = new RbnClient();
+  const myPos = gridToLatLon(settings.grid);
 
-    // Throttle: flush to renderer at most once every 2s
-    if (!rbnFlushTimer) {
-      rbnFlushTimer = setTimeout(() => {
-        rbnFlushTimer = null;
-        sendRbnSpots();
-        sendMergedSpots();
-      }, 2000);
-    }
+  rbn.on('spot', (raw) => handleRbnSpot(raw, myPos));
+
+  rbn.on('line', (line) => {
+    if (spotRecorder.recording) spotRecorder.record('rbn', { line });
   });
 
   rbn.on('status', (s) => {
@@ -937,6 +1172,7 @@ function sendPskrStatus(s) {
 }
 
 function connectPskr() {
+  if (spotReplayActive) return;
   if (pskr) {
     pskr.disconnect();
     pskr.removeAllListeners();
@@ -962,6 +1198,8 @@ function connectPskr() {
       mode: raw.mode,
       reference: '',
       parkName: `heard by ${raw.spotter}${raw.snr != null ? ` (${raw.snr} dB)` : ''}`,
+      spotter: raw.spotter,
+      snr: raw.snr,
       locationDesc: '',
       distance: null,
       lat: null,
@@ -1058,6 +1296,41 @@ function disconnectPskr() {
   sendPskrStatus({ connected: false });
 }
 
+// --- QSO database ---
+// Indexed local store (lib/qso-db.js) is the source of truth; the ADIF log
+// file is kept in sync as an export. A SQLite log path (Log4OM etc.) is
+// read-only for us, so nothing is exported in that case.
+let qsoDb = null;
+let qsoDbReady = null;
+
+async function getQsoDb() {
+  if (!qsoDbReady) {
+    qsoDb = new QsoDatabase(path.join(app.getPath('userData'), 'potacat_qsos.sqlite'));
+    qsoDbReady = qsoDb.open();
+  }
+  await qsoDbReady;
+  const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
+  qsoDb.attach(isSqliteFile(logPath) ? null : logPath);
+  return qsoDb;
+}
+
+/** Row ids of QSOs matching callsign + date + time (+ freq in kHz if given). */
+function findQsoIdsByMatch(db, match) {
+  const timeMatch = (match.timeOn || '').replace(/:/g, '').substring(0, 4);
+  return db.find({ call: match.callsign, qsoDate: match.qsoDate })
+    .filter(({ fields: q }) => {
+      const qTime = (q.TIME_ON || '').replace(/:/g, '').substring(0, 4);
+      if (qTime !== timeMatch) return false;
+      if (match.frequency) {
+        const qFreq = parseFloat(q.FREQ || 0) * 1000; // FREQ in MHz → kHz
+        const mFreq = parseFloat(match.frequency);
+        if (Math.abs(qFreq - mFreq) > 1) return false;
+      }
+      return true;
+    })
+    .map(r => r.id);
+}
+
 // --- Shared QSO save logic ---
 // Module-scoped so WSJT-X, Echo CAT, and IPC handlers can all use it
 async function saveQsoRecord(qsoData) {
@@ -1065,8 +1338,16 @@ async function saveQsoRecord(qsoData) {
   if (settings.myCallsign && !qsoData.operator) {
     qsoData.operator = settings.myCallsign.toUpperCase();
   }
-  const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
-  appendQso(logPath, qsoData);
+  const db = await getQsoDb();
+  db.insert(parseAdifRecord(buildAdifRecord(qsoData)));
+
+  // A {SERIAL} message went out for this contact — the next one gets the next number
+  if (cwSerialSent) {
+    cwSerialSent = false;
+    settings.cwSerial = (settings.cwSerial || 1) + 1;
+    saveSettings(settings);
+    if (win && !win.isDestroyed()) win.webContents.send('cw-serial', settings.cwSerial);
+  }
 
   // Notify QSO pop-out window
   if (qsoPopoutWin && !qsoPopoutWin.isDestroyed()) {
@@ -1093,48 +1374,33 @@ async function saveQsoRecord(qsoData) {
       remoteServer.sendWorkedQsos([...workedQsos.entries()]);
     }
   }
+  scheduleAwardsRefresh();
 
-  // Forward to external logbook if enabled
+  // External uploads go through the outbox: each is tried now and retried
+  // later if it fails, and one failing doesn't hold up the others.
   // skipLogbookForward: multi-park activations send one ADIF record per park ref,
   // but external logbooks only need one QSO per physical contact
+  const uploads = []; // [destination, payload, result error key]
   if (settings.sendToLogbook && settings.logbookType && !qsoData.skipLogbookForward) {
-    try {
-      sendCatLog(`[Logbook] Forwarding QSO to ${settings.logbookType}: ${qsoData.callsign} ${qsoData.frequency}kHz ${qsoData.mode}`);
-      await forwardToLogbook(qsoData);
-      sendCatLog(`[Logbook] QSO forwarded successfully`);
-    } catch (fwdErr) {
-      sendCatLog(`[Logbook] Forwarding failed: ${fwdErr.message}`);
-      console.error('Logbook forwarding failed:', fwdErr.message);
-      return { success: true, logbookError: fwdErr.message };
-    }
+    sendCatLog(`[Logbook] Forwarding QSO to ${settings.logbookType}: ${qsoData.callsign} ${qsoData.frequency}kHz ${qsoData.mode}`);
+    uploads.push(['logbook', qsoData, 'logbookError']);
   }
 
   // Upload to QRZ Logbook if enabled (independent of logbook forwarding)
   if (settings.qrzLogbook && settings.qrzApiKey && !qsoData.skipLogbookForward) {
-    try {
-      await sendToQrzLogbook(qsoData);
-    } catch (qrzErr) {
-      console.error('QRZ Logbook upload failed:', qrzErr.message);
-      return { success: true, qrzError: qrzErr.message };
-    }
+    uploads.push(['qrz', qsoData, 'qrzError']);
   }
 
   // Re-spot on POTA if requested
   if (qsoData.respot && qsoData.sig === 'POTA' && qsoData.sigInfo && settings.myCallsign) {
-    try {
-      await postPotaRespot({
-        activator: qsoData.callsign,
-        spotter: settings.myCallsign.toUpperCase(),
-        frequency: qsoData.frequency,
-        reference: qsoData.sigInfo,
-        mode: qsoData.mode,
-        comments: qsoData.respotComment || '',
-      });
-      trackRespot('pota');
-    } catch (respotErr) {
-      console.error('POTA re-spot failed:', respotErr.message);
-      return { success: true, respotError: respotErr.message };
-    }
+    uploads.push(['pota-respot', {
+      activator: qsoData.callsign,
+      spotter: settings.myCallsign.toUpperCase(),
+      frequency: qsoData.frequency,
+      reference: qsoData.sigInfo,
+      mode: qsoData.mode,
+      comments: qsoData.respotComment || '',
+    }, 'respotError']);
   }
 
   // Re-spot on WWFF if requested — validate ref starts with KFF/xFF (WWFF format)
@@ -1142,20 +1408,14 @@ async function saveQsoRecord(qsoData) {
     if (!/^[A-Z0-9]{1,4}FF-\d{4}$/i.test(qsoData.wwffReference)) {
       console.warn('WWFF re-spot skipped: reference does not match WWFF format:', qsoData.wwffReference);
     } else {
-      try {
-        await postWwffRespot({
-          activator: qsoData.callsign,
-          spotter: settings.myCallsign.toUpperCase(),
-          frequency: qsoData.frequency,
-          reference: qsoData.wwffReference,
-          mode: qsoData.mode,
-          comments: qsoData.respotComment || '',
-        });
-        trackRespot('wwff');
-      } catch (respotErr) {
-        console.error('WWFF re-spot failed:', respotErr.message);
-        return { success: true, wwffRespotError: respotErr.message };
-      }
+      uploads.push(['wwff-respot', {
+        activator: qsoData.callsign,
+        spotter: settings.myCallsign.toUpperCase(),
+        frequency: qsoData.frequency,
+        reference: qsoData.wwffReference,
+        mode: qsoData.mode,
+        comments: qsoData.respotComment || '',
+      }, 'wwffRespotError']);
     }
   }
 
@@ -1164,62 +1424,144 @@ async function saveQsoRecord(qsoData) {
     if (qsoData.sig !== 'LLOTA') {
       console.warn('LLOTA re-spot skipped: QSO sig is', qsoData.sig, 'not LLOTA, ref:', qsoData.llotaReference);
     } else {
-      try {
-        await postLlotaRespot({
-          activator: qsoData.callsign,
-          frequency: qsoData.frequency,
-          reference: qsoData.llotaReference,
-          mode: qsoData.mode,
-          comments: qsoData.respotComment || '',
-        });
-        trackRespot('llota');
-      } catch (respotErr) {
-        console.error('LLOTA re-spot failed:', respotErr.message);
-        return { success: true, llotaRespotError: respotErr.message };
-      }
-    }
-  }
-
-  // Spot on DX Cluster if requested
-  if (qsoData.dxcRespot) {
-    try {
-      let sent = 0;
-      for (const [, entry] of clusterClients) {
-        if (entry.client.sendSpot({ frequency: qsoData.frequency, callsign: qsoData.callsign, comment: qsoData.respotComment || '' })) {
-          sent++;
-        }
-      }
-      if (sent === 0) throw new Error('no connected nodes');
-    } catch (respotErr) {
-      console.error('DX Cluster spot failed:', respotErr.message);
-      return { success: true, dxcRespotError: respotErr.message };
+      uploads.push(['llota-respot', {
+        activator: qsoData.callsign,
+        frequency: qsoData.frequency,
+        reference: qsoData.llotaReference,
+        mode: qsoData.mode,
+        comments: qsoData.respotComment || '',
+      }, 'llotaRespotError']);
     }
   }
 
   // Auto-upload chaser QSO to SOTAdata if enabled
   if (settings.sotaUpload && qsoData.sig === 'SOTA' && qsoData.sigInfo && sotaUploader.configured) {
-    try {
-      sendCatLog(`[SOTA] Uploading chase: ${qsoData.callsign} @ ${qsoData.sigInfo} RST S${qsoData.rstSent || '?'} R${qsoData.rstRcvd || '?'}`);
-      const sotaResult = await sotaUploader.uploadChase(qsoData);
-      if (sotaResult.success) {
-        sendCatLog(`[SOTA] Chase uploaded successfully`);
-      } else {
-        sendCatLog(`[SOTA] Upload failed: ${sotaResult.error}`);
-        console.error('SOTA upload failed:', sotaResult.error);
+    sendCatLog(`[SOTA] Uploading chase: ${qsoData.callsign} @ ${qsoData.sigInfo} RST S${qsoData.rstSent || '?'} R${qsoData.rstRcvd || '?'}`);
+    uploads.push(['sota', qsoData, 'sotaError']);
+  }
+
+  const result = { success: true };
+  const summary = `${qsoData.callsign || ''} ${qsoData.frequency || ''} ${qsoData.mode || ''}`.replace(/\s+/g, ' ').trim();
+  // Queue every job before waiting, so one slow destination doesn't hold up the rest
+  const firstTries = uploads.map(([dest, payload]) => outbox.enqueue(dest, payload, summary));
+  const results = await Promise.all(firstTries);
+  uploads.forEach(([, , errKey], i) => {
+    const r = results[i];
+    if (r.ok) return;
+    result[errKey] = r.error;
+    if (r.retrying) (result.retrying || (result.retrying = [])).push(errKey); // error keys the outbox will retry
+  });
+
+  // Spot on DX Cluster if requested — live telnet sessions, nothing to queue
+  if (qsoData.dxcRespot) {
+    let sent = 0;
+    for (const [, entry] of clusterClients) {
+      if (entry.client.sendSpot({ frequency: qsoData.frequency, callsign: qsoData.callsign, comment: qsoData.respotComment || '' })) {
+        sent++;
       }
-    } catch (sotaErr) {
-      sendCatLog(`[SOTA] Upload error: ${sotaErr.message}`);
-      console.error('SOTA upload error:', sotaErr.message);
+    }
+    if (sent === 0) {
+      console.error('DX Cluster spot failed: no connected nodes');
+      result.dxcRespotError = 'no connected nodes';
     }
   }
 
   const didRespot = (qsoData.respot && qsoData.sig === 'POTA') || qsoData.wwffRespot || qsoData.llotaRespot || qsoData.dxcRespot;
-  return { success: true, resposted: didRespot || false };
+  const respotFailed = result.respotError || result.wwffRespotError || result.llotaRespotError || result.dxcRespotError;
+  result.resposted = !!didRespot && !respotFailed;
+  return result;
 }
 
+// --- Upload outbox ---
+// Persistent retry queue for QSO uploads (lib/outbox.js). Handlers re-check
+// settings on every attempt: a destination turned off since fails for good.
+const outbox = new Outbox(path.join(app.getPath('userData'), 'upload-outbox.json'));
+const RESPOT_MAX_AGE_MS = 10 * 60000; // a late re-spot sends hunters to an activator who has moved on
+
+function uploadTurnedOff(what) {
+  const err = new Error(`${what} is turned off`);
+  err.permanent = true;
+  return err;
+}
+
+outbox.register('logbook', {
+  label: 'Logbook',
+  send: async (qso) => {
+    if (!settings.sendToLogbook || !settings.logbookType) throw uploadTurnedOff('Send to Logbook');
+    await forwardToLogbook(qso);
+  },
+});
+outbox.register('qrz', {
+  label: 'QRZ Logbook',
+  send: async (qso) => {
+    if (!settings.qrzLogbook || !settings.qrzApiKey) throw uploadTurnedOff('QRZ Logbook upload');
+    await sendToQrzLogbook(qso);
+  },
+});
+outbox.register('pota-respot', {
+  label: 'POTA re-spot',
+  maxAgeMs: RESPOT_MAX_AGE_MS,
+  send: async (spot) => {
+    await postPotaRespot(spot);
+    trackRespot('pota');
+  },
+});
+outbox.register('wwff-respot', {
+  label: 'WWFF re-spot',
+  maxAgeMs: RESPOT_MAX_AGE_MS,
+  send: async (spot) => {
+    await postWwffRespot(spot);
+    trackRespot('wwff');
+  },
+});
+outbox.register('llota-respot', {
+  label: 'LLOTA re-spot',
+  maxAgeMs: RESPOT_MAX_AGE_MS,
+  send: async (spot) => {
+    await postLlotaRespot(spot);
+    trackRespot('llota');
+  },
+});
+outbox.register('sota', {
+  label: 'SOTA chase',
+  send: async (qso) => {
+    if (!settings.sotaUpload || !sotaUploader.configured) throw uploadTurnedOff('SOTAdata upload');
+    const r = await sotaUploader.uploadChase(qso);
+    if (!r.success) throw new Error(r.error || 'upload failed');
+  },
+});
+outbox.on('log', (msg) => {
+  sendCatLog(msg);
+  console.warn(msg);
+});
+outbox.on('change', (jobs) => {
+  if (win && !win.isDestroyed()) win.webContents.send('outbox-status', jobs);
+});
+
 // --- WSJT-X integration ---
+// Several WSJT-X/JTDX/MSHV instances can report at once (e.g. FT8 on 20m and
+// FT4 on 40m). Each is known by its id; the first one connected drives the
+// frequency display, and replies go to the instance that made the decode.
+
+// "FT8 20m" — tells instances apart in the UI; falls back to the instance id
+function wsjtxInstanceLabel(status, id) {
+  if (!status) return id;
+  const band = status.dialFrequency ? freqToBand(status.dialFrequency / 1e6) : null;
+  return [status.mode, band].filter(Boolean).join(' ') || id;
+}
+
+function wsjtxInstanceList() {
+  if (!wsjtx) return [];
+  return wsjtx.listInstances().filter(i => i.connected).map(i => ({
+    id: i.id,
+    label: wsjtxInstanceLabel(i.status, i.id),
+    version: i.version,
+    transmitting: !!(i.status && i.status.transmitting),
+  }));
+}
+
 function sendWsjtxStatus(s) {
-  if (win && !win.isDestroyed()) win.webContents.send('wsjtx-status', s);
+  if (win && !win.isDestroyed()) win.webContents.send('wsjtx-status', { ...s, instances: wsjtxInstanceList() });
 }
 
 function connectWsjtx() {
@@ -1233,8 +1575,19 @@ function connectWsjtx() {
 
   wsjtx = new WsjtxClient();
 
+  let knownInstances = new Set();
   wsjtx.on('status', (s) => {
-    sendWsjtxStatus(s);
+    sendWsjtxStatus({ connected: s.connected, listening: s.listening, port: s.port, multicastGroup: s.multicastGroup });
+    // A newly (re)started instance gets its decodes replayed so the list is
+    // complete, plus the activation grid and current highlights
+    const ids = new Set(s.instances.filter(i => i.connected).map(i => i.id));
+    for (const id of ids) {
+      if (knownInstances.has(id)) continue;
+      wsjtx.replay(id);
+      if (wsjtxLocation) wsjtx.setLocation(wsjtxLocation, id);
+      if (settings.wsjtxHighlight) scheduleWsjtxHighlights();
+    }
+    knownInstances = ids;
   });
 
   wsjtx.on('error', (err) => {
@@ -1242,13 +1595,19 @@ function connectWsjtx() {
   });
 
   wsjtx.on('wsjtx-status', (status) => {
-    wsjtxStatus = status;
-    // Feed WSJT-X dial frequency into the same frequency tracker CAT uses
-    if (status.dialFrequency) {
-      sendCatFrequency(status.dialFrequency);
+    if (ft8Hunter) ft8Hunter.onStatus(status);
+    const primary = wsjtx.listInstances().find(i => i.connected);
+    if (primary && primary.id === status.id) {
+      wsjtxStatus = status;
+      // Feed WSJT-X dial frequency into the same frequency tracker CAT uses
+      if (status.dialFrequency) {
+        sendCatFrequency(status.dialFrequency);
+      }
     }
     if (win && !win.isDestroyed()) {
       win.webContents.send('wsjtx-state', {
+        id: status.id,
+        label: wsjtxInstanceLabel(status, status.id),
         dialFrequency: status.dialFrequency,
         mode: status.mode,
         dxCall: status.dxCall,
@@ -1262,10 +1621,13 @@ function connectWsjtx() {
   });
 
   wsjtx.on('decode', (decode) => {
-    if (!decode.isNew) return;
-    // Forward to renderer for display
+    if (ft8Hunter) ft8Hunter.onDecode(decode);
+    // Forward to renderer for display (replayed decodes have isNew = false)
     if (win && !win.isDestroyed()) {
       win.webContents.send('wsjtx-decode', {
+        id: decode.id,
+        isNew: decode.isNew,
+        instance: wsjtxInstanceLabel(wsjtx.instances.get(decode.id)?.status, decode.id),
         time: decode.time,
         snr: decode.snr,
         deltaTime: decode.deltaTime,
@@ -1279,9 +1641,9 @@ function connectWsjtx() {
     }
   });
 
-  wsjtx.on('clear', () => {
+  wsjtx.on('clear', ({ id }) => {
     if (win && !win.isDestroyed()) {
-      win.webContents.send('wsjtx-clear');
+      win.webContents.send('wsjtx-clear', { id });
     }
   });
 
@@ -1349,8 +1711,10 @@ function connectWsjtx() {
   });
 
   wsjtx.on('qso-logged', (qso) => {
+    if (ft8Hunter) ft8Hunter.onQsoLogged(qso);
     if (win && !win.isDestroyed()) {
       win.webContents.send('wsjtx-qso-logged', {
+        id: qso.id,
         dxCall: qso.dxCall,
         dxGrid: qso.dxGrid,
         mode: qso.mode,
@@ -1361,8 +1725,10 @@ function connectWsjtx() {
     }
   });
 
+  if (settings.enableFt8Hunter) createFt8Hunter();
+
   const port = parseInt(settings.wsjtxPort, 10) || 2237;
-  wsjtx.connect(port);
+  wsjtx.connect(port, { multicastGroup: (settings.wsjtxMulticastGroup || '').trim() });
 
   // Schedule highlight updates whenever spots change
   scheduleWsjtxHighlights();
@@ -1374,6 +1740,7 @@ function disconnectWsjtx() {
     clearTimeout(wsjtxHighlightTimer);
     wsjtxHighlightTimer = null;
   }
+  destroyFt8Hunter();
   if (wsjtx) {
     wsjtx.clearHighlights();
     wsjtx.disconnect();
@@ -1410,7 +1777,7 @@ function updateWsjtxHighlights() {
   }
 
   // Clear old highlights that are no longer active
-  for (const call of wsjtx._highlightedCalls) {
+  for (const call of wsjtx.highlightedCalls()) {
     if (!activators.has(call)) {
       wsjtx.highlightCallsign(call, null, null);
     }
@@ -1426,6 +1793,79 @@ function updateWsjtxHighlights() {
   }
 }
 
+// --- FT8 hunter ---
+// Opt-in: answers CQs from activators we still need. Ranking and guards live
+// in lib/ft8-hunter.js; this side says what a station is worth and carries
+// out its replies and halts.
+
+const HUNT_SOURCES = new Set(['pota', 'sota', 'wwff', 'llota']);
+let ft8WorkedEntities = null; // { map, size, names } — DXCC entities in workedQsos
+
+function workedEntityNames() {
+  if (ft8WorkedEntities && ft8WorkedEntities.map === workedQsos && ft8WorkedEntities.size === workedQsos.size) {
+    return ft8WorkedEntities.names;
+  }
+  const names = new Set();
+  for (const call of workedQsos.keys()) {
+    const ent = resolveCallsign(call, ctyDb);
+    if (ent) names.add(ent.name);
+  }
+  ft8WorkedEntities = { map: workedQsos, size: workedQsos.size, names };
+  return names;
+}
+
+/** What working `call` on the decode's instance would add to the log. */
+function assessFt8Target(call, decode) {
+  const spot = lastPotaSotaSpots.find(s => HUNT_SOURCES.has(s.source) && (s.callsign || '').toUpperCase() === call);
+  const reference = spot ? (spot.reference || '').toUpperCase() : '';
+  const qsos = workedQsos.get(call) || [];
+  const needs = [];
+
+  if (reference) {
+    // Multi-park activations spot as "US-1234,US-5678" — any unworked one counts
+    const refs = reference.split(',').map(r => r.trim()).filter(Boolean);
+    const loggedRefs = new Set();
+    for (const list of workedQsos.values()) for (const q of list) if (q.ref) loggedRefs.add(q.ref.toUpperCase());
+    if (refs.some(r => !workedParks.has(r) && !loggedRefs.has(r))) needs.push('newPark');
+  }
+  if (ctyDb) {
+    const ent = resolveCallsign(call, ctyDb);
+    if (ent && !workedEntityNames().has(ent.name)) needs.push('newDxcc');
+  }
+  if (parseWatchlist(settings.watchlist).has(call)) needs.push('watchlist');
+  const status = wsjtx && wsjtx.instances.get(decode.id)?.status;
+  const band = status && status.dialFrequency ? freqToBand(status.dialFrequency / 1e6) : null;
+  if (band && !qsos.some(q => (q.band || '').toLowerCase() === band.toLowerCase())) needs.push('unworkedBand');
+
+  return { activator: !!spot, needs, reference };
+}
+
+function sendFt8HunterState(state) {
+  if (win && !win.isDestroyed()) win.webContents.send('ft8-hunter-state', state);
+}
+
+function createFt8Hunter() {
+  destroyFt8Hunter();
+  ft8Hunter = new Ft8Hunter({ assess: assessFt8Target, myCall: () => settings.myCallsign || '' });
+  ft8Hunter.setRules(settings.ft8HunterRules);
+  ft8Hunter.on('reply', ({ decode }) => {
+    if (wsjtx && wsjtx.connected) wsjtx.reply(decode, 0);
+  });
+  ft8Hunter.on('halt', ({ id }) => {
+    if (wsjtx && wsjtx.connected) wsjtx.haltTx(true, id);
+  });
+  ft8Hunter.on('state', sendFt8HunterState);
+  sendFt8HunterState({ active: false, target: null, reason: '' });
+}
+
+function destroyFt8Hunter() {
+  if (!ft8Hunter) return;
+  ft8Hunter.stop('disconnected');
+  ft8Hunter.removeAllListeners();
+  ft8Hunter = null;
+  sendFt8HunterState(null);
+}
+
 // --- SmartSDR panadapter spots ---
 function needsSmartSdr() {
   // Connect SmartSDR API if panadapter spots are enabled, CW keyer is active,
@@ -1433,6 +1873,7 @@ function needsSmartSdr() {
   // or CW XIT offset is configured (XIT is applied via SmartSDR slice commands)
   if (settings.smartSdrSpots) return true;
   if (settings.enableCwKeyer) return true;
+  if (settings.enableCwMessages && settings.catTarget && settings.catTarget.type === 'tcp') return true;
   if (settings.enableWsjtx && settings.catTarget && settings.catTarget.type === 'tcp') return true;
   if (settings.enableRemote && settings.catTarget && settings.catTarget.type === 'tcp') return true;
   if (settings.cwXit && settings.catTarget && settings.catTarget.type === 'tcp') return true;
@@ -1453,8 +1894,8 @@ function connectSmartSdr() {
     saveSettings(settings);
   }
   smartSdr.setPersistentId(settings.smartSdrClientId);
-  // Tell SmartSDR whether CW keyer needs GUI auth
-  smartSdr.setNeedsCw(!!settings.enableCwKeyer);
+  // Tell SmartSDR whether the CW keyers need GUI auth
+  smartSdr.setNeedsCw(!!settings.enableCwKeyer || !!settings.enableCwMessages);
   // Bind to GUI client for ECHOCAT rig controls (ATU, etc.)
   smartSdr.setNeedsBind(!!settings.enableRemote);
   // Log CW auth results
@@ -1468,6 +1909,11 @@ function connectSmartSdr() {
       });
     }
   });
+  // Track the second slice so it can be shown and tuned as receiver B
+  smartSdr.on('slice', (slice) => {
+    if (!isFlexCat() || slice.removed || slice.index !== flexSubSliceIndex()) return;
+    sendCatReceiver({ receiver: 'B', frequency: slice.frequency, mode: slice.mode });
+  });
   // Use SmartSDR host if configured, else fall back to Flex CAT host, else localhost
   const sdrHost = settings.smartSdrHost || (settings.catTarget && settings.catTarget.host) || '127.0.0.1';
   smartSdr.connect(sdrHost);
@@ -1534,91 +1980,141 @@ function disconnectTci() {
   }
 }
 
-// --- 4O3A Antenna Genius ---
-function connectAntennaGenius() {
-  disconnectAntennaGenius();
-  if (!settings.enableAntennaGenius || !settings.agHost) return;
-  agClient = new AntennaGeniusClient();
-  agLastBand = null;
-  agClient.on('connected', () => {
-    sendCatLog('[AG] Connected to Antenna Genius');
-    agClient.subscribePortStatus();
-    sendAgStatus();
-  });
-  agClient.on('disconnected', () => {
-    sendCatLog('[AG] Disconnected from Antenna Genius');
-    sendAgStatus();
-  });
-  agClient.on('port-status', (status) => {
-    if (win && !win.isDestroyed()) {
-      win.webContents.send('ag-port-status', status);
-    }
-  });
-  agClient.on('antenna-list', (names) => {
-    if (win && !win.isDestroyed()) {
-      win.webContents.send('ag-antenna-names', names);
-    }
-  });
-  agClient.on('error', (err) => {
-    // Suppress ECONNREFUSED noise during reconnect
-    if (err.code !== 'ECONNREFUSED') {
-      console.error('AG:', err.message);
-    }
-  });
-  agClient.connect(settings.agHost, 9007);
+// --- Antenna switching ---
+// lib/antenna-switch.js drives the hardware; the choice of antenna comes from
+// direction rules (band + spot bearing), then the per-band map, unless the
+// operator has picked one by hand.
+
+function connectAntennaSwitch() {
+  disconnectAntennaSwitch();
+  if (!settings.enableAntennaSwitch) return;
+  const type = settings.antennaSwitchType || 'ag';
+  antSwitch = createAntennaSwitch(type);
+  antNames = settingsAntennaNames();
+  antSwitch.on('log', sendCatLog);
+  antSwitch.on('status', ({ connected }) => {
+    sendCatLog(`[Antenna] ${connected ? 'Connected to' : 'Disconnected from'} ${type} switch`);
+    // Re-assert the antenna after a reconnect
+    if (connected && antSelected) antSwitch.select(antSelected, freqToBand((antLastTune ? antLastTune.freqKhz : 0) / 1000));
+    sendAntennaStatus();
+  });
+  antSwitch.on('names', (names) => {
+    antNames = names;
+    sendAntennaStatus();
+  });
+  antSwitch.on('selected', (antenna) => {
+    antSelected = antenna;
+    sendAntennaStatus();
+  });
+  if (type === 'ag' && !settings.agHost) {
+    sendCatLog('[Antenna] Antenna Genius: no host set');
+  } else {
+    antSwitch.connect({
+      host: type === 'ag' ? settings.agHost : (settings.relayHost || '127.0.0.1'),
+      radioPort: parseInt(settings.agRadioPort, 10) || 1,
+      protocol: settings.relayProtocol || 'tcp',
+      port: type === 'ag' ? undefined : parseInt(settings.relayPort, 10) || 0,
+      command: settings.antennaSwitchCommand || 'ANT {n}\\r\\n',
+      serialPort: settings.decoderSerialPort || '',
+      baudRate: parseInt(settings.decoderBaudRate, 10) || 9600,
+      output: settings.decoderOutput || 'pins',
+    });
+  }
+  sendAntennaStatus();
 }
 
-function disconnectAntennaGenius() {
-  agLastBand = null;
-  if (agClient) {
-    agClient.removeAllListeners();
-    agClient.disconnect();
-    agClient = null;
+function disconnectAntennaSwitch() {
+  antSelected = null;
+  antOverride = null;
+  if (antSwitch) {
+    antSwitch.removeAllListeners();
+    antSwitch.disconnect();
+    antSwitch = null;
   }
+  sendAntennaStatus();
 }
 
-function sendAgStatus() {
-  if (win && !win.isDestroyed()) {
-    win.webContents.send('ag-status', {
-      connected: !!(agClient && agClient.connected),
-    });
+/** Names typed in settings for switches that can't report their own. */
+function settingsAntennaNames() {
+  const names = {};
+  (settings.antennaNames || []).forEach((n, i) => { if (n) names[i + 1] = n; });
+  return names;
+}
+
+function antennaStatus() {
+  if (!antSwitch) return null;
+  return {
+    type: antSwitch.type,
+    connected: antSwitch.connected,
+    names: antNames,
+    selected: antSelected,
+    override: antOverride,
+  };
+}
+
+function sendAntennaStatus() {
+  if (win && !win.isDestroyed()) win.webContents.send('antenna-status', antennaStatus());
+}
+
+function selectAntenna(antenna, band, why) {
+  if (!antSwitch || !antSwitch.connected) {
+    sendCatLog('[Antenna] Skip switch — not connected');
+    return;
   }
+  if (antenna === antSelected) return;
+  const name = antNames[antenna] ? ` (${antNames[antenna]})` : '';
+  sendCatLog(`[Antenna] ${why} → antenna ${antenna}${name}`);
+  antSwitch.select(antenna, band);
+  antSelected = antenna;
+  sendAntennaStatus();
 }
 
 /**
- * Switch antenna based on frequency. Called from tuneRadio().
+ * Switch antenna for a tuned spot. Called from tuneRadio().
  * @param {number} freqKhz - Frequency in kHz
+ * @param {number} [bearing] - Spot bearing (already long-path adjusted)
  */
-function agSwitchForFreq(freqKhz) {
-  if (!agClient || !agClient.connected) {
-    sendCatLog('[AG] Skip switch — not connected');
+function antennaSwitchForSpot(freqKhz, bearing) {
+  antLastTune = { freqKhz, bearing };
+  if (antOverride) return;
+  const band = freqToBand(freqKhz / 1000);
+  if (!band) {
+    sendCatLog(`[Antenna] Skip switch — freq ${freqKhz} kHz not in any band`);
     return;
   }
-  if (!settings.agBandMap || typeof settings.agBandMap !== 'object') {
-    sendCatLog('[AG] Skip switch — no band map configured');
+  const max = maxAntennas({ type: settings.antennaSwitchType || 'ag', output: settings.decoderOutput || 'pins' });
+  const pick = pickAntenna({ rules: normalizeAntennaRules(settings.antennaRules, max), bandMap: settings.agBandMap }, band, bearing);
+  if (!pick) {
+    sendCatLog(`[Antenna] No antenna mapped for ${band}${bearing != null ? ` at ${bearing}°` : ''}`);
     return;
   }
+  const why = pick.rule
+    ? `${band} ${bearing}° (rule ${pick.rule.band} ${pick.rule.from}-${pick.rule.to}°)`
+    : `Band ${band}`;
+  selectAntenna(pick.antenna, band, why);
+}
 
-  const freqMhz = freqKhz / 1000;
-  const band = freqToBand(freqMhz);
-  if (!band) {
-    sendCatLog(`[AG] Skip switch — freq ${freqKhz} kHz not in any band`);
-    return;
+/** Manual antenna choice; null goes back to the rules for the last tuned spot. */
+function setAntennaOverride(antenna) {
+  antOverride = antenna || null;
+  if (antOverride) {
+    const band = antLastTune ? freqToBand(antLastTune.freqKhz / 1000) : '';
+    selectAntenna(antOverride, band, 'Manual');
+  } else if (antLastTune) {
+    antennaSwitchForSpot(antLastTune.freqKhz, antLastTune.bearing);
   }
+  sendAntennaStatus();
+}
 
-  // Don't re-send if already on this band
-  if (band === agLastBand) return;
-  agLastBand = band;
-
-  const antenna = settings.agBandMap[band];
-  if (!antenna) {
-    sendCatLog(`[AG] No antenna mapped for ${band}`);
-    return;
+// Settings from before antenna switching had more than one backend
+function migrateAntennaSettings(s) {
+  if (s.enableAntennaGenius === undefined) return;
+  if (s.enableAntennaSwitch === undefined) {
+    s.enableAntennaSwitch = s.enableAntennaGenius;
+    s.antennaSwitchType = 'ag';
   }
-
-  const radioPort = settings.agRadioPort || 1;
-  sendCatLog(`[AG] Band ${band} → antenna ${antenna} (port ${radioPort === 1 ? 'A' : 'B'})`);
-  agClient.selectAntenna(radioPort, antenna);
+  delete s.enableAntennaGenius;
+  saveSettings(s);
 }
 
 // --- ECHOCAT ---
@@ -1667,6 +2163,33 @@ function connectRemote() {
     handleRemotePtt(state);
   });
 
+  remoteServer.on('cw-text', ({ text, vars, wpm }) => {
+    if (wpm) getCwSender().setWpm(wpm);
+    const result = sendCwMessage(text, vars);
+    if (!result.ok) {
+      remoteServer.cwTextDone();
+      if (result.error) remoteServer.sendCwError(result.error);
+    }
+  });
+
+  remoteServer.on('cw-paddle', ({ paddle, pressed }) => {
+    if (!remoteCwAvailable()) {
+      if (pressed) remoteServer.sendCwError('Touch paddles need a FlexRadio or a DTR/RTS key line');
+      return;
+    }
+    const pk = getRemotePaddleKeyer();
+    if (paddle === 'dah') pk.paddleDah(pressed);
+    else pk.paddleDit(pressed);
+  });
+
+  remoteServer.on('cw-wpm', ({ wpm }) => {
+    getCwSender().setWpm(wpm);
+    getRemotePaddleKeyer().setWpm(wpm);
+    if (smartSdr && smartSdr.connected) smartSdr.setCwSpeed(wpm);
+  });
+
+  remoteServer.on('cw-stop', () => stopRemoteCw());
+
   remoteServer.on('client-connected', () => {
     broadcastRemoteRadioStatus();
     // Send current source toggles to phone
@@ -1692,16 +2215,19 @@ function connectRemote() {
     }
     // Push settings needed by phone (callsign, grid, respot defaults, cluster state)
     updateRemoteSettings();
-    if (win && !win.isDestroyed()) {
-      win.webContents.send('remote-status', { connected: true });
-    }
+    sendRemoteStatusToRenderer();
   });
 
-  remoteServer.on('client-disconnected', () => {
-    if (win && !win.isDestroyed()) {
-      win.webContents.send('remote-status', { connected: false });
-    }
-    destroyRemoteAudioWindow();
+  remoteServer.on('client-disconnected', ({ wasController, remaining }) => {
+    sendRemoteStatusToRenderer();
+    // Remote audio belongs to the operator — observers leaving don't affect it
+    if (wasController || remaining === 0) destroyRemoteAudioWindow();
+  });
+
+  remoteServer.on('control-changed', ({ previous }) => {
+    sendRemoteStatusToRenderer();
+    // The new operator negotiates their own audio stream
+    if (previous) destroyRemoteAudioWindow();
   });
 
   remoteServer.on('set-sources', (sources) => {
@@ -1805,6 +2331,8 @@ function connectRemote() {
   remoteServer.on('set-atu', ({ on }) => {
     if (flexSdr()) {
       smartSdr.setAtu(on);
+    } else if (on && cat && cat.connected && detectRigType() === 'icom') {
+      cat.startTune();
     }
     _currentAtuState = on;
     broadcastRemoteRadioStatus();
@@ -1842,7 +2370,7 @@ function connectRemote() {
       // Flex RF Gain: slider 0–100 maps to -10 to +20 dB
       const dB = (value * 0.3) - 10;
       smartSdr.setRfGain(0, dB);
-    } else if (cat && cat.connected && detectRigType() === 'rigctld') {
+    } else if (cat && cat.connected && (detectRigType() === 'rigctld' || detectRigType() === 'icom')) {
       cat.setRfGain(value / 100);
     }
     _currentRfGain = value;
@@ -1853,7 +2381,7 @@ function connectRemote() {
   remoteServer.on('set-txpower', ({ value }) => {
     if (flexSdr()) {
       smartSdr.setTxPower(value);
-    } else if (cat && cat.connected && detectRigType() === 'rigctld') {
+    } else if (cat && cat.connected && ['rigctld', 'icom', 'tci'].includes(detectRigType())) {
       cat.setTxPower(value / 100);
     }
     _currentTxPower = value;
@@ -1890,13 +2418,13 @@ function connectRemote() {
     remoteServer.resetSessionContacts();
   });
 
-  remoteServer.on('search-parks', ({ query }) => {
+  remoteServer.on('search-parks', ({ query, replyId }) => {
     try {
       const results = searchParksDb(parksArray, query);
-      remoteServer.sendParkResults(results || []);
+      remoteServer.sendParkResults(results || [], replyId);
     } catch (err) {
       console.error('[Echo CAT] Park search error:', err.message);
-      remoteServer.sendParkResults([]);
+      remoteServer.sendParkResults([], replyId);
     }
   });
 
@@ -1950,7 +2478,7 @@ function connectRemote() {
     console.log('[Echo CAT] CW XIT →', val, 'Hz');
   });
 
-  remoteServer.on('lookup-call', async ({ callsign }) => {
+  remoteServer.on('lookup-call', async ({ callsign, replyId }) => {
     const call = (callsign || '').toUpperCase().trim();
     if (!call) return;
     let name = '';
@@ -1976,20 +2504,20 @@ function connectRemote() {
       const entity = resolveCallsign(call, ctyDb);
       if (entity) location = entity.name || '';
     }
-    remoteServer.sendCallLookup({ callsign: call, name, location });
+    remoteServer.sendCallLookup({ callsign: call, name, location }, replyId);
   });
 
-  remoteServer.on('get-past-activations', () => {
+  remoteServer.on('get-past-activations', async ({ replyId }) => {
     try {
-      const activations = getPastActivations();
-      remoteServer.sendPastActivations(activations);
+      const activations = await getPastActivations();
+      remoteServer.sendPastActivations(activations, replyId);
     } catch (err) {
       console.error('[Echo CAT] Past activations error:', err.message);
-      remoteServer.sendPastActivations([]);
+      remoteServer.sendPastActivations([], replyId);
     }
   });
 
-  remoteServer.on('get-activation-map-data', ({ parkRef, date, contacts }) => {
+  remoteServer.on('get-activation-map-data', ({ parkRef, date, contacts, replyId }) => {
     try {
       // Look up park coordinates
       let park = null;
@@ -2026,71 +2554,68 @@ function connectRemote() {
           entityName: loc ? loc.name : '',
         });
       }
-      remoteServer.sendActivationMapData({ parkRef, park, resolvedContacts });
+      remoteServer.sendActivationMapData({ parkRef, park, resolvedContacts }, replyId);
     } catch (err) {
       console.error('[Echo CAT] Activation map data error:', err.message);
-      remoteServer.sendActivationMapData({ parkRef, park: null, resolvedContacts: [] });
+      remoteServer.sendActivationMapData({ parkRef, park: null, resolvedContacts: [] }, replyId);
     }
   });
 
-  remoteServer.on('get-all-qsos', () => {
+  remoteServer.on('get-all-qsos', async ({ replyId }) => {
     try {
-      const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
-      const qsos = parseAllRawQsos(logPath);
+      const qsos = (await getQsoDb()).all();
       // Send with idx so phone can reference by index for edit/delete
       const mapped = qsos.map((q, i) => ({ idx: i, ...q }));
-      remoteServer.sendAllQsos(mapped);
+      remoteServer.sendAllQsos(mapped, replyId);
     } catch (err) {
       console.error('[Echo CAT] get-all-qsos error:', err.message);
-      remoteServer.sendAllQsos([]);
+      remoteServer.sendAllQsos([], replyId);
     }
   });
 
-  remoteServer.on('update-qso', ({ idx, fields }) => {
+  remoteServer.on('update-qso', async ({ idx, fields, replyId }) => {
     try {
-      const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
-      const qsos = parseAllRawQsos(logPath);
-      if (idx < 0 || idx >= qsos.length) {
-        remoteServer.sendQsoUpdated({ success: false, idx, error: 'Invalid index' });
+      const db = await getQsoDb();
+      const id = db.idAt(idx);
+      if (id == null) {
+        remoteServer.sendQsoUpdated({ success: false, idx, error: 'Invalid index' }, replyId);
         return;
       }
-      Object.assign(qsos[idx], fields);
-      rewriteAdifFile(logPath, qsos);
+      db.update([id], fields);
       loadWorkedQsos();
       // Notify desktop QSO pop-out
       if (qsoPopoutWin && !qsoPopoutWin.isDestroyed()) {
         qsoPopoutWin.webContents.send('qso-popout-updated', { idx, fields });
       }
-      remoteServer.sendQsoUpdated({ success: true, idx, fields });
+      remoteServer.sendQsoUpdated({ success: true, idx, fields }, replyId);
     } catch (err) {
-      remoteServer.sendQsoUpdated({ success: false, idx, error: err.message });
+      remoteServer.sendQsoUpdated({ success: false, idx, error: err.message }, replyId);
     }
   });
 
-  remoteServer.on('delete-qso', ({ idx }) => {
+  remoteServer.on('delete-qso', async ({ idx, replyId }) => {
     try {
-      const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
-      const qsos = parseAllRawQsos(logPath);
-      if (idx < 0 || idx >= qsos.length) {
-        remoteServer.sendQsoDeleted({ success: false, idx, error: 'Invalid index' });
+      const db = await getQsoDb();
+      const id = db.idAt(idx);
+      if (id == null) {
+        remoteServer.sendQsoDeleted({ success: false, idx, error: 'Invalid index' }, replyId);
         return;
       }
-      qsos.splice(idx, 1);
-      rewriteAdifFile(logPath, qsos);
+      db.remove([id]);
       loadWorkedQsos();
       // Notify desktop QSO pop-out
       if (qsoPopoutWin && !qsoPopoutWin.isDestroyed()) {
         qsoPopoutWin.webContents.send('qso-popout-deleted', idx);
       }
-      remoteServer.sendQsoDeleted({ success: true, idx });
+      remoteServer.sendQsoDeleted({ success: true, idx }, replyId);
     } catch (err) {
-      remoteServer.sendQsoDeleted({ success: false, idx, error: err.message });
+      remoteServer.sendQsoDeleted({ success: false, idx, error: err.message }, replyId);
     }
   });
 
-  remoteServer.on('log-qso', async (data) => {
+  remoteServer.on('log-qso', async (data, replyId) => {
     if (!data || !data.callsign) {
-      remoteServer.sendLogResult({ success: false, error: 'Missing callsign' });
+      remoteServer.sendLogResult({ success: false, error: 'Missing callsign' }, replyId);
       return;
     }
     try {
@@ -2220,10 +2745,10 @@ function connectRemote() {
         rstRcvd: contact.rstRcvd,
         resposted: result.resposted || false,
         respotError: result.respotError || result.wwffRespotError || result.llotaRespotError || result.dxcRespotError || '',
-      });
+      }, replyId);
     } catch (err) {
       console.error('[Echo CAT] Log QSO error:', err.message);
-      remoteServer.sendLogResult({ success: false, error: err.message });
+      remoteServer.sendLogResult({ success: false, error: err.message }, replyId);
     }
   });
 
@@ -2272,9 +2797,38 @@ function disconnectRemote() {
     remoteServer.stop();
     remoteServer = null;
   }
+  stopRemoteCw();
+  remotePaddleKeyer = null;
   destroyRemoteAudioWindow();
 }
 
+// --- Remote CW (ECHOCAT) ---
+// Touch paddles go through IambicKeyer (the MIDI keyer's if it's running) and
+// need a keyed output; typed and memory text share the desktop CwSender.
+
+function remoteCwAvailable() {
+  if (cwKeyLine) return cwKeyLine.isOpen;
+  return isFlexCat() && smartSdr && smartSdr.connected;
+}
+
+function getRemotePaddleKeyer() {
+  if (keyer) return keyer;
+  if (!remotePaddleKeyer) {
+    remotePaddleKeyer = new IambicKeyer();
+    remotePaddleKeyer.setWpm(settings.cwWpm || 20);
+    remotePaddleKeyer.setMode(settings.cwKeyerMode || 'iambicB');
+    remotePaddleKeyer.on('key', ({ down }) => keyCwOnRadio(down));
+  }
+  return remotePaddleKeyer;
+}
+
+function stopRemoteCw() {
+  if (cwSender) cwSender.stop();
+  if (remotePaddleKeyer) remotePaddleKeyer.stop();
+  if (keyer) keyer.stop();
+  if (smartSdr && smartSdr.connected) smartSdr.cwStop();
+}
+
 function handleRemotePtt(state) {
   const target = settings.catTarget;
   const isFlexRig = target && target.type === 'tcp';
@@ -2303,6 +2857,8 @@ function handleRemotePtt(state) {
 function broadcastRemoteRadioStatus() {
   if (!remoteServer || !remoteServer.running) return;
   const rigType = detectRigType();
+  const capabilities = getRigCapabilities(rigType);
+  if (cwKeyLine) capabilities.cw = true; // DTR/RTS keying works with any rig
   const status = {
     freq: _currentFreqHz || 0,
     mode: _currentMode || '',
@@ -2315,7 +2871,7 @@ function broadcastRemoteRadioStatus() {
     filterWidth: _currentFilterWidth,
     rfgain: _currentRfGain,
     txpower: _currentTxPower,
-    capabilities: getRigCapabilities(rigType),
+    capabilities,
   };
   remoteServer.broadcastRadioStatus(status);
 }
@@ -2358,6 +2914,15 @@ function startRemoteAudio() {
   });
 }
 
+function sendRemoteStatusToRenderer() {
+  if (!win || win.isDestroyed() || !remoteServer) return;
+  win.webContents.send('remote-status', {
+    connected: remoteServer.hasClient(),
+    clients: remoteServer.clientCount(),
+    controller: remoteServer.getControllerLabel(),
+  });
+}
+
 function destroyRemoteAudioWindow() {
   if (remoteAudioWin && !remoteAudioWin.isDestroyed()) {
     try { remoteAudioWin.webContents.send('remote-audio-stop'); } catch { /* may be destroyed */ }
@@ -2403,20 +2968,7 @@ function connectKeyer() {
   keyer.setMode(settings.cwKeyerMode || 'iambicB');
   keyer.setSwapPaddles(!!settings.cwSwapPaddles);
 
-  keyer.on('key', ({ down }) => {
-    // Send raw key event directly to radio with timestamps — preserves operator's fist
-    if (smartSdr && smartSdr.connected) {
-      if (down) {
-        smartSdr.cwPttOn();  // activate CW PTT (with holdoff auto-release)
-      }
-      smartSdr.cwKey(down);
-    }
-
-    // Forward to renderer for sidetone
-    if (win && !win.isDestroyed()) {
-      win.webContents.send('cw-key', { down });
-    }
-  });
+  keyer.on('key', ({ down }) => keyCwOnRadio(down));
 
   // Bind to SmartSDR GUI client for CW config commands
   if (smartSdr) {
@@ -2431,6 +2983,24 @@ function connectKeyer() {
   }
 }
 
+// Send raw key event directly to radio with timestamps — preserves operator's fist.
+// A configured DTR/RTS key line takes over from the Flex.
+function keyCwOnRadio(down) {
+  if (cwKeyLine) {
+    cwKeyLine.key(down);
+  } else if (smartSdr && smartSdr.connected) {
+    if (down) {
+      smartSdr.cwPttOn();  // activate CW PTT (with holdoff auto-release)
+    }
+    smartSdr.cwKey(down);
+  }
+
+  // Forward to renderer for sidetone
+  if (win && !win.isDestroyed()) {
+    win.webContents.send('cw-key', { down });
+  }
+}
+
 function disconnectKeyer() {
   if (keyer) {
     keyer.stop();
@@ -2439,13 +3009,135 @@ function disconnectKeyer() {
   }
   if (smartSdr) {
     if (smartSdr.connected) smartSdr.cwStop();
-    smartSdr.setNeedsCw(false);
+    smartSdr.setNeedsCw(!!settings.enableCwMessages);
   }
   if (win && !win.isDestroyed()) {
     win.webContents.send('cw-keyer-status', { enabled: false });
   }
 }
 
+// --- CW message keyer ---
+// F1–F8 memories and typed text from the desktop, plus ECHOCAT text, go
+// through one CwSender so two messages can never key the radio at once.
+
+// Where message text goes: a DTR/RTS line or the Flex (timed here), or the
+// radio's own keyer (Kenwood KY, rigctld send_morse)
+function cwTextOutput() {
+  if (cwKeyLine) return { key: keyCwOnRadio, ready: () => cwKeyLine.isOpen };
+  const rigType = detectRigType();
+  if (rigType === 'flex') {
+    return { key: keyCwOnRadio, ready: () => !!(smartSdr && smartSdr.connected) };
+  }
+  if (rigType === 'kenwood' || rigType === 'rigctld') {
+    return {
+      sendText: (text, wpm) => !!(cat && cat.sendCwText && cat.sendCwText(text, wpm)),
+      stopText: () => { if (cat && cat.stopCwText) cat.stopCwText(); },
+      ready: () => !!(cat && cat.cwTextReady && cat.cwTextReady()),
+    };
+  }
+  return null;
+}
+
+function getCwSender() {
+  if (!cwSender) {
+    cwSender = new CwSender(cwTextOutput);
+    cwSender.setWpm(settings.cwWpm || 20);
+    cwSender.setFarnsworth(settings.cwFarnsworthWpm || 0);
+    cwSender.on('sending', ({ text }) => {
+      cwSentText = (cwSentText + ' ' + text).trim().slice(-80);
+      if (win && !win.isDestroyed()) {
+        win.webContents.send('cw-msg-state', { sending: true, text });
+        win.webContents.send('cw-text', { total: cwSentText });
+      }
+    });
+    cwSender.on('done', ({ aborted }) => {
+      if (win && !win.isDestroyed()) win.webContents.send('cw-msg-state', { sending: false, aborted });
+      if (remoteServer) remoteServer.cwTextDone();
+    });
+  }
+  return cwSender;
+}
+
+/**
+ * Expand macros and queue a message (desktop or ECHOCAT).
+ * @returns {{ ok: boolean, error?: string }} error is empty when there was just nothing to send
+ */
+function sendCwMessage(text, vars = {}) {
+  const sender = getCwSender();
+  if (!sender.available()) {
+    return { ok: false, error: 'No CW output — connect a FlexRadio, Kenwood-protocol or rigctld radio, or set a DTR/RTS key port' };
+  }
+  const parks = (settings.activatorParkRefs || []).filter(p => p && p.ref).map(p => p.ref);
+  const expanded = expandCwMacros(text, {
+    myCall: settings.myCallsign || '',
+    call: vars.call,
+    rst: vars.rst,
+    park: settings.appMode === 'activator' ? parks.join(' ') : '',
+    serial: settings.cwSerial || 1,
+  });
+  if (!sender.send(expanded)) return { ok: false, error: '' };
+  if (usesSerial(text)) cwSerialSent = true;
+  return { ok: true };
+}
+
+function connectCwKeyLine() {
+  disconnectCwKeyLine();
+  const line = settings.cwOutput;
+  if (!settings.enableCwMessages || (line !== 'dtr' && line !== 'rts') || !settings.cwKeyPort) return;
+  const target = settings.catTarget;
+  const catPort = target && (target.path || target.serialPort);
+  if (catPort && catPort === settings.cwKeyPort) {
+    // "Force DTR/RTS low" means those lines key PTT on this port, and Hamlib
+    // or CI-V own the port (and may drive PTT on it) — keying CW there would
+    // fight the PTT line
+    if (target.type !== 'serial' || target.dtrOff) {
+      const why = target.type !== 'serial' ? 'the rig control program owns it' : 'its DTR/RTS lines key PTT';
+      sendCatLog(`CW key line: not keying ${line.toUpperCase()} on CAT port ${catPort} — ${why}. Use a separate key port.`);
+      return;
+    }
+    // Same port as CAT — it can't be opened twice, so key through the CAT client
+    cwKeyLine = {
+      key: (down) => { if (cat && cat.setKeyLine) cat.setKeyLine(line, down); },
+      get isOpen() { return !!(cat && cat.connected && cat.setKeyLine); },
+      close() {},
+    };
+    return;
+  }
+  cwKeyLine = new SerialKeyLine(settings.cwKeyPort, line);
+  cwKeyLine.on('error', (err) => console.error('CW key line:', err.message));
+  cwKeyLine.open();
+}
+
+function disconnectCwKeyLine() {
+  if (cwSender) cwSender.stop();
+  if (cwKeyLine) {
+    cwKeyLine.key(false);
+    cwKeyLine.close();
+    cwKeyLine = null;
+  }
+}
+
+// --- CW decoder ---
+// The renderer captures receiver audio (or picks a WAV file) and the decoding
+// happens here; characters, speed/pitch and callsigns go back to the pane.
+// WAV files are decoded in slices so a long recording doesn't freeze the UI.
+
+function startCwDecoder(sampleRate) {
+  stopCwDecoder();
+  cwDecoder = new CwDecoder({ sampleRate });
+  const send = (channel, data) => { if (win && !win.isDestroyed()) win.webContents.send(channel, data); };
+  cwDecoder.on('char', ({ char }) => send('cw-decoder-text', { text: char }));
+  cwDecoder.on('stats', (stats) => send('cw-decoder-stats', stats));
+  cwDecoder.on('callsign', ({ callsign }) => send('cw-decoder-callsign', { callsign }));
+}
+
+function stopCwDecoder() {
+  if (!cwDecoder) return;
+  cwDecoder.flush();
+  cwDecoder.removeAllListeners();
+  cwDecoder = null;
+}
+
 // --- Solar data ---
 function fetchSolarData() {
   const https = require('https');
@@ -2523,6 +3215,7 @@ function processPotaSpots(raw) {
       spotTime: s.spotTime || '',
       continent,
       comments: s.comments || '',
+      spotter: s.spotter || '',
       count: typeof s.count === 'number' ? s.count : null,
     };
   });
@@ -2584,6 +3277,8 @@ async function processSotaSpots(raw) {
       band: freqToBand(freqMHz),
       spotTime: s.timeStamp || '',
       continent,
+      comments: s.comments || '',
+      spotter: s.callsign || '',
     };
   });
   // Dedupe: keep latest spot per callsign+band (allows multi-band activations)
@@ -2642,6 +3337,8 @@ function processWwffSpots(raw) {
       band: freqToBand(freqMHz),
       spotTime,
       continent,
+      comments: s.remarks || '',
+      spotter: s.spotter || '',
     };
   });
   // Dedupe: keep latest spot per callsign+band (allows multi-band activations)
@@ -2716,7 +3413,68 @@ function processLlotaSpots(raw) {
   return [...seen.values()];
 }
 
-let lastPotaSotaSpots = []; // cache of last fetched POTA+SOTA+WWFF+LLOTA spots
+let lastPotaSotaSpots = []; // cache of last fetched spots from all registered spot sources
+
+// --- Spot source registry ---
+// Built-in programs; extra programs are loaded from spot-sources.json in userData
+const SPOT_SOURCES_PATH = path.join(app.getPath('userData'), 'spot-sources.json');
+
+function registerBuiltinSpotSources() {
+  registerSource({
+    id: 'pota', label: 'POTA', url: POTA_SPOT_URL, color: '#4ecca3', builtin: true,
+    isEnabled: (s) => s.enablePota !== false, // default true
+    fetch: fetchPotaSpots, normalize: processPotaSpots,
+  });
+  registerSource({
+    id: 'sota', label: 'SOTA', url: SOTA_SPOT_URL, color: '#f0a500', builtin: true,
+    isEnabled: (s) => s.enableSota === true, // default false
+    fetch: fetchSotaSpots, normalize: processSotaSpots,
+  });
+  registerSource({
+    id: 'wwff', label: 'WWFF', url: WWFF_SPOT_URL, color: '#26a69a', builtin: true,
+    isEnabled: (s) => s.enableWwff === true, // default false
+    fetch: fetchWwffSpots, normalize: processWwffSpots,
+  });
+  registerSource({
+    id: 'llota', label: 'LLOTA', url: LLOTA_SPOT_URL, color: '#42a5f5', builtin: true,
+    isEnabled: (s) => s.enableLlota === true, // default false
+    fetch: fetchLlotaSpots, normalize: processLlotaSpots,
+  });
+}
+
+// Per-source health (last OK, last error, latency, spot count) for the Spots panel
+function sendSpotSourceHealth() {
+  if (!win || win.isDestroyed()) return;
+  win.webContents.send('spot-source-health', describeSources(settings).filter((s) => s.enabled));
+}
+
+// --- Band plans ---
+// Built-in licence classes live in lib/band-plans.js; extra plans come from
+// band-plans.json in userData. The renderer registers the same definitions.
+const BAND_PLANS_PATH = path.join(app.getPath('userData'), 'band-plans.json');
+let customBandPlans = []; // raw plan definitions from band-plans.json
+
+function loadCustomBandPlans() {
+  if (!fs.existsSync(BAND_PLANS_PATH)) return;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(BAND_PLANS_PATH, 'utf-8'));
+  } catch (err) {
+    console.warn('[Band plans]', `${BAND_PLANS_PATH}: ${err.message}`);
+    return;
+  }
+  const { loaded, errors } = loadBandPlans(data);
+  const defs = Array.isArray(data) ? data : (data.plans || []);
+  customBandPlans = defs.filter(d => d && loaded.includes(d.id));
+  if (loaded.length) console.log('[Band plans] Loaded from config:', loaded.join(', '));
+  for (const e of errors) console.warn('[Band plans]', e);
+}
+
+function loadCustomSpotSources() {
+  const { loaded, errors } = loadSourcesConfig(SPOT_SOURCES_PATH);
+  if (loaded.length) console.log('[Spot sources] Loaded from config:', loaded.join(', '));
+  for (const e of errors) console.warn('[Spot sources]', e);
+}
 
 // --- Net Reminder helpers ---
 
@@ -2814,23 +3572,33 @@ function getActiveNetSpots() {
   return spots;
 }
 
+// One row per signal: same callsign on the same frequency from several
+// programs/feeds collapses into a single spot carrying every reference and
+// source, annotated with the activator's timeline across polls (QSY/mode changes)
+function buildSpotRows(spots) {
+  spotHistory.observe(spots);
+  return mergeSpotIdentities(spots).map(s => spotHistory.annotate(s));
+}
+
 function sendMergedSpots() {
   if (!win || win.isDestroyed()) return;
   const netSpots = getActiveNetSpots();
-  const merged = [...netSpots, ...lastPotaSotaSpots, ...clusterSpots, ...rbnWatchSpots, ...pskrSpots];
+  const merged = buildSpotRows([...netSpots, ...lastPotaSotaSpots, ...clusterSpots, ...rbnWatchSpots, ...pskrSpots]);
+  if (settings.enableAwards && awardsReady) {
+    for (const s of merged) s.awardNeeds = awardTracker.needsForSpot(s, ctyDb);
+  }
+  if (spotRecorder.recording) spotRecorder.record('merged', merged);
   win.webContents.send('spots', merged);
   pushSpotsToSmartSdr(merged);
   pushSpotsToTci(merged);
-  // Forward to ECHOCAT — SSB only (net spots always pass), respect max spot age
+  // Forward to ECHOCAT — respect max spot age (net spots always pass).
+  // Band/mode/source filtering happens per client in RemoteServer.
   if (remoteServer && remoteServer.running) {
     const maxAgeMs = ((settings.maxAgeMin != null ? settings.maxAgeMin : 5) * 60000) || 300000;
     const now = Date.now();
     const echoSpots = merged.filter(s => {
       // Net spots always pass through to ECHOCAT
       if (s.source === 'net') return true;
-      // SSB only
-      const m = (s.mode || '').toUpperCase();
-      if (m !== 'SSB' && m !== 'USB' && m !== 'LSB') return false;
       // Age filter
       if (s.spotTime) {
         const t = s.spotTime.endsWith('Z') ? s.spotTime : s.spotTime + 'Z';
@@ -2838,7 +3606,8 @@ function sendMergedSpots() {
         if (age > maxAgeMs) return false;
       }
       return true;
-    });
+    }).map(({ timeline, history, ...s }) => s); // keep the phone's data use down; qsy/modeChange/lastSpotTime stay
+    remoteServer.setWatchlist(parseWatchlist(settings.watchlist));
     remoteServer.broadcastSpots(echoSpots);
   }
   // Forward to spots pop-out if open
@@ -2862,84 +3631,22 @@ function sendMergedSpots() {
   }
 }
 
-async function refreshSpots() {
+async function refreshSpots({ force = false } = {}) {
+  if (spotReplayActive) return; // replay session owns the spot list
   try {
-    const enablePota = settings.enablePota !== false; // default true
-    const enableSota = settings.enableSota === true;  // default false
-    const enableWwff = settings.enableWwff === true;   // default false
-    const enableLlota = settings.enableLlota === true; // default false
-
-    const fetches = [];
-    if (enablePota) fetches.push(fetchPotaSpots().then(processPotaSpots));
-    if (enableSota) fetches.push(fetchSotaSpots().then(processSotaSpots));
-    if (enableWwff) fetches.push(fetchWwffSpots().then(processWwffSpots));
-    if (enableLlota) fetches.push(fetchLlotaSpots().then(processLlotaSpots));
-
-    const results = await Promise.allSettled(fetches);
-    const allSpots = results
-      .filter((r) => r.status === 'fulfilled')
-      .flatMap((r) => r.value);
-
-    // Cross-reference POTA ↔ WWFF: same callsign + same frequency = dual-park
-    const potaSpots = allSpots.filter(s => s.source === 'pota');
-    const wwffSpots = allSpots.filter(s => s.source === 'wwff');
-    const otherSpots = allSpots.filter(s => s.source !== 'pota' && s.source !== 'wwff');
-
-    if (wwffSpots.length > 0 && potaSpots.length > 0) {
-      const wwffMap = new Map();
-      for (const w of wwffSpots) {
-        const key = w.callsign.toUpperCase() + '_' + String(Math.round(parseFloat(w.frequency)));
-        wwffMap.set(key, w);
-      }
-      const matchedWwffKeys = new Set();
-      for (const p of potaSpots) {
-        const key = p.callsign.toUpperCase() + '_' + String(Math.round(parseFloat(p.frequency)));
-        const match = wwffMap.get(key);
-        if (match) {
-          p.wwffReference = match.reference;
-          p.wwffParkName = match.parkName;
-          matchedWwffKeys.add(key);
-        }
-      }
-      // Only keep unmatched WWFF spots as standalone rows
-      const unmatchedWwff = wwffSpots.filter(w => {
-        const key = w.callsign.toUpperCase() + '_' + String(Math.round(parseFloat(w.frequency)));
-        return !matchedWwffKeys.has(key);
-      });
-      lastPotaSotaSpots = [...potaSpots, ...otherSpots, ...unmatchedWwff];
-    } else {
-      lastPotaSotaSpots = allSpots;
-    }
-
-    sendMergedSpots();
-
-    // Update WSJT-X callsign highlights with fresh activator list
-    if (wsjtx && wsjtx.connected && settings.wsjtxHighlight) {
-      scheduleWsjtxHighlights();
-    }
-
-    // Watchlist notifications for POTA/SOTA spots (5-min dedup in notifyWatchlistSpot)
-    const potaSotaWatchSet = parseWatchlist(settings.watchlist);
-    if (potaSotaWatchSet.size > 0) {
-      for (const spot of lastPotaSotaSpots) {
-        const csUpper = spot.callsign.toUpperCase();
-        if (potaSotaWatchSet.has(csUpper)) {
-          notifyWatchlistSpot({
-            callsign: spot.callsign,
-            frequency: spot.frequency,
-            mode: spot.mode,
-            source: spot.source,
-            reference: spot.reference,
-            locationDesc: spot.locationDesc,
-          });
-        }
-      }
-    }
+    const { spots: allSpots, errors } = await pollSources(settings, {
+      myPos: gridToLatLon(settings.grid),
+      ctyDb,
+    }, {
+      force,
+      onRaw: (source, raw) => { if (spotRecorder.recording) spotRecorder.record('api', { source, raw }); },
+    });
+    sendSpotSourceHealth();
+    applySourceSpots(allSpots);
 
     // Report errors from rejected fetches
-    const errors = results.filter((r) => r.status === 'rejected');
     if (errors.length > 0 && lastPotaSotaSpots.length === 0 && win && !win.isDestroyed()) {
-      win.webContents.send('spots-error', errors[0].reason.message);
+      win.webContents.send('spots-error', errors[0].message);
     }
   } catch (err) {
     if (win && !win.isDestroyed()) {
@@ -2948,15 +3655,206 @@ async function refreshSpots() {
   }
 }
 
+// Publish program spots and run highlight/watchlist side effects
+// (shared by live polling and session replay)
+function applySourceSpots(allSpots) {
+  lastPotaSotaSpots = allSpots;
+  sendMergedSpots();
+
+  // Update WSJT-X callsign highlights with fresh activator list
+  if (wsjtx && wsjtx.connected && settings.wsjtxHighlight) {
+    scheduleWsjtxHighlights();
+  }
+
+  // Watchlist notifications for POTA/SOTA spots (5-min dedup in notifyWatchlistSpot)
+  const potaSotaWatchSet = parseWatchlist(settings.watchlist);
+  if (potaSotaWatchSet.size > 0) {
+    for (const spot of lastPotaSotaSpots) {
+      const csUpper = spot.callsign.toUpperCase();
+      if (potaSotaWatchSet.has(csUpper)) {
+        notifyWatchlistSpot({
+          callsign: spot.callsign,
+          frequency: spot.frequency,
+          mode: spot.mode,
+          source: spot.source,
+          reference: spot.reference,
+          locationDesc: spot.locationDesc,
+        });
+      }
+    }
+  }
+}
+
+// --- Spot session recording & replay ---
+const RECORDINGS_DIR = path.join(app.getPath('userData'), 'recordings');
+let replayCluster = null; // DxClusterClient used only as a line parser during replay
+let replayRbn = null;     // RbnClient used only as a line parser during replay
+let lastSessionStatusSent = 0;
+
+function getSpotSessionStatus() {
+  return {
+    recording: spotRecorder.recording,
+    recordFile: spotRecorder.recording ? spotRecorder.filePath : '',
+    recordCount: spotRecorder.count,
+    replayActive: spotReplayActive,
+    replaying: spotReplayer.playing,
+    replay: spotReplayActive ? spotReplayer.status() : null,
+  };
+}
+
+function sendSpotSessionStatus() {
+  lastSessionStatusSent = Date.now();
+  if (win && !win.isDestroyed()) win.webContents.send('spot-session-status', getSpotSessionStatus());
+}
+
+function startSpotRecording() {
+  if (spotReplayActive) throw new Error('Stop the replay before recording');
+  const file = spotRecorder.start(RECORDINGS_DIR, {
+    app: 'POTACAT',
+    version: require('./package.json').version,
+    grid: settings.grid || '',
+  });
+  console.log('[Recorder] Recording spots to', file);
+  // Capture a full snapshot of every enabled source right away
+  refreshSpots({ force: true });
+  sendSpotSessionStatus();
+}
+
+function stopSpotRecording() {
+  if (!spotRecorder.recording) return;
+  spotRecorder.stop();
+  console.log(`[Recorder] Stopped — ${spotRecorder.count} records in ${spotRecorder.filePath}`);
+  sendSpotSessionStatus();
+}
+
+// Shift a replayed spot time so its age matches what it was when recorded
+function rebaseSpotTime(spotTime, recordedAt) {
+  if (!spotTime) return spotTime;
+  const t = Date.parse(/[zZ]$|[+-]\d\d:?\d\d$/.test(spotTime) ? spotTime : spotTime + 'Z');
+  if (isNaN(t)) return spotTime;
+  return new Date(Date.now() - Math.max(0, recordedAt - t)).toISOString();
+}
+
+// Telnet lines only carry HHMM and the parser stamps today's date, so measure age within the day
+function rebaseTelnetTime(spotTime, recordedAt) {
+  const t = Date.parse(spotTime);
+  if (isNaN(t)) return spotTime;
+  const age = (((recordedAt - t) % 86400000) + 86400000) % 86400000;
+  return new Date(Date.now() - age).toISOString();
+}
+
+async function replayApiRecord(rec) {
+  const { source, raw } = rec.data || {};
+  try {
+    const spots = await injectRaw(source, raw, { myPos: gridToLatLon(settings.grid), ctyDb });
+    for (const s of spots) s.spotTime = rebaseSpotTime(s.spotTime, rec.t);
+    if (spotReplayActive) applySourceSpots(collectSpots(settings));
+  } catch (err) {
+    console.warn('[Replay]', source, err.message);
+  }
+}
+
+/**
+ * Pause the live feeds and play a recorded session back through the same
+ * normalize / cluster / RBN parsing paths at the given speed multiplier.
+ */
+function startSpotReplay(filePath, speed) {
+  stopSpotRecording();
+  spotReplayer.removeAllListeners();
+  const total = spotReplayer.load(filePath);
+
+  spotReplayActive = true;
+  if (spotTimer) { clearInterval(spotTimer); spotTimer = null; }
+  disconnectCluster();
+  disconnectRbn();
+  disconnectPskr();
+  clearSourceSpots();
+  spotHistory.clear();
+  lastPotaSotaSpots = [];
+
+  const myPos = gridToLatLon(settings.grid);
+  const myEntity = (ctyDb && settings.myCallsign) ? resolveCallsign(settings.myCallsign, ctyDb) : null;
+  let recordedAt = 0;
+
+  replayCluster = new DxClusterClient();
+  replayCluster.on('spot', (raw) => {
+    handleClusterSpot({ ...raw, spotTime: rebaseTelnetTime(raw.spotTime, recordedAt) }, myPos, myEntity);
+  });
+  replayRbn = new RbnClient();
+  replayRbn.setFilter({ callsign: settings.myCallsign, watchlist: settings.watchlist || '' });
+  replayRbn.on('spot', (raw) => {
+    handleRbnSpot({ ...raw, spotTime: rebaseTelnetTime(raw.spotTime, recordedAt) }, myPos);
+  });
+
+  spotReplayer.on('record', (rec) => {
+    recordedAt = rec.t;
+    if (rec.type === 'api') {
+      replayApiRecord(rec);
+    } else if (rec.type === 'cluster' && rec.data) {
+      replayCluster.injectLine(rec.data.line || '');
+      if (clusterPopoutWin && !clusterPopoutWin.isDestroyed()) {
+        clusterPopoutWin.webContents.send('cluster-popout-line', { nodeId: rec.data.nodeId, line: rec.data.line });
+      }
+    } else if (rec.type === 'rbn' && rec.data) {
+      replayRbn.injectLine(rec.data.line || '');
+    }
+    // 'merged' records are kept for comparing runs, not replayed
+  });
+  spotReplayer.on('progress', () => {
+    if (Date.now() - lastSessionStatusSent > 1000) sendSpotSessionStatus();
+  });
+  spotReplayer.on('end', () => {
+    console.log('[Replay] Finished', filePath);
+    sendSpotSessionStatus();
+  });
+
+  console.log(`[Replay] Playing ${total} records from ${filePath} at ${speed}x`);
+  sendMergedSpots();
+  sendRbnSpots();
+  spotReplayer.start({ speed });
+  sendSpotSessionStatus();
+}
+
+function stopSpotReplay() {
+  if (!spotReplayActive) return;
+  spotReplayActive = false;
+  spotReplayer.stop();
+  spotReplayer.removeAllListeners();
+  if (replayCluster) { replayCluster.removeAllListeners(); replayCluster = null; }
+  if (replayRbn) { replayRbn.removeAllListeners(); replayRbn = null; }
+  clearSourceSpots();
+  spotHistory.clear();
+  lastPotaSotaSpots = [];
+  clusterSpots = [];
+  rbnSpots = [];
+  rbnWatchSpots = [];
+
+  // Resume live feeds
+  if (settings.enableCluster) connectCluster();
+  if (settings.enableRbn) connectRbn();
+  if (settings.enablePskr) connectPskr();
+  sendRbnSpots();
+  refreshSpots({ force: true });
+  if (spotTimer) clearInterval(spotTimer);
+  spotTimer = setInterval(refreshSpots, Math.max(15, settings.refreshInterval || 30) * 1000);
+  sendSpotSessionStatus();
+}
+
 // --- DXCC data builder ---
 async function buildDxccData() {
   if (!ctyDb) return null;
   const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
-  if (!fs.existsSync(logPath)) return null;
+  const sqliteLog = isSqliteFile(logPath);
+  if (sqliteLog && !fs.existsSync(logPath)) return null;
   try {
-    const qsos = isSqliteFile(logPath)
+    const qsos = sqliteLog
       ? await parseSqliteConfirmed(logPath)
-      : parseAdifFile(logPath, { confirmedOnly: false });
+      : (await getQsoDb()).all().filter(f => f.CALL).map(f => ({
+        call: f.CALL.toUpperCase(),
+        band: normalizeBand(f.BAND || ''),
+        mode: normalizeMode(f.MODE || ''),
+        dxcc: f.DXCC ? parseInt(f.DXCC, 10) : null,
+      }));
 
     // Build confirmation map: entityIndex → { band → Set<mode> }
     const confirmMap = new Map();
@@ -3007,7 +3905,7 @@ async function buildDxccData() {
 
     return { entities: allEnts };
   } catch (err) {
-    console.error('Failed to parse ADIF:', err.message);
+    console.error('Failed to build DXCC data:', err.message);
     return null;
   }
 }
@@ -3019,17 +3917,168 @@ async function sendDxccData() {
   }
 }
 
+// --- Awards ---
+// lib/awards.js computes WAS/WAZ/WPX/WAC/VUCC/POTA/WWFF credits from the log;
+// awards.json in userData adds or overrides rules.
+const AWARDS_PATH = path.join(app.getPath('userData'), 'awards.json');
+const awardTracker = new AwardTracker();
+let awardsReady = false; // credits computed at least once — spots get badges after this
+let awardsTimer = null;
+
+function loadCustomAwards() {
+  if (!fs.existsSync(AWARDS_PATH)) return;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(AWARDS_PATH, 'utf-8'));
+  } catch (err) {
+    console.warn('[Awards]', `${AWARDS_PATH}: ${err.message}`);
+    return;
+  }
+  const { loaded, errors } = awardTracker.loadRules(data);
+  if (loaded.length) console.log('[Awards] Loaded from config:', loaded.join(', '));
+  for (const e of errors) console.warn('[Awards]', e);
+}
+
+async function refreshAwards() {
+  if (!settings.enableAwards || !ctyDb) return;
+  try {
+    awardTracker.update((await getQsoDb()).all(), ctyDb);
+    awardsReady = true;
+    if (win && !win.isDestroyed()) win.webContents.send('awards-data', awardTracker.summary());
+    sendMergedSpots();
+  } catch (err) {
+    console.error('Failed to compute awards:', err.message);
+  }
+}
+
+// Coalesce bursts (multi-park logging, imports) into one recompute
+function scheduleAwardsRefresh() {
+  if (!settings.enableAwards) return;
+  clearTimeout(awardsTimer);
+  awardsTimer = setTimeout(refreshAwards, 1500);
+}
+
+// --- QSL confirmation sync ---
+// lib/qsl-sync.js downloads LoTW, eQSL and Club Log confirmations and merges
+// them into the QSO database. Per-service progress (where the next download
+// starts, last attempt, result or error) is kept in settings.qslSync. Each
+// service runs on its own clock; a failing one backs off instead of being
+// retried every minute.
+const QSL_SYNC_FIRST_DELAY_MS = 60000; // let startup traffic settle first
+const QSL_SYNC_RETRY_MS = 15 * 60000; // first retry after a failure, doubling up to the sync interval
+let qslSyncTimer = null;
+let qslSyncRunning = false;
+
+/** Credentials for an enabled service, or null when it's off. */
+function qslServiceCreds(service) {
+  switch (service) {
+    case 'lotw':
+      return settings.lotwSync ? { username: settings.lotwUsername, password: settings.lotwPassword } : null;
+    case 'eqsl':
+      return settings.eqslSync
+        ? { username: settings.eqslUsername || settings.myCallsign, password: settings.eqslPassword, qthNickname: settings.eqslQthNickname }
+        : null;
+    case 'clublog':
+      return settings.clublogSync
+        ? { email: settings.clublogEmail, password: settings.clublogPassword, callsign: settings.clublogCallsign || settings.myCallsign, apiKey: settings.clublogApiKey }
+        : null;
+    default:
+      return null;
+  }
+}
+
+function qslSyncStatus() {
+  const state = settings.qslSync || {};
+  const services = {};
+  for (const svc of QSL_SERVICES) services[svc] = { enabled: !!qslServiceCreds(svc), ...state[svc] };
+  return { running: qslSyncRunning, services };
+}
+
+function sendQslSyncStatus() {
+  if (win && !win.isDestroyed()) win.webContents.send('qsl-sync-status', qslSyncStatus());
+}
+
+/** When a service's next scheduled sync is due (ms since the epoch). */
+function qslSyncDueAt(svc) {
+  const state = (settings.qslSync || {})[svc] || {};
+  const everyMs = Math.max(1, parseFloat(settings.qslSyncHours) || 6) * 3600000;
+  if (state.failures) {
+    return (state.lastAttempt || 0) + Math.min(everyMs, QSL_SYNC_RETRY_MS * Math.pow(2, state.failures - 1));
+  }
+  return (state.lastSync || state.lastAttempt || 0) + everyMs;
+}
+
+/**
+ * Sync every enabled service (or just `only`), then refresh worked/DXCC/award
+ * views. With dueOnly, services whose next sync isn't due yet are skipped.
+ */
+async function runQslSync(only, { dueOnly = false } = {}) {
+  if (qslSyncRunning) return qslSyncStatus();
+  const now = Date.now();
+  const services = QSL_SERVICES.filter(svc => (!only || svc === only) && qslServiceCreds(svc) &&
+    (!dueOnly || qslSyncDueAt(svc) <= now));
+  if (!services.length) return qslSyncStatus();
+  qslSyncRunning = true;
+  sendQslSyncStatus();
+  let updated = 0;
+  try {
+    const db = await getQsoDb();
+    for (const svc of services) {
+      const prev = (settings.qslSync || {})[svc] || {};
+      let next;
+      try {
+        const r = await syncConfirmations(svc, db, qslServiceCreds(svc), prev.since, settings.qslSyncUrls);
+        const at = Date.now();
+        next = { since: r.since, lastSync: at, lastAttempt: at, failures: 0, received: r.received, matched: r.matched, updated: r.updated, lastError: '' };
+        updated += r.updated;
+        console.log(`[QSL Sync] ${svc}: ${r.received} received, ${r.matched} matched, ${r.updated} updated`);
+      } catch (err) {
+        const at = Date.now();
+        next = { ...prev, lastAttempt: at, failures: (prev.failures || 0) + 1, lastError: err.message, lastErrorTime: at };
+        console.warn(`[QSL Sync] ${svc}:`, err.message);
+      }
+      settings.qslSync = { ...settings.qslSync, [svc]: next };
+    }
+    saveSettings(settings);
+  } catch (err) {
+    console.error('[QSL Sync] Failed:', err.message);
+  } finally {
+    qslSyncRunning = false;
+  }
+  if (updated) {
+    loadWorkedQsos(); // also recomputes awards
+    if (settings.enableDxcc) sendDxccData();
+  }
+  sendQslSyncStatus();
+  return qslSyncStatus();
+}
+
+/** (Re)start periodic syncing for whichever services are enabled. */
+function scheduleQslSync() {
+  clearTimeout(qslSyncTimer);
+  qslSyncTimer = null;
+  const enabled = QSL_SERVICES.filter(svc => qslServiceCreds(svc));
+  if (!enabled.length) return;
+  const next = Math.min(...enabled.map(qslSyncDueAt));
+  const due = Math.max(QSL_SYNC_FIRST_DELAY_MS, next - Date.now());
+  qslSyncTimer = setTimeout(async () => {
+    await runQslSync(null, { dueOnly: true });
+    scheduleQslSync();
+  }, due);
+}
+
 // --- Worked QSOs tracking ---
-function loadWorkedQsos() {
+async function loadWorkedQsos() {
   if (!settings.adifLogPath) return;
   try {
-    workedQsos = parseWorkedQsos(settings.adifLogPath);
+    workedQsos = (await getQsoDb()).workedMap();
     if (win && !win.isDestroyed()) {
       win.webContents.send('worked-qsos', [...workedQsos.entries()]);
     }
   } catch (err) {
     console.error('Failed to parse worked QSOs:', err.message);
   }
+  scheduleAwardsRefresh();
 }
 
 // --- Worked parks tracking ---
@@ -3471,6 +4520,7 @@ function createWindow() {
     }
     // Load worked callsigns from QSO log
     loadWorkedQsos();
+    scheduleAwardsRefresh();
     // Load worked parks from POTA CSV
     loadWorkedParks();
     // Fetch donor list (async, non-blocking)
@@ -3799,12 +4849,11 @@ function markEventRegion(eventId, region, qsoData) {
 
 /** Scan existing QSO log for contacts that match opted-in events.
  *  Rebuilds progress from scratch so only log-verified QSOs count. */
-function scanLogForEvents() {
+async function scanLogForEvents() {
   if (!activeEvents.length || !settings.events) return;
-  const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
   let qsos = [];
   try {
-    if (fs.existsSync(logPath)) qsos = parseAllRawQsos(logPath);
+    qsos = (await getQsoDb()).all();
   } catch { /* ignore */ }
 
   let changed = false;
@@ -4226,6 +5275,15 @@ function describeTargetForMigration(target) {
     const port = target.serialPort || 'unknown';
     return `Hamlib Rig on ${port}`;
   }
+  if (target.type === 'icom') {
+    return `Icom CI-V on ${target.path || 'unknown'}`;
+  }
+  if (target.type === 'tci') {
+    return `TCI on ${target.host || '127.0.0.1'}:${target.port || 50001}`;
+  }
+  if (target.type === 'sim') {
+    return 'Simulated Radio';
+  }
   return 'Radio';
 }
 
@@ -4268,7 +5326,62 @@ let _lastTuneFreq = 0;
 let _lastTuneTime = 0;
 let _lastTuneBand = null; // for ATU auto-tune on band change
 
-function tuneRadio(freqKhz, mode, brng, { clearXit } = {}) {
+function isFlexCat() {
+  return !!(settings.catTarget && settings.catTarget.type === 'tcp');
+}
+
+// Receiver B on a Flex is the lowest-numbered open slice other than the CAT
+// slice (A if CAT is on B), or the next slice if only one is open
+function flexSubSliceIndex() {
+  const mainIdx = ((settings.catTarget && settings.catTarget.port) || 5002) - 5002;
+  if (smartSdr && smartSdr.slices.size > 1) {
+    const others = [...smartSdr.slices.keys()].filter((i) => i !== mainIdx).sort((a, b) => a - b);
+    if (others.length) return others[0];
+  }
+  return mainIdx === 0 ? 1 : 0;
+}
+
+function flexModeFor(mode) {
+  return (mode === 'FT8' || mode === 'FT4' || mode === 'FT2' || mode === 'JT65' || mode === 'JT9' || mode === 'WSPR')
+    ? 'DIGU' : (mode === 'CW' ? 'CW' : (mode === 'SSB' || mode === 'USB' ? 'USB' : (mode === 'LSB' ? 'LSB' : null)));
+}
+
+function filterWidthForMode(mode) {
+  const m = (mode || '').toUpperCase();
+  if (m === 'CW') return settings.cwFilterWidth || 0;
+  if (m === 'SSB' || m === 'USB' || m === 'LSB') return settings.ssbFilterWidth || 0;
+  if (m === 'FT8' || m === 'FT4' || m === 'FT2' || m === 'DIGU' || m === 'DIGL') return settings.digitalFilterWidth || 0;
+  return 0;
+}
+
+/**
+ * Tune the second receiver (sub VFO or other Flex slice), leaving the main
+ * receiver, XIT, rotor and antenna switching alone.
+ */
+function tuneSubReceiver(freqKhz, mode) {
+  const freqHz = Math.round(parseFloat(freqKhz) * 1000);
+  if (!(freqHz > 0)) return false;
+  const filterWidth = filterWidthForMode(mode);
+  if (smartSdr && smartSdr.connected && isFlexCat()) {
+    const sliceIndex = flexSubSliceIndex();
+    const flexMode = flexModeFor(mode);
+    sendCatLog(`tune receiver B via SmartSDR API: slice=${sliceIndex} freq=${(freqHz / 1e6).toFixed(6)}MHz mode=${mode}→${flexMode}`);
+    smartSdr.tuneSlice(sliceIndex, freqHz / 1e6, flexMode, filterWidth);
+    return true;
+  }
+  if (cat && cat.connected && typeof cat.tuneReceiver === 'function') {
+    sendCatLog(`tune receiver B: freq=${freqKhz}kHz → ${freqHz}Hz mode=${mode}`);
+    return cat.tuneReceiver('B', freqHz, mode, { filterWidth });
+  }
+  sendCatLog('tune receiver B: this radio connection has no second receiver control');
+  return false;
+}
+
+function tuneRadio(freqKhz, mode, brng, { clearXit, receiver } = {}) {
+  if (receiver === 'B') {
+    tuneSubReceiver(freqKhz, mode);
+    return;
+  }
   let freqHz = Math.round(parseFloat(freqKhz) * 1000); // kHz → Hz
   const now = Date.now();
   if (freqHz === _lastTuneFreq && now - _lastTuneTime < 300) return;
@@ -4280,31 +5393,24 @@ function tuneRadio(freqKhz, mode, brng, { clearXit } = {}) {
   // Clear XIT when tuning to a non-CW spot (don't leave stale XIT from a previous CW tune)
   const shouldClearXit = clearXit || (!wantXit && mode && mode !== 'CW');
 
-  const m = (mode || '').toUpperCase();
-  let filterWidth = 0;
-  if (m === 'CW') {
-    filterWidth = settings.cwFilterWidth || 0;
-  } else if (m === 'SSB' || m === 'USB' || m === 'LSB') {
-    filterWidth = settings.ssbFilterWidth || 0;
-  } else if (m === 'FT8' || m === 'FT4' || m === 'FT2' || m === 'DIGU' || m === 'DIGL') {
-    filterWidth = settings.digitalFilterWidth || 0;
-  }
+  const filterWidth = filterWidthForMode(mode);
 
   if (settings.enableRotor && brng != null && !isNaN(brng)) {
     sendRotorBearing(Math.round(brng));
   }
 
-  // Antenna Genius: switch antenna based on band
-  if (settings.enableAntennaGenius) {
-    agSwitchForFreq(freqKhz);
+  // Antenna switching: band plus the direction the antenna should favour
+  if (settings.enableAntennaSwitch) {
+    let heading = brng != null && !isNaN(brng) ? Math.round(brng) : null;
+    if (heading != null && rotor && rotorLongPath) heading = longPath(heading);
+    antennaSwitchForSpot(parseFloat(freqKhz), heading);
   }
 
   if (settings.enableWsjtx && (!cat || !cat.connected)) {
     if (smartSdr && smartSdr.connected && settings.catTarget && settings.catTarget.type === 'tcp') {
       const sliceIndex = (settings.catTarget.port || 5002) - 5002;
       const freqMhz = freqHz / 1e6;
-      const flexMode = (mode === 'FT8' || mode === 'FT4' || mode === 'FT2' || mode === 'JT65' || mode === 'JT9' || mode === 'WSPR')
-        ? 'DIGU' : (mode === 'CW' ? 'CW' : (mode === 'SSB' || mode === 'USB' ? 'USB' : (mode === 'LSB' ? 'LSB' : null)));
+      const flexMode = flexModeFor(mode);
       sendCatLog(`tune via SmartSDR API: slice=${sliceIndex} freq=${freqMhz.toFixed(6)}MHz mode=${mode}→${flexMode} filter=${filterWidth}`);
       smartSdr.tuneSlice(sliceIndex, freqMhz, flexMode, filterWidth);
       // Set or clear XIT on the slice
@@ -4424,6 +5530,7 @@ app.whenReady().then(() => {
   Menu.setApplicationMenu(null);
   settings = loadSettings();
   migrateRigSettings(settings);
+  migrateAntennaSettings(settings);
   if (settings.colorblindMode) {
     setSmartSdrColorblind(true);
     setTciColorblindMode(true);
@@ -4436,6 +5543,12 @@ app.whenReady().then(() => {
     console.error('Failed to load cty.dat:', err.message);
   }
 
+  // Spot sources: built-in programs plus any declared in spot-sources.json
+  registerBuiltinSpotSources();
+  loadCustomSpotSources();
+  loadCustomBandPlans();
+  loadCustomAwards();
+
   // Load SOTA association names (async, non-blocking — falls back to codes if it fails)
   loadAssociations().catch(err => console.error('Failed to load SOTA associations:', err.message));
 
@@ -4445,9 +5558,13 @@ app.whenReady().then(() => {
   if (settings.enableRbn) connectRbn();
   connectSmartSdr(); // connects if smartSdrSpots, CW keyer, or WSJT-X+Flex
   connectTci();
-  connectAntennaGenius();
+  connectAntennaSwitch();
+  connectRotor();
+  scheduleQslSync();
+  outbox.load();
   if (settings.enableRemote) connectRemote();
   if (settings.enableCwKeyer) connectKeyer();
+  connectCwKeyLine();
   if (settings.enableWsjtx) connectWsjtx();
   if (settings.enablePskr) connectPskr();
   if (settings.sendToLogbook && settings.logbookType === 'hamrs') {
@@ -4741,7 +5858,7 @@ app.whenReady().then(() => {
 
     spotsPopoutWin.webContents.on('did-finish-load', () => {
       // Send current spots immediately
-      const merged = [...lastPotaSotaSpots, ...clusterSpots, ...rbnWatchSpots, ...pskrSpots];
+      const merged = buildSpotRows([...lastPotaSotaSpots, ...clusterSpots, ...rbnWatchSpots, ...pskrSpots]);
       spotsPopoutWin.webContents.send('spots-popout-data', merged);
       if (win && !win.isDestroyed()) {
         win.webContents.send('spots-popout-status', true);
@@ -5046,12 +6163,90 @@ app.whenReady().then(() => {
     }
   });
 
-  ipcMain.on('tune', (_e, { frequency, mode, bearing }) => {
+  ipcMain.on('tune', (_e, { frequency, mode, bearing, receiver }) => {
+    markUserActive();
+    tuneRadio(frequency, mode, bearing, { receiver });
+  });
+
+  ipcMain.on('refresh', () => { markUserActive(); refreshSpots({ force: true }); });
+
+  // --- Rotator IPC ---
+  ipcMain.handle('get-rotor-state', () => rotorState());
+  ipcMain.on('rotor-goto', (_e, azimuth) => {
+    markUserActive();
+    if (rotor && Number.isFinite(azimuth)) rotor.setAzimuth(azimuth);
+  });
+  ipcMain.on('rotor-stop', () => { if (rotor) rotor.stop(); });
+  ipcMain.on('rotor-long-path', (_e, on) => {
+    rotorLongPath = !!on;
+    sendRotorState();
+  });
+
+  // --- Antenna switching IPC ---
+  ipcMain.handle('get-antenna-status', () => antennaStatus());
+  ipcMain.on('antenna-override', (_e, antenna) => {
     markUserActive();
-    tuneRadio(frequency, mode, bearing);
+    setAntennaOverride(parseInt(antenna, 10) || null);
+  });
+
+  ipcMain.handle('get-spot-sources', () => describeSources(settings));
+  ipcMain.handle('get-custom-band-plans', () => customBandPlans);
+  ipcMain.handle('get-awards', () => (awardsReady ? awardTracker.summary() : null));
+
+  // --- QSL confirmation sync ---
+  ipcMain.handle('get-qsl-sync-status', () => qslSyncStatus());
+  ipcMain.handle('qsl-sync-now', async (_e, service) => {
+    const status = await runQslSync(service || null);
+    scheduleQslSync(); // a manual sync moves the service's next due time
+    return status;
+  });
+
+  // --- Upload outbox ---
+  ipcMain.handle('get-outbox', () => outbox.list());
+  ipcMain.handle('outbox-resend', (_e, id) => { outbox.resend(id == null ? undefined : id); return outbox.list(); });
+  ipcMain.handle('outbox-remove', (_e, id) => { outbox.remove(id); return outbox.list(); });
+
+  // --- Spot session recording & replay ---
+  ipcMain.handle('spot-session-status', () => getSpotSessionStatus());
+
+  ipcMain.handle('spot-record-start', () => {
+    try {
+      startSpotRecording();
+      return getSpotSessionStatus();
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+
+  ipcMain.handle('spot-record-stop', () => {
+    stopSpotRecording();
+    return getSpotSessionStatus();
+  });
+
+  ipcMain.handle('spot-replay-start', async (_e, { speed } = {}) => {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    const result = await dialog.showOpenDialog(win, {
+      title: 'Replay Spot Session',
+      defaultPath: RECORDINGS_DIR,
+      filters: [
+        { name: 'Spot Sessions', extensions: ['jsonl'] },
+        { name: 'All Files', extensions: ['*'] },
+      ],
+      properties: ['openFile'],
+    });
+    if (result.canceled || result.filePaths.length === 0) return getSpotSessionStatus();
+    try {
+      startSpotReplay(result.filePaths[0], parseFloat(speed) || 1);
+      return getSpotSessionStatus();
+    } catch (err) {
+      return { error: err.message };
+    }
   });
 
-  ipcMain.on('refresh', () => { markUserActive(); refreshSpots(); });
+  ipcMain.handle('spot-replay-stop', () => {
+    stopSpotReplay();
+    return getSpotSessionStatus();
+  });
 
   ipcMain.handle('get-settings', () => ({ ...settings, appVersion: require('./package.json').version }));
 
@@ -5200,11 +6395,21 @@ app.whenReady().then(() => {
       (has('tciHost') && newSettings.tciHost !== settings.tciHost) ||
       (has('tciPort') && newSettings.tciPort !== settings.tciPort);
 
-    const agChanged = (has('enableAntennaGenius') && newSettings.enableAntennaGenius !== settings.enableAntennaGenius) ||
-      (has('agHost') && newSettings.agHost !== settings.agHost);
+    const rotorChanged = ['enableRotor', 'rotorType', 'rotorHost', 'rotorPort', 'rotorSerialPort', 'rotorBaudRate']
+      .some(k => has(k) && newSettings[k] !== settings[k]);
+
+    const antennaSwitchChanged = ['enableAntennaSwitch', 'antennaSwitchType', 'agHost', 'agRadioPort', 'relayProtocol',
+      'relayHost', 'relayPort', 'decoderSerialPort', 'decoderBaudRate', 'decoderOutput', 'antennaSwitchCommand']
+      .some(k => has(k) && newSettings[k] !== settings[k]);
+    const awardsChanged = has('enableAwards') && newSettings.enableAwards !== settings.enableAwards;
+    const qslSyncChanged = ['lotwSync', 'lotwUsername', 'lotwPassword', 'eqslSync', 'eqslUsername', 'eqslPassword',
+      'eqslQthNickname', 'clublogSync', 'clublogEmail', 'clublogPassword', 'clublogCallsign', 'clublogApiKey', 'qslSyncHours']
+      .some(k => has(k) && newSettings[k] !== settings[k]);
+    const antennaNamesChanged = has('antennaNames') && JSON.stringify(newSettings.antennaNames) !== JSON.stringify(settings.antennaNames);
 
     const wsjtxChanged = (has('enableWsjtx') && newSettings.enableWsjtx !== settings.enableWsjtx) ||
-      (has('wsjtxPort') && newSettings.wsjtxPort !== settings.wsjtxPort);
+      (has('wsjtxPort') && newSettings.wsjtxPort !== settings.wsjtxPort) ||
+      (has('wsjtxMulticastGroup') && (newSettings.wsjtxMulticastGroup || '') !== (settings.wsjtxMulticastGroup || ''));
 
     const pskrChanged = has('enablePskr') && newSettings.enablePskr !== settings.enablePskr;
 
@@ -5222,6 +6427,10 @@ app.whenReady().then(() => {
       (has('cwWpm') && newSettings.cwWpm !== settings.cwWpm) ||
       (has('cwSwapPaddles') && newSettings.cwSwapPaddles !== settings.cwSwapPaddles);
 
+    const cwMessagesChanged = (has('enableCwMessages') && newSettings.enableCwMessages !== settings.enableCwMessages) ||
+      (has('cwOutput') && newSettings.cwOutput !== settings.cwOutput) ||
+      (has('cwKeyPort') && newSettings.cwKeyPort !== settings.cwKeyPort);
+
     const activatorStateChanged = (has('appMode') && newSettings.appMode !== settings.appMode) ||
       (has('activatorParkRefs') && JSON.stringify(newSettings.activatorParkRefs) !== JSON.stringify(settings.activatorParkRefs));
 
@@ -5232,7 +6441,7 @@ app.whenReady().then(() => {
     // Only reconnect CAT / refresh spots for full settings saves
     if (!isPartialSave) {
       if (!settings.enableWsjtx) connectCat();
-      refreshSpots();
+      refreshSpots({ force: true });
       // Restart spot timer with new interval
       if (spotTimer) clearInterval(spotTimer);
       const newRefreshMs = Math.max(15, settings.refreshInterval || 30) * 1000;
@@ -5258,7 +6467,7 @@ app.whenReady().then(() => {
     }
 
     // Reconnect SmartSDR if settings changed (also needed for WSJT-X+Flex and CW keyer)
-    if (smartSdrChanged || wsjtxChanged || cwKeyerChanged) {
+    if (smartSdrChanged || wsjtxChanged || cwKeyerChanged || cwMessagesChanged) {
       connectSmartSdr(); // needsSmartSdr() decides whether to actually connect
     }
 
@@ -5267,11 +6476,18 @@ app.whenReady().then(() => {
       connectTci();
     }
 
-    // Reconnect Antenna Genius if settings changed
-    if (agChanged) {
-      connectAntennaGenius();
+    // Reconnect the antenna switch if settings changed
+    if (antennaSwitchChanged) {
+      connectAntennaSwitch();
+    } else if (antennaNamesChanged && antSwitch && antSwitch.type !== 'ag') {
+      antNames = settingsAntennaNames();
+      sendAntennaStatus();
     }
 
+    // Reconnect rotator if settings changed (beamwidth only changes the map)
+    if (rotorChanged) connectRotor();
+    else if (has('rotorBeamwidth')) sendRotorState();
+
     // Reconnect ECHOCAT if settings changed
     if (remoteChanged) {
       if (settings.enableRemote) {
@@ -5294,6 +6510,11 @@ app.whenReady().then(() => {
         disconnectKeyer();
       }
     }
+    if (cwMessagesChanged) connectCwKeyLine();
+    if (cwSender) {
+      cwSender.setWpm(settings.cwWpm || 20);
+      cwSender.setFarnsworth(settings.cwFarnsworthWpm || 0);
+    }
 
     // Reconnect WSJT-X if settings changed
     if (wsjtxChanged) {
@@ -5310,6 +6531,11 @@ app.whenReady().then(() => {
         wsjtx.clearHighlights();
       }
     }
+    if (wsjtx && !wsjtxChanged) {
+      if (!settings.enableFt8Hunter) destroyFt8Hunter();
+      else if (!ft8Hunter) createFt8Hunter();
+      else ft8Hunter.setRules(settings.ft8HunterRules);
+    }
 
     // Reconnect PSKReporter if settings changed
     if (pskrChanged) {
@@ -5336,11 +6562,32 @@ app.whenReady().then(() => {
       sendDxccData();
     }
 
+    // Award tracker: compute credits when turned on, drop spot badges when off
+    if (awardsChanged) {
+      if (settings.enableAwards) {
+        refreshAwards();
+      } else {
+        awardsReady = false;
+        sendMergedSpots();
+      }
+    }
+
     // Reload worked callsigns if log path changed
     if (adifLogPathChanged) {
       loadWorkedQsos();
     }
 
+    // A different log starts confirmation downloads over from the beginning
+    const logSwitched = has('adifLogPath') && adifLogPathChanged;
+    if (logSwitched && settings.qslSync) {
+      settings.qslSync = {};
+      saveSettings(settings);
+    }
+    if (qslSyncChanged || logSwitched) {
+      scheduleQslSync();
+      sendQslSyncStatus();
+    }
+
     // Reload worked parks if CSV path changed
     if (potaParksPathChanged) {
       loadWorkedParks();
@@ -5394,28 +6641,20 @@ app.whenReady().then(() => {
     });
     if (result.canceled || result.filePaths.length === 0) return null;
 
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
     let totalImported = 0;
     const uniqueCalls = new Set();
     const fileNames = [];
 
     for (const filePath of result.filePaths) {
       try {
-        if (isSqliteFile(filePath)) {
-          const qsos = await parseSqliteFile(filePath);
-          for (const qso of qsos) {
-            appendImportedQso(logPath, qso);
-            uniqueCalls.add(qso.call.toUpperCase());
-            totalImported++;
-          }
-        } else {
-          const qsos = parseAllRawQsos(filePath);
-          for (const qso of qsos) {
-            appendRawQso(logPath, qso);
-            uniqueCalls.add((qso.CALL || '').toUpperCase());
-            totalImported++;
-          }
-        }
+        // Each file goes in as one transaction — a bad file adds nothing
+        const records = isSqliteFile(filePath)
+          ? (await parseSqliteFile(filePath)).map(importedQsoFields)
+          : parseAllRawQsos(filePath);
+        const db = await getQsoDb();
+        db.insert(records);
+        for (const rec of records) uniqueCalls.add((rec.CALL || '').toUpperCase());
+        totalImported += records.length;
         fileNames.push(path.basename(filePath));
       } catch (err) {
         dialog.showMessageBox(parentWin, {
@@ -5796,6 +7035,7 @@ app.whenReady().then(() => {
   });
 
   // --- WSJT-X IPC ---
+  // Replies go to the instance that produced the decode (decode.id)
   ipcMain.on('wsjtx-reply', (_e, decode) => {
     markUserActive();
     if (wsjtx && wsjtx.connected) {
@@ -5803,12 +7043,40 @@ app.whenReady().then(() => {
     }
   });
 
-  ipcMain.on('wsjtx-halt-tx', () => {
+  // Halt one instance by id, or all of them
+  ipcMain.on('wsjtx-halt-tx', (_e, id) => {
+    if (ft8Hunter) ft8Hunter.stop('manual');
     if (wsjtx && wsjtx.connected) {
-      wsjtx.haltTx(true);
+      wsjtx.haltTx(true, id || undefined);
     }
   });
 
+  // Activation grid for WSJT-X's session location; empty restores the home grid
+  ipcMain.on('wsjtx-set-location', (_e, grid) => {
+    const g = (grid || '').trim().toUpperCase();
+    wsjtxLocation = /^[A-R]{2}[0-9]{2}([A-X]{2})?$/.test(g) ? g : '';
+    const send = wsjtxLocation || (settings.grid || '').slice(0, 6).toUpperCase();
+    if (wsjtx && wsjtx.connected && send) wsjtx.setLocation(send);
+  });
+
+  ipcMain.on('ft8-hunter-toggle', (_e, on) => {
+    if (!ft8Hunter) return;
+    markUserActive();
+    if (on) ft8Hunter.start();
+    else ft8Hunter.stop('stopped');
+  });
+
+  // Spot click in FT8/FT4: set mode and DX call (and generate messages) in the
+  // instance already on that mode, else the first one connected
+  ipcMain.on('wsjtx-configure-spot', (_e, { callsign, mode, grid }) => {
+    if (!wsjtx || !wsjtx.connected || !callsign) return;
+    const m = (mode || '').toUpperCase();
+    if (m !== 'FT8' && m !== 'FT4') return;
+    const instances = wsjtx.listInstances().filter(i => i.connected);
+    const target = instances.find(i => i.status && i.status.mode === m) || instances[0];
+    wsjtx.configure({ mode: m, dxCall: callsign.toUpperCase(), dxGrid: grid || '', generateMessages: true }, target.id);
+  });
+
   // --- QRZ single callsign lookup (for Quick Log) ---
   ipcMain.handle('qrz-lookup', async (_e, callsign) => {
     if (!qrz.configured || !settings.enableQrz) return null;
@@ -5920,12 +7188,10 @@ app.whenReady().then(() => {
     }
   });
 
-  // --- Past Activations (scan log for MY_SIG groups — POTA, SOTA, etc.) ---
-  function getPastActivations() {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
+  // --- Past Activations (group logged QSOs by MY_SIG — POTA, SOTA, etc.) ---
+  async function getPastActivations() {
     try {
-      if (!fs.existsSync(logPath)) return [];
-      const qsos = parseAllRawQsos(logPath);
+      const qsos = (await getQsoDb()).all();
       // Group by MY_SIG_INFO (park/summit ref) + QSO_DATE
       const groups = new Map();
       for (const q of qsos) {
@@ -5964,20 +7230,11 @@ app.whenReady().then(() => {
 
   // --- Delete activation (removes matching QSOs from ADIF log) ---
   ipcMain.handle('delete-activation', async (_e, parkRef, date) => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
     try {
-      if (!fs.existsSync(logPath)) return { success: false, error: 'Log file not found' };
-      const qsos = parseAllRawQsos(logPath);
-      const before = qsos.length;
-      const filtered = qsos.filter(q => {
-        if ((q.MY_SIG || '').toUpperCase() !== 'POTA') return true;
-        if ((q.MY_SIG_INFO || '').toUpperCase() !== parkRef.toUpperCase()) return true;
-        if ((q.QSO_DATE || '') !== date) return true;
-        return false; // matches — remove it
-      });
-      const removed = before - filtered.length;
-      if (removed === 0) return { success: true, removed: 0 };
-      rewriteAdifFile(logPath, filtered);
+      const db = await getQsoDb();
+      const ids = db.find({ mySig: 'POTA', mySigInfo: parkRef, qsoDate: date }).map(r => r.id);
+      if (ids.length === 0) return { success: true, removed: 0 };
+      const removed = db.remove(ids);
       loadWorkedQsos();
       return { success: true, removed };
     } catch (err) {
@@ -6005,22 +7262,19 @@ app.whenReady().then(() => {
   });
 
   // --- Recent QSOs IPC ---
-  ipcMain.handle('get-recent-qsos', () => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
+  ipcMain.handle('get-recent-qsos', async () => {
     try {
-      if (!fs.existsSync(logPath)) return [];
-      const qsos = parseAllQsos(logPath);
-      qsos.sort((a, b) => (b.qsoDate + b.timeOn).localeCompare(a.qsoDate + a.timeOn));
-      return qsos.slice(0, 10).map(q => ({
-        call: q.call,
-        qsoDate: q.qsoDate,
-        timeOn: q.timeOn,
-        band: q.band,
-        mode: q.mode,
-        freq: q.freq,
-        rstSent: q.rstSent,
-        rstRcvd: q.rstRcvd,
-        comment: q.comment,
+      const qsos = (await getQsoDb()).recent(10);
+      return qsos.map(q => ({
+        call: q.CALL,
+        qsoDate: q.QSO_DATE || '',
+        timeOn: q.TIME_ON || '',
+        band: q.BAND || '',
+        mode: q.MODE || '',
+        freq: q.FREQ || '',
+        rstSent: q.RST_SENT || '',
+        rstRcvd: q.RST_RCVD || '',
+        comment: q.COMMENT || '',
       }));
     } catch {
       return [];
@@ -6028,11 +7282,9 @@ app.whenReady().then(() => {
   });
 
   // --- Full Log Viewer IPC ---
-  ipcMain.handle('get-all-qsos', () => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
+  ipcMain.handle('get-all-qsos', async () => {
     try {
-      if (!fs.existsSync(logPath)) return [];
-      const qsos = parseAllRawQsos(logPath);
+      const qsos = (await getQsoDb()).all();
       return qsos.map((fields, idx) => ({ idx, ...fields }));
     } catch {
       return [];
@@ -6040,12 +7292,11 @@ app.whenReady().then(() => {
   });
 
   ipcMain.handle('update-qso', async (event, { idx, fields }) => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
     try {
-      const qsos = parseAllRawQsos(logPath);
-      if (idx < 0 || idx >= qsos.length) return { success: false, error: 'Invalid index' };
-      Object.assign(qsos[idx], fields);
-      rewriteAdifFile(logPath, qsos);
+      const db = await getQsoDb();
+      const id = db.idAt(idx);
+      if (id == null) return { success: false, error: 'Invalid index' };
+      db.update([id], fields);
       loadWorkedQsos();
       // Notify other windows about the change
       const sender = event.sender;
@@ -6059,12 +7310,11 @@ app.whenReady().then(() => {
   });
 
   ipcMain.handle('delete-qso', async (event, idx) => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
     try {
-      const qsos = parseAllRawQsos(logPath);
-      if (idx < 0 || idx >= qsos.length) return { success: false, error: 'Invalid index' };
-      qsos.splice(idx, 1);
-      rewriteAdifFile(logPath, qsos);
+      const db = await getQsoDb();
+      const id = db.idAt(idx);
+      if (id == null) return { success: false, error: 'Invalid index' };
+      db.remove([id]);
       loadWorkedQsos();
       // Notify QSO pop-out about the deletion
       const sender = event.sender;
@@ -6079,35 +7329,14 @@ app.whenReady().then(() => {
 
   // Update QSO(s) by matching fields (used by activator mode to edit a contact with multiple ADIF records)
   ipcMain.handle('update-qsos-by-match', async (_event, { match, updates }) => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
     try {
-      const qsos = parseAllRawQsos(logPath);
-      const callUpper = (match.callsign || '').toUpperCase();
-      const dateMatch = (match.qsoDate || '').replace(/-/g, '');
-      const timeMatch = (match.timeOn || '').replace(/:/g, '');
-      let updated = 0;
-      for (const q of qsos) {
-        const qCall = (q.CALL || '').toUpperCase();
-        const qDate = (q.QSO_DATE || '').replace(/-/g, '');
-        const qTime = (q.TIME_ON || '').replace(/:/g, '').substring(0, 4);
-        if (qCall !== callUpper) continue;
-        if (qDate !== dateMatch) continue;
-        if (qTime !== timeMatch.substring(0, 4)) continue;
-        if (match.frequency) {
-          const qFreq = parseFloat(q.FREQ || 0) * 1000;
-          const mFreq = parseFloat(match.frequency);
-          if (Math.abs(qFreq - mFreq) > 1) continue;
-        }
-        // Apply updates
-        Object.assign(q, updates);
-        updated++;
-      }
+      const db = await getQsoDb();
+      const ids = findQsoIdsByMatch(db, match);
+      const updated = ids.length ? db.update(ids, updates) : 0;
       if (updated > 0) {
-        rewriteAdifFile(logPath, qsos);
         loadWorkedQsos();
         if (qsoPopoutWin && !qsoPopoutWin.isDestroyed()) {
-          const refreshed = parseAllRawQsos(logPath);
-          qsoPopoutWin.webContents.send('qso-popout-refreshed', refreshed);
+          qsoPopoutWin.webContents.send('qso-popout-refreshed', db.all());
         }
       }
       return { success: true, updated };
@@ -6118,36 +7347,16 @@ app.whenReady().then(() => {
 
   // Delete QSO(s) by matching fields (used by activator mode to remove a contact with multiple ADIF records)
   ipcMain.handle('delete-qsos-by-match', async (_event, match) => {
-    const logPath = settings.adifLogPath || path.join(app.getPath('userData'), 'potacat_qso_log.adi');
     try {
-      const qsos = parseAllRawQsos(logPath);
-      const before = qsos.length;
-      const callUpper = (match.callsign || '').toUpperCase();
-      const dateMatch = (match.qsoDate || '').replace(/-/g, '');
-      const timeMatch = (match.timeOn || '').replace(/:/g, '');
+      const db = await getQsoDb();
       // Remove all QSOs that match callsign + date + time (+ freq if provided)
-      const filtered = qsos.filter(q => {
-        const qCall = (q.CALL || '').toUpperCase();
-        const qDate = (q.QSO_DATE || '').replace(/-/g, '');
-        const qTime = (q.TIME_ON || '').replace(/:/g, '').substring(0, 4);
-        if (qCall !== callUpper) return true;
-        if (qDate !== dateMatch) return true;
-        if (qTime !== timeMatch.substring(0, 4)) return true;
-        if (match.frequency) {
-          const qFreq = parseFloat(q.FREQ || 0) * 1000; // FREQ in MHz → kHz
-          const mFreq = parseFloat(match.frequency);
-          if (Math.abs(qFreq - mFreq) > 1) return true;
-        }
-        return false; // matched — remove
-      });
-      const removed = before - filtered.length;
+      const ids = findQsoIdsByMatch(db, match);
+      const removed = ids.length ? db.remove(ids) : 0;
       if (removed > 0) {
-        rewriteAdifFile(logPath, filtered);
         loadWorkedQsos();
         // Notify QSO pop-out to refresh
         if (qsoPopoutWin && !qsoPopoutWin.isDestroyed()) {
-          const refreshed = parseAllRawQsos(logPath);
-          qsoPopoutWin.webContents.send('qso-popout-refreshed', refreshed);
+          qsoPopoutWin.webContents.send('qso-popout-refreshed', db.all());
         }
       }
       return { success: true, removed };
@@ -6170,14 +7379,65 @@ app.whenReady().then(() => {
   ipcMain.on('cw-paddle-dah', (_e, pressed) => {
     if (keyer) keyer.paddleDah(pressed);
   });
+  // Live speed changes persist without a settings save (which would reconnect the keyer)
   ipcMain.on('cw-set-wpm', (_e, wpm) => {
     if (keyer) keyer.setWpm(wpm);
+    if (cwSender) cwSender.setWpm(wpm);
     if (smartSdr && smartSdr.connected) smartSdr.setCwSpeed(wpm);
+    settings.cwWpm = wpm;
+    saveSettings(settings);
   });
   ipcMain.on('cw-stop', () => {
     if (keyer) keyer.stop();
+    if (cwSender) cwSender.stop();
     if (smartSdr && smartSdr.connected) smartSdr.cwStop();
   });
+
+  // --- CW message keyer IPC ---
+  ipcMain.handle('cw-msg-send', (_e, { text, call, rst }) => sendCwMessage(text, { call, rst }));
+  ipcMain.on('cw-msg-stop', () => {
+    if (cwSender) cwSender.stop();
+  });
+  ipcMain.on('cw-set-farnsworth', (_e, wpm) => {
+    settings.cwFarnsworthWpm = wpm > 0 ? wpm : 0;
+    if (cwSender) cwSender.setFarnsworth(settings.cwFarnsworthWpm);
+    saveSettings(settings);
+  });
+  ipcMain.handle('cw-set-serial', (_e, n) => {
+    settings.cwSerial = Math.max(1, Math.min(9999, parseInt(n, 10) || 1));
+    saveSettings(settings);
+    return settings.cwSerial;
+  });
+
+  // --- CW decoder IPC ---
+  ipcMain.on('cw-decoder-start', (_e, { sampleRate, deviceId }) => {
+    startCwDecoder(sampleRate);
+    if (deviceId !== settings.cwDecoderDevice) {
+      settings.cwDecoderDevice = deviceId;
+      saveSettings(settings);
+    }
+  });
+  ipcMain.on('cw-decoder-audio', (_e, samples) => {
+    if (cwDecoder) cwDecoder.process(samples);
+  });
+  ipcMain.on('cw-decoder-stop', () => stopCwDecoder());
+  ipcMain.handle('cw-decoder-open-wav', async () => {
+    const result = await dialog.showOpenDialog(win, {
+      title: 'Decode CW Recording',
+      filters: [
+        { name: 'WAV Files', extensions: ['wav'] },
+        { name: 'All Files', extensions: ['*'] },
+      ],
+      properties: ['openFile'],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    try {
+      const decoded = await decodeWav(await fs.promises.readFile(result.filePaths[0]));
+      return { ...decoded, file: path.basename(result.filePaths[0]) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
 });
 
 // --- Parks DB loader ---
@@ -6228,16 +7488,23 @@ function gracefulCleanup() {
   } catch {}
   if (spotTimer) clearInterval(spotTimer);
   if (solarTimer) clearInterval(solarTimer);
+  try { spotRecorder.stop(); spotReplayer.stop(); } catch {}
   if (cat) try { cat.disconnect(); } catch {}
+  if (simRadio) try { simRadio.stop(); } catch {}
+  if (qsoDb) try { qsoDb.close(); } catch {}
+  outbox.stop();
   for (const [, entry] of clusterClients) { try { entry.client.disconnect(); } catch {} }
   clusterClients.clear();
   if (rbn) try { rbn.disconnect(); } catch {}
   try { disconnectWsjtx(); } catch {}
   try { disconnectSmartSdr(); } catch {}
   try { disconnectTci(); } catch {}
-  try { disconnectAntennaGenius(); } catch {}
+  try { disconnectAntennaSwitch(); } catch {}
+  try { disconnectRotor(); } catch {}
   try { disconnectRemote(); } catch {}
   try { disconnectKeyer(); } catch {}
+  try { disconnectCwKeyLine(); } catch {}
+  try { stopCwDecoder(); } catch {}
   try { hamrsBridge.stop(); } catch {}
   killRigctld();
 }
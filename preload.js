@@ -6,8 +6,18 @@ contextBridge.exposeInMainWorld('api', {
   onSpots: (cb) => ipcRenderer.on('spots', (_e, data) => cb(data)),
   onSpotsError: (cb) => ipcRenderer.on('spots-error', (_e, msg) => cb(msg)),
   onCatStatus: (cb) => ipcRenderer.on('cat-status', (_e, s) => cb(s)),
-  tune: (frequency, mode, bearing) => ipcRenderer.send('tune', { frequency, mode, bearing }),
+  tune: (frequency, mode, bearing, receiver) => ipcRenderer.send('tune', { frequency, mode, bearing, receiver }),
   refresh: () => ipcRenderer.send('refresh'),
+  getSpotSources: () => ipcRenderer.invoke('get-spot-sources'),
+  getCustomBandPlans: () => ipcRenderer.invoke('get-custom-band-plans'),
+  onSpotSourceHealth: (cb) => ipcRenderer.on('spot-source-health', (_e, list) => cb(list)),
+  // Spot session recording & replay
+  getSpotSessionStatus: () => ipcRenderer.invoke('spot-session-status'),
+  startSpotRecording: () => ipcRenderer.invoke('spot-record-start'),
+  stopSpotRecording: () => ipcRenderer.invoke('spot-record-stop'),
+  startSpotReplay: (speed) => ipcRenderer.invoke('spot-replay-start', { speed }),
+  stopSpotReplay: () => ipcRenderer.invoke('spot-replay-stop'),
+  onSpotSessionStatus: (cb) => ipcRenderer.on('spot-session-status', (_e, s) => cb(s)),
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (s) => ipcRenderer.invoke('save-settings', s),
   listPorts: () => ipcRenderer.invoke('list-ports'),
@@ -18,6 +28,8 @@ contextBridge.exposeInMainWorld('api', {
   onCatFrequency: (cb) => ipcRenderer.on('cat-frequency', (_e, hz) => cb(hz)),
   onCatMode: (cb) => ipcRenderer.on('cat-mode', (_e, mode) => cb(mode)),
   onCatPower: (cb) => ipcRenderer.on('cat-power', (_e, watts) => cb(watts)),
+  onCatTuneResult: (cb) => ipcRenderer.on('cat-tune-result', (_e, r) => cb(r)),
+  onCatReceiver: (cb) => ipcRenderer.on('cat-receiver', (_e, r) => cb(r)),
   qrzLookup: (callsign) => ipcRenderer.invoke('qrz-lookup', callsign),
   qrzCheckSub: (force) => ipcRenderer.invoke('qrz-check-sub', force),
   qrzVerifyApiKey: (key) => ipcRenderer.invoke('qrz-verify-api-key', key),
@@ -25,13 +37,27 @@ contextBridge.exposeInMainWorld('api', {
   importAdif: () => ipcRenderer.invoke('import-adif'),
   parseAdif: () => ipcRenderer.invoke('parse-adif'),
   onDxccData: (cb) => ipcRenderer.on('dxcc-data', (_e, data) => cb(data)),
+  getAwards: () => ipcRenderer.invoke('get-awards'),
+  onAwardsData: (cb) => ipcRenderer.on('awards-data', (_e, data) => cb(data)),
+  getQslSyncStatus: () => ipcRenderer.invoke('get-qsl-sync-status'),
+  qslSyncNow: (service) => ipcRenderer.invoke('qsl-sync-now', service),
+  onQslSyncStatus: (cb) => ipcRenderer.on('qsl-sync-status', (_e, data) => cb(data)),
+  getOutbox: () => ipcRenderer.invoke('get-outbox'),
+  outboxResend: (id) => ipcRenderer.invoke('outbox-resend', id),
+  outboxRemove: (id) => ipcRenderer.invoke('outbox-remove', id),
+  onOutboxStatus: (cb) => ipcRenderer.on('outbox-status', (_e, jobs) => cb(jobs)),
   onClusterStatus: (cb) => ipcRenderer.on('cluster-status', (_e, s) => cb(s)),
   onRbnSpots: (cb) => ipcRenderer.on('rbn-spots', (_e, data) => cb(data)),
   onRbnStatus: (cb) => ipcRenderer.on('rbn-status', (_e, s) => cb(s)),
   onPskrStatus: (cb) => ipcRenderer.on('pskr-status', (_e, s) => cb(s)),
-  onAgStatus: (cb) => ipcRenderer.on('ag-status', (_e, s) => cb(s)),
-  onAgAntennaNames: (cb) => ipcRenderer.on('ag-antenna-names', (_e, names) => cb(names)),
-  onAgPortStatus: (cb) => ipcRenderer.on('ag-port-status', (_e, s) => cb(s)),
+  getAntennaStatus: () => ipcRenderer.invoke('get-antenna-status'),
+  onAntennaStatus: (cb) => ipcRenderer.on('antenna-status', (_e, s) => cb(s)),
+  setAntennaOverride: (antenna) => ipcRenderer.send('antenna-override', antenna),
+  getRotorState: () => ipcRenderer.invoke('get-rotor-state'),
+  onRotorState: (cb) => ipcRenderer.on('rotor-state', (_e, s) => cb(s)),
+  rotorGoto: (azimuth) => ipcRenderer.send('rotor-goto', azimuth),
+  rotorStop: () => ipcRenderer.send('rotor-stop'),
+  rotorSetLongPath: (on) => ipcRenderer.send('rotor-long-path', on),
   clearRbn: () => ipcRenderer.send('rbn-clear'),
   onSolarData: (cb) => ipcRenderer.on('solar-data', (_e, d) => cb(d)),
   onUpdateAvailable: (cb) => ipcRenderer.on('update-available', (_e, d) => cb(d)),
@@ -50,11 +76,15 @@ contextBridge.exposeInMainWorld('api', {
   onWsjtxStatus: (cb) => ipcRenderer.on('wsjtx-status', (_e, s) => cb(s)),
   onWsjtxState: (cb) => ipcRenderer.on('wsjtx-state', (_e, s) => cb(s)),
   onWsjtxDecode: (cb) => ipcRenderer.on('wsjtx-decode', (_e, d) => cb(d)),
-  onWsjtxClear: (cb) => ipcRenderer.on('wsjtx-clear', () => cb()),
+  onWsjtxClear: (cb) => ipcRenderer.on('wsjtx-clear', (_e, c) => cb(c || {})),
   onWsjtxQsoLogged: (cb) => ipcRenderer.on('wsjtx-qso-logged', (_e, q) => cb(q)),
   onWsjtxActivatorQso: (cb) => ipcRenderer.on('wsjtx-activator-qso', (_e, c) => cb(c)),
   wsjtxReply: (decode) => ipcRenderer.send('wsjtx-reply', decode),
-  wsjtxHaltTx: () => ipcRenderer.send('wsjtx-halt-tx'),
+  wsjtxHaltTx: (id) => ipcRenderer.send('wsjtx-halt-tx', id),
+  wsjtxSetLocation: (grid) => ipcRenderer.send('wsjtx-set-location', grid),
+  wsjtxConfigureSpot: (spot) => ipcRenderer.send('wsjtx-configure-spot', spot),
+  ft8HunterToggle: (on) => ipcRenderer.send('ft8-hunter-toggle', on),
+  onFt8HunterState: (cb) => ipcRenderer.on('ft8-hunter-state', (_e, s) => cb(s)),
   saveQso: (qsoData) => ipcRenderer.invoke('save-qso', qsoData),
   quickRespot: (data) => ipcRenderer.invoke('quick-respot', data),
   sendClusterCommand: (text, nodeId) => ipcRenderer.invoke('send-cluster-command', text, nodeId),
@@ -122,6 +152,21 @@ contextBridge.exposeInMainWorld('api', {
   cwPaddleDah: (pressed) => ipcRenderer.send('cw-paddle-dah', pressed),
   cwSetWpm: (wpm) => ipcRenderer.send('cw-set-wpm', wpm),
   cwStop: () => ipcRenderer.send('cw-stop'),
+  // CW message keyer
+  cwMsgSend: (data) => ipcRenderer.invoke('cw-msg-send', data),
+  cwMsgStop: () => ipcRenderer.send('cw-msg-stop'),
+  cwSetFarnsworth: (wpm) => ipcRenderer.send('cw-set-farnsworth', wpm),
+  cwSetSerial: (n) => ipcRenderer.invoke('cw-set-serial', n),
+  onCwMsgState: (cb) => ipcRenderer.on('cw-msg-state', (_e, s) => cb(s)),
+  onCwSerial: (cb) => ipcRenderer.on('cw-serial', (_e, n) => cb(n)),
+  // CW decoder
+  cwDecoderStart: (opts) => ipcRenderer.send('cw-decoder-start', opts),
+  cwDecoderAudio: (samples) => ipcRenderer.send('cw-decoder-audio', samples),
+  cwDecoderStop: () => ipcRenderer.send('cw-decoder-stop'),
+  cwDecoderOpenWav: () => ipcRenderer.invoke('cw-decoder-open-wav'),
+  onCwDecoderText: (cb) => ipcRenderer.on('cw-decoder-text', (_e, d) => cb(d)),
+  onCwDecoderStats: (cb) => ipcRenderer.on('cw-decoder-stats', (_e, d) => cb(d)),
+  onCwDecoderCallsign: (cb) => ipcRenderer.on('cw-decoder-callsign', (_e, d) => cb(d)),
   // Activator mode — parks DB
   fetchParksDb: (prefix) => ipcRenderer.invoke('fetch-parks-db', prefix),
   searchParks: (query) => ipcRenderer.invoke('search-parks', query),
@@ -7,7 +7,7 @@ let sortAsc = true;
 
 // Expose for DevTools console debugging
 window._debug = { get spots() { return allSpots; }, get qrz() { return qrzData; }, get expeditions() { return expeditionCallsigns; }, render() { render(); } };
-let currentView = 'table'; // 'table', 'map', 'dxcc', or 'rbn' (for exclusive views)
+let currentView = 'table'; // 'table', 'map', 'dxcc', 'awards', or 'rbn' (for exclusive views)
 let showTable = true;
 let showMap = false;
 let splitOrientation = 'horizontal'; // 'horizontal' (side-by-side) or 'vertical' (stacked)
@@ -18,12 +18,17 @@ let distUnit = 'mi';    // 'mi' or 'km'
 let watchlist = new Set(); // uppercase callsigns
 let maxAgeMin = 5;       // max spot age in minutes
 let sotaMaxAgeMin = 30;  // SOTA max spot age in minutes
+let staleSpotMin = 10;   // flag spots not re-spotted for this many minutes (0 = off)
 let scanDwell = 7;       // seconds per frequency during scan
+let scanReceiver = 'A';  // 'A' main receiver, 'B' sub receiver / second slice
 let enablePota = true;
 let enableSota = false;
 let enableWwff = false;
 let enableLlota = false;
+let customSources = [];   // spot sources loaded from spot-sources.json (non built-in)
+let enabledSources = {};  // custom source id → enabled
 let enableDxcc = false;
+let enableAwards = false;
 let enableCluster = false;
 let enableRbn = false;
 let enablePskr = false;
@@ -64,9 +69,10 @@ let spotsPopoutOpen = false; // pop-out spots window is open
 let actmapPopoutOpen = false; // pop-out activation map window is open
 let clusterPopoutOpen = false; // pop-out cluster terminal is open
 let dxccData = null;  // { entities: [...] } from main process
+let awardsData = null; // [award summary] from main process (lib/awards.js)
 let enableWsjtx = false;
-let wsjtxDecodes = []; // recent decodes from WSJT-X (FIFO, max 50)
-let wsjtxState = null; // last WSJT-X status (freq, mode, etc.)
+let wsjtxDecodes = []; // recent decodes from all WSJT-X instances (FIFO, max 100)
+let wsjtxInstances = new Map(); // WSJT-X/JTDX instance id → { id, label, transmitting }
 const qrzData = new Map(); // callsign → { fname, name, addr2, state, country }
 let qrzFullName = false; // show first+last or just first
 
@@ -114,11 +120,13 @@ function qrzDisplayName(info) {
 // --- Radio frequency tracking ---
 let radioFreqKhz = null;
 let radioMode = null;
+let subRx = null; // { frequency (Hz), mode, label } of the second receiver, null if the radio has none
 
 let scanning = false;
 let scanTimer = null;
 let scanIndex = 0;
 let scanSkipped = new Set(); // frequencies to skip (as strings)
+let expandedTimelines = new Set(); // callsign_frequency keys of rows with the timeline open
 let pendingSpots = null;     // buffered spots during scan
 
 const MI_TO_KM = 1.60934;
@@ -139,11 +147,13 @@ const spotsCluster = document.getElementById('spots-cluster');
 const spotsRbn = document.getElementById('spots-rbn');
 const spotsPskr = document.getElementById('spots-pskr');
 const spotsDxe = document.getElementById('spots-dxe');
+const spotsCustomSources = document.getElementById('spots-custom-sources');
 const spotsHideWorked = document.getElementById('spots-hide-worked');
 const spotsHideParks = document.getElementById('spots-hide-parks');
 const spotsHideParksLabel = document.getElementById('spots-hide-parks-label');
 const spotsHideOob = document.getElementById('spots-hide-oob');
 const spotsDxcc = document.getElementById('spots-dxcc');
+const spotsAwards = document.getElementById('spots-awards');
 const settingsBtn = document.getElementById('settings-btn');
 const logbookBtn = document.getElementById('logbook-btn');
 const settingsDialog = document.getElementById('settings-dialog');
@@ -153,8 +163,10 @@ const setGrid = document.getElementById('set-grid');
 const setDistUnit = document.getElementById('set-dist-unit');
 const setMaxAge = document.getElementById('set-max-age');
 const setSotaMaxAge = document.getElementById('set-sota-max-age');
+const setStaleSpot = document.getElementById('set-stale-spot');
 const setRefreshInterval = document.getElementById('set-refresh-interval');
 const setScanDwell = document.getElementById('set-scan-dwell');
+const setScanReceiver = document.getElementById('set-scan-receiver');
 const setWatchlist = document.getElementById('set-watchlist');
 const setEnablePota = document.getElementById('set-enable-pota');
 const setEnableSota = document.getElementById('set-enable-sota');
@@ -177,12 +189,26 @@ const setEnableRotor = document.getElementById('set-enable-rotor');
 const rotorConfig = document.getElementById('rotor-config');
 const setRotorHost = document.getElementById('set-rotor-host');
 const setRotorPort = document.getElementById('set-rotor-port');
-const setEnableAg = document.getElementById('set-enable-ag');
-const agConfig = document.getElementById('ag-config');
+const setRotorType = document.getElementById('set-rotor-type');
+const setRotorSerialPort = document.getElementById('set-rotor-serial-port');
+const setRotorBaud = document.getElementById('set-rotor-baud');
+const setRotorBeamwidth = document.getElementById('set-rotor-beamwidth');
+const setEnableAntSw = document.getElementById('set-enable-antsw');
+const antSwConfig = document.getElementById('antsw-config');
+const setAntSwType = document.getElementById('set-antsw-type');
 const setAgHost = document.getElementById('set-ag-host');
 const setAgRadioPort = document.getElementById('set-ag-radio-port');
+const setRelayProtocol = document.getElementById('set-relay-protocol');
+const setRelayHost = document.getElementById('set-relay-host');
+const setRelayPort = document.getElementById('set-relay-port');
+const setDecoderSerialPort = document.getElementById('set-decoder-serial-port');
+const setDecoderBaud = document.getElementById('set-decoder-baud');
+const setDecoderOutput = document.getElementById('set-decoder-output');
+const setAntSwCommand = document.getElementById('set-antsw-command');
+const setAntennaNames = document.getElementById('set-antenna-names');
 const agBandMapEl = document.getElementById('ag-band-map');
-const agStatusEl = document.getElementById('ag-status');
+const antSwRulesEl = document.getElementById('antsw-rules');
+const antSwStatusEl = document.getElementById('antsw-status');
 const setVerboseLog = document.getElementById('set-verbose-log');
 const setLightIcon = document.getElementById('set-light-icon');
 const setEnableSplitView = document.getElementById('set-enable-split-view');
@@ -196,6 +222,10 @@ const serialcatConfig = document.getElementById('serialcat-config');
 const rigctldnetConfig = document.getElementById('rigctldnet-config');
 const setRigctldnetHost = document.getElementById('set-rigctldnet-host');
 const setRigctldnetPort = document.getElementById('set-rigctldnet-port');
+const tciCatConfig = document.getElementById('tci-config');
+const setTciCatHost = document.getElementById('set-tci-cat-host');
+const setTciCatPort = document.getElementById('set-tci-cat-port');
+const setTciCatTrx = document.getElementById('set-tci-cat-trx');
 const setTcpcatHost = document.getElementById('set-tcpcat-host');
 const setTcpcatPort = document.getElementById('set-tcpcat-port');
 const setFlexSlice = document.getElementById('set-flex-slice');
@@ -204,6 +234,24 @@ const setSerialcatPortManual = document.getElementById('set-serialcat-port-manua
 const setSerialcatBaud = document.getElementById('set-serialcat-baud');
 const setSerialcatDtrOff = document.getElementById('set-serialcat-dtr-off');
 const serialcatTestBtn = document.getElementById('serialcat-test-btn');
+const icomConfig = document.getElementById('icom-config');
+const setIcomPort = document.getElementById('set-icom-port');
+const setIcomPortManual = document.getElementById('set-icom-port-manual');
+const setIcomModel = document.getElementById('set-icom-model');
+const setIcomAddress = document.getElementById('set-icom-address');
+const icomAddressLabel = document.getElementById('icom-address-label');
+const setIcomBaud = document.getElementById('set-icom-baud');
+const setIcomMaxPower = document.getElementById('set-icom-max-power');
+const setIcomDtrOff = document.getElementById('set-icom-dtr-off');
+const simConfig = document.getElementById('sim-config');
+const setSimDialect = document.getElementById('set-sim-dialect');
+const setSimPort = document.getElementById('set-sim-port');
+const setSimSmartSdr = document.getElementById('set-sim-smartsdr');
+const setSimTci = document.getElementById('set-sim-tci');
+const setSimDrop = document.getElementById('set-sim-drop');
+const setSimError = document.getElementById('set-sim-error');
+const setSimLatency = document.getElementById('set-sim-latency');
+const setSimDisconnect = document.getElementById('set-sim-disconnect');
 const serialcatTestResult = document.getElementById('serialcat-test-result');
 const radioTypeBtns = document.querySelectorAll('input[name="radio-type"]');
 const myRigsList = document.getElementById('my-rigs-list');
@@ -236,6 +284,8 @@ const viewMapBtn = document.getElementById('view-map-btn');
 const popoutMapBtn = document.getElementById('popout-map-btn');
 const dxccBoardBtn = document.getElementById('dxcc-board-btn');
 const dxccView = document.getElementById('dxcc-view');
+const awardsBoardBtn = document.getElementById('awards-board-btn');
+const awardsView = document.getElementById('awards-view');
 const dxccMatrixBody = document.getElementById('dxcc-matrix-body');
 const dxccCountEl = document.getElementById('dxcc-count');
 const dxccPlaceholder = document.getElementById('dxcc-placeholder');
@@ -248,8 +298,12 @@ const setEnableRbn = document.getElementById('set-enable-rbn');
 const setEnableWsjtx = document.getElementById('set-enable-wsjtx');
 const wsjtxConfig = document.getElementById('wsjtx-config');
 const setWsjtxPort = document.getElementById('set-wsjtx-port');
+const setWsjtxMulticast = document.getElementById('set-wsjtx-multicast');
 const setWsjtxHighlight = document.getElementById('set-wsjtx-highlight');
 const setWsjtxAutoLog = document.getElementById('set-wsjtx-auto-log');
+const setEnableFt8Hunter = document.getElementById('set-enable-ft8-hunter');
+const ft8HunterConfig = document.getElementById('ft8-hunter-config');
+const ft8HuntBtn = document.getElementById('ft8-hunt-btn');
 const wsjtxStatusEl = document.getElementById('wsjtx-status');
 const setEnablePskr = document.getElementById('set-enable-pskr');
 const pskrConfig = document.getElementById('pskr-config');
@@ -289,6 +343,8 @@ const connRemote = document.getElementById('conn-remote');
 let clusterConnected = false;
 let enableRemote = false;
 let remoteConnected = false;
+let remoteClientCount = 0;
+let remoteController = null;
 let clusterNodeStatuses = []; // [{id, name, host, connected}, ...]
 let currentClusterNodes = []; // live node list for settings UI
 let currentNetReminders = []; // live net list for settings UI
@@ -358,10 +414,15 @@ const parksStatsToggleBtn = document.getElementById('parks-stats-toggle');
 const parksStatsCloseBtn = document.getElementById('parks-stats-close');
 let parksStatsOpen = false;
 const setEnableDxcc = document.getElementById('set-enable-dxcc');
+const setEnableAwards = document.getElementById('set-enable-awards');
 const setSotaUpload = document.getElementById('set-sota-upload');
 const sotaUploadConfig = document.getElementById('sota-upload-config');
 const setSotaUsername = document.getElementById('set-sota-username');
 const setSotaPassword = document.getElementById('set-sota-password');
+const setLotwSync = document.getElementById('set-lotw-sync');
+const setEqslSync = document.getElementById('set-eqsl-sync');
+const setClublogSync = document.getElementById('set-clublog-sync');
+const qslSyncStatusEl = document.getElementById('qsl-sync-status');
 const distHeader = document.getElementById('dist-header');
 const utcClockEl = document.getElementById('utc-clock');
 const sfiStatusEl = document.getElementById('sfi-status');
@@ -436,6 +497,14 @@ const setCwSidetonePitch = document.getElementById('set-cw-sidetone-pitch');
 const setCwSidetoneVolume = document.getElementById('set-cw-sidetone-volume');
 const cwSidetoneVolumeLabel = document.getElementById('cw-sidetone-volume-label');
 const cwKeyerStatusEl = document.getElementById('cw-keyer-status');
+// CW message keyer
+const setEnableCwMessages = document.getElementById('set-enable-cw-messages');
+const cwMessagesConfig = document.getElementById('cw-messages-config');
+const setCwOutput = document.getElementById('set-cw-output');
+const cwKeyPortRow = document.getElementById('cw-key-port-row');
+const setCwKeyPort = document.getElementById('set-cw-key-port');
+const cwMemoryEditor = document.getElementById('cw-memory-editor');
+const setEnableCwDecoder = document.getElementById('set-enable-cw-decoder');
 // ECHOCAT
 const setEnableRemote = document.getElementById('set-enable-remote');
 const remoteConfig = document.getElementById('remote-config');
@@ -686,12 +755,16 @@ async function loadPrefs() {
   grid = settings.grid || '';
   distUnit = settings.distUnit || 'mi';
   scanDwell = parseInt(settings.scanDwell, 10) || 7;
+  scanReceiver = settings.scanReceiver === 'B' ? 'B' : 'A';
   watchlist = parseWatchlist(settings.watchlist);
   enablePota = settings.enablePota !== false; // default true
   enableSota = settings.enableSota === true;  // default false
   enableWwff = settings.enableWwff === true;  // default false
   enableLlota = settings.enableLlota === true; // default false
+  enabledSources = settings.enabledSources || {};
+  loadSpotSources();
   enableDxcc = settings.enableDxcc === true;  // default false
+  enableAwards = settings.enableAwards === true; // default false
   enableCluster = settings.enableCluster === true; // default false
   showDxBar = settings.showDxBar === true;
   dxCommandPreferredNode = localStorage.getItem('dx-command-node') || '';
@@ -715,6 +788,7 @@ async function loadPrefs() {
   showBearing = settings.showBearing === true;
   updateBearingVisibility();
   licenseClass = settings.licenseClass || 'none';
+  loadCustomBandPlans();
   hideOutOfBand = settings.hideOutOfBand === true;
   hideWorked = settings.hideWorked === true;
   hideWorkedParks = settings.hideWorkedParks === true;
@@ -739,9 +813,12 @@ async function loadPrefs() {
       if (settings.cwMidiDevice) connectMidiDevice(settings.cwMidiDevice);
     });
   }
+  applyCwMsgPrefs(settings);
+  applyCwDecoderPrefs(settings);
   updateRbnButton();
   clusterTerminalBtn.classList.toggle('hidden', !settings.enableClusterTerminal);
   updateDxccButton();
+  updateAwardsButton();
   // Activator mode restore
   if (settings.appMode === 'activator') {
     appMode = 'activator';
@@ -790,6 +867,7 @@ async function loadPrefs() {
     else { maxAgeMin = parseInt(settings.maxAgeMin, 10) || 5; }
   } catch { maxAgeMin = parseInt(settings.maxAgeMin, 10) || 5; }
   sotaMaxAgeMin = parseInt(settings.sotaMaxAge, 10) || 30;
+  staleSpotMin = settings.staleSpotMin != null ? settings.staleSpotMin : 10;
   updateHeaders();
 
   // Restore view state
@@ -804,6 +882,8 @@ async function loadPrefs() {
         setView('rbn');
       } else if (viewState.lastView === 'dxcc' && enableDxcc) {
         setView('dxcc');
+      } else if (viewState.lastView === 'awards' && enableAwards) {
+        setView('awards');
       } else {
         showTable = viewState.showTable !== false;
         showMap = viewState.showMap === true;
@@ -854,9 +934,15 @@ function updateRadioSubPanels() {
   serialcatConfig.classList.toggle('hidden', type !== 'serialcat');
   hamlibConfig.classList.toggle('hidden', type !== 'hamlib');
   rigctldnetConfig.classList.toggle('hidden', type !== 'rigctldnet');
+  tciCatConfig.classList.toggle('hidden', type !== 'tci');
+  icomConfig.classList.toggle('hidden', type !== 'icom');
+  simConfig.classList.toggle('hidden', type !== 'sim');
   if (type === 'serialcat' && !serialcatPortsLoaded) {
     loadSerialcatPorts();
   }
+  if (type === 'icom' && !icomPortsLoaded) {
+    loadIcomPorts();
+  }
   if (type === 'hamlib' && !hamlibFieldsLoaded) {
     hamlibFieldsLoaded = true;
     populateHamlibFields(null);
@@ -891,6 +977,25 @@ async function populateRadioSection(currentTarget) {
     setRadioType('rigctldnet');
     setRigctldnetHost.value = currentTarget.host || '127.0.0.1';
     setRigctldnetPort.value = currentTarget.port || 4532;
+  } else if (currentTarget.type === 'tci') {
+    setRadioType('tci');
+    setTciCatHost.value = currentTarget.host || '127.0.0.1';
+    setTciCatPort.value = currentTarget.port || 50001;
+    setTciCatTrx.value = String(currentTarget.trx || 0);
+  } else if (currentTarget.type === 'icom') {
+    setRadioType('icom');
+    await loadIcomPorts(currentTarget);
+  } else if (currentTarget.type === 'sim') {
+    setRadioType('sim');
+    const faults = currentTarget.faults || {};
+    setSimDialect.value = currentTarget.dialect || 'kenwood';
+    setSimPort.value = currentTarget.port || 5099;
+    setSimSmartSdr.checked = !!currentTarget.smartSdr;
+    setSimTci.checked = !!currentTarget.tci;
+    setSimDrop.value = Math.round((faults.dropRate || 0) * 100);
+    setSimError.value = Math.round((faults.errorRate || 0) * 100);
+    setSimLatency.value = faults.latencyMs || 0;
+    setSimDisconnect.value = Math.round((faults.disconnectRate || 0) * 1000) / 10;
   } else {
     setRadioType('flex');
   }
@@ -980,6 +1085,39 @@ async function loadSerialcatPorts(savedTarget) {
   serialcatPortsLoaded = true;
 }
 
+let icomPortsLoaded = false;
+
+async function loadIcomPorts(savedTarget) {
+  const ports = await window.api.listPorts();
+  setIcomPort.innerHTML = '';
+  setIcomPortManual.value = '';
+  const detectedPaths = new Set();
+  for (const p of ports) {
+    detectedPaths.add(p.path);
+    const opt = document.createElement('option');
+    opt.value = p.path;
+    opt.textContent = `${p.path} — ${p.friendlyName}`;
+    if (savedTarget && savedTarget.path === p.path) opt.selected = true;
+    setIcomPort.appendChild(opt);
+  }
+  if (savedTarget && savedTarget.path && !detectedPaths.has(savedTarget.path)) {
+    setIcomPortManual.value = savedTarget.path;
+  }
+  const addr = ((savedTarget && savedTarget.civAddress) || '94').toUpperCase();
+  const known = [...setIcomModel.options].some(o => o.value === addr);
+  setIcomModel.value = known ? addr : 'custom';
+  setIcomAddress.value = known ? '' : addr;
+  icomAddressLabel.classList.toggle('hidden', known);
+  setIcomBaud.value = String((savedTarget && savedTarget.baudRate) || 19200);
+  setIcomMaxPower.value = (savedTarget && savedTarget.maxPower) || 100;
+  setIcomDtrOff.checked = !!(savedTarget && savedTarget.dtrOff);
+  icomPortsLoaded = true;
+}
+
+setIcomModel.addEventListener('change', () => {
+  icomAddressLabel.classList.toggle('hidden', setIcomModel.value !== 'custom');
+});
+
 // --- Rig profile management ---
 let rigEditorMode = null; // null | 'add' | 'edit'
 let editingRigId = null;
@@ -1008,6 +1146,17 @@ function describeRigTarget(target) {
   if (target.type === 'rigctldnet') {
     return `rigctld on ${target.host || '127.0.0.1'}:${target.port || 4532}`;
   }
+  if (target.type === 'tci') {
+    return `TCI on ${target.host || '127.0.0.1'}:${target.port || 50001}${target.trx ? ` (TRX ${target.trx + 1})` : ''}`;
+  }
+  if (target.type === 'icom') {
+    return `Icom CI-V ${target.civAddress || '94'}h on ${target.path || '?'} @ ${target.baudRate || 19200}`;
+  }
+  if (target.type === 'sim') {
+    const f = target.faults || {};
+    const faulty = f.dropRate || f.errorRate || f.latencyMs || f.disconnectRate;
+    return `Simulated ${target.dialect || 'kenwood'} radio on :${target.port || 5099}${faulty ? ' (faults on)' : ''}`;
+  }
   return 'Unknown';
 }
 
@@ -1119,6 +1268,40 @@ function buildCatTargetFromForm() {
       host: setRigctldnetHost.value.trim() || '127.0.0.1',
       port: parseInt(setRigctldnetPort.value, 10) || 4532,
     };
+  } else if (radioType === 'tci') {
+    return {
+      type: 'tci',
+      host: setTciCatHost.value.trim() || '127.0.0.1',
+      port: parseInt(setTciCatPort.value, 10) || 50001,
+      trx: parseInt(setTciCatTrx.value, 10) || 0,
+    };
+  } else if (radioType === 'icom') {
+    const civAddress = setIcomModel.value === 'custom'
+      ? (setIcomAddress.value.trim().replace(/^0x/i, '').replace(/h$/i, '').toUpperCase() || '94')
+      : setIcomModel.value;
+    return {
+      type: 'icom',
+      path: setIcomPortManual.value.trim() || setIcomPort.value,
+      baudRate: parseInt(setIcomBaud.value, 10) || 19200,
+      civAddress,
+      maxPower: parseInt(setIcomMaxPower.value, 10) || 100,
+      dtrOff: setIcomDtrOff.checked,
+    };
+  } else if (radioType === 'sim') {
+    const pct = (el) => Math.min(100, Math.max(0, parseFloat(el.value) || 0)) / 100;
+    return {
+      type: 'sim',
+      dialect: setSimDialect.value,
+      port: parseInt(setSimPort.value, 10) || 5099,
+      smartSdr: setSimSmartSdr.checked,
+      tci: setSimTci.checked,
+      faults: {
+        dropRate: pct(setSimDrop),
+        errorRate: pct(setSimError),
+        latencyMs: parseInt(setSimLatency.value, 10) || 0,
+        disconnectRate: pct(setSimDisconnect),
+      },
+    };
   }
   return null;
 }
@@ -1128,6 +1311,7 @@ async function openRigEditor(mode, rigId) {
   editingRigId = rigId || null;
   hamlibFieldsLoaded = false;
   serialcatPortsLoaded = false;
+  icomPortsLoaded = false;
 
   if (mode === 'edit') {
     rigEditorTitle.textContent = 'Edit Rig';
@@ -1351,6 +1535,10 @@ function updateDxccButton() {
   if (!enableDxcc && currentView === 'dxcc') setView('table');
 }
 
+function updateAwardsButton() {
+  if (!enableAwards && currentView === 'awards') setView('table');
+}
+
 function updateWsjtxStatusVisibility() {
   wsjtxStatusEl.classList.toggle('hidden', !enableWsjtx);
 }
@@ -1372,6 +1560,9 @@ function updateSettingsConnBar() {
   connPskr.classList.toggle('connected', pskrConnected);
   connRemote.classList.toggle('hidden', !enableRemote);
   connRemote.classList.toggle('connected', remoteConnected);
+  connRemote.title = remoteConnected
+    ? remoteClientCount + ' device' + (remoteClientCount === 1 ? '' : 's') + ' connected' + (remoteController ? ' \u2014 ' + remoteController + ' in control' : '')
+    : '';
 }
 
 function updateRbnButton() {
@@ -2146,23 +2337,103 @@ setEnableWsjtx.addEventListener('change', () => {
   wsjtxConfig.classList.toggle('hidden', !setEnableWsjtx.checked);
 });
 
+setEnableFt8Hunter.addEventListener('change', () => {
+  ft8HunterConfig.classList.toggle('hidden', !setEnableFt8Hunter.checked);
+});
+
 setEnablePskr.addEventListener('change', () => {
   pskrConfig.classList.toggle('hidden', !setEnablePskr.checked);
 });
 
-// PstRotator checkbox toggles rotor config visibility
+// Rotator checkbox toggles rotor config visibility
 setEnableRotor.addEventListener('change', () => {
   rotorConfig.classList.toggle('hidden', !setEnableRotor.checked);
 });
-// Antenna Genius checkbox toggles config visibility
-setEnableAg.addEventListener('change', () => {
-  agConfig.classList.toggle('hidden', !setEnableAg.checked);
+
+// Default ports per network rotator type (lib/rotor.js DEFAULT_PORTS)
+const ROTOR_DEFAULT_PORTS = { pstrotator: 12040, rotctld: 4533 };
+
+async function updateRotorTypeFields() {
+  const type = setRotorType.value;
+  const serial = type === 'gs232' || type === 'prosistel';
+  document.getElementById('rotor-net-fields').classList.toggle('hidden', serial || type === 'sim');
+  document.getElementById('rotor-serial-fields').classList.toggle('hidden', !serial);
+  document.getElementById('rotor-port-help').classList.toggle('hidden', type !== 'pstrotator');
+  if (serial) {
+    const list = document.getElementById('rotor-serial-ports');
+    list.innerHTML = '';
+    for (const p of await window.api.listPorts()) {
+      const opt = document.createElement('option');
+      opt.value = p.path;
+      opt.textContent = p.friendlyName;
+      list.appendChild(opt);
+    }
+  }
+}
+
+setRotorType.addEventListener('change', () => {
+  // Swap in the new type's default port unless the user set their own
+  const port = parseInt(setRotorPort.value, 10);
+  if (!port || Object.values(ROTOR_DEFAULT_PORTS).includes(port)) {
+    setRotorPort.value = ROTOR_DEFAULT_PORTS[setRotorType.value] || port || '';
+  }
+  updateRotorTypeFields();
+});
+// Antenna switching checkbox toggles config visibility
+setEnableAntSw.addEventListener('change', () => {
+  antSwConfig.classList.toggle('hidden', !setEnableAntSw.checked);
+});
+
+async function updateAntSwTypeFields() {
+  const type = setAntSwType.value;
+  const textCmd = type === 'relay' || (type === 'decoder' && setDecoderOutput.value === 'text');
+  document.getElementById('antsw-ag-fields').classList.toggle('hidden', type !== 'ag');
+  document.getElementById('antsw-relay-fields').classList.toggle('hidden', type !== 'relay');
+  document.getElementById('antsw-decoder-fields').classList.toggle('hidden', type !== 'decoder');
+  document.getElementById('antsw-command-field').classList.toggle('hidden', !textCmd);
+  document.getElementById('antsw-names-field').classList.toggle('hidden', type === 'ag');
+  if (type === 'decoder') {
+    const list = document.getElementById('decoder-serial-ports');
+    list.innerHTML = '';
+    for (const p of await window.api.listPorts()) {
+      const opt = document.createElement('option');
+      opt.value = p.path;
+      opt.textContent = p.friendlyName;
+      list.appendChild(opt);
+    }
+  }
+}
+setAntSwType.addEventListener('change', () => {
+  refreshAntennaChoices();
+  updateAntSwTypeFields();
 });
+setDecoderOutput.addEventListener('change', updateAntSwTypeFields);
+
+// Antenna names: reported by the Antenna Genius, typed in settings for other switches
+let agAntennaNames = {};
+function antennaChoiceNames() {
+  if (setAntSwType.value === 'ag') return agAntennaNames;
+  const names = {};
+  setAntennaNames.value.split(',').forEach((n, i) => { if (n.trim()) names[i + 1] = n.trim(); });
+  return names;
+}
+
+function fillAntennaSelect(select, names, value) {
+  select.innerHTML = '<option value="">—</option>';
+  for (let i = 1; i <= 8; i++) {
+    const opt = document.createElement('option');
+    opt.value = String(i);
+    opt.textContent = names[i] ? `${i}: ${names[i]}` : String(i);
+    select.appendChild(opt);
+  }
+  if (value) select.value = String(value);
+}
 
-// Antenna Genius band map UI
+// Band → antenna map UI (default antenna per band)
 const AG_BANDS = ['160m','80m','60m','40m','30m','20m','17m','15m','12m','10m','6m','2m','70cm'];
 function buildAgBandMap(bandMap) {
   agBandMapEl.innerHTML = '';
+  const names = antennaChoiceNames();
   for (const band of AG_BANDS) {
     const label = document.createElement('span');
     label.textContent = band;
@@ -2171,19 +2442,11 @@ function buildAgBandMap(bandMap) {
     const select = document.createElement('select');
     select.id = `ag-band-${band}`;
     select.style.width = '100%';
-    select.innerHTML = '<option value="">—</option>';
-    for (let i = 1; i <= 8; i++) {
-      const opt = document.createElement('option');
-      opt.value = String(i);
-      opt.textContent = agAntennaNames[i] ? `${i}: ${agAntennaNames[i]}` : String(i);
-      select.appendChild(opt);
-    }
-    if (bandMap && bandMap[band]) select.value = String(bandMap[band]);
+    fillAntennaSelect(select, names, bandMap && bandMap[band]);
     agBandMapEl.appendChild(label);
     agBandMapEl.appendChild(select);
   }
 }
-let agAntennaNames = {};
 function getAgBandMap() {
   const map = {};
   for (const band of AG_BANDS) {
@@ -2192,21 +2455,85 @@ function getAgBandMap() {
   }
   return map;
 }
-// IPC: Antenna Genius status + antenna names
-if (window.api.onAgStatus) {
-  window.api.onAgStatus((status) => {
-    agStatusEl.textContent = status.connected ? 'Connected' : '';
-    agStatusEl.style.color = status.connected ? '#4ecca3' : '';
+
+// Direction rules UI: band, bearing sector (clockwise from → to), antenna
+function addAntennaRuleRow(rule) {
+  const r = rule || { band: 'all', from: 0, to: 359, antenna: '' };
+  const band = document.createElement('select');
+  band.className = 'antsw-rule-band';
+  band.innerHTML = '<option value="all">All</option>' + AG_BANDS.map(b => `<option value="${b}">${b}</option>`).join('');
+  band.value = r.band || 'all';
+  const from = document.createElement('input');
+  from.type = 'number'; from.min = '0'; from.max = '359'; from.value = r.from;
+  from.className = 'antsw-rule-from'; from.title = 'From bearing (degrees)';
+  const to = document.createElement('input');
+  to.type = 'number'; to.min = '0'; to.max = '359'; to.value = r.to;
+  to.className = 'antsw-rule-to'; to.title = 'To bearing (degrees, clockwise from From)';
+  const ant = document.createElement('select');
+  ant.className = 'antsw-rule-antenna';
+  fillAntennaSelect(ant, antennaChoiceNames(), r.antenna);
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'multipark-remove-btn';
+  remove.style.padding = '0 6px';
+  remove.title = 'Remove rule';
+  remove.innerHTML = '&times;';
+  const cells = [band, from, to, ant, remove];
+  remove.addEventListener('click', () => cells.forEach(c => c.remove()));
+  cells.forEach(c => antSwRulesEl.appendChild(c));
+}
+function buildAntennaRules(rules) {
+  antSwRulesEl.innerHTML = '';
+  for (const r of rules || []) addAntennaRuleRow(r);
+}
+function getAntennaRules() {
+  const rules = [];
+  antSwRulesEl.querySelectorAll('.antsw-rule-band').forEach((band) => {
+    const from = band.nextElementSibling;
+    const to = from.nextElementSibling;
+    const ant = to.nextElementSibling;
+    const r = { band: band.value, from: parseInt(from.value, 10), to: parseInt(to.value, 10), antenna: parseInt(ant.value, 10) };
+    if (Number.isFinite(r.from) && Number.isFinite(r.to) && r.antenna) {
+      r.from = ((r.from % 360) + 360) % 360;
+      r.to = ((r.to % 360) + 360) % 360;
+      rules.push(r);
+    }
   });
+  return rules;
 }
-if (window.api.onAgAntennaNames) {
-  window.api.onAgAntennaNames((names) => {
-    agAntennaNames = names;
-    // Rebuild dropdowns with antenna names, preserving current selections
-    const currentMap = getAgBandMap();
-    buildAgBandMap(currentMap);
-  });
+document.getElementById('antsw-add-rule').addEventListener('click', () => addAntennaRuleRow());
+
+// Rebuild antenna dropdowns with the current names, keeping selections
+function refreshAntennaChoices() {
+  const rules = getAntennaRules();
+  buildAgBandMap(getAgBandMap());
+  buildAntennaRules(rules);
 }
+setAntennaNames.addEventListener('change', refreshAntennaChoices);
+
+// Manual antenna override in the settings dropdown — Auto follows the rules
+const quickAntenna = document.getElementById('quick-antenna');
+const quickAntennaLabel = document.getElementById('quick-antenna-label');
+quickAntenna.addEventListener('change', () => {
+  window.api.setAntennaOverride(quickAntenna.value ? parseInt(quickAntenna.value, 10) : null);
+});
+
+function updateAntennaStatus(status) {
+  antSwStatusEl.textContent = status && status.connected ? 'Connected' : '';
+  antSwStatusEl.style.color = status && status.connected ? '#4ecca3' : '';
+  quickAntennaLabel.classList.toggle('hidden', !status);
+  if (!status) return;
+  if (status.type === 'ag' && JSON.stringify(status.names) !== JSON.stringify(agAntennaNames)) {
+    agAntennaNames = status.names || {};
+    if (setAntSwType.value === 'ag') refreshAntennaChoices();
+  }
+  const current = status.selected ? `Auto (${status.names[status.selected] || status.selected})` : 'Auto';
+  fillAntennaSelect(quickAntenna, status.names || {}, status.override);
+  quickAntenna.options[0].textContent = current;
+  quickAntenna.disabled = !status.connected;
+}
+window.api.onAntennaStatus(updateAntennaStatus);
+window.api.getAntennaStatus().then(updateAntennaStatus);
 
 // Split view checkbox toggles orientation config visibility
 setEnableSplitView.addEventListener('change', () => {
@@ -2227,6 +2554,43 @@ setSotaUpload.addEventListener('change', () => {
   sotaUploadConfig.classList.toggle('hidden', !setSotaUpload.checked);
 });
 
+// --- QSL confirmation sync ---
+const QSL_SYNC_LABELS = { lotw: 'LoTW', eqsl: 'eQSL', clublog: 'Club Log' };
+
+function updateQslSyncFields() {
+  document.getElementById('lotw-sync-config').classList.toggle('hidden', !setLotwSync.checked);
+  document.getElementById('eqsl-sync-config').classList.toggle('hidden', !setEqslSync.checked);
+  document.getElementById('clublog-sync-config').classList.toggle('hidden', !setClublogSync.checked);
+}
+setLotwSync.addEventListener('change', updateQslSyncFields);
+setEqslSync.addEventListener('change', updateQslSyncFields);
+setClublogSync.addEventListener('change', updateQslSyncFields);
+
+function updateQslSyncStatus(status) {
+  if (!status) return;
+  const lines = [];
+  for (const [svc, st] of Object.entries(status.services)) {
+    if (!st.enabled && !st.lastSync) continue;
+    let line = `${QSL_SYNC_LABELS[svc] || svc}: `;
+    if (st.lastSync) {
+      line += `${new Date(st.lastSync).toLocaleString()} \u2014 ${st.received} received, ${st.updated} new`;
+    } else {
+      line += 'not synced yet';
+    }
+    if (st.lastError) line += ` (error: ${st.lastError})`;
+    lines.push(esc(line));
+  }
+  if (status.running) lines.push('Syncing\u2026');
+  qslSyncStatusEl.innerHTML = lines.join('<br>');
+  document.getElementById('qsl-sync-now-btn').disabled = !!status.running;
+}
+window.api.onQslSyncStatus(updateQslSyncStatus);
+
+// Sync Now uses the saved credentials — save Settings first after changing them
+document.getElementById('qsl-sync-now-btn').addEventListener('click', async () => {
+  updateQslSyncStatus(await window.api.qslSyncNow());
+});
+
 // ECHOCAT checkbox toggles config visibility
 setEnableRemote.addEventListener('change', async () => {
   remoteConfig.classList.toggle('hidden', !setEnableRemote.checked);
@@ -2453,6 +2817,16 @@ setEnableCwKeyer.addEventListener('change', () => {
   }
 });
 
+// CW message keyer checkbox toggles config; DTR/RTS output needs a key port
+setEnableCwMessages.addEventListener('change', () => {
+  cwMessagesConfig.classList.toggle('hidden', !setEnableCwMessages.checked);
+});
+setCwOutput.addEventListener('change', () => {
+  const serial = setCwOutput.value !== 'rig';
+  cwKeyPortRow.classList.toggle('hidden', !serial);
+  if (serial && setCwKeyPort.options.length === 0) loadCwKeyPorts(setCwKeyPort.value);
+});
+
 // Logging checkbox toggles logging config visibility
 setEnableLogging.addEventListener('change', () => {
   loggingConfig.classList.toggle('hidden', !setEnableLogging.checked);
@@ -2696,6 +3070,18 @@ function isWorkedSpot(spot) {
   return true;
 }
 
+function isSourceOn(source) {
+  if (source === 'pota') return enablePota;
+  if (source === 'sota') return enableSota;
+  if (source === 'wwff') return enableWwff;
+  if (source === 'llota') return enableLlota;
+  if (source === 'dxc') return enableCluster;
+  if (source === 'rbn') return enableRbn;
+  if (source === 'pskr') return enablePskr;
+  if (isCustomSource(source)) return isCustomSourceEnabled(source);
+  return true;
+}
+
 function getFiltered() {
   const bands = getDropdownValues(bandFilterEl);
   const modes = getDropdownValues(modeFilterEl);
@@ -2704,14 +3090,8 @@ function getFiltered() {
   return allSpots.filter((s) => {
     // Net spots always pass through all filters
     if (s.source === 'net') return true;
-    const sourceOff =
-      (s.source === 'pota' && !enablePota) ||
-      (s.source === 'sota' && !enableSota) ||
-      (s.source === 'wwff' && !enableWwff) ||
-      (s.source === 'llota' && !enableLlota) ||
-      (s.source === 'dxc' && !enableCluster) ||
-      (s.source === 'rbn' && !enableRbn) ||
-      (s.source === 'pskr' && !enablePskr);
+    // A merged row stays while any source that reported it is on
+    const sourceOff = !(s.sources || [s.source]).some(isSourceOn);
     const isWatched = watchlist.has(s.callsign.toUpperCase());
 
     if (sourceOff) {
@@ -3478,6 +3858,7 @@ async function updateHomeMarker() {
       .bindPopup(`<b>My QTH</b><br>${grid}`)
       .addTo(map)
   );
+  drawRotorHeading();
 
   map.setView([pos.lat, pos.lon], map.getZoom());
 }
@@ -3532,6 +3913,119 @@ function showTuneArc(lat, lon, freq, source) {
   }
 }
 
+// --- Rotator heading on the map ---
+// Live heading from lib/rotor.js (via main): a wedge for the beamwidth around
+// the reported heading, and a dashed line to the target while it turns.
+const ROTOR_RAY_KM = 10000;
+const ROTOR_COLOR = '#ff9800';
+let rotorState = null; // { type, connected, azimuth, target, moving, beamwidth, longPath } or null when off
+let rotorLayers = [];
+let rotorControl = null;
+
+// Point `distKm` from (lat, lon) along initial bearing `brng` (great circle)
+function destinationPoint(lat, lon, brng, distKm) {
+  const toRad = Math.PI / 180;
+  const d = distKm / 6371;
+  const p1 = lat * toRad, l1 = lon * toRad, b = brng * toRad;
+  const p2 = Math.asin(Math.sin(p1) * Math.cos(d) + Math.cos(p1) * Math.sin(d) * Math.cos(b));
+  const l2 = l1 + Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(p1), Math.cos(d) - Math.sin(p1) * Math.sin(p2));
+  return [p2 / toRad, l2 / toRad];
+}
+
+function bearingRay(lat, lon, brng, steps) {
+  const pts = [];
+  for (let i = 0; i <= steps; i++) pts.push(destinationPoint(lat, lon, brng, ROTOR_RAY_KM * i / steps));
+  return pts;
+}
+
+// Keep each longitude next to the previous one so shapes don't jump across the antimeridian
+function unwrapLons(points) {
+  let prev = points[0][1];
+  return points.map(([a, b]) => {
+    prev = wrapLon(prev, b);
+    return [a, prev];
+  });
+}
+
+function drawRotorHeading() {
+  if (!map) return;
+  for (const l of rotorLayers) map.removeLayer(l);
+  rotorLayers = [];
+  updateRotorControl();
+  if (!mainHomePos || !rotorState || rotorState.azimuth == null) return;
+  const { lat, lon } = mainHomePos;
+  const az = rotorState.azimuth;
+  const half = Math.min(rotorState.beamwidth || 60, 359) / 2;
+  // Wedge: out along one edge, round the far arc, back along the other
+  const far = [];
+  for (let b = az - half; b < az + half; b += 2) far.push(destinationPoint(lat, lon, b, ROTOR_RAY_KM));
+  const wedge = unwrapLons(bearingRay(lat, lon, az - half, 30).concat(far, bearingRay(lat, lon, az + half, 30).reverse()));
+  const shapes = [{ pts: wedge, poly: true }, { pts: unwrapLons(bearingRay(lat, lon, az, 60)) }];
+  if (rotorState.moving && rotorState.target != null) {
+    shapes.push({ pts: unwrapLons(bearingRay(lat, lon, rotorState.target, 60)), dashed: true });
+  }
+  for (const { pts, poly, dashed } of shapes) {
+    for (const offset of [-360, 0, 360]) {
+      const shifted = pts.map(([a, b]) => [a, b + offset]);
+      const style = { color: ROTOR_COLOR, weight: dashed ? 1.5 : 2, opacity: 0.8, dashArray: dashed ? '6 4' : null, interactive: false };
+      rotorLayers.push((poly
+        ? L.polygon(shifted, { ...style, weight: 0, fillColor: ROTOR_COLOR, fillOpacity: 0.12 })
+        : L.polyline(shifted, style)).addTo(map));
+    }
+  }
+}
+
+// Small box on the map: current heading, short/long path for spot clicks, stop
+function updateRotorControl() {
+  if (!map) return;
+  if (!rotorState) {
+    if (rotorControl) { rotorControl.remove(); rotorControl = null; }
+    return;
+  }
+  if (!rotorControl) {
+    rotorControl = L.control({ position: 'topright' });
+    rotorControl.onAdd = () => {
+      const div = L.DomUtil.create('div', 'rotor-map-ctl');
+      div.innerHTML = '<span class="rotor-map-az"></span>' +
+        '<button type="button" class="rotor-map-path"></button>' +
+        '<button type="button" class="rotor-map-stop" title="Stop the rotator">Stop</button>';
+      L.DomEvent.disableClickPropagation(div);
+      div.querySelector('.rotor-map-path').addEventListener('click', () => {
+        const longPath = !(rotorState && rotorState.longPath);
+        localStorage.setItem('rotor-path', longPath ? 'long' : 'short');
+        window.api.rotorSetLongPath(longPath);
+      });
+      div.querySelector('.rotor-map-stop').addEventListener('click', () => window.api.rotorStop());
+      return div;
+    };
+    rotorControl.addTo(map);
+  }
+  const el = rotorControl.getContainer();
+  const r = rotorState;
+  let text = !r.connected ? 'Rotor offline' : (r.azimuth == null ? 'Rotor —' : `Rotor ${r.azimuth}°`);
+  if (r.connected && r.moving && r.target != null) text += ` → ${r.target}°`;
+  el.querySelector('.rotor-map-az').textContent = text;
+  el.classList.toggle('moving', !!r.moving);
+  const pathBtn = el.querySelector('.rotor-map-path');
+  pathBtn.textContent = r.longPath ? 'LP' : 'SP';
+  pathBtn.classList.toggle('active', !!r.longPath);
+  pathBtn.title = r.longPath
+    ? 'Spot clicks turn to the long path — click for short path'
+    : 'Spot clicks turn to the short path — click for long path';
+}
+
+window.api.onRotorState((state) => {
+  rotorState = state;
+  drawRotorHeading();
+});
+
+// Restore the path choice, then pick up the current heading
+window.api.rotorSetLongPath(localStorage.getItem('rotor-path') === 'long');
+window.api.getRotorState().then((state) => {
+  rotorState = state;
+  drawRotorHeading();
+});
+
 // Lightweight Maidenhead conversion for the renderer (no require of Node module)
 function gridToLatLonLocal(grid) {
   if (!grid || grid.length < 4) return null;
@@ -3573,71 +4067,46 @@ function latLonToGridLocal(lat, lon) {
   return `${field1}${field2}${sq1}${sq2}${sub1}${sub2}`;
 }
 
-// --- License privilege check (duplicated from lib/privileges.js — no require in renderer) ---
-const PRIVILEGE_RANGES = {
-  us_extra: [
-    [1800, 2000, 'all'], [3500, 3600, 'cw_digi'], [3600, 4000, 'phone'],
-    [7000, 7125, 'cw_digi'], [7125, 7300, 'phone'], [10100, 10150, 'all'],
-    [14000, 14150, 'cw_digi'], [14150, 14350, 'phone'], [18068, 18168, 'all'],
-    [21000, 21200, 'cw_digi'], [21200, 21450, 'phone'], [24890, 24990, 'all'],
-    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  us_advanced: [
-    [1800, 2000, 'all'], [3525, 3600, 'cw_digi'], [3700, 4000, 'phone'],
-    [7025, 7125, 'cw_digi'], [7125, 7300, 'phone'], [10100, 10150, 'all'],
-    [14025, 14150, 'cw_digi'], [14175, 14350, 'phone'], [18068, 18168, 'all'],
-    [21025, 21200, 'cw_digi'], [21225, 21450, 'phone'], [24890, 24990, 'all'],
-    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  us_general: [
-    [1800, 2000, 'all'], [3525, 3600, 'cw_digi'], [3800, 4000, 'phone'],
-    [7025, 7125, 'cw_digi'], [7175, 7300, 'phone'], [10100, 10150, 'all'],
-    [14025, 14150, 'cw_digi'], [14225, 14350, 'phone'], [18068, 18168, 'all'],
-    [21025, 21200, 'cw_digi'], [21275, 21450, 'phone'], [24890, 24990, 'all'],
-    [28000, 28300, 'cw_digi'], [28300, 29700, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  us_technician: [
-    [3525, 3600, 'cw_digi'], [7025, 7125, 'cw_digi'], [21025, 21200, 'cw_digi'],
-    [28000, 28300, 'cw_digi'], [28300, 28500, 'phone'], [50000, 54000, 'all'],
-    [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  ca_basic: [
-    [50000, 54000, 'all'], [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-  ca_honours: [
-    [1800, 2000, 'all'], [3500, 4000, 'all'], [7000, 7300, 'all'],
-    [10100, 10150, 'all'], [14000, 14350, 'all'], [18068, 18168, 'all'],
-    [21000, 21450, 'all'], [24890, 24990, 'all'], [28000, 29700, 'all'],
-    [50000, 54000, 'all'], [144000, 148000, 'all'], [420000, 450000, 'all'],
-  ],
-};
+// --- License privilege check (lib/band-plans.js, loaded as window.BandPlans) ---
+const { isOutOfPrivilege } = window.BandPlans;
 
-const SOURCE_LABELS = {
-  pota: 'POTA', sota: 'SOTA', dxc: 'DX', rbn: 'RBN',
-  wwff: 'WWFF', llota: 'LLOTA', pskr: 'FreeDV', net: 'NET',
-};
-const CW_DIGI_MODES = new Set(['CW', 'FT8', 'FT4', 'FT2', 'RTTY', 'DIGI', 'JS8', 'PSK31', 'PSK']);
-const PHONE_MODES = new Set(['SSB', 'USB', 'LSB', 'FM', 'AM']);
-
-function isOutOfPrivilege(freqKhz, mode, cls) {
-  if (!cls || cls === 'none') return false;
-  const ranges = PRIVILEGE_RANGES[cls];
-  if (!ranges) return false;
-  if (!mode) return false;
-  const modeUpper = mode.toUpperCase();
-  for (const [lower, upper, allowed] of ranges) {
-    if (freqKhz >= lower && freqKhz <= upper) {
-      if (allowed === 'all') return false;
-      if (allowed === 'cw_digi' && CW_DIGI_MODES.has(modeUpper)) return false;
-      if (allowed === 'phone' && PHONE_MODES.has(modeUpper)) return false;
+/** Fill the license pickers with every band plan, grouped by country. */
+function populateLicenseSelects() {
+  const groups = new Map();
+  for (const p of window.BandPlans.listPlans()) {
+    const g = p.group || 'Other';
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(p);
+  }
+  for (const sel of document.querySelectorAll('.license-class-select')) {
+    const current = sel.value;
+    sel.querySelectorAll('optgroup').forEach(el => el.remove());
+    for (const [label, list] of groups) {
+      const og = document.createElement('optgroup');
+      og.label = label;
+      for (const p of list) og.appendChild(new Option(p.name, p.id));
+      sel.appendChild(og);
     }
+    sel.value = current || 'none';
   }
-  return true;
 }
+populateLicenseSelects();
 
+/** Register custom plans from band-plans.json (via main) and refresh the pickers. */
+async function loadCustomBandPlans() {
+  const defs = await window.api.getCustomBandPlans();
+  if (!defs || !defs.length) return;
+  const { errors } = window.BandPlans.loadPlans(defs);
+  for (const e of errors) console.warn('[Band plans]', e);
+  populateLicenseSelects();
+  setLicenseClass.value = licenseClass;
+  if (hideOutOfBand) render();
+}
+
+const SOURCE_LABELS = {
+  pota: 'POTA', sota: 'SOTA', dxc: 'DX', rbn: 'RBN',
+  wwff: 'WWFF', llota: 'LLOTA', pskr: 'FreeDV', net: 'NET',
+};
 function formatDistance(miles) {
   if (miles == null) return '—';
   if (distUnit === 'km') return Math.round(miles * MI_TO_KM);
@@ -3697,16 +4166,34 @@ function updateMapMarkers(filtered) {
     const mapEvent = getEventForCallsign(s.callsign);
     const eventBadgeHtml = mapEvent ? ` <span style="background:${mapEvent.badgeColor || '#ff6b00'};color:#fff;font-size:10px;font-weight:bold;padding:1px 4px;border-radius:3px;">${mapEvent.badge || 'EVT'}</span>` : '';
     const wwffBadge = s.wwffReference ? ` <span style="background:${SOURCE_COLORS_ACTIVE.wwff};color:#000;font-size:10px;font-weight:bold;padding:1px 4px;border-radius:3px;">WWFF</span>` : '';
-    const wwffRefLine = s.wwffReference ? `<br><b>${s.wwffReference}</b> ${s.wwffParkName || ''} <span style="color:${SOURCE_COLORS_ACTIVE.wwff};font-size:11px;">[WWFF]</span>` : '';
+    const awardBadges = enableAwards && s.awardNeeds ? s.awardNeeds.map((n) =>
+      ` <span class="award-badge${n.scope === 'band' ? ' band' : ''}" title="${esc(awardNeedTitle(n))}">${esc(n.short)}</span>`
+    ).join('') : '';
+    const extraRefs = (s.refs || []).filter(r => r.reference !== s.reference);
+    const wwffRefLine = extraRefs.map(r =>
+      `<br><b>${esc(r.reference)}</b> ${esc(r.name)} <span style="color:${SOURCE_COLORS_ACTIVE[r.source] || SOURCE_COLORS_ACTIVE.pota};font-size:11px;">[${esc(SOURCE_LABELS[r.source] || r.source.toUpperCase())}]</span>`
+    ).join('');
+    const qsyLine = s.qsy
+      ? `<span style="color:#4fc3f7;font-size:11px;">QSY from ${s.qsy.band} ${s.qsy.mode} (${parseFloat(s.qsy.frequency).toFixed(1)}) ${formatAge(s.qsy.spotTime)} ago</span><br>`
+      : '';
+    const timelineHtml = (s.timeline && s.timeline.length > 1)
+      ? `<details class="popup-timeline"><summary>Timeline (${s.timeline.length})</summary>${s.timeline.map(e =>
+        `<div>${formatAge(e.spotTime)} &middot; ${esc(SOURCE_LABELS[e.source] || e.source)} &middot; ${parseFloat(e.frequency).toFixed(1)} ${e.mode}${e.spotter ? ' de ' + esc(e.spotter) : ''}</div>`
+      ).join('')}</details>`
+      : '';
+    const alsoSources = (s.sources || []).filter(src => src !== s.source);
+    const alsoLine = alsoSources.length > 0
+      ? `<span style="color:#b0bec5;font-size:11px;">Also spotted on ${alsoSources.map(src => esc(SOURCE_LABELS[src] || src)).join(', ')} (${s.mergedCount} spots)</span><br>`
+      : '';
     const qrzOp = qrzData.get(s.callsign.toUpperCase().split('/')[0]);
     const opName = qrzDisplayName(qrzOp);
     const opLine = opName ? `<span style="color:#b0bec5;font-size:11px;">${opName}</span><br>` : '';
     const popupContent = `
-      <b>${watched ? '\u2B50 ' : ''}<a href="#" class="popup-qrz" data-call="${s.callsign}">${s.callsign}</a></b> <span style="color:${sourceColor};font-size:11px;">[${sourceLabel}]</span>${expeditionBadge}${eventBadgeHtml}${newBadge}${wwffBadge}<br>
+      <b>${watched ? '\u2B50 ' : ''}<a href="#" class="popup-qrz" data-call="${s.callsign}">${s.callsign}</a></b> <span style="color:${sourceColor};font-size:11px;">[${sourceLabel}]</span>${expeditionBadge}${eventBadgeHtml}${newBadge}${wwffBadge}${awardBadges}<br>
       ${opLine}${parseFloat(s.frequency).toFixed(1)} kHz &middot; ${s.mode}<br>
       <b>${s.reference}</b> ${s.parkName}${wwffRefLine}<br>
-      ${distStr}<br>
-      <button class="tune-btn" data-freq="${s.frequency}" data-mode="${s.mode}" data-bearing="${s.bearing != null ? s.bearing : ''}" data-lat="${s.lat != null ? s.lat : ''}" data-lon="${s.lon != null ? s.lon : ''}" data-source="${s.source || ''}">Tune</button>${logBtnHtml}
+      ${qsyLine}${alsoLine}${distStr}<br>
+      <button class="tune-btn" data-freq="${s.frequency}" data-mode="${s.mode}" data-bearing="${s.bearing != null ? s.bearing : ''}" data-lat="${s.lat != null ? s.lat : ''}" data-lon="${s.lon != null ? s.lon : ''}" data-source="${s.source || ''}">Tune</button>${logBtnHtml}${timelineHtml}
     `;
 
     // Pin color matches source: POTA green, SOTA orange, DXC purple, etc.
@@ -3736,9 +4223,11 @@ function bindPopupClickHandlers(mapInstance) {
     const container = e.popup.getElement();
     if (!container) return;
     container.querySelectorAll('.tune-btn').forEach((btn) => {
-      btn.addEventListener('click', () => {
+      btn.addEventListener('click', (e) => {
         const b = btn.dataset.bearing;
-        window.api.tune(btn.dataset.freq, btn.dataset.mode, b ? parseInt(b, 10) : undefined);
+        const receiver = e.shiftKey && subRx ? 'B' : 'A';
+        window.api.tune(btn.dataset.freq, btn.dataset.mode, b ? parseInt(b, 10) : undefined, receiver);
+        if (receiver === 'B') return;
         const lat = parseFloat(btn.dataset.lat), lon = parseFloat(btn.dataset.lon);
         if (!isNaN(lat) && !isNaN(lon)) showTuneArc(lat, lon, btn.dataset.freq, btn.dataset.source);
         // Find matching spot in allSpots for quick respot
@@ -3746,6 +4235,22 @@ function bindPopupClickHandlers(mapInstance) {
         if (match) { lastTunedSpot = match; prefillDxCommand(match); }
       });
     });
+    // Rotator: turn to this spot's short or long path without tuning
+    const tuneBtn = container.querySelector('.tune-btn');
+    if (rotorState && tuneBtn && tuneBtn.dataset.bearing !== '' && !container.querySelector('.rotor-popup-btn')) {
+      const sp = parseInt(tuneBtn.dataset.bearing, 10);
+      const lp = (sp + 180) % 360;
+      let after = tuneBtn;
+      for (const [label, az] of [['SP', sp], ['LP', lp]]) {
+        const btn = document.createElement('button');
+        btn.className = 'rotor-popup-btn';
+        btn.textContent = `${label} ${az}\u00B0`;
+        btn.title = `Turn the antenna to the ${label === 'SP' ? 'short' : 'long'} path (${az}\u00B0)`;
+        btn.addEventListener('click', () => window.api.rotorGoto(az));
+        after.insertAdjacentElement('afterend', btn);
+        after = btn;
+      }
+    }
     container.querySelectorAll('.popup-qrz').forEach((link) => {
       link.addEventListener('click', (ev) => {
         ev.preventDefault();
@@ -3780,16 +4285,22 @@ function getScanList() {
 function startScan() {
   const list = getScanList();
   if (list.length === 0) return;
+  if (scanReceiver === 'B' && !subRx) {
+    showLogToast('Scan is set to the second receiver, but the radio has not reported one', { warn: true, duration: 4000 });
+    return;
+  }
   scanning = true;
-  // Resume from the spot matching the radio's current frequency, or start at 0
+  // Resume from the spot matching the scanning receiver's frequency, or start at 0
   scanIndex = 0;
-  if (radioFreqKhz !== null) {
-    const match = list.findIndex(s => Math.abs(parseFloat(s.frequency) - radioFreqKhz) < 1);
+  const scanFreqKhz = scanReceiver === 'B' ? Math.round(subRx.frequency / 1000) : radioFreqKhz;
+  if (scanFreqKhz !== null) {
+    const match = list.findIndex(s => Math.abs(parseFloat(s.frequency) - scanFreqKhz) < 1);
     if (match !== -1) scanIndex = match;
   }
   scanBtn.textContent = 'Stop';
-  scanBtn.title = 'Press Stop or Spacebar to stop scanning';
+  scanBtn.title = 'Press Stop or Spacebar to stop scanning' + (scanReceiver === 'B' ? ' (scanning receiver B)' : '');
   scanBtn.classList.add('scan-active');
+  updateRxStatus();
   scanStep();
 }
 
@@ -3804,6 +4315,7 @@ function stopScan() {
   scanBtn.textContent = 'Scan';
   scanBtn.title = 'Scan through spots';
   scanBtn.classList.remove('scan-active');
+  updateRxStatus();
   render();
 }
 
@@ -3831,9 +4343,11 @@ function scanStep() {
   if (scanIndex >= list.length) scanIndex = 0;
 
   const spot = list[scanIndex];
-  lastTunedSpot = spot;
-  prefillDxCommand(spot);
-  window.api.tune(spot.frequency, spot.mode, spot.bearing);
+  if (scanReceiver === 'A') {
+    lastTunedSpot = spot;
+    prefillDxCommand(spot);
+  }
+  window.api.tune(spot.frequency, spot.mode, spot.bearing, scanReceiver);
   if (spot.lat != null && spot.lon != null) showTuneArc(spot.lat, spot.lon, spot.frequency, spot.source);
   render();
 
@@ -3848,6 +4362,12 @@ scanBtn.addEventListener('click', () => {
 });
 
 document.addEventListener('keydown', (e) => {
+  // F1–F8 — CW memories while the CW message bar is up (even from the log fields)
+  if (/^F[1-8]$/.test(e.key) && !cwMsgBar.classList.contains('hidden') && !document.querySelector('dialog[open]:not(#log-dialog)')) {
+    e.preventDefault();
+    sendCwMemory(parseInt(e.key.slice(1), 10) - 1);
+    return;
+  }
   // F1 — Hotkeys help
   if (e.key === 'F1' && !e.target.matches('input, select, textarea')) {
     e.preventDefault();
@@ -3907,6 +4427,7 @@ document.addEventListener('keydown', (e) => {
     const spot = filtered[idx];
     lastTunedSpot = spot;
     prefillDxCommand(spot);
+    wsjtxFollowSpot(spot);
     window.api.tune(spot.frequency, spot.mode, spot.bearing);
     if (spot.lat != null && spot.lon != null) showTuneArc(spot.lat, spot.lon, spot.frequency, spot.source);
     render();
@@ -4397,11 +4918,11 @@ window.api.onActmapPopoutStatus((open) => {
 
 // --- View Toggle ---
 // Table and Map are toggleable (both can be active = split view).
-// RBN and DXCC are exclusive views that hide the split container.
+// RBN, DXCC and Awards are exclusive views that hide the split container.
 
 function setView(view) {
-  // Called for exclusive views (rbn, dxcc) or to force a specific state
-  if (view === 'rbn' || view === 'dxcc') {
+  // Called for exclusive views (rbn, dxcc, awards) or to force a specific state
+  if (view === 'rbn' || view === 'dxcc' || view === 'awards') {
     currentView = view;
     showTable = false;
     showMap = false;
@@ -4420,6 +4941,7 @@ function setView(view) {
 function updateViewLayout() {
   // Hide exclusive views
   dxccView.classList.add('hidden');
+  awardsView.classList.add('hidden');
   rbnView.classList.add('hidden');
 
   // Deactivate all view buttons
@@ -4436,6 +4958,15 @@ function updateViewLayout() {
     return;
   }
 
+  if (currentView === 'awards') {
+    splitContainerEl.classList.add('hidden');
+    awardsView.classList.remove('hidden');
+    renderAwards();
+    updateParksStatsOverlay();
+    saveViewState();
+    return;
+  }
+
   if (currentView === 'rbn') {
     splitContainerEl.classList.add('hidden');
     rbnView.classList.remove('hidden');
@@ -4503,7 +5034,7 @@ function saveViewState() {
 }
 
 viewTableBtn.addEventListener('click', () => {
-  if (currentView === 'rbn' || currentView === 'dxcc') {
+  if (currentView === 'rbn' || currentView === 'dxcc' || currentView === 'awards') {
     // Switching from exclusive view → table only
     currentView = 'table';
     showTable = true;
@@ -4533,7 +5064,7 @@ viewMapBtn.addEventListener('click', () => {
     window.api.popoutMapOpen(); // focuses existing window
     return;
   }
-  if (currentView === 'rbn' || currentView === 'dxcc') {
+  if (currentView === 'rbn' || currentView === 'dxcc' || currentView === 'awards') {
     // Switching from exclusive view → map only
     currentView = 'map';
     showTable = false;
@@ -4569,6 +5100,16 @@ dxccBoardBtn.addEventListener('click', () => {
   document.getElementById('spots-dropdown').classList.remove('open');
   setView('dxcc');
 });
+awardsBoardBtn.addEventListener('click', () => {
+  if (!enableAwards) {
+    enableAwards = true;
+    spotsAwards.checked = true;
+    setEnableAwards.checked = true;
+    window.api.saveSettings({ enableAwards: true });
+  }
+  document.getElementById('spots-dropdown').classList.remove('open');
+  setView('awards');
+});
 
 // --- Pop-out map ---
 popoutMapBtn.addEventListener('click', () => {
@@ -4791,6 +5332,125 @@ function renderDxccMatrix() {
   dxccMatrixBody.appendChild(fragment);
 }
 
+// --- Award Tracker ---
+// Summaries come from main (lib/awards.js). Each credit value carries
+// { worked: { band: [modeClass] }, confirmed: { ... } }.
+
+const awardsSelectEl = document.getElementById('awards-select');
+const awardsBandSelectEl = document.getElementById('awards-band-select');
+const awardsModeSelectEl = document.getElementById('awards-mode-select');
+const awardsConfirmedOnlyEl = document.getElementById('awards-confirmed-only');
+const awardsCountEl = document.getElementById('awards-count');
+const awardsAwardLabelEl = document.getElementById('awards-award-label');
+const awardsNextEl = document.getElementById('awards-next');
+const awardsBody = document.getElementById('awards-body');
+const awardsPlaceholder = document.getElementById('awards-placeholder');
+const AWARDS_FILTER_KEY = 'pota-cat-awards-filter';
+
+let awardsFilter = { award: 'was', band: 'all', mode: 'all', confirmedOnly: false };
+try {
+  awardsFilter = { ...awardsFilter, ...JSON.parse(localStorage.getItem(AWARDS_FILTER_KEY)) };
+} catch (e) { /* ignore */ }
+awardsModeSelectEl.value = awardsFilter.mode;
+awardsConfirmedOnlyEl.checked = awardsFilter.confirmedOnly;
+
+function onAwardsFilterChange() {
+  awardsFilter = {
+    award: awardsSelectEl.value,
+    band: awardsBandSelectEl.value,
+    mode: awardsModeSelectEl.value,
+    confirmedOnly: awardsConfirmedOnlyEl.checked,
+  };
+  localStorage.setItem(AWARDS_FILTER_KEY, JSON.stringify(awardsFilter));
+  if (currentView === 'awards') renderAwards();
+}
+awardsSelectEl.addEventListener('change', onAwardsFilterChange);
+awardsBandSelectEl.addEventListener('change', onAwardsFilterChange);
+awardsModeSelectEl.addEventListener('change', onAwardsFilterChange);
+awardsConfirmedOnlyEl.addEventListener('change', onAwardsFilterChange);
+
+/** Bands in a worked/confirmed map that pass the band and mode filters. */
+function awardBandsMatching(bandMap, band, mode) {
+  return Object.keys(bandMap || {}).filter((b) =>
+    (band === 'all' || b === band) && (mode === 'all' || bandMap[b].includes(mode)));
+}
+
+function fillAwardsSelects(award) {
+  const ids = awardsData.map((a) => a.id).join(',');
+  if (awardsSelectEl.dataset.ids !== ids) {
+    awardsSelectEl.innerHTML = '';
+    for (const a of awardsData) awardsSelectEl.appendChild(new Option(a.name, a.id));
+    awardsSelectEl.dataset.ids = ids;
+  }
+  awardsSelectEl.value = award.id;
+  if (awardsBandSelectEl.dataset.award !== award.id) {
+    awardsBandSelectEl.innerHTML = '';
+    awardsBandSelectEl.appendChild(new Option('All Bands', 'all'));
+    for (const b of award.bands || DXCC_BANDS) awardsBandSelectEl.appendChild(new Option(b, b));
+    awardsBandSelectEl.dataset.award = award.id;
+  }
+  const bands = award.bands || DXCC_BANDS;
+  awardsBandSelectEl.value = bands.includes(awardsFilter.band) ? awardsFilter.band : 'all';
+}
+
+function renderAwards() {
+  if (!awardsData || !awardsData.length) {
+    awardsBody.innerHTML = '';
+    awardsPlaceholder.classList.remove('hidden');
+    awardsCountEl.textContent = '0';
+    awardsAwardLabelEl.textContent = '';
+    awardsNextEl.textContent = '';
+    return;
+  }
+  const award = awardsData.find((a) => a.id === awardsFilter.award) || awardsData[0];
+  fillAwardsSelects(award);
+  const band = awardsBandSelectEl.value;
+  const mode = awardsModeSelectEl.value;
+  const confirmedOnly = awardsConfirmedOnlyEl.checked && award.needsConfirmation;
+  awardsPlaceholder.classList.toggle('hidden', Object.keys(award.credits).length > 0 || !!award.values);
+
+  // Fixed lists (states, zones, continents) keep their order and show what's
+  // missing; open-ended ones (prefixes, grids, parks) list what's been worked
+  const values = award.values || Object.keys(award.credits).sort();
+  let count = 0;
+  const fragment = document.createDocumentFragment();
+  for (const value of values) {
+    const c = award.credits[value] || { worked: {}, confirmed: {} };
+    const worked = awardBandsMatching(c.worked, band, mode);
+    const confirmed = awardBandsMatching(c.confirmed, band, mode);
+    const counts = confirmedOnly ? confirmed.length > 0 : worked.length > 0;
+    if (counts) count++;
+    if (!award.values && !worked.length) continue;
+
+    const tr = document.createElement('tr');
+    if (!counts) tr.classList.add('dxcc-unworked');
+    const valueTd = document.createElement('td');
+    valueTd.textContent = counts ? '\u2713 ' + value : value;
+    tr.appendChild(valueTd);
+    const workedTd = document.createElement('td');
+    workedTd.textContent = worked.join(' ');
+    tr.appendChild(workedTd);
+    const confTd = document.createElement('td');
+    confTd.textContent = award.needsConfirmation ? confirmed.join(' ') : '\u2014';
+    if (confirmed.length) confTd.classList.add('dxcc-confirmed');
+    tr.appendChild(confTd);
+    fragment.appendChild(tr);
+  }
+  awardsBody.innerHTML = '';
+  awardsBody.appendChild(fragment);
+
+  const goal = award.target || (award.values ? award.values.length : 0);
+  awardsCountEl.textContent = goal ? `${count} / ${goal}` : String(count);
+  awardsAwardLabelEl.textContent = goal && count >= goal ? `${award.short}!` : '';
+  const next = (award.tiers || []).find((t) => t > count);
+  awardsNextEl.textContent = next ? `Next: ${next}` : '';
+}
+
+/** Tooltip for one award need on a spot. */
+function awardNeedTitle(n) {
+  return n.scope === 'band' ? `New band for ${n.short}: ${n.value}` : `New ${n.short} credit: ${n.value}`;
+}
+
 // --- Rendering ---
 function render() {
   const filtered = sortSpots(getFiltered());
@@ -4859,18 +5519,29 @@ function render() {
       if (isSkipped) {
         tr.classList.add('scan-skipped');
       }
+      // Not re-spotted recently — activator may have gone QRT
+      const isStale = staleSpotMin > 0 && s.source !== 'net' && spotAgeSecs(s.lastSpotTime || s.spotTime) > staleSpotMin * 60;
+      if (isStale) {
+        tr.classList.add('spot-stale');
+      }
 
       // WSJT-X decode indicator — show if this activator was recently decoded
-      const wsjtxDecode = enableWsjtx && wsjtxDecodes.find(d => d.isPota && d.dxCall && d.dxCall.toUpperCase() === s.callsign.toUpperCase());
+      const wsjtxDecode = enableWsjtx && wsjtxDecodes.findLast(d => d.isPota && d.dxCall && d.dxCall.toUpperCase() === s.callsign.toUpperCase());
       if (wsjtxDecode) {
         tr.classList.add('wsjtx-heard');
       }
 
-      tr.addEventListener('click', () => {
-        if (scanning) stopScan(); // clicking a row stops scan
-        lastTunedSpot = s;
-        prefillDxCommand(s);
-        window.api.tune(s.frequency, s.mode, s.bearing);
+      tr.addEventListener('click', (e) => {
+        // Shift+click tunes the second receiver (sub VFO / other slice)
+        const receiver = e.shiftKey && subRx ? 'B' : 'A';
+        // Clicking a row stops scan, unless scan runs on the other receiver
+        if (scanning && receiver === scanReceiver) stopScan();
+        if (receiver === 'A') {
+          lastTunedSpot = s;
+          prefillDxCommand(s);
+          wsjtxFollowSpot(s);
+        }
+        window.api.tune(s.frequency, s.mode, s.bearing, receiver);
         if (s.lat != null && s.lon != null) showTuneArc(s.lat, s.lon, s.frequency, s.source);
         render(); // highlight the clicked row immediately
       });
@@ -4967,6 +5638,57 @@ function render() {
         evBadge.textContent = matchedEvent.badge || 'EVT';
         callTd.appendChild(evBadge);
       }
+      // Award credits this spot would add (computed in main)
+      if (enableAwards && s.awardNeeds) {
+        for (const n of s.awardNeeds) {
+          const awBadge = document.createElement('span');
+          awBadge.className = n.scope === 'band' ? 'award-badge band' : 'award-badge';
+          awBadge.title = awardNeedTitle(n);
+          awBadge.textContent = n.short;
+          callTd.appendChild(awBadge);
+        }
+      }
+      // QSY / mode change flags from the activator's timeline
+      if (s.qsy) {
+        const qsyBadge = document.createElement('span');
+        qsyBadge.className = 'qsy-badge';
+        qsyBadge.textContent = 'QSY';
+        qsyBadge.title = `Moved from ${s.qsy.band || parseFloat(s.qsy.frequency).toFixed(1)} ${s.qsy.mode || ''} (${parseFloat(s.qsy.frequency).toFixed(1)}) ${formatAge(s.qsy.spotTime)} ago`.replace(/\s+/g, ' ');
+        callTd.appendChild(qsyBadge);
+      }
+      if (s.modeChange) {
+        const modeBadge = document.createElement('span');
+        modeBadge.className = 'qsy-badge mode-change-badge';
+        modeBadge.textContent = s.modeChange.from + '\u2192' + (s.mode || '');
+        modeBadge.title = `Changed mode from ${s.modeChange.from} ${formatAge(s.modeChange.spotTime)} ago`;
+        callTd.appendChild(modeBadge);
+      }
+      // Which WSJT-X instance heard them; click to reply from that instance
+      if (wsjtxDecode) {
+        const heardBadge = document.createElement('span');
+        heardBadge.className = 'qsy-badge wsjtx-badge';
+        heardBadge.textContent = wsjtxDecode.instance || wsjtxDecode.mode || 'FT8';
+        heardBadge.title = `Heard in ${wsjtxDecode.id}: ${wsjtxDecode.message} (${wsjtxDecode.snr} dB)\nClick to reply`;
+        heardBadge.addEventListener('click', (e) => {
+          e.stopPropagation();
+          window.api.wsjtxReply(wsjtxDecode);
+        });
+        callTd.appendChild(heardBadge);
+      }
+      if (s.timeline && s.timeline.length > 1) {
+        const tlKey = s.callsign.toUpperCase() + '_' + s.frequency;
+        const tlToggle = document.createElement('button');
+        tlToggle.className = 'timeline-toggle';
+        tlToggle.textContent = expandedTimelines.has(tlKey) ? '\u25BE' : '\u25B8';
+        tlToggle.title = `Spot timeline (${s.timeline.length})`;
+        tlToggle.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (expandedTimelines.has(tlKey)) expandedTimelines.delete(tlKey);
+          else expandedTimelines.add(tlKey);
+          render();
+        });
+        callTd.appendChild(tlToggle);
+      }
       cellMap.set('callsign', callTd);
 
       // Operator name cell (from QRZ lookup)
@@ -4989,17 +5711,30 @@ function render() {
       freqTd.appendChild(freqLink);
       cellMap.set('frequency', freqTd);
 
-      // Build reference display — dual-park shows both refs
-      const refDisplay = s.wwffReference ? s.reference + ' / ' + s.wwffReference : s.reference;
-      const parkDisplay = s.wwffReference ? s.parkName : s.parkName;
+      // Build reference display — merged rows show every program reference
+      const refDisplay = (s.refs && s.refs.length > 1)
+        ? s.refs.map(r => r.reference).join(' / ')
+        : s.reference;
+      const parkDisplay = s.parkName;
 
-      // Source badge cell
+      // Source badge cell — primary source, plus small badges for the other
+      // sources that spotted the same signal
       const sourceTd = document.createElement('td');
       sourceTd.setAttribute('data-col', 'source');
       const sourceBadge = document.createElement('span');
       sourceBadge.className = 'source-badge source-badge-' + (s.source || 'pota');
       sourceBadge.textContent = SOURCE_LABELS[s.source] || s.source || '';
       sourceTd.appendChild(sourceBadge);
+      if (s.sources && s.sources.length > 1) {
+        for (const src of s.sources) {
+          if (src === s.source) continue;
+          const extra = document.createElement('span');
+          extra.className = 'source-badge source-badge-mini source-badge-' + src;
+          extra.textContent = SOURCE_LABELS[src] || src;
+          sourceTd.appendChild(extra);
+        }
+        sourceTd.title = spotHistoryTitle(s);
+      }
       cellMap.set('source', sourceTd);
 
       const cells = [
@@ -5020,6 +5755,7 @@ function render() {
         if (cell.col) td.setAttribute('data-col', cell.col);
         if (cell.cls) td.className = cell.cls;
         if (cell.col === 'comments' && cell.val) td.title = cell.val;
+        if (cell.col === 'spotTime' && isStale) td.title = `Not re-spotted for ${formatAge(s.lastSpotTime || s.spotTime)}`;
         if (cell.newPark) {
           const nb = document.createElement('span');
           nb.textContent = 'NEW';
@@ -5062,6 +5798,10 @@ function render() {
       }
 
       tbody.appendChild(tr);
+
+      if (s.timeline && expandedTimelines.has(s.callsign.toUpperCase() + '_' + s.frequency)) {
+        tbody.appendChild(buildTimelineRow(s, tr.children.length));
+      }
     }
 
     // Auto-scroll to the row being scanned so it stays visible
@@ -5104,6 +5844,51 @@ function formatAge(isoStr) {
   }
 }
 
+// Expanded timeline row shown under a spot: newest first, QSYs highlighted
+function buildTimelineRow(s, colSpan) {
+  const tr = document.createElement('tr');
+  tr.className = 'timeline-row';
+  const td = document.createElement('td');
+  td.colSpan = colSpan;
+  const list = document.createElement('div');
+  list.className = 'spot-timeline';
+  s.timeline.forEach((e, i) => {
+    // Timeline is newest first, so the entry before this one in time is i + 1
+    const older = s.timeline[i + 1];
+    const moved = older && Math.abs(e.frequency - older.frequency) > 3;
+    const item = document.createElement('div');
+    item.className = 'spot-timeline-item' + (moved ? ' qsy' : '');
+    const parts = [
+      formatAge(e.spotTime) + ' ago',
+      SOURCE_LABELS[e.source] || e.source,
+      parseFloat(e.frequency).toFixed(1),
+      e.mode,
+      e.reference,
+      e.spotter ? 'de ' + e.spotter : '',
+      e.comments,
+    ].filter(Boolean);
+    item.textContent = parts.join('  \u00B7  ');
+    list.appendChild(item);
+  });
+  td.appendChild(list);
+  tr.appendChild(td);
+  tr.addEventListener('click', (e) => e.stopPropagation());
+  return tr;
+}
+
+// Tooltip for a merged row: newest-first list of the spots it was built from
+function spotHistoryTitle(s) {
+  if (!s.history || s.history.length === 0) return '';
+  return s.history.map(h => {
+    const parts = [formatAge(h.spotTime).padEnd(6), (SOURCE_LABELS[h.source] || h.source).padEnd(6), parseFloat(h.frequency).toFixed(1)];
+    if (h.mode) parts.push(h.mode);
+    if (h.reference) parts.push(h.reference);
+    if (h.spotter) parts.push('de ' + h.spotter);
+    if (h.snr != null) parts.push(h.snr + ' dB');
+    return parts.join('  ');
+  }).join('\n');
+}
+
 // --- QSO Logging ---
 const CW_DIGI_MODES_SET = new Set(['CW', 'FT8', 'FT4', 'FT2', 'RTTY', 'DIGI', 'JS8', 'PSK31', 'PSK']);
 
@@ -5446,13 +6231,18 @@ logSaveBtn.addEventListener('click', async () => {
     const displayCalls = callsigns.join(', ');
     if (lastResult && lastResult.success) {
       logDialog.close();
+      const retryNote = (key) => ((lastResult.retrying || []).includes(key) ? ' — will retry (see Outbox)' : '');
       if (lastResult.logbookError) {
         const friendly = lastResult.logbookError.includes('ECONNREFUSED')
           ? 'Could not reach logbook — is it running and configured correctly?'
           : lastResult.logbookError;
-        showLogToast(`Logged ${displayCalls} to ADIF, but logbook forwarding failed: ${friendly}`, { warn: true, duration: 8000 });
+        showLogToast(`Logged ${displayCalls} to ADIF, but logbook forwarding failed: ${friendly}${retryNote('logbookError')}`, { warn: true, duration: 8000 });
       } else if (lastResult.respotError) {
-        showLogToast(`Logged ${displayCalls} to ADIF, but POTA re-spot failed: ${lastResult.respotError}`, { warn: true, duration: 8000 });
+        showLogToast(`Logged ${displayCalls} to ADIF, but POTA re-spot failed: ${lastResult.respotError}${retryNote('respotError')}`, { warn: true, duration: 8000 });
+      } else if (lastResult.qrzError || lastResult.sotaError) {
+        const key = lastResult.qrzError ? 'qrzError' : 'sotaError';
+        const what = lastResult.qrzError ? 'QRZ Logbook upload' : 'SOTAdata upload';
+        showLogToast(`Logged ${displayCalls} to ADIF, but ${what} failed: ${lastResult[key]}${retryNote(key)}`, { warn: true, duration: 8000 });
       } else if (lastResult.resposted) {
         const sources = logTargets.filter(t => respotCheckbox.checked).map(t => RESPOT_NAMES[t]).join(' & ');
         showLogToast(`Logged ${displayCalls} — re-spotted on ${sources || 'POTA'}`);
@@ -5558,6 +6348,58 @@ function checkQsoMilestone() {
   }
 }
 
+// --- Custom spot sources (spot-sources.json) ---
+function isCustomSource(id) {
+  return customSources.some(src => src.id === id);
+}
+
+function isCustomSourceEnabled(id) {
+  if (id in enabledSources) return !!enabledSources[id];
+  const src = customSources.find(c => c.id === id);
+  return src ? src.enabled : false;
+}
+
+/** Fetch registered spot sources from main and add toggles/colors for the non built-in ones */
+async function loadSpotSources() {
+  const list = await window.api.getSpotSources();
+  customSources = list.filter(src => !src.builtin);
+  spotsCustomSources.innerHTML = '';
+  let css = '';
+  for (const src of customSources) {
+    SOURCE_LABELS[src.id] = src.label;
+    SOURCE_COLORS_NORMAL[src.id] = SOURCE_COLORS_CB[src.id] = SOURCE_COLORS_WCAG[src.id] = src.color;
+    SOURCE_STROKES_NORMAL[src.id] = SOURCE_STROKES_CB[src.id] = SOURCE_STROKES_WCAG[src.id] = src.color;
+    SOURCE_COLORS_ACTIVE[src.id] = src.color;
+    SOURCE_STROKES_ACTIVE[src.id] = src.color;
+    document.documentElement.style.setProperty('--source-' + src.id, src.color);
+    css += `.source-badge-${src.id} { background: var(--source-${src.id}); color: #000; }\n`;
+
+    const label = document.createElement('label');
+    label.className = 'spots-toggle';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.dataset.source = src.id;
+    cb.checked = isCustomSourceEnabled(src.id);
+    const span = document.createElement('span');
+    span.style.color = src.color;
+    span.textContent = src.label;
+    const health = document.createElement('span');
+    health.className = 'source-health';
+    health.dataset.source = src.id;
+    label.append(cb, ' ', span, health);
+    spotsCustomSources.appendChild(label);
+  }
+  let styleEl = document.getElementById('custom-source-styles');
+  if (!styleEl) {
+    styleEl = document.createElement('style');
+    styleEl.id = 'custom-source-styles';
+    document.head.appendChild(styleEl);
+  }
+  styleEl.textContent = css;
+  rebuildSourceIcons();
+  render();
+}
+
 // --- Events ---
 // Band/mode dropdowns already wired via initMultiDropdown()
 // --- Spots dropdown panel ---
@@ -5576,6 +6418,9 @@ function syncSpotsPanel() {
   spotsSota.checked = enableSota;
   spotsWwff.checked = enableWwff;
   spotsLlota.checked = enableLlota;
+  for (const cb of spotsCustomSources.querySelectorAll('input[data-source]')) {
+    cb.checked = isCustomSourceEnabled(cb.dataset.source);
+  }
   spotsCluster.checked = enableCluster;
   spotsRbn.checked = enableRbn;
   spotsPskr.checked = enablePskr;
@@ -5584,16 +6429,22 @@ function syncSpotsPanel() {
   spotsHideParks.checked = hideWorkedParks;
   spotsHideOob.checked = hideOutOfBand;
   spotsDxcc.checked = enableDxcc;
+  spotsAwards.checked = enableAwards;
   spotsHideParksLabel.classList.toggle('hidden', workedParksSet.size === 0);
 }
 
 document.querySelector('.spots-dropdown-panel').addEventListener('click', (e) => e.stopPropagation());
 
 document.querySelector('.spots-dropdown-panel').addEventListener('change', async (e) => {
+  if (e.target.id === 'spot-replay-speed') return; // replay control, not a setting
   enablePota = spotsPota.checked;
   enableSota = spotsSota.checked;
   enableWwff = spotsWwff.checked;
   enableLlota = spotsLlota.checked;
+  enabledSources = { ...enabledSources };
+  for (const cb of spotsCustomSources.querySelectorAll('input[data-source]')) {
+    enabledSources[cb.dataset.source] = cb.checked;
+  }
   enableCluster = spotsCluster.checked;
   enableRbn = spotsRbn.checked;
   enablePskr = spotsPskr.checked;
@@ -5614,6 +6465,7 @@ document.querySelector('.spots-dropdown-panel').addEventListener('change', async
   hideWorkedParks = spotsHideParks.checked;
   hideOutOfBand = spotsHideOob.checked;
   enableDxcc = spotsDxcc.checked;
+  enableAwards = spotsAwards.checked;
 
   // Sync Settings dialog checkboxes
   setEnablePota.checked = enablePota;
@@ -5628,22 +6480,71 @@ document.querySelector('.spots-dropdown-panel').addEventListener('change', async
   quickHideWorkedParks.checked = hideWorkedParks;
   setHideOutOfBand.checked = hideOutOfBand;
   setEnableDxcc.checked = enableDxcc;
+  setEnableAwards.checked = enableAwards;
 
   updateRbnButton();
   updateDxccButton();
+  updateAwardsButton();
   updateDxCommandBar();
 
   // Save and let main process handle connect/disconnect
   await window.api.saveSettings({
-    enablePota, enableSota, enableWwff, enableLlota,
+    enablePota, enableSota, enableWwff, enableLlota, enabledSources,
     enableCluster, enableRbn, enablePskr, enableDxe,
     hideWorked, hideWorkedParks, hideOutOfBand,
-    enableDxcc,
+    enableDxcc, enableAwards,
   });
 
   render();
 });
 
+// --- Spot session Record & Replay ---
+const spotRecordBtn = document.getElementById('spot-record-btn');
+const spotReplayBtn = document.getElementById('spot-replay-btn');
+const spotReplaySpeed = document.getElementById('spot-replay-speed');
+const spotSessionStatusEl = document.getElementById('spot-session-status');
+let spotSession = { recording: false, replayActive: false };
+
+function renderSpotSessionStatus(st) {
+  if (!st || st.error) {
+    if (st && st.error) alert(st.error);
+    return;
+  }
+  spotSession = st;
+  spotRecordBtn.textContent = st.recording ? 'Stop Rec' : 'Record';
+  spotRecordBtn.disabled = st.replayActive;
+  spotReplayBtn.textContent = st.replayActive ? 'Go Live' : 'Replay\u2026';
+  let text = '';
+  if (st.recording) {
+    text = `\u25CF Recording \u2014 ${st.recordCount} records`;
+  } else if (st.replayActive && st.replay) {
+    const name = st.replay.filePath.split(/[\\/]/).pop();
+    const when = st.replay.recordedAt ? new Date(st.replay.recordedAt).toISOString().slice(11, 16) + 'z' : '';
+    text = st.replaying
+      ? `\u25B6 ${name} ${when} (${st.replay.index}/${st.replay.total}, ${st.replay.speed}x)`
+      : `Replay finished \u2014 ${name}`;
+  }
+  spotSessionStatusEl.textContent = text;
+  spotSessionStatusEl.classList.toggle('hidden', !text);
+  spotSessionStatusEl.classList.toggle('active', st.recording || st.replaying);
+  spotsBtn.classList.toggle('replay-active', st.replayActive);
+}
+
+spotRecordBtn.addEventListener('click', async () => {
+  renderSpotSessionStatus(spotSession.recording
+    ? await window.api.stopSpotRecording()
+    : await window.api.startSpotRecording());
+});
+
+spotReplayBtn.addEventListener('click', async () => {
+  renderSpotSessionStatus(spotSession.replayActive
+    ? await window.api.stopSpotReplay()
+    : await window.api.startSpotReplay(spotReplaySpeed.value));
+});
+
+window.api.onSpotSessionStatus(renderSpotSessionStatus);
+window.api.getSpotSessionStatus().then(renderSpotSessionStatus);
+
 // Column sorting
 document.querySelectorAll('thead th[data-sort]').forEach((th) => {
   th.addEventListener('click', () => {
@@ -5723,7 +6624,7 @@ quickHideWorkedParks.addEventListener('change', async () => {
   await window.api.saveSettings({ hideWorkedParks });
 });
 
-// PSTRotator quick toggle — visible once rotor has been enabled in settings
+// Rotator quick toggle — visible once rotor has been enabled in settings
 const quickRotor = document.getElementById('quick-rotor');
 const quickRotorLabel = document.getElementById('quick-rotor-label');
 const quickRotorDivider = document.getElementById('quick-rotor-divider');
@@ -5875,8 +6776,10 @@ async function openSettingsDialog() {
   setDistUnit.value = s.distUnit || 'mi';
   setMaxAge.value = s.maxAgeMin || 5;
   setSotaMaxAge.value = s.sotaMaxAge || 30;
+  setStaleSpot.value = s.staleSpotMin != null ? s.staleSpotMin : 10;
   setRefreshInterval.value = s.refreshInterval || 30;
   setScanDwell.value = s.scanDwell || 7;
+  setScanReceiver.value = s.scanReceiver === 'B' ? 'B' : 'A';
   setCwXit.value = s.cwXit || 0;
   setCwFilter.value = s.cwFilterWidth || 0;
   setSsbFilter.value = s.ssbFilterWidth || 0;
@@ -5891,14 +6794,30 @@ async function openSettingsDialog() {
   setTuneClick.checked = s.tuneClick === true;
   setEnableRotor.checked = s.enableRotor === true;
   if (s.enableRotor) rotorConfigured = true;
+  setRotorType.value = s.rotorType || 'pstrotator';
   setRotorHost.value = s.rotorHost || '127.0.0.1';
-  setRotorPort.value = s.rotorPort || 12040;
+  setRotorPort.value = s.rotorPort || ROTOR_DEFAULT_PORTS[setRotorType.value] || '';
+  setRotorSerialPort.value = s.rotorSerialPort || '';
+  setRotorBaud.value = String(s.rotorBaudRate || 9600);
+  setRotorBeamwidth.value = s.rotorBeamwidth || 60;
   rotorConfig.classList.toggle('hidden', !s.enableRotor);
-  setEnableAg.checked = s.enableAntennaGenius === true;
+  updateRotorTypeFields();
+  setEnableAntSw.checked = s.enableAntennaSwitch === true;
+  setAntSwType.value = s.antennaSwitchType || 'ag';
   setAgHost.value = s.agHost || '';
   setAgRadioPort.value = s.agRadioPort || '1';
+  setRelayProtocol.value = s.relayProtocol || 'tcp';
+  setRelayHost.value = s.relayHost || '';
+  setRelayPort.value = s.relayPort || '';
+  setDecoderSerialPort.value = s.decoderSerialPort || '';
+  setDecoderBaud.value = String(s.decoderBaudRate || 9600);
+  setDecoderOutput.value = s.decoderOutput || 'pins';
+  setAntSwCommand.value = s.antennaSwitchCommand || 'ANT {n}\\r\\n';
+  setAntennaNames.value = (s.antennaNames || []).join(', ');
   buildAgBandMap(s.agBandMap || {});
-  agConfig.classList.toggle('hidden', !s.enableAntennaGenius);
+  buildAntennaRules(s.antennaRules || []);
+  antSwConfig.classList.toggle('hidden', !s.enableAntennaSwitch);
+  updateAntSwTypeFields();
   setEnableSplit.checked = s.enableSplit === true;
   setEnableAtu.checked = s.enableAtu === true;
   setVerboseLog.checked = s.verboseLog === true;
@@ -5973,9 +6892,13 @@ async function openSettingsDialog() {
   rbnConfig.classList.toggle('hidden', !s.enableRbn);
   setEnableWsjtx.checked = s.enableWsjtx === true;
   setWsjtxPort.value = s.wsjtxPort || 2237;
+  setWsjtxMulticast.value = s.wsjtxMulticastGroup || '';
   setWsjtxHighlight.checked = s.wsjtxHighlight !== false;
   setWsjtxAutoLog.checked = s.wsjtxAutoLog === true;
   wsjtxConfig.classList.toggle('hidden', !s.enableWsjtx);
+  setEnableFt8Hunter.checked = s.enableFt8Hunter === true;
+  ft8HunterConfig.classList.toggle('hidden', !s.enableFt8Hunter);
+  loadFt8HunterRules(s.ft8HunterRules || {});
   setEnablePskr.checked = s.enablePskr === true;
   pskrConfig.classList.toggle('hidden', !s.enablePskr);
   setEnableLogging.checked = s.enableLogging === true;
@@ -6007,10 +6930,26 @@ async function openSettingsDialog() {
   splitOrientationConfig.classList.toggle('hidden', !setEnableSplitView.checked);
   document.getElementById('set-split-orientation').value = s.splitOrientation || 'horizontal';
   setEnableDxcc.checked = s.enableDxcc === true;
+  setEnableAwards.checked = s.enableAwards === true;
   setSotaUpload.checked = s.sotaUpload === true;
   setSotaUsername.value = s.sotaUsername || '';
   setSotaPassword.value = s.sotaPassword || '';
   sotaUploadConfig.classList.toggle('hidden', !s.sotaUpload);
+  setLotwSync.checked = s.lotwSync === true;
+  document.getElementById('set-lotw-username').value = s.lotwUsername || '';
+  document.getElementById('set-lotw-password').value = s.lotwPassword || '';
+  setEqslSync.checked = s.eqslSync === true;
+  document.getElementById('set-eqsl-username').value = s.eqslUsername || '';
+  document.getElementById('set-eqsl-password').value = s.eqslPassword || '';
+  document.getElementById('set-eqsl-qth-nickname').value = s.eqslQthNickname || '';
+  setClublogSync.checked = s.clublogSync === true;
+  document.getElementById('set-clublog-email').value = s.clublogEmail || '';
+  document.getElementById('set-clublog-password').value = s.clublogPassword || '';
+  document.getElementById('set-clublog-callsign').value = s.clublogCallsign || '';
+  document.getElementById('set-clublog-api-key').value = s.clublogApiKey || '';
+  document.getElementById('set-qsl-sync-hours').value = s.qslSyncHours || 6;
+  updateQslSyncFields();
+  window.api.getQslSyncStatus().then(updateQslSyncStatus);
   setPotaParksPath.value = s.potaParksPath || '';
   potaParksClearBtn.style.display = s.potaParksPath ? '' : 'none';
   setHideWorkedParks.checked = s.hideWorkedParks === true;
@@ -6041,6 +6980,14 @@ async function openSettingsDialog() {
       connectMidiDevice(setCwMidiDevice.value);
     });
   }
+  // CW message keyer
+  setEnableCwMessages.checked = s.enableCwMessages === true;
+  setCwOutput.value = s.cwOutput || 'rig';
+  cwMessagesConfig.classList.toggle('hidden', !s.enableCwMessages);
+  cwKeyPortRow.classList.toggle('hidden', setCwOutput.value === 'rig');
+  renderCwMemoryEditor(s.cwMemories || DEFAULT_CW_MEMORIES);
+  loadCwKeyPorts(s.cwKeyPort || '');
+  setEnableCwDecoder.checked = s.enableCwDecoder === true;
   // ECHOCAT
   enableRemote = s.enableRemote === true;
   setEnableRemote.checked = enableRemote;
@@ -6095,8 +7042,11 @@ settingsSave.addEventListener('click', async () => {
   const watchlistRaw = setWatchlist.value.trim();
   const maxAgeVal = parseInt(setMaxAge.value, 10) || 5;
   const sotaMaxAgeVal = parseInt(setSotaMaxAge.value, 10) || 30;
+  const staleSpotParsed = parseInt(setStaleSpot.value, 10);
+  const staleSpotVal = isNaN(staleSpotParsed) ? 10 : Math.max(0, staleSpotParsed);
   const refreshIntervalVal = Math.max(15, parseInt(setRefreshInterval.value, 10) || 30);
   const dwellVal = parseInt(setScanDwell.value, 10) || 7;
+  const scanReceiverVal = setScanReceiver.value === 'B' ? 'B' : 'A';
   const cwXitVal = parseInt(setCwXit.value, 10) || 0;
   const cwFilterVal = parseInt(setCwFilter.value, 10) || 0;
   const ssbFilterVal = parseInt(setSsbFilter.value, 10) || 0;
@@ -6139,6 +7089,7 @@ settingsSave.addEventListener('click', async () => {
   clusterTerminalBtn.classList.toggle('hidden', !clusterTerminalEnabled);
   const wsjtxEnabled = setEnableWsjtx.checked;
   const wsjtxPortVal = parseInt(setWsjtxPort.value, 10) || 2237;
+  const wsjtxMulticastVal = setWsjtxMulticast.value.trim();
   const wsjtxHighlightEnabled = setWsjtxHighlight.checked;
   const wsjtxAutoLogEnabled = setWsjtxAutoLog.checked;
   const colorblindEnabled = setColorblind.checked;
@@ -6150,6 +7101,7 @@ settingsSave.addEventListener('click', async () => {
   const enableSplitViewVal = setEnableSplitView.checked;
   const splitOrientationVal = document.getElementById('set-split-orientation').value;
   const dxccEnabled = setEnableDxcc.checked;
+  const awardsEnabled = setEnableAwards.checked;
   const sotaUploadEnabled = setSotaUpload.checked;
   const sotaUsernameVal = setSotaUsername.value.trim();
   const sotaPasswordVal = setSotaPassword.value;
@@ -6159,8 +7111,9 @@ settingsSave.addEventListener('click', async () => {
   const tuneClickEnabled = setTuneClick.checked;
   const rotorEnabled = setEnableRotor.checked;
   const rotorHostVal = setRotorHost.value.trim() || '127.0.0.1';
-  const rotorPortVal = parseInt(setRotorPort.value, 10) || 12040;
-  const agEnabled = setEnableAg.checked;
+  const rotorTypeVal = setRotorType.value;
+  const rotorPortVal = parseInt(setRotorPort.value, 10) || ROTOR_DEFAULT_PORTS[rotorTypeVal] || 0;
+  const antSwEnabled = setEnableAntSw.checked;
   const agHostVal = setAgHost.value.trim();
   const agRadioPortVal = parseInt(setAgRadioPort.value, 10) || 1;
   const agBandMapVal = getAgBandMap();
@@ -6198,6 +7151,11 @@ settingsSave.addEventListener('click', async () => {
   const cwSidetoneVal = setCwSidetone.checked;
   const cwSidetonePitchVal = parseInt(setCwSidetonePitch.value, 10) || 600;
   const cwSidetoneVolumeVal = parseInt(setCwSidetoneVolume.value, 10);
+  const cwMessagesEnabled = setEnableCwMessages.checked;
+  const cwOutputVal = setCwOutput.value;
+  const cwKeyPortVal = setCwKeyPort.value || '';
+  const cwMemoriesVal = readCwMemoryEditor();
+  const cwDecoderEnabled = setEnableCwDecoder.checked;
   const potaParksPath = setPotaParksPath.value.trim() || '';
   const hideWorkedParksEnabled = setHideWorkedParks.checked;
   const loggingEnabled = setEnableLogging.checked;
@@ -6223,8 +7181,10 @@ settingsSave.addEventListener('click', async () => {
     distUnit: setDistUnit.value,
     maxAgeMin: maxAgeVal,
     sotaMaxAge: sotaMaxAgeVal,
+    staleSpotMin: staleSpotVal,
     refreshInterval: refreshIntervalVal,
     scanDwell: dwellVal,
+    scanReceiver: scanReceiverVal,
     cwXit: cwXitVal,
     cwFilterWidth: cwFilterVal,
     ssbFilterWidth: ssbFilterVal,
@@ -6248,8 +7208,11 @@ settingsSave.addEventListener('click', async () => {
     enableWsjtx: wsjtxEnabled,
     enablePskr: pskrEnabled,
     wsjtxPort: wsjtxPortVal,
+    wsjtxMulticastGroup: wsjtxMulticastVal,
     wsjtxHighlight: wsjtxHighlightEnabled,
     wsjtxAutoLog: wsjtxAutoLogEnabled,
+    enableFt8Hunter: setEnableFt8Hunter.checked,
+    ft8HunterRules: readFt8HunterRules(),
     myCallsign: myCallsign,
     clusterNodes: clusterNodes,
     netReminders: currentNetReminders,
@@ -6266,9 +7229,23 @@ settingsSave.addEventListener('click', async () => {
     enableSplitView: enableSplitViewVal,
     splitOrientation: splitOrientationVal,
     enableDxcc: dxccEnabled,
+    enableAwards: awardsEnabled,
     sotaUpload: sotaUploadEnabled,
     sotaUsername: sotaUsernameVal,
     sotaPassword: sotaPasswordVal,
+    lotwSync: setLotwSync.checked,
+    lotwUsername: document.getElementById('set-lotw-username').value.trim(),
+    lotwPassword: document.getElementById('set-lotw-password').value,
+    eqslSync: setEqslSync.checked,
+    eqslUsername: document.getElementById('set-eqsl-username').value.trim().toUpperCase(),
+    eqslPassword: document.getElementById('set-eqsl-password').value,
+    eqslQthNickname: document.getElementById('set-eqsl-qth-nickname').value.trim(),
+    clublogSync: setClublogSync.checked,
+    clublogEmail: document.getElementById('set-clublog-email').value.trim(),
+    clublogPassword: document.getElementById('set-clublog-password').value,
+    clublogCallsign: document.getElementById('set-clublog-callsign').value.trim().toUpperCase(),
+    clublogApiKey: document.getElementById('set-clublog-api-key').value.trim(),
+    qslSyncHours: parseFloat(document.getElementById('set-qsl-sync-hours').value) || 6,
     licenseClass: licenseClassVal,
     hideOutOfBand: hideOob,
     hideWorked: hideWorkedEnabled,
@@ -6276,10 +7253,24 @@ settingsSave.addEventListener('click', async () => {
     enableRotor: rotorEnabled,
     rotorHost: rotorHostVal,
     rotorPort: rotorPortVal,
-    enableAntennaGenius: agEnabled,
+    rotorType: rotorTypeVal,
+    rotorSerialPort: setRotorSerialPort.value.trim(),
+    rotorBaudRate: parseInt(setRotorBaud.value, 10) || 9600,
+    rotorBeamwidth: Math.max(5, Math.min(360, parseInt(setRotorBeamwidth.value, 10) || 60)),
+    enableAntennaSwitch: antSwEnabled,
+    antennaSwitchType: setAntSwType.value,
     agHost: agHostVal,
     agRadioPort: agRadioPortVal,
+    relayProtocol: setRelayProtocol.value,
+    relayHost: setRelayHost.value.trim(),
+    relayPort: parseInt(setRelayPort.value, 10) || 0,
+    decoderSerialPort: setDecoderSerialPort.value.trim(),
+    decoderBaudRate: parseInt(setDecoderBaud.value, 10) || 9600,
+    decoderOutput: setDecoderOutput.value,
+    antennaSwitchCommand: setAntSwCommand.value,
+    antennaNames: setAntennaNames.value.split(',').map(n => n.trim()),
     agBandMap: agBandMapVal,
+    antennaRules: getAntennaRules(),
     enableSplit: enableSplitEnabled,
     enableAtu: atuEnabled,
     verboseLog: verboseLogEnabled,
@@ -6318,6 +7309,11 @@ settingsSave.addEventListener('click', async () => {
     cwSidetone: cwSidetoneVal,
     cwSidetonePitch: cwSidetonePitchVal,
     cwSidetoneVolume: cwSidetoneVolumeVal,
+    enableCwMessages: cwMessagesEnabled,
+    cwOutput: cwOutputVal,
+    cwKeyPort: cwKeyPortVal,
+    cwMemories: cwMemoriesVal,
+    enableCwDecoder: cwDecoderEnabled,
     enableRemote: remoteEnabled,
     remotePort: remotePortVal,
     remoteRequireToken: remoteRequireTokenVal,
@@ -6333,7 +7329,9 @@ settingsSave.addEventListener('click', async () => {
   distUnit = setDistUnit.value;
   maxAgeMin = maxAgeVal;
   sotaMaxAgeMin = sotaMaxAgeVal;
+  staleSpotMin = staleSpotVal;
   scanDwell = dwellVal;
+  scanReceiver = scanReceiverVal;
   watchlist = parseWatchlist(watchlistRaw);
   enablePota = potaEnabled;
   enableSota = sotaEnabled;
@@ -6380,12 +7378,15 @@ settingsSave.addEventListener('click', async () => {
   if (spotsPopoutOpen) window.api.sendSpotsPopoutTheme(lightModeEnabled ? 'light' : 'dark');
   if (clusterPopoutOpen) window.api.sendClusterPopoutTheme(lightModeEnabled ? 'light' : 'dark');
   enableDxcc = dxccEnabled;
+  enableAwards = awardsEnabled;
   licenseClass = licenseClassVal;
   hideOutOfBand = hideOob;
   hideWorked = hideWorkedEnabled;
   hideWorkedParks = hideWorkedParksEnabled;
   tuneClick = tuneClickEnabled;
   enableSplit = enableSplitEnabled;
+  applyCwMsgPrefs({ enableCwMessages: cwMessagesEnabled, cwMemories: cwMemoriesVal });
+  applyCwDecoderPrefs({ enableCwDecoder: cwDecoderEnabled });
   catLogToggleBtn.classList.toggle('hidden', !verboseLogEnabled);
   if (!verboseLogEnabled) {
     catLogPanel.classList.add('hidden');
@@ -6394,6 +7395,7 @@ settingsSave.addEventListener('click', async () => {
   }
   activeRigName = selectedRig ? selectedRig.name : '';
   updateDxccButton();
+  updateAwardsButton();
   updateHeaders();
   saveFilters();
   syncSpotsPanel();
@@ -6419,12 +7421,41 @@ window.api.onSpots((spots) => {
   }
   allSpots = spots;
   render();
+  renderCwDecoderCalls();
 });
 
 window.api.onSpotsError((msg) => {
   console.warn('Spots error:', msg);
 });
 
+function formatAgo(ms) {
+  const secs = Math.round((Date.now() - ms) / 1000);
+  if (secs < 60) return secs + 's ago';
+  if (secs < 3600) return Math.floor(secs / 60) + 'm ago';
+  return Math.floor(secs / 3600) + 'h ago';
+}
+
+// Per-source API health — dot + tooltip next to each toggle in the Spots dropdown
+window.api.onSpotSourceHealth((list) => {
+  for (const src of list) {
+    const dot = document.querySelector(`.source-health[data-source="${src.id}"]`);
+    if (!dot) continue;
+    const h = src.health;
+    const lines = [];
+    if (h.lastOk) lines.push(`Last update ${formatAgo(h.lastOk)} \u2014 ${h.spotCount} spots`);
+    if (h.latencyMs != null) lines.push(`Response time ${h.latencyMs} ms`);
+    let state = h.lastOk ? 'ok' : '';
+    if (h.lastError && h.lastErrorTime > h.lastOk) {
+      state = h.lastOk ? 'stale' : 'error';
+      lines.push(`Error ${formatAgo(h.lastErrorTime)}: ${h.lastError}`);
+      if (h.lastOk) lines.push('Showing spots from the last successful update');
+      if (h.retryAt > Date.now()) lines.push(`Retrying in ${Math.ceil((h.retryAt - Date.now()) / 1000)}s`);
+    }
+    dot.className = 'source-health' + (state ? ' ' + state : '');
+    dot.title = lines.join('\n');
+  }
+});
+
 let catConnected = false; // track CAT state for WSJT-X tune decisions
 let catDisconnectTimer = null; // grace period before showing red pill
 
@@ -6443,6 +7474,7 @@ function syncActivatorCatPill(className, title) {
 
 window.api.onCatStatus(({ connected, error, wsjtxMode }) => {
   catConnected = connected;
+  updateRxStatus();
   if (wsjtxMode) {
     if (catDisconnectTimer) { clearTimeout(catDisconnectTimer); catDisconnectTimer = null; }
     catStatusEl.textContent = 'CAT';
@@ -7525,6 +8557,14 @@ window.api.onDxccData((data) => {
   if (currentView === 'dxcc') renderDxccMatrix();
 });
 
+// --- Award tracker listener ---
+function onAwardsData(data) {
+  awardsData = data;
+  if (currentView === 'awards') renderAwards();
+}
+window.api.onAwardsData(onAwardsData);
+window.api.getAwards().then((data) => { if (data) onAwardsData(data); });
+
 // --- Cluster status listener ---
 window.api.onClusterStatus((s) => {
   if (s.nodes) {
@@ -7545,18 +8585,109 @@ window.api.onClusterStatus((s) => {
 });
 
 // --- WSJT-X listeners ---
-window.api.onWsjtxStatus(({ connected }) => {
-  wsjtxStatusEl.textContent = 'WSJT-X';
-  wsjtxStatusEl.className = 'status ' + (connected ? 'connected' : 'disconnected');
-  if (enableWsjtx) wsjtxStatusEl.classList.remove('hidden');
-  if (!connected) {
-    wsjtxDecodes = [];
-    wsjtxState = null;
-  }
+// Pill shows how many instances are reporting; click it to halt any that
+// are transmitting
+function updateWsjtxPill(connected) {
+  const list = [...wsjtxInstances.values()];
+  const tx = list.filter(i => i.transmitting);
+  wsjtxStatusEl.textContent = list.length > 1 ? `WSJT-X \u00d7${list.length}` : 'WSJT-X';
+  wsjtxStatusEl.className = 'status ' + (connected ? 'connected' : 'disconnected') + (tx.length ? ' wsjtx-tx' : '');
+  wsjtxStatusEl.title = list.length
+    ? list.map(i => `${i.id}: ${i.label}${i.transmitting ? ' (TX)' : ''}`).join('\n') + (tx.length ? '\nClick to halt TX' : '')
+    : 'No WSJT-X instance connected';
+  if (!enableWsjtx) wsjtxStatusEl.classList.add('hidden');
+}
+
+window.api.onWsjtxStatus(({ connected, instances }) => {
+  wsjtxInstances = new Map((instances || []).map(i => [i.id, i]));
+  // Forget decodes from instances that have gone away
+  wsjtxDecodes = wsjtxDecodes.filter(d => wsjtxInstances.has(d.id));
+  updateWsjtxPill(connected);
 });
 
 window.api.onWsjtxState((state) => {
-  wsjtxState = state;
+  const inst = wsjtxInstances.get(state.id);
+  if (!inst) return;
+  const changed = inst.label !== state.label || inst.transmitting !== state.transmitting;
+  inst.label = state.label;
+  inst.transmitting = state.transmitting;
+  if (changed) updateWsjtxPill(true);
+});
+
+// Clicking an FT8/FT4 spot sets the DX call and mode in WSJT-X
+function wsjtxFollowSpot(spot) {
+  if (!enableWsjtx || wsjtxInstances.size === 0 || !/^FT[48]$/i.test(spot.mode || '')) return;
+  window.api.wsjtxConfigureSpot({
+    callsign: spot.callsign,
+    mode: spot.mode.toUpperCase(),
+    grid: spot.lat != null && spot.lon != null ? latLonToGridLocal(spot.lat, spot.lon).slice(0, 4) : '',
+  });
+}
+
+wsjtxStatusEl.addEventListener('click', () => {
+  for (const inst of wsjtxInstances.values()) {
+    if (inst.transmitting) window.api.wsjtxHaltTx(inst.id);
+  }
+});
+
+// --- FT8 hunter ---
+// Rule fields map 1:1 onto settings.ft8HunterRules (see lib/ft8-hunter.js)
+const FT8_HUNTER_FIELDS = {
+  newPark: 'set-hunt-new-park',
+  newDxcc: 'set-hunt-new-dxcc',
+  watchlist: 'set-hunt-watchlist',
+  unworkedBand: 'set-hunt-unworked-band',
+  activatorsOnly: 'set-hunt-activators-only',
+  continueAfterQso: 'set-hunt-continue',
+  minSnr: 'set-hunt-min-snr',
+  maxAttempts: 'set-hunt-max-attempts',
+  targetTimeoutSec: 'set-hunt-timeout',
+};
+const FT8_NEED_LABELS = { newPark: 'new park', newDxcc: 'new DXCC', watchlist: 'watchlist', unworkedBand: 'new band' };
+
+function loadFt8HunterRules(rules) {
+  for (const [key, id] of Object.entries(FT8_HUNTER_FIELDS)) {
+    const el = document.getElementById(id);
+    if (el.type === 'checkbox') el.checked = rules[key] != null ? rules[key] === true : el.defaultChecked;
+    else el.value = rules[key] != null ? rules[key] : el.defaultValue;
+  }
+}
+
+function readFt8HunterRules() {
+  const rules = {};
+  for (const [key, id] of Object.entries(FT8_HUNTER_FIELDS)) {
+    const el = document.getElementById(id);
+    rules[key] = el.type === 'checkbox' ? el.checked : parseInt(el.value, 10);
+  }
+  return rules;
+}
+
+let ft8HunterState = null;
+
+// null state = hunter not available (disabled or WSJT-X off)
+window.api.onFt8HunterState((state) => {
+  const prev = ft8HunterState;
+  ft8HunterState = state;
+  ft8HuntBtn.classList.toggle('hidden', !state);
+  if (!state) return;
+  ft8HuntBtn.classList.toggle('active', state.active);
+  const t = state.target;
+  if (t) {
+    ft8HuntBtn.textContent = `Hunting ${t.call} (${t.attempts}/${state.maxAttempts})`;
+    ft8HuntBtn.title = [t.reference, (t.needs || []).map(n => FT8_NEED_LABELS[n] || n).join(', ')].filter(Boolean).join(' \u2014 ') + '\nClick to stop hunting';
+  } else {
+    ft8HuntBtn.textContent = state.active ? 'Hunting\u2026' : 'Hunt';
+    ft8HuntBtn.title = state.active ? 'Waiting for a needed station to call CQ \u2014 click to stop' : 'Start the FT8 hunter';
+  }
+  // Tell the operator why a target or the hunt ended
+  if (prev && state.reason && state.reason !== prev.reason) {
+    if (state.reason === 'manual') showLogToast('FT8 hunter stopped \u2014 you took over TX');
+    else if (state.reason !== 'stopped' && state.reason !== 'disconnected') showLogToast(`FT8 hunter: ${state.reason}`);
+  }
+});
+
+ft8HuntBtn.addEventListener('click', () => {
+  window.api.ft8HunterToggle(!(ft8HunterState && ft8HunterState.active));
 });
 
 window.api.onWsjtxDecode((decode) => {
@@ -7570,20 +8701,23 @@ window.api.onWsjtxDecode((decode) => {
       decode.parkName = matchingSpot.parkName;
     }
   }
+  // Replayed decodes (after an instance reconnects) may already be in the list
+  if (!decode.isNew && wsjtxDecodes.some(d => d.id === decode.id && d.time === decode.time && d.message === decode.message)) return;
   wsjtxDecodes.push(decode);
-  if (wsjtxDecodes.length > 50) wsjtxDecodes.shift();
+  if (wsjtxDecodes.length > 100) wsjtxDecodes.shift();
   if (showTable || showMap) render();
 });
 
-window.api.onWsjtxClear(() => {
-  wsjtxDecodes = [];
+window.api.onWsjtxClear(({ id }) => {
+  wsjtxDecodes = id ? wsjtxDecodes.filter(d => d.id !== id) : [];
   if (showTable || showMap) render();
 });
 
 window.api.onWsjtxQsoLogged((qso) => {
   // Show a toast when WSJT-X logs a QSO
   const freqMHz = (qso.txFrequency / 1e6).toFixed(3);
-  showLogToast(`WSJT-X logged ${qso.dxCall} on ${freqMHz} MHz ${qso.mode}`);
+  const from = wsjtxInstances.size > 1 && qso.id ? qso.id : 'WSJT-X';
+  showLogToast(`${from} logged ${qso.dxCall} on ${freqMHz} MHz ${qso.mode}`);
 });
 
 // WSJT-X QSO logged while in activator mode — add to activator contact list
@@ -7630,14 +8764,50 @@ window.api.onCatFrequency((hz) => {
   }
   playTuneClick();
   updateBlFreqFromRadio();
+  updateRxStatus();
   if (showTable || showMap) render();
 });
 
+// Status bar receiver readout: "A 14.074 USB  B 7.030 CW" once a second receiver is known
+const rxStatusEl = document.getElementById('rx-status');
+function updateRxStatus() {
+  if (!catConnected || !radioFreqKhz) {
+    rxStatusEl.classList.add('hidden');
+    return;
+  }
+  const part = (letter, khz, mode, title) => {
+    const active = scanning && scanReceiver === letter;
+    return `<span class="rx-status-item${active ? ' scanning' : ''}" title="${title}${active ? ' — scanning' : ''}">` +
+      `<b>${letter}</b> ${(khz / 1000).toFixed(3)}${mode ? ' ' + mode : ''}</span>`;
+  };
+  let html = part('A', radioFreqKhz, radioMode, 'Main receiver');
+  if (subRx) {
+    html += part('B', Math.round(subRx.frequency / 1000), subRx.mode, `${subRx.label} — Shift+click a spot to tune it`);
+  }
+  rxStatusEl.innerHTML = html;
+  rxStatusEl.classList.remove('hidden');
+}
+
+window.api.onCatReceiver((r) => {
+  subRx = r && r.frequency ? r : null;
+  if (!subRx && scanning && scanReceiver === 'B') stopScan();
+  updateRxStatus();
+});
+
+// CAT clients that verify tuning report when the radio did not land on the spot
+window.api.onCatTuneResult((r) => {
+  if (r.ok) return;
+  const khz = (r.frequency / 1000).toFixed(1);
+  showLogToast(`Tune failed: radio did not reach ${khz} kHz${r.mode ? ' ' + r.mode : ''} (${r.error})`, { warn: true, duration: 5000 });
+});
+
 window.api.onCatMode((mode) => {
   const oldFilter = radioMode ? radioModeToFilter(radioMode) : null;
   radioMode = mode;
   const newFilter = radioModeToFilter(mode);
   updateBlModeFromRadio();
+  updateRxStatus();
+  updateCwMsgBar();
   const radioModeCb = modeFilterEl.querySelector('input[value="radio"]');
   if (radioModeCb && radioModeCb.checked && newFilter !== oldFilter) {
     if (modeFilterEl._updateText) modeFilterEl._updateText();
@@ -7686,6 +8856,183 @@ catLogClearBtn.addEventListener('click', () => {
   catLogOutput.value = '';
 });
 
+// --- CW Decoder ---
+// Audio is captured here and decoded in main. Decoded callsigns are matched
+// against the spot list and watchlist; clicking a spotted one tunes to it.
+const cwDecoderPanel = document.getElementById('cw-decoder-panel');
+const cwDecoderToggleBtn = document.getElementById('cw-decoder-toggle');
+const cwDecStatsEl = document.getElementById('cw-dec-stats');
+const cwDecDevice = document.getElementById('cw-dec-device');
+const cwDecStartBtn = document.getElementById('cw-dec-start');
+const cwDecWavBtn = document.getElementById('cw-dec-wav');
+const cwDecClearBtn = document.getElementById('cw-dec-clear');
+const cwDecTextEl = document.getElementById('cw-dec-text');
+const cwDecCallsEl = document.getElementById('cw-dec-calls');
+const CW_DEC_TEXT_MAX = 4000;
+const CW_DEC_CALLS_MAX = 30;
+const CW_DEC_RATE = 8000; // capture is averaged down to about this rate
+let cwDecCapture = null;  // { stream, ctx, node }
+let cwDecDeviceId = '';
+let cwDecCalls = [];      // newest first: { callsign, time }
+
+function applyCwDecoderPrefs(s) {
+  const on = s.enableCwDecoder === true;
+  if (s.cwDecoderDevice != null) cwDecDeviceId = s.cwDecoderDevice;
+  else if (!cwDecDeviceId && s.remoteAudioInput) cwDecDeviceId = s.remoteAudioInput;
+  cwDecoderToggleBtn.classList.toggle('hidden', !on);
+  if (!on) {
+    stopCwDecoderCapture();
+    cwDecoderPanel.classList.add('hidden');
+    cwDecoderToggleBtn.classList.remove('active');
+  }
+}
+
+async function populateCwDecoderDevices() {
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter(d => d.kind === 'audioinput');
+    cwDecDevice.innerHTML = '<option value="">-- system default --</option>' +
+      inputs.map(d => `<option value="${esc(d.deviceId)}">${esc(d.label || d.deviceId.slice(0, 20))}</option>`).join('');
+    cwDecDevice.value = inputs.some(d => d.deviceId === cwDecDeviceId) ? cwDecDeviceId : '';
+  } catch (e) {
+    console.warn('Could not enumerate audio devices:', e.message);
+  }
+}
+
+async function startCwDecoderCapture() {
+  stopCwDecoderCapture();
+  try {
+    // Leave the audio exactly as the receiver produced it
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: cwDecDevice.value ? { exact: cwDecDevice.value } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    const ctx = new AudioContext();
+    const source = ctx.createMediaStreamSource(stream);
+    const node = ctx.createScriptProcessor(4096, 1, 1);
+    const factor = Math.max(1, Math.floor(ctx.sampleRate / CW_DEC_RATE));
+    node.onaudioprocess = (e) => {
+      const input = e.inputBuffer.getChannelData(0);
+      const out = new Float32Array(Math.floor(input.length / factor));
+      for (let i = 0; i < out.length; i++) {
+        let sum = 0;
+        for (let j = 0; j < factor; j++) sum += input[i * factor + j];
+        out[i] = sum / factor;
+      }
+      window.api.cwDecoderAudio(out);
+    };
+    source.connect(node);
+    node.connect(ctx.destination); // ScriptProcessor only runs when connected; its output stays silent
+    cwDecCapture = { stream, ctx, node };
+    cwDecDeviceId = cwDecDevice.value;
+    window.api.cwDecoderStart({ sampleRate: ctx.sampleRate / factor, deviceId: cwDecDeviceId });
+    cwDecStartBtn.textContent = 'Stop';
+    cwDecStatsEl.textContent = 'listening\u2026';
+  } catch (e) {
+    cwDecStatsEl.textContent = 'audio input unavailable';
+    console.warn('CW decoder capture failed:', e.message);
+  }
+}
+
+function stopCwDecoderCapture() {
+  if (!cwDecCapture) return;
+  const { stream, ctx, node } = cwDecCapture;
+  cwDecCapture = null;
+  node.onaudioprocess = null;
+  node.disconnect();
+  stream.getTracks().forEach(t => t.stop());
+  ctx.close().catch(() => {});
+  window.api.cwDecoderStop();
+  cwDecStartBtn.textContent = 'Start';
+}
+
+function appendCwDecoderText(text) {
+  const atBottom = cwDecTextEl.scrollTop + cwDecTextEl.clientHeight >= cwDecTextEl.scrollHeight - 4;
+  cwDecTextEl.textContent = (cwDecTextEl.textContent + text).slice(-CW_DEC_TEXT_MAX);
+  if (atBottom) cwDecTextEl.scrollTop = cwDecTextEl.scrollHeight;
+}
+
+function cwDecoderSpotFor(callsign) {
+  return allSpots.find(s => (s.callsign || '').toUpperCase() === callsign);
+}
+
+function addCwDecoderCall(callsign) {
+  cwDecCalls = [{ callsign, time: Date.now() }, ...cwDecCalls.filter(c => c.callsign !== callsign)].slice(0, CW_DEC_CALLS_MAX);
+  renderCwDecoderCalls();
+}
+
+// Re-rendered on each new call and when spots refresh, so matches stay current
+function renderCwDecoderCalls() {
+  if (cwDecoderPanel.classList.contains('hidden')) return;
+  const me = (myCallsign || '').toUpperCase();
+  cwDecCallsEl.innerHTML = cwDecCalls.map(({ callsign }) => {
+    const spot = cwDecoderSpotFor(callsign);
+    const classes = ['cw-dec-call'];
+    if (spot) classes.push('spotted');
+    if (watchlist.has(callsign)) classes.push('watched');
+    if (callsign === me) classes.push('mine');
+    const note = spot
+      ? `${spot.reference || spot.source || ''} ${parseFloat(spot.frequency).toFixed(1)}`
+      : callsign === me ? 'you' : '';
+    return `<div class="${classes.join(' ')}" data-call="${esc(callsign)}"${spot ? ' title="Tune to this spot"' : ''}>` +
+      `<span>${esc(callsign)}</span><span class="cw-dec-note">${esc(note.trim())}</span></div>`;
+  }).join('');
+}
+
+window.api.onCwDecoderText(({ text }) => appendCwDecoderText(text));
+window.api.onCwDecoderStats(({ wpm, pitch, snr }) => {
+  cwDecStatsEl.textContent = `${wpm} WPM \u00b7 ${pitch} Hz \u00b7 ${snr} dB`;
+});
+window.api.onCwDecoderCallsign(({ callsign }) => addCwDecoderCall(callsign));
+
+cwDecoderToggleBtn.addEventListener('click', () => {
+  const isHidden = cwDecoderPanel.classList.toggle('hidden');
+  cwDecoderToggleBtn.classList.toggle('active', !isHidden);
+  if (isHidden) {
+    stopCwDecoderCapture();
+  } else {
+    populateCwDecoderDevices();
+    renderCwDecoderCalls();
+  }
+});
+
+cwDecDevice.addEventListener('change', () => {
+  if (cwDecCapture) startCwDecoderCapture();
+});
+
+cwDecStartBtn.addEventListener('click', () => {
+  if (cwDecCapture) stopCwDecoderCapture();
+  else startCwDecoderCapture();
+});
+
+cwDecWavBtn.addEventListener('click', async () => {
+  const result = await window.api.cwDecoderOpenWav();
+  if (!result) return;
+  if (result.error) {
+    cwDecStatsEl.textContent = result.error;
+    return;
+  }
+  appendCwDecoderText(`\n[${result.file}] ${result.text}\n`);
+  cwDecStatsEl.textContent = result.pitch ? `${result.wpm} WPM \u00b7 ${result.pitch} Hz` : 'no CW tone found';
+  for (const callsign of result.callsigns) addCwDecoderCall(callsign);
+});
+
+cwDecClearBtn.addEventListener('click', () => {
+  cwDecTextEl.textContent = '';
+  cwDecCalls = [];
+  renderCwDecoderCalls();
+});
+
+cwDecCallsEl.addEventListener('click', (e) => {
+  const row = e.target.closest('.cw-dec-call');
+  const spot = row && cwDecoderSpotFor(row.dataset.call);
+  if (spot) window.api.tune(spot.frequency, spot.mode, spot.bearing);
+});
+
 // --- Solar data listener ---
 function updateSolarVisibility() {
   const method = enableSolar ? 'remove' : 'add';
@@ -8101,6 +9448,8 @@ window.api.onPskrStatus(({ connected, error, spotCount, nextPollAt, pollUpdate }
 // ECHOCAT status
 window.api.onRemoteStatus((s) => {
   remoteConnected = s.connected;
+  remoteClientCount = s.clients || 0;
+  remoteController = s.controller || null;
   updateSettingsConnBar();
 });
 
@@ -8358,6 +9707,7 @@ cwPopoverWpm.addEventListener('change', () => {
   const wpm = parseInt(cwPopoverWpm.value, 10);
   if (wpm >= 5 && wpm <= 50) {
     setCwWpm.value = wpm;
+    cwMsgWpm.value = wpm;
     window.api.cwSetWpm(wpm);
   }
 });
@@ -8365,6 +9715,158 @@ cwPopoverWpm.addEventListener('change', () => {
 // Close CW popover when clicking outside
 document.addEventListener('click', () => { if (cwPopoverOpen) closeCwPopover(); });
 
+// --- CW message keyer ---
+// F1–F8 memories and a type-ahead box; main expands macros and routes the
+// text to the rig's keyer, the Flex, or a DTR/RTS line.
+const cwMsgBar = document.getElementById('cw-msg-bar');
+const cwMsgMemoriesEl = document.getElementById('cw-msg-memories');
+const cwMsgInput = document.getElementById('cw-msg-input');
+const cwMsgSendingEl = document.getElementById('cw-msg-sending');
+const cwMsgWpm = document.getElementById('cw-msg-wpm');
+const cwMsgFarnsworth = document.getElementById('cw-msg-farnsworth');
+const cwMsgSerial = document.getElementById('cw-msg-serial');
+const DEFAULT_CW_MEMORIES = [
+  { label: 'CQ', text: 'CQ POTA CQ POTA DE {MYCALL} {MYCALL} K' },
+  { label: 'Exch', text: '{CALL} TU UR {RST} {RST} BK' },
+  { label: 'TU', text: 'TU 73 DE {MYCALL} {PARK}' },
+  { label: 'MyCall', text: '{MYCALL}' },
+  { label: 'Call?', text: '{CALL}?' },
+  { label: 'AGN', text: 'AGN?' },
+  { label: 'Nr', text: '{CALL} 5NN {SERIAL}' },
+  { label: 'QRZ', text: 'QRZ?' },
+];
+let enableCwMessages = false;
+let cwMemories = DEFAULT_CW_MEMORIES;
+
+function applyCwMsgPrefs(s) {
+  enableCwMessages = s.enableCwMessages === true;
+  cwMemories = Array.isArray(s.cwMemories) && s.cwMemories.length ? s.cwMemories : DEFAULT_CW_MEMORIES;
+  if (s.cwWpm) cwMsgWpm.value = s.cwWpm;
+  if (s.cwFarnsworthWpm != null) cwMsgFarnsworth.value = s.cwFarnsworthWpm;
+  if (s.cwSerial) cwMsgSerial.value = s.cwSerial;
+  renderCwMsgMemories();
+  updateCwMsgBar();
+}
+
+function updateCwMsgBar() {
+  const isCw = /^CW/i.test(radioMode || '');
+  cwMsgBar.classList.toggle('hidden', !(enableCwMessages && isCw));
+}
+
+function renderCwMsgMemories() {
+  cwMsgMemoriesEl.innerHTML = cwMemories.slice(0, 8).map((m, i) =>
+    `<button type="button" data-idx="${i}" title="${esc(m.text)}"><kbd>F${i + 1}</kbd>${esc(m.label)}</button>`
+  ).join('');
+}
+
+// Callsign and RST from whichever log entry is in use
+function cwMsgVars() {
+  if (logDialog.open) {
+    return { call: document.getElementById('log-callsign').value, rst: getRstDigits('rst-sent-digits', '599') };
+  }
+  if (appMode === 'activator') {
+    const first = document.getElementById('activator-callsign').value.split(',')[0];
+    return { call: first, rst: getRstDigits('activator-rst-sent', '599') };
+  }
+  return { call: document.getElementById('bl-callsign').value, rst: document.getElementById('bl-rst-sent').value };
+}
+
+async function sendCwMsg(text) {
+  if (!text) return;
+  const vars = cwMsgVars();
+  const result = await window.api.cwMsgSend({ text, call: vars.call.trim().toUpperCase(), rst: vars.rst.trim() });
+  if (!result.ok && result.error) showLogToast(result.error, { warn: true, duration: 4000 });
+}
+
+function sendCwMemory(idx) {
+  const mem = cwMemories[idx];
+  if (mem && mem.text) sendCwMsg(mem.text);
+}
+
+function renderCwMemoryEditor(memories) {
+  const list = DEFAULT_CW_MEMORIES.map((d, i) => memories[i] || d);
+  cwMemoryEditor.innerHTML = list.map((m, i) =>
+    `<div class="cw-mem-row"><kbd>F${i + 1}</kbd>` +
+    `<input type="text" class="cw-mem-label" maxlength="8" value="${esc(m.label)}">` +
+    `<input type="text" class="cw-mem-text" maxlength="200" spellcheck="false" value="${esc(m.text)}"></div>`
+  ).join('');
+}
+
+function readCwMemoryEditor() {
+  return [...cwMemoryEditor.querySelectorAll('.cw-mem-row')].map((row, i) => ({
+    label: row.querySelector('.cw-mem-label').value.trim() || `F${i + 1}`,
+    text: row.querySelector('.cw-mem-text').value.trim(),
+  }));
+}
+
+async function loadCwKeyPorts(selected) {
+  const ports = await window.api.listPorts();
+  setCwKeyPort.innerHTML = '';
+  for (const p of ports) {
+    const opt = document.createElement('option');
+    opt.value = p.path;
+    opt.textContent = `${p.path} — ${p.friendlyName}`;
+    setCwKeyPort.appendChild(opt);
+  }
+  // Keep a saved port that isn't plugged in right now
+  if (selected && !ports.some(p => p.path === selected)) {
+    const opt = document.createElement('option');
+    opt.value = selected;
+    opt.textContent = `${selected} (not detected)`;
+    setCwKeyPort.appendChild(opt);
+  }
+  if (selected) setCwKeyPort.value = selected;
+}
+
+cwMsgMemoriesEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-idx]');
+  if (btn) sendCwMemory(parseInt(btn.dataset.idx, 10));
+});
+
+// Type-ahead: each word goes out when the space after it is typed
+cwMsgInput.addEventListener('input', () => {
+  const val = cwMsgInput.value;
+  const cut = val.lastIndexOf(' ');
+  if (cut <= 0 || !val.slice(0, cut).trim()) return;
+  cwMsgInput.value = val.slice(cut + 1);
+  sendCwMsg(val.slice(0, cut).trim());
+});
+cwMsgInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    const text = cwMsgInput.value.trim();
+    cwMsgInput.value = '';
+    sendCwMsg(text);
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    cwMsgInput.value = '';
+    window.api.cwMsgStop();
+  }
+});
+
+document.getElementById('cw-msg-stop').addEventListener('click', () => window.api.cwMsgStop());
+
+cwMsgWpm.addEventListener('change', () => {
+  const wpm = parseInt(cwMsgWpm.value, 10);
+  if (wpm >= 5 && wpm <= 50) {
+    setCwWpm.value = wpm;
+    if (cwPopoverWpm) cwPopoverWpm.value = wpm;
+    window.api.cwSetWpm(wpm);
+  }
+});
+cwMsgFarnsworth.addEventListener('change', () => {
+  const wpm = parseInt(cwMsgFarnsworth.value, 10) || 0;
+  window.api.cwSetFarnsworth(wpm >= 5 && wpm <= 50 ? wpm : 0);
+});
+cwMsgSerial.addEventListener('change', async () => {
+  cwMsgSerial.value = await window.api.cwSetSerial(cwMsgSerial.value);
+});
+
+window.api.onCwMsgState(({ sending, text }) => {
+  cwMsgSendingEl.textContent = sending ? text : '';
+});
+window.api.onCwSerial((n) => { cwMsgSerial.value = n; });
+
 // CW decoded text display in status bar
 window.api.onCwText(({ total }) => {
   // Show last ~40 characters of sent text, right-aligned so newest is visible
@@ -8433,6 +9935,98 @@ document.querySelectorAll('.collapsible-legend').forEach(legend => {
   });
 });
 
+// --- Upload outbox ---
+// QSO uploads that failed and are waiting for a retry (lib/outbox.js in main)
+const outboxBtn = document.getElementById('outbox-btn');
+const outboxDialog = document.getElementById('outbox-dialog');
+const outboxBody = document.getElementById('outbox-body');
+let outboxJobs = [];
+
+function outboxStatusText(j) {
+  if (j.status === 'sending') return 'Sending\u2026';
+  if (j.status === 'failed') return `Failed (${j.attempts} ${j.attempts === 1 ? 'try' : 'tries'})`;
+  const mins = Math.max(0, Math.ceil((j.nextAttempt - Date.now()) / 60000));
+  return `Retry ${j.attempts + 1} in ${mins < 1 ? '<1' : mins} min`;
+}
+
+function renderOutbox() {
+  const failed = outboxJobs.filter(j => j.status === 'failed').length;
+  outboxBtn.classList.toggle('hidden', outboxJobs.length === 0);
+  outboxBtn.classList.toggle('outbox-has-failed', failed > 0);
+  outboxBtn.textContent = `Outbox ${outboxJobs.length}`;
+  outboxBtn.title = failed
+    ? `${failed} QSO upload${failed === 1 ? '' : 's'} failed — click to resend`
+    : 'QSO uploads waiting to be retried';
+  if (!outboxDialog.open) return;
+
+  outboxBody.innerHTML = '';
+  if (!outboxJobs.length) {
+    outboxBody.innerHTML = '<tr><td colspan="6" class="outbox-empty">Nothing waiting — all uploads went through.</td></tr>';
+    return;
+  }
+  for (const j of outboxJobs) {
+    const tr = document.createElement('tr');
+    if (j.status === 'failed') tr.classList.add('outbox-failed');
+    const cells = [
+      new Date(j.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      j.summary,
+      j.label,
+      outboxStatusText(j),
+      j.lastError || '',
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tr.lastChild.title = j.lastError || '';
+    const actTd = document.createElement('td');
+    actTd.className = 'outbox-actions';
+    const resendBtn = document.createElement('button');
+    resendBtn.type = 'button';
+    resendBtn.textContent = 'Resend';
+    resendBtn.disabled = j.status === 'sending';
+    resendBtn.addEventListener('click', async () => {
+      outboxJobs = await window.api.outboxResend(j.id);
+      renderOutbox();
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'multipark-remove-btn';
+    removeBtn.title = 'Remove without sending';
+    removeBtn.textContent = '\u00D7';
+    removeBtn.disabled = j.status === 'sending';
+    removeBtn.addEventListener('click', async () => {
+      outboxJobs = await window.api.outboxRemove(j.id);
+      renderOutbox();
+    });
+    actTd.append(resendBtn, removeBtn);
+    tr.appendChild(actTd);
+    outboxBody.appendChild(tr);
+  }
+}
+
+window.api.onOutboxStatus((jobs) => {
+  outboxJobs = jobs || [];
+  renderOutbox();
+});
+window.api.getOutbox().then((jobs) => {
+  outboxJobs = jobs || [];
+  renderOutbox();
+});
+outboxBtn.addEventListener('click', () => {
+  outboxDialog.showModal();
+  renderOutbox();
+});
+document.getElementById('outbox-resend-all').addEventListener('click', async () => {
+  outboxJobs = await window.api.outboxResend(null);
+  renderOutbox();
+});
+document.getElementById('outbox-dialog-close').addEventListener('click', () => outboxDialog.close());
+document.getElementById('outbox-done').addEventListener('click', () => outboxDialog.close());
+// Keep the "retry in" countdowns current while the dialog is open
+setInterval(() => { if (outboxDialog.open) renderOutbox(); }, 30000);
+
 // --- Hotkeys dialog ---
 document.getElementById('hotkeys-dialog-close').addEventListener('click', () => {
   document.getElementById('hotkeys-dialog').close();
@@ -9185,11 +10779,13 @@ function beginActivation() {
   if (activationTimerInterval) clearInterval(activationTimerInterval);
   activationTimerInterval = setInterval(updateActivationTimer, 1000);
   updateActivationTimer();
+  if (enableWsjtx) window.api.wsjtxSetLocation(activatorParkGrid);
 }
 
 /** Stop the current activation */
 function stopActivation() {
   activationActive = false;
+  if (enableWsjtx) window.api.wsjtxSetLocation('');
   if (activationTimerInterval) {
     clearInterval(activationTimerInterval);
     activationTimerInterval = null;
@@ -9892,6 +11488,9 @@ if (activatorParkRefInput) {
     gridInput.addEventListener('input', () => {
       activatorParkGrid = gridInput.value.trim().toUpperCase();
     });
+    gridInput.addEventListener('change', () => {
+      if (activationActive && enableWsjtx) window.api.wsjtxSetLocation(activatorParkGrid);
+    });
   }
 }
 
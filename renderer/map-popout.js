@@ -375,15 +375,30 @@ function updateMapMarkers(spots) {
     const expTitle = s.expeditionEntity ? `DX Expedition: ${s.expeditionEntity}` : 'DX Expedition';
     const expeditionBadge = s.isExpedition ? ` <span style="background:#ff1744;color:#fff;font-size:10px;font-weight:bold;padding:1px 4px;border-radius:3px;" title="${expTitle}">DXP</span>` : '';
     const wwffBadge = s.wwffReference ? ` <span style="background:${SOURCE_COLORS_ACTIVE.wwff};color:#000;font-size:10px;font-weight:bold;padding:1px 4px;border-radius:3px;">WWFF</span>` : '';
-    const wwffRefLine = s.wwffReference ? `<br><b>${s.wwffReference}</b> ${s.wwffParkName || ''} <span style="color:${SOURCE_COLORS_ACTIVE.wwff};font-size:11px;">[WWFF]</span>` : '';
+    const extraRefs = (s.refs || []).filter(r => r.reference !== s.reference);
+    const wwffRefLine = extraRefs.map(r =>
+      `<br><b>${r.reference}</b> ${r.name || ''} <span style="color:${SOURCE_COLORS_ACTIVE[r.source] || SOURCE_COLORS_ACTIVE.pota};font-size:11px;">[${r.source.toUpperCase()}]</span>`
+    ).join('');
+    const qsyLine = s.qsy
+      ? `<span style="color:#4fc3f7;font-size:11px;">QSY from ${s.qsy.band} ${s.qsy.mode} (${parseFloat(s.qsy.frequency).toFixed(1)}) ${formatAge(s.qsy.spotTime)} ago</span><br>`
+      : '';
+    const timelineHtml = (s.timeline && s.timeline.length > 1)
+      ? `<details class="popup-timeline"><summary>Timeline (${s.timeline.length})</summary>${s.timeline.map(e =>
+        `<div>${formatAge(e.spotTime)} &middot; ${e.source.toUpperCase()} &middot; ${parseFloat(e.frequency).toFixed(1)} ${e.mode}${e.spotter ? ' de ' + e.spotter : ''}</div>`
+      ).join('')}</details>`
+      : '';
+    const alsoSources = (s.sources || []).filter(src => src !== s.source);
+    const alsoLine = alsoSources.length > 0
+      ? `<span style="color:#b0bec5;font-size:11px;">Also spotted on ${alsoSources.map(src => src.toUpperCase()).join(', ')} (${s.mergedCount} spots)</span><br>`
+      : '';
     const opLine = s.opName ? `<span style="color:#b0bec5;font-size:11px;">${s.opName}</span><br>` : '';
 
     const popupContent = `
       <b>${watched ? '\u2B50 ' : ''}<a href="#" class="popup-qrz" data-call="${s.callsign}">${s.callsign}</a></b> <span style="color:${sourceColor};font-size:11px;">[${sourceLabel}]</span>${expeditionBadge}${newBadge}${wwffBadge}<br>
       ${opLine}${parseFloat(s.frequency).toFixed(1)} kHz &middot; ${s.mode}<br>
       <b>${s.reference || ''}</b> ${s.parkName || ''}${wwffRefLine}<br>
-      ${distStr}<br>
-      <button class="tune-btn" data-freq="${s.frequency}" data-mode="${s.mode}" data-bearing="${s.bearing != null ? s.bearing : ''}" data-lat="${s.lat != null ? s.lat : ''}" data-lon="${s.lon != null ? s.lon : ''}" data-source="${s.source || ''}">Tune</button>${logBtnHtml}
+      ${qsyLine}${alsoLine}${distStr}<br>
+      <button class="tune-btn" data-freq="${s.frequency}" data-mode="${s.mode}" data-bearing="${s.bearing != null ? s.bearing : ''}" data-lat="${s.lat != null ? s.lat : ''}" data-lon="${s.lon != null ? s.lon : ''}" data-source="${s.source || ''}">Tune</button>${logBtnHtml}${timelineHtml}
     `;
 
     const sourceIcon = sourceIcons[s.source] || sourceIcons.pota;
@@ -13,6 +13,8 @@
   let wasKicked = false;
   let authMode = 'token'; // 'token' | 'club' | 'none'
   let clubMember = null;  // { callsign, firstname, role, licenseClass }
+  let inControl = true;   // false = observer (another device holds control)
+  let controlHolder = null; // { id, label } of the operator in control
   let pingInterval = null;
   let lastPingSent = 0;
 
@@ -51,6 +53,8 @@
   const spotList = document.getElementById('spot-list');
   const pttBtn = document.getElementById('ptt-btn');
   const estopBtn = document.getElementById('estop-btn');
+  const cwBtn = document.getElementById('cw-btn');
+  const cwPanel = document.getElementById('cw-panel');
   const audioBtn = document.getElementById('audio-btn');
   const statusBar = document.getElementById('status-bar');
   const freqInput = document.getElementById('freq-input');
@@ -135,6 +139,7 @@
   let showNewOnly = false;
   let workedQsos = new Map();     // callsign → [{date, ref, band, mode}]
   let hideWorked = false;
+  let spotsTotal = 0;             // spots on the desktop before this device's filter
   let clusterConnected = false;
   let myCallsign = '';
   let logSelectedType = '';
@@ -180,6 +185,11 @@
   const exportAdifBtn = document.getElementById('export-adif-btn');
   const bandFilterEl = document.getElementById('rc-band-filter');
   const regionFilterEl = document.getElementById('rc-region-filter');
+  const modeFilterEl = document.getElementById('rc-mode-filter');
+  const viewFilterEl = document.getElementById('rc-view-filter');
+  const watchlistOnlyCb = document.getElementById('rc-watchlist-only');
+  const maxDistSelect = document.getElementById('rc-max-dist');
+  const programsInput = document.getElementById('rc-programs');
   const spotsDropdown = document.getElementById('rc-spots-dropdown');
   const rcNewOnly = document.getElementById('rc-new-only');
   const rcHideWorked = document.getElementById('rc-hide-worked');
@@ -298,6 +308,7 @@
   var tokenLoginDiv = document.getElementById('token-login');
   var clubLoginDiv = document.getElementById('club-login');
   var memberBadge = document.getElementById('member-badge');
+  var controlBtn = document.getElementById('control-btn');
 
   connectBtn.addEventListener('click', () => {
     if (authMode === 'club') {
@@ -356,17 +367,24 @@
     ws.onerror = function() {};
   }
 
+  // Short device name so other ECHOCAT sessions can tell who is in control
+  function deviceName() {
+    var ua = navigator.userAgent;
+    var m = ua.match(/iPad|iPhone|Android|Macintosh|Windows|Linux/);
+    return m ? (m[0] === 'Macintosh' ? 'Mac' : m[0]) : 'Browser';
+  }
+
   function connect(token) {
     openWs(function() {
       if (token) {
-        ws.send(JSON.stringify({ type: 'auth', token: token }));
+        ws.send(JSON.stringify({ type: 'auth', token: token, deviceName: deviceName(), spotFilter: buildSpotFilter() }));
       }
     });
   }
 
   function connectClub(callsign, password) {
     openWs(function() {
-      ws.send(JSON.stringify({ type: 'auth', callsign: callsign, password: password }));
+      ws.send(JSON.stringify({ type: 'auth', callsign: callsign, password: password, spotFilter: buildSpotFilter() }));
     });
   }
 
@@ -434,7 +452,10 @@
           soMaxageVal.textContent = maxAgeMin + 'm';
           soDistMi.classList.toggle('active', distUnit === 'mi');
           soDistKm.classList.toggle('active', distUnit === 'km');
+          updateMaxDistLabels();
         }
+        // No auth message was sent in open mode, so the filter goes now
+        if (authMode === 'none') sendSpotFilter();
         break;
 
       case 'tune-blocked':
@@ -458,6 +479,7 @@
 
       case 'spots':
         spots = msg.data || [];
+        spotsTotal = msg.total != null ? msg.total : spots.length;
         renderSpots();
         if (activeTab === 'map') renderMapSpots();
         break;
@@ -475,19 +497,56 @@
 
       case 'ptt-timeout':
       case 'ptt-force-rx':
+        releaseCwPaddles();
         pttDown = false;
         pttBtn.classList.remove('active');
         txBanner.classList.add('hidden');
         muteRxAudio(false);
         break;
 
+      case 'control':
+        applyControlState(msg);
+        break;
+
+      case 'control-request':
+        // Another device wants to operate — ask before handing over
+        if (msg.from && confirm(msg.from.label + ' is asking for control. Hand it over?')) {
+          ws.send(JSON.stringify({ type: 'grant-control', to: msg.from.id }));
+        } else {
+          ws.send(JSON.stringify({ type: 'deny-control' }));
+        }
+        break;
+
+      case 'control-pending':
+        controlBtn.classList.add('pending');
+        showToast('Asked ' + (msg.holder || 'the operator') + ' for control\u2026', 3000);
+        break;
+
+      case 'control-denied':
+        controlBtn.classList.remove('pending');
+        showToast(msg.reason || 'Control request denied', 4000, true);
+        break;
+
+      case 'not-in-control':
+        showToast('Observing \u2014 ' + (msg.holder ? msg.holder + ' is in control' : 'request control first'), 3000);
+        break;
+
+      case 'cw-state':
+        cwSendingEl.textContent = msg.sending ? '\u25B6 ' + (msg.text || '') : '';
+        cwSendingEl.classList.toggle('hidden', !msg.sending);
+        break;
+
+      case 'cw-error':
+        showToast(msg.message || 'CW not available', 4000, true);
+        break;
+
       case 'kicked':
-        // Stop reconnect loop — another client took over intentionally
+        // Stop reconnect loop — the server turned us away intentionally
         wasKicked = true;
         if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
         mainUI.classList.add('hidden');
         connectScreen.classList.remove('hidden');
-        connectError.textContent = 'Another client connected. Tap Connect to take over.';
+        connectError.textContent = (msg.reason || 'Disconnected by server') + '. Tap Connect to try again.';
         connectError.classList.remove('hidden');
         connectBtn.textContent = 'Connect';
         connectBtn.disabled = false;
@@ -618,6 +677,7 @@
       const isVoice = (m === 'SSB' || m === 'USB' || m === 'LSB' || m === 'FM' || m === 'AM');
       pttBtn.classList.toggle('hidden', !isVoice);
       estopBtn.classList.toggle('hidden', !isVoice);
+      updateCwButton();
     }
     if (s.catConnected !== undefined) {
       catDot.classList.toggle('connected', s.catConnected);
@@ -669,6 +729,7 @@
       soRfGainRow.classList.toggle('hidden', !s.capabilities.rfgain);
       soTxPowerRow.classList.toggle('hidden', !s.capabilities.txpower);
       rcVfoGroup.classList.toggle('hidden', !s.capabilities.vfo);
+      updateCwButton();
     }
   }
 
@@ -749,7 +810,8 @@
     const filtered = getFilteredSpots();
 
     if (filtered.length === 0) {
-      spotList.innerHTML = '<div class="spot-empty">No spots</div>';
+      const hidden = spotsTotal - spots.length;
+      spotList.innerHTML = '<div class="spot-empty">No spots' + (hidden > 0 ? ' \u2014 ' + hidden + ' hidden by this device\u2019s filter' : '') + '</div>';
       return;
     }
 
@@ -967,10 +1029,84 @@
     return new Set(checked.map(cb => cb.value));
   }
 
-  // Initialize band and region dropdowns
-  initMultiDropdown(bandFilterEl, () => { renderSpots(); if (activeTab === 'map') renderMapSpots(); });
+  // --- Per-device spot filter ---
+  // Bands, modes, feeds, programs, distance, watchlist and hide-worked are
+  // sent to the desktop, which only forwards matching spots to this device.
+  const SPOT_FILTER_KEY = 'echocat-spot-filter';
+  const MI_PER_KM = 1 / 1.60934;
+
+  function buildSpotFilter() {
+    const bands = getDropdownValues(bandFilterEl);
+    const modes = getDropdownValues(modeFilterEl);
+    const srcCbs = [...viewFilterEl.querySelectorAll('[data-view-src]')];
+    const sources = srcCbs.every(cb => cb.checked) ? null : srcCbs.filter(cb => cb.checked).map(cb => cb.dataset.viewSrc);
+    const programs = programsInput.value.split(/[\s,]+/).map(p => p.trim().toUpperCase()).filter(Boolean);
+    const dist = parseFloat(maxDistSelect.value);
+    return {
+      bands: bands ? [...bands] : null,
+      modes: modes ? [...modes] : null,
+      // Nothing ticked would hide everything — treat as "all feeds" instead
+      sources: sources && sources.length ? sources : null,
+      programs: programs.length ? programs : null,
+      hideWorked: hideWorked,
+      maxDistance: dist > 0 ? Math.round(distUnit === 'km' ? dist * MI_PER_KM : dist) : null,
+      watchlistOnly: watchlistOnlyCb.checked,
+    };
+  }
+
+  function sendSpotFilter() {
+    const filter = buildSpotFilter();
+    localStorage.setItem(SPOT_FILTER_KEY, JSON.stringify({ ...filter, distValue: maxDistSelect.value }));
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'set-spot-filter', filter }));
+    }
+  }
+
+  function setDropdownValues(container, values) {
+    const allCb = container.querySelector('input[value="all"]');
+    const itemCbs = [...container.querySelectorAll('input:not([value="all"])')];
+    allCb.checked = !values;
+    itemCbs.forEach(cb => { cb.checked = !!values && values.includes(cb.value); });
+  }
+
+  function restoreSpotFilter() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(SPOT_FILTER_KEY) || 'null'); } catch {}
+    if (!saved) return;
+    setDropdownValues(bandFilterEl, saved.bands);
+    setDropdownValues(modeFilterEl, saved.modes);
+    viewFilterEl.querySelectorAll('[data-view-src]').forEach(cb => {
+      cb.checked = !saved.sources || saved.sources.includes(cb.dataset.viewSrc);
+    });
+    programsInput.value = (saved.programs || []).join(', ');
+    maxDistSelect.value = saved.distValue || '';
+    watchlistOnlyCb.checked = !!saved.watchlistOnly;
+    hideWorked = !!saved.hideWorked;
+    document.getElementById('rc-hide-worked').checked = hideWorked;
+  }
+
+  function updateMaxDistLabels() {
+    [...maxDistSelect.options].forEach(o => {
+      if (o.value) o.textContent = o.value + ' ' + distUnit;
+    });
+  }
+
+  restoreSpotFilter();
+  updateMaxDistLabels();
+
+  // Initialize band, mode and region dropdowns
+  initMultiDropdown(bandFilterEl, () => { sendSpotFilter(); renderSpots(); if (activeTab === 'map') renderMapSpots(); });
+  initMultiDropdown(modeFilterEl, sendSpotFilter);
   initMultiDropdown(regionFilterEl, () => { renderSpots(); if (activeTab === 'map') renderMapSpots(); });
 
+  viewFilterEl.querySelector('.rc-dropdown-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    document.querySelectorAll('.rc-dropdown.open').forEach(d => { if (d !== viewFilterEl) d.classList.remove('open'); });
+    viewFilterEl.classList.toggle('open');
+  });
+  viewFilterEl.querySelector('.rc-spots-panel').addEventListener('click', (e) => e.stopPropagation());
+  viewFilterEl.querySelector('.rc-spots-panel').addEventListener('change', sendSpotFilter);
+
   // --- Spots dropdown ---
   spotsDropdown.querySelector('.rc-dropdown-btn').addEventListener('click', (e) => {
     e.stopPropagation();
@@ -993,6 +1129,7 @@
       if (activeTab === 'map') renderMapSpots();
     } else if (cb.id === 'rc-hide-worked') {
       hideWorked = cb.checked;
+      sendSpotFilter();
       renderSpots();
       if (activeTab === 'map') renderMapSpots();
     }
@@ -1046,6 +1183,52 @@
     }, 200);
   });
 
+  // --- Operator control ---
+  function applyControlState(msg) {
+    var wasInControl = inControl;
+    inControl = !!msg.you;
+    controlHolder = msg.holder || null;
+    var others = (msg.clients || []).length > 1;
+    // Single device: nothing to hand off, keep the status bar uncluttered
+    controlBtn.classList.toggle('hidden', inControl && !others);
+    controlBtn.classList.toggle('in-control', inControl);
+    controlBtn.classList.remove('pending');
+    if (inControl) {
+      controlBtn.textContent = 'In Control';
+      controlBtn.title = 'Tap to release control to another device';
+    } else {
+      controlBtn.textContent = controlHolder ? 'Observer' : 'Take Control';
+      controlBtn.title = controlHolder ? controlHolder.label + ' is in control \u2014 tap to request' : 'Nobody is in control \u2014 tap to take it';
+    }
+    document.body.classList.toggle('observer', !inControl);
+    if (wasInControl && !inControl) {
+      releaseCwPaddles();
+      if (pttDown) {
+        pttDown = false;
+        pttBtn.classList.remove('active');
+        txBanner.classList.add('hidden');
+        muteRxAudio(false);
+      }
+      showToast((controlHolder ? controlHolder.label : 'Nobody') + ' is now in control', 3000);
+    } else if (!wasInControl && inControl) {
+      showToast('You are in control', 2500);
+    }
+  }
+
+  controlBtn.addEventListener('click', () => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (inControl) {
+      if (confirm('Release control? Another device can then tune and transmit.')) {
+        ws.send(JSON.stringify({ type: 'release-control' }));
+      }
+      return;
+    }
+    // Club admins can take over without waiting for a hand-off
+    var force = !!(clubMember && clubMember.role === 'admin' && controlHolder &&
+      confirm('Take control from ' + controlHolder.label + ' now?'));
+    ws.send(JSON.stringify({ type: 'request-control', force: force }));
+  });
+
   // --- PTT ---
   function muteRxAudio(mute) {
     if (remoteAudio) remoteAudio.muted = mute;
@@ -1053,6 +1236,10 @@
 
   function pttStart() {
     if (pttDown) return;
+    if (!inControl) {
+      showToast('Observing \u2014 request control to transmit', 2500);
+      return;
+    }
     pttDown = true;
     pttBtn.classList.add('active');
     txBanner.classList.remove('hidden');
@@ -1107,6 +1294,148 @@
     }
   });
 
+  // --- Remote CW ---
+  // Text and memories are keyed on the desktop ({MYCALL} and {PARK} come from
+  // its settings, {CALL} and {RST} from the log form here). The touch paddle
+  // drives the desktop's iambic keyer, so element timing doesn't depend on
+  // network latency.
+  const cwTextInput = document.getElementById('cw-text');
+  const cwMemoriesEl = document.getElementById('cw-memories');
+  const cwWpmVal = document.getElementById('cw-wpm-val');
+  const cwEditBtn = document.getElementById('cw-edit-btn');
+  const cwSendingEl = document.getElementById('cw-sending');
+  const cwDitBtn = document.getElementById('cw-dit');
+  const cwDahBtn = document.getElementById('cw-dah');
+  const CW_MEMORY_KEY = 'echocat-cw-memories';
+  const DEFAULT_CW_MEMORIES = [
+    { label: 'CQ', text: 'CQ POTA CQ POTA DE {MYCALL} {MYCALL} K' },
+    { label: 'Exch', text: '{CALL} TU UR {RST} {RST} BK' },
+    { label: 'TU', text: 'TU 73 DE {MYCALL} {PARK}' },
+    { label: 'AGN', text: 'AGN?' },
+    { label: 'QRZ', text: 'QRZ?' },
+    { label: 'MyCall', text: '{MYCALL}' },
+  ];
+  let cwMemories = DEFAULT_CW_MEMORIES;
+  try { cwMemories = JSON.parse(localStorage.getItem(CW_MEMORY_KEY) || 'null') || DEFAULT_CW_MEMORIES; } catch {}
+  let cwWpm = parseInt(localStorage.getItem('echocat-cw-wpm'), 10) || 20;
+  let cwEditing = false;
+  const cwPaddlesDown = new Set();
+
+  function updateCwButton() {
+    const isCw = /^CW/i.test(currentMode || '');
+    const show = isCw && !!(rigCapabilities && rigCapabilities.cw);
+    cwBtn.classList.toggle('hidden', !show);
+    if (!show) {
+      cwPanel.classList.add('hidden');
+      cwBtn.classList.remove('active');
+    }
+  }
+
+  function renderCwMemories() {
+    cwMemoriesEl.innerHTML = cwMemories.map((m, i) =>
+      `<button type="button" class="cw-mem-btn" data-idx="${i}" title="${esc(m.text)}">${esc(m.label)}</button>`
+    ).join('');
+    cwMemoriesEl.classList.toggle('editing', cwEditing);
+  }
+
+  function sendCwText(text) {
+    if (!text || !ws || ws.readyState !== WebSocket.OPEN) return;
+    if (!inControl) {
+      showToast('Observing \u2014 request control to send CW', 2500);
+      return;
+    }
+    const call = (document.getElementById('ql-call').value || document.getElementById('log-call').value || '').trim().toUpperCase();
+    const rst = (document.getElementById('ql-rst-sent').value || '').trim();
+    ws.send(JSON.stringify({ type: 'cw-text', text: text, wpm: cwWpm, vars: { call: call, rst: rst } }));
+  }
+
+  function setCwWpm(wpm) {
+    cwWpm = Math.max(5, Math.min(50, wpm));
+    cwWpmVal.textContent = cwWpm + ' wpm';
+    localStorage.setItem('echocat-cw-wpm', String(cwWpm));
+  }
+
+  function cwPaddle(paddle, pressed) {
+    if (pressed && !inControl) {
+      showToast('Observing \u2014 request control to send CW', 2500);
+      return;
+    }
+    if (pressed === cwPaddlesDown.has(paddle)) return;
+    if (pressed) cwPaddlesDown.add(paddle); else cwPaddlesDown.delete(paddle);
+    (paddle === 'dah' ? cwDahBtn : cwDitBtn).classList.toggle('active', pressed);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'cw-paddle', paddle: paddle, pressed: pressed }));
+    }
+  }
+
+  function releaseCwPaddles() {
+    cwPaddlesDown.clear();
+    cwDitBtn.classList.remove('active');
+    cwDahBtn.classList.remove('active');
+  }
+
+  cwBtn.addEventListener('click', () => {
+    const open = cwPanel.classList.toggle('hidden') === false;
+    cwBtn.classList.toggle('active', open);
+  });
+
+  document.getElementById('cw-send-btn').addEventListener('click', () => {
+    const text = cwTextInput.value.trim();
+    if (!text) return;
+    sendCwText(text);
+    cwTextInput.value = '';
+  });
+  cwTextInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); document.getElementById('cw-send-btn').click(); }
+  });
+
+  cwMemoriesEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.cw-mem-btn');
+    if (!btn) return;
+    const mem = cwMemories[parseInt(btn.dataset.idx, 10)];
+    if (!cwEditing) { sendCwText(mem.text); return; }
+    const label = prompt('Button label', mem.label);
+    if (label == null) return;
+    const text = prompt('Message ({MYCALL} {CALL} {RST} {PARK} {SERIAL})', mem.text);
+    if (text == null) return;
+    cwMemories = cwMemories.map((m, i) => i === parseInt(btn.dataset.idx, 10) ? { label: label.trim() || m.label, text: text.trim() } : m);
+    localStorage.setItem(CW_MEMORY_KEY, JSON.stringify(cwMemories));
+    renderCwMemories();
+  });
+
+  cwEditBtn.addEventListener('click', () => {
+    cwEditing = !cwEditing;
+    cwEditBtn.classList.toggle('active', cwEditing);
+    cwEditBtn.textContent = cwEditing ? 'Done' : 'Edit';
+    renderCwMemories();
+  });
+
+  document.getElementById('cw-wpm-dn').addEventListener('click', () => {
+    setCwWpm(cwWpm - 1);
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'cw-wpm', wpm: cwWpm }));
+  });
+  document.getElementById('cw-wpm-up').addEventListener('click', () => {
+    setCwWpm(cwWpm + 1);
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'cw-wpm', wpm: cwWpm }));
+  });
+
+  document.getElementById('cw-stop-btn').addEventListener('click', () => {
+    releaseCwPaddles();
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'cw-stop' }));
+  });
+
+  [[cwDitBtn, 'dit'], [cwDahBtn, 'dah']].forEach(([btn, paddle]) => {
+    btn.addEventListener('touchstart', (e) => { e.preventDefault(); cwPaddle(paddle, true); });
+    btn.addEventListener('touchend', (e) => { e.preventDefault(); cwPaddle(paddle, false); });
+    btn.addEventListener('touchcancel', (e) => { e.preventDefault(); cwPaddle(paddle, false); });
+    btn.addEventListener('mousedown', (e) => { e.preventDefault(); cwPaddle(paddle, true); });
+    btn.addEventListener('mouseup', (e) => { e.preventDefault(); cwPaddle(paddle, false); });
+    btn.addEventListener('mouseleave', () => { cwPaddle(paddle, false); });
+  });
+
+  setCwWpm(cwWpm);
+  renderCwMemories();
+
   // --- Earbud/headset PTT (Media Session API + MediaPlayPause key) ---
   // Supports Bluetooth (Pixel Buds, AirPods) and wired earbuds with play/pause button.
   // Toggle PTT: press to start transmitting, press again to stop.
@@ -1277,6 +1606,8 @@
     distUnit = 'mi';
     soDistMi.classList.add('active');
     soDistKm.classList.remove('active');
+    updateMaxDistLabels();
+    sendSpotFilter();
     if (ws && ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify({ type: 'set-dist-unit', value: 'mi' }));
     }
@@ -1285,6 +1616,8 @@
     distUnit = 'km';
     soDistKm.classList.add('active');
     soDistMi.classList.remove('active');
+    updateMaxDistLabels();
+    sendSpotFilter();
     if (ws && ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify({ type: 'set-dist-unit', value: 'km' }));
     }
@@ -0,0 +1,77 @@
+// Generate the Morse WAV recordings in test/fixtures/cw used by the CW decoder tests.
+// Output is deterministic (fixed noise seed), so rerunning leaves the files unchanged.
+const fs = require('fs');
+const path = require('path');
+const { MORSE } = require('../lib/keyer');
+
+const outDir = path.join(__dirname, '..', 'test', 'fixtures', 'cw');
+
+const FIXTURES = [
+  { file: 'cq-20wpm.wav', text: 'CQ POTA DE K1ABC K', wpm: 20, pitch: 700, sampleRate: 8000, bits: 16, noise: 0.05 },
+  { file: 'tu-28wpm-8bit.wav', text: 'W1AW/P 5NN TU', wpm: 28, pitch: 550, sampleRate: 8000, bits: 8, noise: 0.1 },
+];
+
+/** Keyed tone as mono samples (-1..1): 5 ms rise and fall, 300 ms of quiet either side. */
+function morseSamples({ text, wpm, pitch, sampleRate, noise }) {
+  const dit = Math.round((sampleRate * 1.2) / wpm);
+  const ramp = Math.round(sampleRate * 0.005);
+  const lead = Math.round(sampleRate * 0.3);
+  const marks = []; // [on, length] runs in samples
+  const words = text.split(' ');
+  words.forEach((word, w) => {
+    [...word].forEach((c, i) => {
+      [...MORSE[c]].forEach((el, j) => {
+        if (j) marks.push([false, dit]);
+        marks.push([true, el === '.' ? dit : 3 * dit]);
+      });
+      if (i < word.length - 1) marks.push([false, 3 * dit]);
+    });
+    if (w < words.length - 1) marks.push([false, 7 * dit]);
+  });
+  const total = lead * 2 + marks.reduce((n, [, len]) => n + len, 0);
+  const out = new Float32Array(total);
+  let seed = 12345;
+  const rand = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 0x100000000) * 2 - 1;
+  let pos = lead;
+  for (const [on, len] of marks) {
+    if (on) {
+      for (let i = 0; i < len; i++) {
+        const env = Math.min(1, i / ramp, (len - i) / ramp);
+        out[pos + i] = 0.6 * env * Math.sin((2 * Math.PI * pitch * (pos + i)) / sampleRate);
+      }
+    }
+    pos += len;
+  }
+  for (let i = 0; i < total; i++) out[i] += noise * rand();
+  return out;
+}
+
+/** Mono PCM WAV file. */
+function wavFile(samples, sampleRate, bits) {
+  const bytes = bits / 8;
+  const buf = Buffer.alloc(44 + samples.length * bytes);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(buf.length - 8, 4);
+  buf.write('WAVEfmt ', 8, 'ascii');
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * bytes, 28);
+  buf.writeUInt16LE(bytes, 32);
+  buf.writeUInt16LE(bits, 34);
+  buf.write('data', 36, 'ascii');
+  buf.writeUInt32LE(samples.length * bytes, 40);
+  samples.forEach((s, i) => {
+    const v = Math.max(-1, Math.min(1, s));
+    if (bits === 8) buf.writeUInt8(Math.round(v * 127) + 128, 44 + i);
+    else buf.writeInt16LE(Math.round(v * 32767), 44 + i * 2);
+  });
+  return buf;
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+for (const f of FIXTURES) {
+  fs.writeFileSync(path.join(outDir, f.file), wavFile(morseSamples(f), f.sampleRate, f.bits));
+  console.log(`Created test/fixtures/cw/${f.file} — "${f.text}"`);
+}
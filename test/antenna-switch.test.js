@@ -0,0 +1,59 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BandDecoderSwitch, normalizeRules, maxAntennas, pickAntenna } = require('../lib/antenna-switch');
+
+/** A band decoder on a stand-in serial port that records line changes and writes. */
+function decoder(output) {
+  const sw = new BandDecoderSwitch();
+  const port = { lines: [], writes: [], set(l, cb) { this.lines.push(l); cb(null); }, write(d) { this.writes.push(d.toString('latin1')); } };
+  sw._opts = { output, command: 'ANT {n}\\r' };
+  sw._port = port;
+  sw.connected = true;
+  const logs = [];
+  sw.on('log', (m) => logs.push(m));
+  return { sw, port, logs };
+}
+
+test('pins output puts antenna 1-4 on DTR and RTS', () => {
+  const { sw, port } = decoder('pins');
+  for (let n = 1; n <= 4; n++) sw.select(n, '20m');
+  assert.deepEqual(port.lines, [
+    { dtr: false, rts: false },
+    { dtr: true, rts: false },
+    { dtr: false, rts: true },
+    { dtr: true, rts: true },
+  ]);
+});
+
+test('pins output leaves the lines alone for antennas above 4', () => {
+  const { sw, port, logs } = decoder('pins');
+  sw.select(2, '20m');
+  sw.select(5, '20m');
+  assert.equal(port.lines.length, 1);
+  assert.match(logs[0], /antenna 5 .* not switched/);
+});
+
+test('text output can select any antenna', () => {
+  const { sw, port } = decoder('text');
+  sw.select(7, '40m');
+  assert.deepEqual(port.writes, ['ANT 7\r']);
+});
+
+test('rules beyond what the switch can select are dropped', () => {
+  const raw = [
+    { band: '20m', from: 0, to: 90, antenna: 5 },
+    { band: '20m', from: 0, to: 90, antenna: 2 },
+    { band: 'all', from: '90', to: '180', antenna: '8' },
+    { band: 'all', from: 'x', to: 180, antenna: 1 },
+  ];
+  assert.equal(maxAntennas({ type: 'decoder', output: 'pins' }), 4);
+  assert.equal(maxAntennas({ type: 'decoder', output: 'text' }), 8);
+  assert.equal(maxAntennas({ type: 'relay' }), 8);
+  assert.deepEqual(normalizeRules(raw, 4).map(r => r.antenna), [2]);
+  assert.deepEqual(normalizeRules(raw).map(r => r.antenna), [5, 2, 8]);
+
+  const rules = normalizeRules(raw, 4);
+  assert.deepEqual(pickAntenna({ rules, bandMap: { '20m': 1 } }, '20m', 45), { antenna: 2, rule: rules[0] });
+});
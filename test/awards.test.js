@@ -0,0 +1,36 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BandPlans = require('../lib/band-plans');
+const { AwardTracker, modeClass } = require('../lib/awards');
+const { matchQso } = require('../lib/qsl-sync');
+
+test('award mode classes follow the band plans', () => {
+  for (const m of ['DIGU', 'PKTUSB', 'FT8', 'MFSK', 'PSK63']) assert.equal(modeClass(m), 'digital', m);
+  for (const m of ['USB', 'ssb', 'FM', 'DSTAR']) assert.equal(modeClass(m), 'phone', m);
+  assert.equal(modeClass('CW-R'), 'cw');
+  assert.equal(modeClass('SSTV'), ''); // unplaced, as for privileges
+  assert.equal(modeClass(''), '');
+  assert.equal(BandPlans.modeClass('PKTUSB'), 'data');
+});
+
+test('a QSO logged in a rig data mode counts toward a digital-only award', () => {
+  const tracker = new AwardTracker();
+  tracker.loadRules([{ id: 'grids-digi', credit: 'field', field: 'GRIDSQUARE', modes: ['digital'], confirmedBy: [] }]);
+  tracker.update([
+    { CALL: 'K1ABC', BAND: '20M', MODE: 'DIGU', GRIDSQUARE: 'FN42' },
+    { CALL: 'W2XYZ', BAND: '20M', MODE: 'USB', GRIDSQUARE: 'FN20' },
+  ], null);
+  const award = tracker.summary().find(a => a.id === 'grids-digi');
+  assert.deepEqual(Object.keys(award.credits), ['FN42']);
+});
+
+test('QSL matching treats a DIGU log entry and an FT4 confirmation as the same kind of mode', () => {
+  const log = [
+    { id: 1, fields: { CALL: 'K1ABC', BAND: '20M', MODE: 'USB', QSO_DATE: '20250601', TIME_ON: '1400' } },
+    { id: 2, fields: { CALL: 'K1ABC', BAND: '20M', MODE: 'DIGU', QSO_DATE: '20250601', TIME_ON: '1410' } },
+  ];
+  const conf = { CALL: 'K1ABC', BAND: '20M', MODE: 'MFSK', SUBMODE: 'FT4', QSO_DATE: '20250601', TIME_ON: '1402' };
+  assert.equal(matchQso(conf, log).id, 2);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BandPlans = require('../lib/band-plans');
+
+const out = (khz, mode, plan = 'us_general') => BandPlans.isOutOfPrivilege(khz, mode, plan);
+
+test('US General phone starts at 7175', () => {
+  assert.equal(out(7175, 'SSB'), false);
+  assert.equal(out(7174.9, 'SSB'), true);
+  assert.equal(out(7174.9, 'CW'), true); // 7125-7175 is Extra/Advanced only
+  assert.equal(out(7124, 'CW'), false);
+  assert.equal(out(7174.9, 'SSB', 'us_extra'), false);
+});
+
+test('segment edges are inclusive', () => {
+  assert.equal(out(14025, 'CW'), false);
+  assert.equal(out(14024.9, 'CW'), true);
+  assert.equal(out(14350, 'SSB'), false);
+  assert.equal(out(14350.1, 'SSB'), true);
+});
+
+test('60m channels allow the USB dial frequency 1.5 kHz below centre', () => {
+  assert.equal(out(5332, 'CW'), false);
+  assert.equal(out(5330.5, 'USB'), false); // dial for the 5332 channel
+  assert.equal(out(5330.5, 'CW'), true); // CW is given on the centre
+  assert.equal(out(5329, 'USB'), true);
+  assert.equal(out(5330.5, 'USB', 'us_technician'), true); // no 60m channels at all
+});
+
+test('rig data modes count as data', () => {
+  for (const m of ['DIGU', 'DIGL', 'PKTUSB', 'PKTLSB', 'DATA-U', 'FT8']) assert.equal(BandPlans.modeClass(m), 'data', m);
+  assert.equal(BandPlans.modeClass('usb'), 'phone');
+  assert.equal(BandPlans.modeClass('CW'), 'cw');
+  assert.equal(BandPlans.modeClass('SSTV'), null);
+
+  assert.equal(out(7074, 'DIGU'), false);
+  assert.equal(out(7200, 'PKTUSB'), true); // phone-only segment
+  assert.equal(out(7200, 'SSTV'), false); // unknown modes are never flagged
+});
+
+test('no plan, or an unknown one, flags nothing', () => {
+  assert.equal(out(7100, 'SSB', 'none'), false);
+  assert.equal(out(7100, 'SSB', ''), false);
+  assert.equal(out(7100, 'SSB', 'nope'), false);
+});
+
+test('a custom plan can extend a built-in one', () => {
+  const r = BandPlans.loadPlans({
+    plans: [{
+      id: 'club_general',
+      name: 'Club General',
+      extends: 'us_general',
+      segments: [{ from: 7125, to: 7175, modes: ['phone'] }],
+      channels: [[5500, 3, 'cw']],
+    }],
+  });
+  assert.deepEqual(r, { loaded: ['club_general'], errors: [] });
+  assert.equal(out(7150, 'SSB', 'club_general'), false);
+  assert.equal(out(7150, 'SSB'), true); // the built-in is untouched
+  assert.equal(out(14300, 'SSB', 'club_general'), false); // inherited
+  assert.equal(out(5332, 'CW', 'club_general'), false); // inherited channel
+  assert.equal(out(5501, 'CW', 'club_general'), false);
+  assert.equal(out(5501, 'SSB', 'club_general'), true);
+
+  const plan = BandPlans.listPlans().find(p => p.id === 'club_general');
+  assert.deepEqual(plan, { id: 'club_general', name: 'Club General', group: 'Custom', custom: true });
+});
+
+test('custom plans cannot replace a built-in one', () => {
+  const r = BandPlans.loadPlans([
+    { id: 'us_general', segments: [[7000, 7300, 'all']] },
+    { id: 'bad_base', extends: 'us_nope' },
+    { id: 'bad_modes', segments: [[7000, 7300, 'voice']] },
+  ]);
+  assert.deepEqual(r.loaded, []);
+  assert.match(r.errors[0], /"us_general" is a built-in band plan/);
+  assert.match(r.errors[1], /unknown plan "us_nope"/);
+  assert.match(r.errors[2], /unknown modes/);
+  assert.equal(out(7150, 'SSB'), true);
+});
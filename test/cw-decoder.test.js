@@ -0,0 +1,93 @@
+'use strict';
+
+// CW decoder against the Morse recordings in fixtures/cw
+// (regenerate them with scripts/make-cw-fixtures.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CwDecoder, parseWav, decodeWav, isCallsign } = require('../lib/cw-decoder');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'cw', name));
+
+/** Stereo 32-bit float WAV with the same audio on both channels. */
+function floatStereoWav(samples, sampleRate) {
+  const buf = Buffer.alloc(44 + samples.length * 8);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(buf.length - 8, 4);
+  buf.write('WAVEfmt ', 8, 'ascii');
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(3, 20);
+  buf.writeUInt16LE(2, 22);
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 8, 28);
+  buf.writeUInt16LE(8, 32);
+  buf.writeUInt16LE(32, 34);
+  buf.write('data', 36, 'ascii');
+  buf.writeUInt32LE(samples.length * 8, 40);
+  samples.forEach((s, i) => {
+    buf.writeFloatLE(s, 44 + i * 8);
+    buf.writeFloatLE(s, 48 + i * 8);
+  });
+  return buf;
+}
+
+test('decodes a 16-bit recording', async () => {
+  const r = await decodeWav(fixture('cq-20wpm.wav'));
+  assert.equal(r.text, 'CQ POTA DE K1ABC K');
+  assert.equal(r.wpm, 20);
+  assert.equal(r.pitch, 700);
+  assert.deepEqual(r.callsigns, ['K1ABC']);
+});
+
+test('decodes a fast 8-bit recording with a portable call', async () => {
+  const r = await decodeWav(fixture('tu-28wpm-8bit.wav'));
+  assert.equal(r.text, 'W1AW/P 5NN TU');
+  assert.equal(r.pitch, 550);
+  assert.deepEqual(r.callsigns, ['W1AW/P']);
+});
+
+test('decodes stereo float the same as mono PCM', async () => {
+  const { sampleRate, samples } = parseWav(fixture('cq-20wpm.wav'));
+  const r = await decodeWav(floatStereoWav(samples, sampleRate));
+  assert.equal(r.text, 'CQ POTA DE K1ABC K');
+});
+
+test('decoding in slices matches decoding in one go', async () => {
+  const { sampleRate, samples } = parseWav(fixture('cq-20wpm.wav'));
+  const decoder = new CwDecoder({ sampleRate });
+  let text = '';
+  decoder.on('char', ({ char }) => { text += char; });
+  decoder.process(samples);
+  decoder.flush();
+  assert.equal((await decodeWav(fixture('cq-20wpm.wav'))).text, text.trim());
+});
+
+test('yields to the event loop while decoding', async () => {
+  let ticks = 0;
+  let done = false;
+  const tick = () => { ticks++; if (!done) setImmediate(tick); };
+  setImmediate(tick);
+  await decodeWav(fixture('cq-20wpm.wav'));
+  done = true;
+  assert.ok(ticks > 5, `only ${ticks} event loop turns during the decode`);
+});
+
+test('onChar sees every character', async () => {
+  let seen = '';
+  const r = await decodeWav(fixture('tu-28wpm-8bit.wav'), { onChar: (c) => { seen += c; } });
+  assert.equal(seen.trim(), r.text);
+});
+
+test('rejects files it cannot read', async () => {
+  await assert.rejects(decodeWav(Buffer.from('not a wav file at all')), /Not a WAV file/);
+  const adpcm = fixture('cq-20wpm.wav');
+  adpcm.writeUInt16LE(2, 20);
+  await assert.rejects(decodeWav(adpcm), /Unsupported WAV format/);
+});
+
+test('isCallsign', () => {
+  for (const c of ['K1ABC', 'VE3/W1AW', '2E0XYZ/P', 'W1AW/P']) assert.ok(isCallsign(c), c);
+  for (const w of ['CQ', 'POTA', '5NN', 'TU', '599']) assert.ok(!isCallsign(w), w);
+});
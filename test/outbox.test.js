@@ -0,0 +1,127 @@
+'use strict';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Outbox, retryDelay } = require('../lib/outbox');
+
+let tmpDir;
+let file;
+let outbox;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'potacat-outbox-'));
+  file = path.join(tmpDir, 'outbox.json');
+  outbox = new Outbox(file);
+});
+
+afterEach(() => {
+  outbox.stop();
+  mock.timers.reset();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const failing = (msg = 'connection refused') => async () => { throw new Error(msg); };
+const job = () => outbox.list()[0];
+const settle = () => new Promise(setImmediate); // let the runner set its next timer
+
+test('retry delay doubles from 30 s up to an hour', () => {
+  assert.equal(retryDelay(1), 30000);
+  assert.equal(retryDelay(2), 60000);
+  assert.equal(retryDelay(3), 120000);
+  assert.equal(retryDelay(8), 60 * 60000);
+  assert.equal(retryDelay(20), 60 * 60000);
+});
+
+test('a failed upload is retried after the backoff, then sent', async () => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  let calls = 0;
+  outbox.register('qrz', {
+    label: 'QRZ',
+    send: async () => { if (++calls < 3) throw new Error('timeout'); },
+  });
+
+  const first = await outbox.enqueue('qrz', {}, 'W1AW 14074 FT8');
+  assert.deepEqual(first, { ok: false, error: 'timeout', retrying: true });
+  await settle();
+  assert.equal(job().attempts, 1);
+  assert.equal(job().nextAttempt, 1_000_000 + 30000);
+
+  mock.timers.tick(29999);
+  await settle();
+  assert.equal(calls, 1);
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(calls, 2);
+  assert.equal(job().nextAttempt, 1_000_000 + 30000 + 60000);
+
+  mock.timers.tick(60000);
+  await settle();
+  assert.equal(calls, 3);
+  assert.deepEqual(outbox.list(), []);
+});
+
+test('a permanent error or the last attempt marks the job failed', async () => {
+  outbox.register('pota', { label: 'POTA', send: failing(), maxAttempts: 1 });
+  const r = await outbox.enqueue('pota', {}, 'K1ABC');
+  assert.deepEqual(r, { ok: false, error: 'connection refused' });
+  assert.equal(job().status, 'failed');
+
+  outbox.register('lotw', {
+    label: 'LoTW',
+    send: async () => { throw Object.assign(new Error('bad login'), { permanent: true }); },
+  });
+  const p = await outbox.enqueue('lotw', {}, 'K1ABC');
+  assert.equal(p.retrying, undefined);
+  assert.equal(outbox.list()[1].status, 'failed');
+});
+
+test('a job older than maxAgeMs is given up instead of sent', async () => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  let calls = 0;
+  outbox.register('pota-respot', {
+    label: 'POTA re-spot',
+    send: async () => { calls++; throw new Error('HTTP 503'); },
+    maxAgeMs: 45000,
+  });
+  await outbox.enqueue('pota-respot', {}, 'K1ABC 14062 CW');
+  await settle();
+  assert.equal(calls, 1);
+
+  mock.timers.tick(30000); // retry 1 is still inside the age limit
+  await settle();
+  assert.equal(calls, 2);
+  assert.equal(job().status, 'pending');
+
+  mock.timers.tick(60000);
+  await settle();
+  assert.equal(calls, 2);
+  assert.equal(job().status, 'failed');
+  assert.match(job().lastError, /HTTP 503 — too old to retry/);
+});
+
+test('load() puts jobs interrupted mid-send back to pending', () => {
+  fs.writeFileSync(file, JSON.stringify({
+    jobs: [
+      { id: 4, dest: 'qrz', summary: 'W1AW', payload: {}, status: 'sending', attempts: 2, lastError: '', createdAt: 1, nextAttempt: 1 },
+      { id: 7, dest: 'qrz', summary: 'K1ABC', payload: {}, status: 'failed', attempts: 12, lastError: 'x', createdAt: 1, nextAttempt: 1 },
+    ],
+  }));
+  outbox.register('qrz', { label: 'QRZ', send: failing() });
+  mock.timers.enable({ apis: ['setTimeout'] }); // keep the runner from starting
+  outbox.load();
+  assert.deepEqual(outbox.list().map(j => [j.id, j.status]), [[4, 'pending'], [7, 'failed']]);
+  outbox.register('pota', { label: 'POTA', send: async () => {} });
+  outbox.enqueue('pota', {}, 'N3DEF');
+  assert.equal(outbox.list()[2].id, 8); // ids carry on after the saved ones
+});
+
+test('a new job is tried at once while another upload hangs', async () => {
+  outbox.register('log4om', { label: 'Log4OM', send: () => new Promise(() => {}) });
+  outbox.register('pota-respot', { label: 'POTA re-spot', send: async () => {} });
+  outbox.enqueue('log4om', {}, 'W1AW');
+  const r = await outbox.enqueue('pota-respot', {}, 'W1AW');
+  assert.deepEqual(r, { ok: true });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+// QSL sync against local stand-in servers for LoTW, eQSL and Club Log,
+// serving the ADIF reports in fixtures/qsl.
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { QsoDatabase } = require('../lib/qso-db');
+const { syncConfirmations, mergeConfirmations, parseAdifText } = require('../lib/qsl-sync');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'qsl');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+
+const LOG = [
+  { CALL: 'K1ABC', BAND: '20m', MODE: 'CW', QSO_DATE: '20250601', TIME_ON: '1415' },
+  { CALL: 'K1ABC', BAND: '20m', MODE: 'SSB', QSO_DATE: '20250601', TIME_ON: '1600' },
+  { CALL: 'W2XYZ', BAND: '40m', MODE: 'SSB', QSO_DATE: '20250602', TIME_ON: '0130', GRIDSQUARE: 'FN30' },
+  { CALL: 'N3DEF', BAND: '20m', MODE: 'FT8', QSO_DATE: '20250603', TIME_ON: '1800' },
+];
+
+const LOTW = { username: 'n0cat', password: 'secret' };
+const EQSL = { username: 'N0CAT', password: 'secret', qthNickname: 'Home' };
+const CLUBLOG = { email: 'n0cat@example.com', password: 'secret', callsign: 'N0CAT', apiKey: 'KEY123' };
+
+// --- Stand-in servers ---
+
+let server;
+let urls;
+let requests;
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+async function handle(req, res) {
+  const u = new URL(req.url, 'http://localhost');
+  const body = await readBody(req);
+  requests.push({ method: req.method, path: u.pathname, query: Object.fromEntries(u.searchParams), form: Object.fromEntries(new URLSearchParams(body)) });
+  const send = (status, text) => { res.writeHead(status, { 'Content-Type': 'text/plain' }); res.end(text); };
+
+  if (u.pathname === '/lotwuser/lotwreport.adi') {
+    if (u.searchParams.get('password') !== LOTW.password) {
+      return send(200, '<html><body>Username/password incorrect</body></html>');
+    }
+    return send(200, fixture('lotw.adi'));
+  }
+  if (u.pathname === '/qslcard/DownloadInBox.cfm') {
+    if (u.searchParams.get('RcvdSince') === 'empty') {
+      return send(200, '<html><body>You have no log entries</body></html>');
+    }
+    return send(200, '<html><body>Your ADIF log file has been built. <a href="downloadedfiles/n0cat1234.adi">.ADI file</a></body></html>');
+  }
+  if (u.pathname === '/qslcard/downloadedfiles/n0cat1234.adi') return send(200, fixture('eqsl.adi'));
+  if (u.pathname === '/getadif.php' && req.method === 'POST') return send(200, fixture('clublog.adi'));
+  send(404, 'Not found');
+}
+
+before(async () => {
+  server = http.createServer((req, res) => { handle(req, res); });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  urls = {
+    lotw: `${base}/lotwuser/lotwreport.adi`,
+    eqsl: `${base}/qslcard/DownloadInBox.cfm`,
+    clublog: `${base}/getadif.php`,
+  };
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// --- Log ---
+
+let tmpDir;
+let db;
+
+beforeEach(async () => {
+  requests = [];
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'potacat-qsl-'));
+  db = new QsoDatabase(path.join(tmpDir, 'qsos.sqlite'));
+  await db.open();
+  db.insert(LOG);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const byCallMode = (call, mode) => db.find({ call }).find(q => q.fields.MODE === mode).fields;
+
+// --- Tests ---
+
+test('fixtures parse', () => {
+  const lotw = parseAdifText(fixture('lotw.adi'));
+  assert.equal(lotw.hasHeader, true);
+  assert.equal(lotw.header.APP_LOTW_LASTQSL, '2025-06-12 08:30:00');
+  assert.equal(lotw.records.length, 3);
+  assert.equal(parseAdifText(fixture('eqsl.adi')).records.length, 2);
+  assert.equal(parseAdifText(fixture('clublog.adi')).records.length, 3);
+});
+
+test('LoTW: marks matched QSOs and fills blank station details', async () => {
+  const r = await syncConfirmations('lotw', db, LOTW, '2025-01-01', urls);
+  assert.deepEqual(r, { received: 3, matched: 2, updated: 2, since: '2025-06-12 08:30:00' });
+
+  const q = requests[0].query;
+  assert.equal(q.login, 'n0cat');
+  assert.equal(q.qso_qsl, 'yes');
+  assert.equal(q.qso_qslsince, '2025-01-01');
+
+  const cw = byCallMode('K1ABC', 'CW');
+  assert.equal(cw.LOTW_QSL_RCVD, 'Y');
+  assert.equal(cw.LOTW_QSLRDATE, '20250610');
+  assert.equal(cw.STATE, 'MA');
+  assert.equal(cw.GRIDSQUARE, 'FN42');
+  assert.equal(byCallMode('K1ABC', 'SSB').LOTW_QSL_RCVD, undefined);
+  assert.equal(byCallMode('N3DEF', 'FT8').LOTW_QSL_RCVD, 'Y');
+});
+
+test('LoTW: the same report twice changes nothing', async () => {
+  await syncConfirmations('lotw', db, LOTW, null, urls);
+  const again = await syncConfirmations('lotw', db, LOTW, null, urls);
+  assert.equal(again.matched, 2);
+  assert.equal(again.updated, 0);
+  assert.equal(requests[0].query.qso_qslsince, undefined);
+});
+
+test('LoTW: a login page is reported as a bad password', async () => {
+  await assert.rejects(syncConfirmations('lotw', db, { ...LOTW, password: 'wrong' }, null, urls),
+    /username or password incorrect/);
+});
+
+test('eQSL: follows the link to the generated ADIF file', async () => {
+  const r = await syncConfirmations('eqsl', db, EQSL, '202501010000', urls);
+  assert.equal(r.received, 2);
+  assert.equal(r.matched, 1); // K1ABC's card is 75 minutes off the logged time
+  assert.equal(r.updated, 1);
+  assert.match(r.since, /^\d{12}$/);
+
+  assert.equal(requests[0].query.RcvdSince, '202501010000');
+  assert.equal(requests[0].query.QTHNickname, 'Home');
+  assert.equal(requests[1].path, '/qslcard/downloadedfiles/n0cat1234.adi');
+
+  const w2 = byCallMode('W2XYZ', 'SSB');
+  assert.equal(w2.EQSL_QSL_RCVD, 'Y');
+  assert.equal(w2.EQSL_QSLRDATE, '20250605');
+  assert.equal(w2.GRIDSQUARE, 'FN30'); // never overwritten
+  assert.equal(byCallMode('K1ABC', 'CW').EQSL_QSL_RCVD, undefined);
+});
+
+test('eQSL: an empty inbox moves the start time on', async () => {
+  const r = await syncConfirmations('eqsl', db, EQSL, 'empty', urls);
+  assert.equal(r.received, 0);
+  assert.match(r.since, /^\d{12}$/);
+});
+
+test('Club Log: posts the login and merges card and LoTW matches', async () => {
+  const r = await syncConfirmations('clublog', db, CLUBLOG, null, urls);
+  assert.deepEqual(r, { received: 3, matched: 2, updated: 2, since: null });
+
+  assert.equal(requests[0].method, 'POST');
+  assert.deepEqual(requests[0].form, { email: 'n0cat@example.com', password: 'secret', call: 'N0CAT', api: 'KEY123' });
+
+  // Same call and band, but only the phone QSO matches a phone confirmation
+  assert.equal(byCallMode('K1ABC', 'SSB').QSL_RCVD, 'Y');
+  assert.equal(byCallMode('K1ABC', 'CW').QSL_RCVD, undefined);
+  const w2 = byCallMode('W2XYZ', 'SSB');
+  assert.equal(w2.LOTW_QSL_RCVD, 'Y');
+  assert.equal(w2.LOTW_QSLRDATE, '20250607');
+  assert.equal(byCallMode('N3DEF', 'FT8').QSL_RCVD, undefined);
+});
+
+test('mergeConfirmations keeps an existing receive date', () => {
+  db.update([db.find({ call: 'N3DEF' })[0].id], { LOTW_QSL_RCVD: 'Y', LOTW_QSLRDATE: '20250608' });
+  const r = mergeConfirmations(db, 'lotw', parseAdifText(fixture('lotw.adi')).records);
+  assert.equal(r.matched, 2);
+  assert.equal(r.updated, 2); // N3DEF still gains its STATE
+  const n3 = byCallMode('N3DEF', 'FT8');
+  assert.equal(n3.LOTW_QSLRDATE, '20250608');
+  assert.equal(n3.STATE, 'PA');
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SpotHistory } = require('../lib/spot-history');
+
+const T0 = Date.parse('2025-06-01T14:00:00Z');
+const MIN = 60000;
+
+const spot = (fields) => ({ source: 'pota', callsign: 'K1ABC', frequency: '14062', mode: 'CW', spotter: 'W1AW', comments: 'QRV', ...fields });
+
+test('a timed spot seen on every publish is recorded once', () => {
+  const h = new SpotHistory();
+  const s = spot({ spotTime: '2025-06-01T13:58:00' });
+  for (let i = 0; i < 5; i++) h.observe([s], T0 + i * MIN);
+  const row = h.annotate(s, T0 + 5 * MIN);
+  assert.equal(row.timeline.length, 1);
+  assert.equal(row.lastSpotTime, '2025-06-01T13:58:00.000Z');
+});
+
+test('an untimed spot keeps the time it was first seen', () => {
+  const h = new SpotHistory();
+  const s = spot({ source: 'custom-feed', spotTime: '' });
+  for (let i = 0; i < 30; i++) h.observe([s], T0 + i * MIN);
+  const row = h.annotate(s, T0 + 30 * MIN);
+  assert.equal(row.timeline.length, 1);
+  assert.equal(row.lastSpotTime, new Date(T0).toISOString()); // ages, so "not re-spotted" can fire
+});
+
+test('an untimed spot with a new comment or spotter is a new entry', () => {
+  const h = new SpotHistory();
+  h.observe([spot({ spotTime: '' })], T0);
+  h.observe([spot({ spotTime: '', comments: 'QRT soon' })], T0 + 10 * MIN);
+  h.observe([spot({ spotTime: '', spotter: 'N3DEF' })], T0 + 20 * MIN);
+  const row = h.annotate(spot({ spotTime: '' }), T0 + 20 * MIN);
+  assert.equal(row.timeline.length, 3);
+  assert.equal(row.lastSpotTime, new Date(T0 + 20 * MIN).toISOString());
+});
+
+test('flags a QSY and a mode change', () => {
+  const h = new SpotHistory();
+  h.observe([spot({ frequency: '7032', spotTime: '2025-06-01T13:40:00' })], T0);
+  h.observe([spot({ mode: 'SSB', frequency: '14250', spotTime: '2025-06-01T13:50:00' })], T0);
+  h.observe([spot({ mode: 'CW', frequency: '14250', spotTime: '2025-06-01T13:55:00' })], T0);
+  const row = h.annotate(spot({ frequency: '14250', mode: 'CW' }), T0);
+  assert.equal(row.qsy.frequency, 7032);
+  assert.deepEqual(row.modeChange, { from: 'SSB', spotTime: '2025-06-01T13:50:00.000Z' });
+});